@@ -0,0 +1,16 @@
+/**
+ * Read a file served by an asset fetcher, e.g. a database bundled in the static directory.
+ *
+ * @param {import('../../runtime/runtimeConfig.js').AssetFetcher | null} assetFetcher
+ * @param {string} assetPath - Path under the asset root
+ * @returns {() => Promise<ArrayBuffer | null>} resolves to null when the file is not there
+ */
+export function createAssetFileLoader(assetFetcher, assetPath) {
+    return async () => {
+        if (!assetFetcher || !assetPath) return null;
+        const pathname = `/${String(assetPath).replace(/^\/+/, '')}`;
+        const response = await assetFetcher(new Request(new URL(pathname, 'http://assets.local')));
+        if (!response.ok) return null;
+        return response.arrayBuffer();
+    };
+}
@@ -0,0 +1,206 @@
+/**
+ * @typedef {Object} CachedSubscription
+ * @property {string} content
+ * @property {number} successCount
+ * @property {number} failCount
+ * @property {number} createdAt
+ * @property {string|null} etag
+ * @property {string|null} lastModified
+ * @property {string|null} subscriptionUserinfo
+ * @property {number|null} validatedAt - When the origin last returned or confirmed this copy
+ */
+
+/**
+ * @typedef {Object} SubscriptionCacheStore
+ * @property {() => Promise<boolean>} init
+ * @property {(key: string) => Promise<CachedSubscription|null>} get
+ * @property {(key: string, url: string, content: string, meta?: object) => Promise<void>} save
+ * @property {(key: string, meta?: object) => Promise<void>} markValidated
+ * @property {(key: string) => Promise<void>} recordFailure
+ * @property {(key: string) => Promise<void>} delete
+ * @property {() => Promise<{totalCached: number|null, withSuccess: number|null}>} stats - null when the storage cannot count
+ * @property {() => Promise<void|false>} clear - false when the storage cannot clear everything at once
+ */
+
+// Schema for subscription cache
+const CREATE_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS subscription_cache (
+        cache_key TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        content TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        success_count INTEGER DEFAULT 1,
+        fail_count INTEGER DEFAULT 0,
+        etag TEXT,
+        last_modified TEXT,
+        subscription_userinfo TEXT,
+        validated_at INTEGER
+    )
+`;
+
+// Columns added after the first schema; tables created before them are migrated in init()
+const ADDED_COLUMNS = ['etag TEXT', 'last_modified TEXT', 'subscription_userinfo TEXT', 'validated_at INTEGER'];
+
+/**
+ * Subscription cache table on D1, or on any binding with D1's `exec` / `prepare().bind().first()|run()` shape
+ */
+export class D1CacheStore {
+    constructor(db) {
+        this.db = db;
+        this.dbInitialized = false;
+        this.initPromise = null;
+    }
+
+    async database() {
+        return this.db;
+    }
+
+    /**
+     * Create the table and add missing columns; failures are logged and retried on the next call
+     * @returns {Promise<boolean>}
+     */
+    async init() {
+        if (this.dbInitialized) {
+            return true;
+        }
+        if (!this.initPromise) {
+            this.initPromise = this.initSchema().finally(() => {
+                this.initPromise = null;
+            });
+        }
+        return this.initPromise;
+    }
+
+    async initSchema() {
+        try {
+            const db = await this.database();
+            if (typeof db?.exec !== 'function') {
+                console.warn('D1 db.exec is not a function, skipping init');
+                return false;
+            }
+            await db.exec(CREATE_TABLE_SQL).catch(e => {
+                if (!e.message?.includes('duration')) throw e;
+            });
+            await this.addMissingColumns(db);
+            this.dbInitialized = true;
+            console.log('subscription_cache table initialized');
+            return true;
+        } catch (error) {
+            if (error.message && error.message.includes('already exists')) {
+                await this.addMissingColumns(await this.database());
+                this.dbInitialized = true;
+                console.log('subscription_cache table already exists');
+                return true;
+            }
+            console.warn('Failed to initialize subscription cache database (non-fatal):', error.message);
+            return false;
+        }
+    }
+
+    async addMissingColumns(db) {
+        for (const column of ADDED_COLUMNS) {
+            await db.prepare(`ALTER TABLE subscription_cache ADD COLUMN ${column}`).run().catch(e => {
+                if (!e.message?.includes('duplicate column')) throw e;
+            });
+        }
+    }
+
+    async get(cacheKey) {
+        const db = await this.database();
+        const result = await db.prepare(`
+            SELECT content, success_count, fail_count, created_at, etag, last_modified,
+                subscription_userinfo, validated_at
+            FROM subscription_cache
+            WHERE cache_key = ?
+        `).bind(cacheKey).first();
+
+        if (!result) {
+            return null;
+        }
+        return {
+            content: result.content,
+            successCount: result.success_count,
+            failCount: result.fail_count,
+            createdAt: result.created_at,
+            etag: result.etag || null,
+            lastModified: result.last_modified || null,
+            subscriptionUserinfo: result.subscription_userinfo || null,
+            validatedAt: result.validated_at || null
+        };
+    }
+
+    async save(cacheKey, url, content, meta = {}) {
+        const db = await this.database();
+        const now = Date.now();
+
+        await db.prepare(`
+            INSERT OR REPLACE INTO subscription_cache
+            (cache_key, url, content, created_at, updated_at, success_count, fail_count,
+                etag, last_modified, subscription_userinfo, validated_at)
+            VALUES (?, ?, ?, COALESCE(
+                (SELECT created_at FROM subscription_cache WHERE cache_key = ?),
+                ?
+            ), ?, COALESCE(
+                (SELECT success_count + 1 FROM subscription_cache WHERE cache_key = ?),
+                1
+            ), COALESCE(
+                (SELECT fail_count FROM subscription_cache WHERE cache_key = ?),
+                0
+            ), ?, ?, ?, ?)
+        `).bind(
+            cacheKey, url, content, cacheKey, now, now, cacheKey, cacheKey,
+            meta.etag || null, meta.lastModified || null, meta.subscriptionUserinfo || null, now
+        ).run();
+    }
+
+    async markValidated(cacheKey, meta = {}) {
+        const db = await this.database();
+        const now = Date.now();
+        await db.prepare(`
+            UPDATE subscription_cache
+            SET validated_at = ?, updated_at = ?, success_count = success_count + 1,
+                etag = COALESCE(?, etag),
+                last_modified = COALESCE(?, last_modified),
+                subscription_userinfo = COALESCE(?, subscription_userinfo)
+            WHERE cache_key = ?
+        `).bind(now, now, meta.etag || null, meta.lastModified || null, meta.subscriptionUserinfo || null, cacheKey).run();
+    }
+
+    async recordFailure(cacheKey) {
+        const db = await this.database();
+        await db.prepare(`
+            UPDATE subscription_cache
+            SET fail_count = fail_count + 1, updated_at = ?
+            WHERE cache_key = ?
+        `).bind(Date.now(), cacheKey).run();
+    }
+
+    async delete(cacheKey) {
+        const db = await this.database();
+        await db.prepare(`
+            DELETE FROM subscription_cache WHERE cache_key = ?
+        `).bind(cacheKey).run();
+    }
+
+    async stats() {
+        const db = await this.database();
+        const total = await db.prepare(`
+            SELECT COUNT(*) as count FROM subscription_cache
+        `).first();
+
+        const withSuccess = await db.prepare(`
+            SELECT COUNT(*) as count FROM subscription_cache WHERE success_count > 0
+        `).first();
+
+        return {
+            totalCached: total?.count || 0,
+            withSuccess: withSuccess?.count || 0
+        };
+    }
+
+    async clear() {
+        const db = await this.database();
+        await db.prepare(`DELETE FROM subscription_cache`).run();
+    }
+}
@@ -0,0 +1,99 @@
+const DEFAULT_PREFIX = 'subscription-cache:';
+const DEFAULT_TTL_SECONDS = 60 * 60 * 24 * 7;
+
+/**
+ * Subscription cache on a key-value adapter (Redis, Upstash, memory): one JSON record per cache key.
+ * Every write renews the record's TTL, so sources nobody asks for any more expire on their own.
+ * KV has no key listing: stats() reports unknown counts and clear() is a no-op that returns false.
+ */
+export class KVCacheStore {
+    /**
+     * @param {import('../../runtime/runtimeConfig.js').KeyValueStore} kv
+     * @param {{prefix?: string, ttlSeconds?: number}} [options] - ttlSeconds defaults to 7 days
+     */
+    constructor(kv, options = {}) {
+        if (!kv) {
+            throw new Error('KV cache store requires a KV adapter');
+        }
+        this.kv = kv;
+        this.prefix = options.prefix ?? DEFAULT_PREFIX;
+        this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+    }
+
+    async init() {
+        return true;
+    }
+
+    async get(cacheKey) {
+        const raw = await this.kv.get(this.prefix + cacheKey);
+        if (!raw) {
+            return null;
+        }
+        try {
+            return JSON.parse(raw);
+        } catch {
+            return null;
+        }
+    }
+
+    async put(cacheKey, record) {
+        await this.kv.put(this.prefix + cacheKey, JSON.stringify(record), { expirationTtl: this.ttlSeconds });
+    }
+
+    async save(cacheKey, url, content, meta = {}) {
+        const previous = await this.get(cacheKey);
+        const now = Date.now();
+        await this.put(cacheKey, {
+            url,
+            content,
+            createdAt: previous?.createdAt ?? now,
+            updatedAt: now,
+            successCount: (previous?.successCount ?? 0) + 1,
+            failCount: previous?.failCount ?? 0,
+            etag: meta.etag || null,
+            lastModified: meta.lastModified || null,
+            subscriptionUserinfo: meta.subscriptionUserinfo || null,
+            validatedAt: now
+        });
+    }
+
+    async markValidated(cacheKey, meta = {}) {
+        const previous = await this.get(cacheKey);
+        if (!previous) return;
+        const now = Date.now();
+        await this.put(cacheKey, {
+            ...previous,
+            updatedAt: now,
+            validatedAt: now,
+            successCount: (previous.successCount ?? 0) + 1,
+            etag: meta.etag || previous.etag || null,
+            lastModified: meta.lastModified || previous.lastModified || null,
+            subscriptionUserinfo: meta.subscriptionUserinfo || previous.subscriptionUserinfo || null
+        });
+    }
+
+    async recordFailure(cacheKey) {
+        const previous = await this.get(cacheKey);
+        if (!previous) return;
+        await this.put(cacheKey, { ...previous, updatedAt: Date.now(), failCount: (previous.failCount ?? 0) + 1 });
+    }
+
+    async delete(cacheKey) {
+        await this.kv.delete(this.prefix + cacheKey);
+    }
+
+    /**
+     * Counts are unknown (null) because KV cannot enumerate keys
+     */
+    async stats() {
+        return { totalCached: null, withSuccess: null };
+    }
+
+    /**
+     * No-op: entries cannot be enumerated and expire after ttlSeconds instead
+     * @returns {Promise<false>}
+     */
+    async clear() {
+        return false;
+    }
+}
@@ -0,0 +1,51 @@
+import { D1CacheStore } from './d1CacheStore.js';
+
+/**
+ * Present a node:sqlite database through the subset of the D1 API that D1CacheStore uses.
+ * Statements are prepared lazily so SQL errors reject like D1's instead of throwing synchronously.
+ */
+function toD1Binding(database) {
+    const statement = (sql, args) => ({
+        first: async () => database.prepare(sql).get(...args) ?? null,
+        run: async () => database.prepare(sql).run(...args)
+    });
+    return {
+        exec: async (sql) => database.exec(sql),
+        prepare: (sql) => ({
+            ...statement(sql, []),
+            bind: (...args) => statement(sql, args)
+        })
+    };
+}
+
+/**
+ * Subscription cache in a local SQLite file (Docker / self-hosted Node), same schema as the D1 table.
+ * Uses the built-in node:sqlite module (Node 22.13+), loaded on first use.
+ */
+export class SqliteCacheStore extends D1CacheStore {
+    constructor(filePath) {
+        super(null);
+        this.filePath = filePath;
+        this.openPromise = null;
+    }
+
+    async database() {
+        if (!this.openPromise) {
+            this.openPromise = this.open().catch(error => {
+                this.openPromise = null;
+                throw error;
+            });
+        }
+        return this.openPromise;
+    }
+
+    async open() {
+        const [{ DatabaseSync }, fs, path] = await Promise.all([
+            import('node:sqlite'),
+            import('node:fs/promises'),
+            import('node:path')
+        ]);
+        await fs.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+        return toD1Binding(new DatabaseSync(this.filePath));
+    }
+}
@@ -9,24 +9,53 @@ import { UpdateChecker } from '../components/UpdateChecker.jsx';
 import { SingboxConfigBuilder } from '../builders/SingboxConfigBuilder.js';
 import { ClashConfigBuilder } from '../builders/ClashConfigBuilder.js';
 import { SurgeConfigBuilder } from '../builders/SurgeConfigBuilder.js';
+import { QuantumultXConfigBuilder } from '../builders/QuantumultXConfigBuilder.js';
+import { LoonConfigBuilder } from '../builders/LoonConfigBuilder.js';
+import { XrayConfigBuilder } from '../builders/XrayConfigBuilder.js';
 import { createTranslator, resolveLanguage } from '../i18n/index.js';
 import { encodeBase64, tryDecodeSubscriptionLines } from '../utils.js';
+import { ProxySerializer } from '../serializers/index.js';
+import { parseSubscriptionContent } from '../parsers/subscription/subscriptionContentParser.js';
+import { fetchConcurrently } from '../parsers/subscription/httpSubscriptionFetcher.js';
+import { buildRequestHeaders, parseSourceEntry } from '../parsers/subscription/sourceOptions.js';
+import { mergeSubscriptionUserinfo } from '../utils/subscriptionUserinfo.js';
+import { MAX_PATTERN_RULES, checkUserPattern, normalizeRenameRule } from '../utils/userPatterns.js';
 import { APP_NAME, APP_SUBTITLE } from '../constants.js';
 import { ShortLinkService } from '../services/shortLinkService.js';
 import { ConfigStorageService } from '../services/configStorageService.js';
-import { ServiceError, MissingDependencyError } from '../services/errors.js';
+import { GeoIpService } from '../services/geoipService.js';
+import { ServiceError, MissingDependencyError, InvalidPayloadError } from '../services/errors.js';
 import { normalizeRuntime } from '../runtime/runtimeConfig.js';
 import { PREDEFINED_RULE_SETS, SING_BOX_CONFIG, SING_BOX_CONFIG_V1_11, generateSubconverterConfig } from '../config/index.js';
 
 const DEFAULT_USER_AGENT = 'curl/7.74.0';
+const DEFAULT_PROFILE_UPDATE_INTERVAL_HOURS = 24;
+const MAX_WARNINGS_SUMMARY_LENGTH = 512;
 
 export function createApp(bindings = {}) {
     const runtime = normalizeRuntime(bindings);
     const services = {
         shortLinks: runtime.kv ? new ShortLinkService(runtime.kv, { shortLinkTtlSeconds: runtime.config.shortLinkTtlSeconds }) : null,
         configStorage: runtime.kv ? new ConfigStorageService(runtime.kv, { configTtlSeconds: runtime.config.configTtlSeconds }) : null,
-        subscriptionCache: runtime.subscriptionCache || null  // D1 subscription cache service
+        subscriptionCache: runtime.subscriptionCache || null,  // D1 subscription cache service
+        geoip: runtime.geoipLoader ? new GeoIpService(runtime.geoipLoader, { logger: runtime.logger }) : null
     };
+    // The GeoIP database is only read once some request groups or sorts by country
+    const getCountryResolver = async (needsCountries) => (needsCountries && services.geoip ? services.geoip.getResolver() : null);
+    // Stale cache entries are refreshed after the response, on Workers via ctx.waitUntil
+    const getSubscriptionCache = (c) => services.subscriptionCache?.withWaitUntil?.(getWaitUntil(c)) ?? services.subscriptionCache;
+    const fetchTimeouts = { sourceTimeoutMs: runtime.config.sourceTimeoutMs, deadlineMs: runtime.config.fetchDeadlineMs };
+    // Node pipeline options (chains, filters, renames, ordering, grouping, fetch limits) shared by every builder route
+    const configureBuilder = async (builder, c, { groupByCountry = false } = {}) => builder
+        .setProxyChains(parseProxyChains(c.req))
+        .setNodeFilter(parseNodeFilter(c.req))
+        .setRenameRules(parseRenameRules(c.req))
+        .setNodeOrder(parseNodeOrder(c.req))
+        .setSourceGroups(parseSourceGroups(c.req))
+        .setRegionGrouping(parseRegionGrouping(c.req))
+        .setCountryResolver(await getCountryResolver(groupByCountry || c.req.query('sort') === 'country'))
+        .setCountryAliases(parseCountryAliases(c.req))
+        .setFetchTimeouts(fetchTimeouts);
 
     const app = new Hono();
 
@@ -113,9 +142,12 @@ export function createApp(bindings = {}) {
                 externalUiDownloadUrl,
                 singboxConfigVersion,
                 includeAutoSelect,
-                services.subscriptionCache
+                getSubscriptionCache(c)
             );
+            await configureBuilder(builder, c, { groupByCountry });
             await builder.build();
+            reportBuildDiagnostics(c, builder);
+            reportSubscriptionHeaders(c, builder.getSubscriptionUserinfo(), 'json');
             return c.json(builder.config);
         } catch (error) {
             return handleError(c, error, runtime.logger);
@@ -158,9 +190,12 @@ export function createApp(bindings = {}) {
                 externalController,
                 externalUiDownloadUrl,
                 includeAutoSelect,
-                services.subscriptionCache
+                getSubscriptionCache(c)
             );
+            await configureBuilder(builder, c, { groupByCountry });
             await builder.build();
+            reportBuildDiagnostics(c, builder);
+            reportSubscriptionHeaders(c, builder.getSubscriptionUserinfo(), 'yaml');
             return c.text(builder.formatConfig(), 200, {
                 'Content-Type': 'text/yaml; charset=utf-8'
             });
@@ -199,12 +234,97 @@ export function createApp(bindings = {}) {
                 ua,
                 groupByCountry,
                 includeAutoSelect,
-                services.subscriptionCache
+                getSubscriptionCache(c)
             );
             builder.setSubscriptionUrl(c.req.url);
+            await configureBuilder(builder, c, { groupByCountry });
             await builder.build();
+            reportBuildDiagnostics(c, builder);
+            reportSubscriptionHeaders(c, builder.getSubscriptionUserinfo(), 'conf');
+            return c.text(builder.formatConfig());
+        } catch (error) {
+            return handleError(c, error, runtime.logger);
+        }
+    });
+
+    app.get('/qx', async (c) => {
+        try {
+            const config = c.req.query('config');
+            if (!config) {
+                return c.text('Missing config parameter', 400);
+            }
+
+            const selectedRules = parseSelectedRules(c.req.query('selectedRules'));
+            const customRules = parseJsonArray(c.req.query('customRules'));
+            const ua = c.req.query('ua') || getRequestHeader(c.req, 'User-Agent') || DEFAULT_USER_AGENT;
+            const groupByCountry = parseBooleanFlag(c.req.query('group_by_country'));
+            const includeAutoSelect = c.req.query('include_auto_select') !== 'false';
+            const configId = c.req.query('configId');
+            const lang = c.get('lang');
+
+            let baseConfig;
+            if (configId) {
+                const storage = requireConfigStorage(services.configStorage);
+                baseConfig = await storage.getConfigById(configId);
+            }
+
+            const builder = new QuantumultXConfigBuilder(
+                config,
+                selectedRules,
+                customRules,
+                baseConfig,
+                lang,
+                ua,
+                groupByCountry,
+                includeAutoSelect,
+                getSubscriptionCache(c)
+            );
+            await configureBuilder(builder, c, { groupByCountry });
+            await builder.build();
+            reportBuildDiagnostics(c, builder);
+            reportSubscriptionHeaders(c, builder.getSubscriptionUserinfo(), 'conf');
+            return c.text(builder.formatConfig());
+        } catch (error) {
+            return handleError(c, error, runtime.logger);
+        }
+    });
+
+    app.get('/loon', async (c) => {
+        try {
+            const config = c.req.query('config');
+            if (!config) {
+                return c.text('Missing config parameter', 400);
+            }
 
-            c.header('subscription-userinfo', 'upload=0; download=0; total=10737418240; expire=2546249531');
+            const selectedRules = parseSelectedRules(c.req.query('selectedRules'));
+            const customRules = parseJsonArray(c.req.query('customRules'));
+            const ua = c.req.query('ua') || getRequestHeader(c.req, 'User-Agent') || DEFAULT_USER_AGENT;
+            const groupByCountry = parseBooleanFlag(c.req.query('group_by_country'));
+            const includeAutoSelect = c.req.query('include_auto_select') !== 'false';
+            const configId = c.req.query('configId');
+            const lang = c.get('lang');
+
+            let baseConfig;
+            if (configId) {
+                const storage = requireConfigStorage(services.configStorage);
+                baseConfig = await storage.getConfigById(configId);
+            }
+
+            const builder = new LoonConfigBuilder(
+                config,
+                selectedRules,
+                customRules,
+                baseConfig,
+                lang,
+                ua,
+                groupByCountry,
+                includeAutoSelect,
+                getSubscriptionCache(c)
+            );
+            await configureBuilder(builder, c, { groupByCountry });
+            await builder.build();
+            reportBuildDiagnostics(c, builder);
+            reportSubscriptionHeaders(c, builder.getSubscriptionUserinfo(), 'conf');
             return c.text(builder.formatConfig());
         } catch (error) {
             return handleError(c, error, runtime.logger);
@@ -243,7 +363,9 @@ export function createApp(bindings = {}) {
                 customRules,
                 lang,
                 includeAutoSelect,
-                groupByCountry
+                groupByCountry,
+                groupByRegion: parseRegionGrouping(c.req),
+                countryAliases: parseCountryAliases(c.req)
             });
 
             return c.text(config, 200, {
@@ -254,50 +376,133 @@ export function createApp(bindings = {}) {
         }
     });
 
+    const serializeProxies = (proxies) => {
+        const links = [];
+        proxies.forEach(proxy => {
+            if (!proxy?.tag) return;
+            const link = ProxySerializer.serialize(proxy);
+            if (link) {
+                links.push(link);
+            } else {
+                runtime.logger.warn(`${proxy.tag} - No share link format for proxy type: ${proxy.type}`);
+            }
+        });
+        return links;
+    };
+
     app.get('/xray', async (c) => {
         const inputString = c.req.query('config');
         if (!inputString) {
             return c.text('Missing config parameter', 400);
         }
 
-        const proxylist = inputString.split('\n');
-        const finalProxyList = [];
+        if (c.req.query('format') === 'json') {
+            try {
+                const selectedRules = parseSelectedRules(c.req.query('selectedRules'));
+                const customRules = parseJsonArray(c.req.query('customRules'));
+                const ua = c.req.query('ua') || getRequestHeader(c.req, 'User-Agent') || DEFAULT_USER_AGENT;
+                const groupByCountry = parseBooleanFlag(c.req.query('group_by_country'));
+                const includeAutoSelect = c.req.query('include_auto_select') !== 'false';
+                const configId = c.req.query('configId');
+                const lang = c.get('lang');
+
+                let baseConfig;
+                if (configId) {
+                    const storage = requireConfigStorage(services.configStorage);
+                    baseConfig = await storage.getConfigById(configId);
+                }
+
+                const builder = new XrayConfigBuilder(
+                    inputString,
+                    selectedRules,
+                    customRules,
+                    baseConfig,
+                    lang,
+                    ua,
+                    groupByCountry,
+                    includeAutoSelect,
+                    getSubscriptionCache(c)
+                );
+                await configureBuilder(builder, c, { groupByCountry });
+                const config = await builder.build();
+                reportBuildDiagnostics(c, builder);
+                reportSubscriptionHeaders(c, builder.getSubscriptionUserinfo(), 'json');
+                return c.json(config);
+            } catch (error) {
+                return handleError(c, error, runtime.logger);
+            }
+        }
+
         const userAgent = c.req.query('ua') || getRequestHeader(c.req, 'User-Agent') || DEFAULT_USER_AGENT;
-        const headers = { 'User-Agent': userAgent };
-        const cacheEnabled = c.req.query('cache') !== 'false';
-        const subscriptionCache = services.subscriptionCache;
 
-        for (const proxy of proxylist) {
-            const trimmedProxy = proxy.trim();
-            if (!trimmedProxy) continue;
+        // Full configs (Clash YAML, sing-box JSON, Surge INI) are parsed into nodes and exported as share links;
+        // so are link lists and subscriptions when node filters, renames or ordering are requested
+        if (!Array.isArray(parseSubscriptionContent(inputString)) || usesNodePipeline(c.req)) {
+            try {
+                const builder = await configureBuilder(
+                    new XrayConfigBuilder(inputString, [], [], null, c.get('lang'), userAgent, false, true, getSubscriptionCache(c)),
+                    c
+                );
+                const proxies = builder.prepareNodes(await builder.parseCustomItems());
+                reportBuildDiagnostics(c, builder);
+                const finalString = serializeProxies(proxies).join('\n');
+                if (!finalString) {
+                    return c.text('Missing config parameter', 400);
+                }
+                reportSubscriptionHeaders(c, builder.getSubscriptionUserinfo(), 'txt');
+                return c.text(encodeBase64(finalString));
+            } catch (error) {
+                return handleError(c, error, runtime.logger);
+            }
+        }
 
-            if (trimmedProxy.startsWith('http://') || trimmedProxy.startsWith('https://')) {
+        const proxylist = inputString.split('\n').map(proxy => proxy.trim()).filter(Boolean);
+        const finalProxyList = [];
+        const cacheEnabled = c.req.query('cache') !== 'false';
+        const subscriptionCache = getSubscriptionCache(c);
+        const subscriptionUserinfos = [];
+
+        const isHttpSource = proxy => /^https?:\/\//.test(parseSourceEntry(proxy).url);
+        const { results: fetchedSources, failures } = await fetchConcurrently(proxylist.filter(isHttpSource), async (entry, signal) => {
+            const { url, options } = parseSourceEntry(entry);
+            if (subscriptionCache && cacheEnabled) {
+                const result = await subscriptionCache.fetchWithCache(url, {
+                    headers: buildRequestHeaders(options),
+                    userAgent,
+                    cacheEnabled,
+                    signal,
+                    rotateUserAgent: options.rotateUserAgent
+                });
+                if (!result.success) {
+                    runtime.logger.warn('Failed to fetch proxy for xray:', result.error);
+                    return null;
+                }
+                return { text: result.content, subscriptionUserinfo: result.subscriptionUserinfo };
+            }
+            const response = await fetch(url, { method: 'GET', headers: buildRequestHeaders(options, userAgent), signal });
+            return { text: await response.text(), subscriptionUserinfo: response.headers.get('subscription-userinfo') };
+        }, fetchTimeouts);
+        reportFailedSources(c, failures.map(failure => ({ ...failure, url: parseSourceEntry(failure.url).url })));
+
+        for (const trimmedProxy of proxylist) {
+            if (isHttpSource(trimmedProxy)) {
+                const fetched = fetchedSources.get(trimmedProxy);
+                if (!fetched) continue;
                 try {
-                    let text;
-                    let fromCache = false;
-
-                    if (subscriptionCache && cacheEnabled) {
-                        const result = await subscriptionCache.fetchWithCache(trimmedProxy, {
-                            headers,
-                            cacheEnabled
-                        });
-                        if (result.success) {
-                            text = result.content;
-                            fromCache = result.fromCache;
-                        } else {
-                            runtime.logger.warn('Failed to fetch proxy for xray:', result.error);
-                            continue;
-                        }
-                    } else {
-                        const response = await fetch(trimmedProxy, { method: 'GET', headers });
-                        text = await response.text();
+                    const { text, subscriptionUserinfo } = fetched;
+                    if (subscriptionUserinfo) subscriptionUserinfos.push(subscriptionUserinfo);
+
+                    const parsedContent = parseSubscriptionContent(text);
+                    if (!Array.isArray(parsedContent) && Array.isArray(parsedContent?.proxies)) {
+                        finalProxyList.push(...serializeProxies(parsedContent.proxies));
+                        continue;
                     }
 
                     let processed = tryDecodeSubscriptionLines(text, { decodeUriComponent: true });
                     if (!Array.isArray(processed)) processed = [processed];
                     finalProxyList.push(...processed.filter(item => typeof item === 'string' && item.trim() !== ''));
                 } catch (e) {
-                    runtime.logger.warn('Failed to fetch the proxy', e);
+                    runtime.logger.warn('Failed to parse the proxy', e);
                 }
             } else {
                 let processed = tryDecodeSubscriptionLines(trimmedProxy);
@@ -311,6 +516,7 @@ export function createApp(bindings = {}) {
             return c.text('Missing config parameter', 400);
         }
 
+        reportSubscriptionHeaders(c, mergeSubscriptionUserinfo(subscriptionUserinfos), 'txt');
         return c.text(encodeBase64(finalString));
     });
 
@@ -354,6 +560,8 @@ export function createApp(bindings = {}) {
     app.get('/b/:code', redirectHandler('singbox'));
     app.get('/c/:code', redirectHandler('clash'));
     app.get('/x/:code', redirectHandler('xray'));
+    app.get('/q/:code', redirectHandler('qx'));
+    app.get('/l/:code', redirectHandler('loon'));
 
     app.post('/config', async (c) => {
         try {
@@ -386,13 +594,13 @@ export function createApp(bindings = {}) {
 
             const prefix = pathParts[1];
             const shortCode = pathParts[2];
-            if (!['b', 'c', 'x', 's'].includes(prefix)) return c.text(t('invalidShortUrl'), 400);
+            if (!['b', 'c', 'x', 's', 'q', 'l'].includes(prefix)) return c.text(t('invalidShortUrl'), 400);
 
             const shortLinks = requireShortLinkService(services.shortLinks);
             const originalParam = await shortLinks.resolveShortCode(shortCode);
             if (!originalParam) return c.text(t('shortUrlNotFound'), 404);
 
-            const mapping = { b: 'singbox', c: 'clash', x: 'xray', s: 'surge' };
+            const mapping = { b: 'singbox', c: 'clash', x: 'xray', s: 'surge', q: 'qx', l: 'loon' };
             const originalUrl = `${urlObj.origin}/${mapping[prefix]}${originalParam}`;
             return c.json({ originalUrl });
         } catch (error) {
@@ -449,6 +657,166 @@ function parseBooleanFlag(value) {
     return value === 'true' || value === true;
 }
 
+/**
+ * Reject a request pattern the builders would refuse, so clients get a 400 instead of silently unfiltered output
+ */
+function requireUsablePattern(source, label, flags = 'i') {
+    if (typeof source !== 'string' || source === '') return;
+    const problem = checkUserPattern(source, flags);
+    if (problem) {
+        throw new InvalidPayloadError(`Invalid ${label} pattern: ${problem}`);
+    }
+}
+
+function requireRuleCount(rules, label) {
+    if (rules.length > MAX_PATTERN_RULES) {
+        throw new InvalidPayloadError(`Too many ${label} rules: at most ${MAX_PATTERN_RULES} are allowed`);
+    }
+    return rules;
+}
+
+function parseProxyChains(request) {
+    const chains = requireRuleCount(parseJsonArray(request.query('chains')), 'chain');
+    chains.forEach(chain => requireUsablePattern(chain?.match, 'chain'));
+    return chains;
+}
+
+function parseNodeFilter(request) {
+    const include = request.query('include');
+    const exclude = request.query('exclude');
+    requireUsablePattern(include, 'include');
+    requireUsablePattern(exclude, 'exclude');
+    return {
+        include,
+        exclude,
+        dropInfoNodes: parseBooleanFlag(request.query('filter_info_nodes'))
+    };
+}
+
+function parseRenameRules(request) {
+    const rules = requireRuleCount(parseJsonArray(request.query('rename')), 'rename');
+    rules.forEach(rule => requireUsablePattern(normalizeRenameRule(rule).pattern, 'rename', 'gi'));
+    return {
+        rules,
+        flagEmoji: parseBooleanFlag(request.query('flag_emoji')),
+        sourcePrefixes: parseJsonArray(request.query('source_prefix'))
+    };
+}
+
+function parseSourceGroups(request) {
+    const value = request.query('group_by_source');
+    return {
+        type: value === 'url-test' ? 'url-test' : (value === 'true' || value === 'select' ? 'select' : null),
+        labels: parseJsonArray(request.query('source_labels'))
+    };
+}
+
+function parseRegionGrouping(request) {
+    const value = request.query('group_by_region');
+    if (value === 'url-test') return 'url-test';
+    return value === 'true' || value === 'select' ? 'select' : null;
+}
+
+function parseCountryAliases(request) {
+    const raw = request.query('country_aliases');
+    if (!raw) return {};
+    try {
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Query parameters that change which nodes are emitted or how they are named and ordered
+ */
+const NODE_PIPELINE_PARAMS = ['include', 'exclude', 'filter_info_nodes', 'rename', 'flag_emoji', 'source_prefix', 'dedup', 'sort'];
+
+/**
+ * Whether the request asks for node processing; without it /xray passes share links through verbatim
+ */
+function usesNodePipeline(request) {
+    return NODE_PIPELINE_PARAMS.some(name => request.query(name) !== undefined);
+}
+
+function parseNodeOrder(request) {
+    return {
+        dedup: request.query('dedup'),
+        sort: request.query('sort')
+    };
+}
+
+/**
+ * The Workers ExecutionContext's waitUntil, or null on runtimes without one
+ */
+function getWaitUntil(c) {
+    try {
+        const executionCtx = c.executionCtx;
+        return typeof executionCtx?.waitUntil === 'function' ? promise => executionCtx.waitUntil(promise) : null;
+    } catch {
+        // Hono throws when the runtime passed no ExecutionContext
+        return null;
+    }
+}
+
+function reportBuildDiagnostics(c, builder) {
+    const diagnostics = builder.getDiagnostics();
+    c.header('X-Filtered-Nodes', String(diagnostics.filteredNodes));
+    c.header('X-Merged-Nodes', String(diagnostics.mergedNodes.length));
+    c.header('X-Build-Warnings', String(diagnostics.warnings.length));
+    if (diagnostics.warnings.length > 0) {
+        c.header('X-Build-Warnings-Summary', summarizeWarnings(diagnostics.warnings));
+    }
+    reportFailedSources(c, diagnostics.failedSources);
+}
+
+/**
+ * Join warnings (e.g. nodes dropped for an unsupported protocol) into a header-safe, bounded string;
+ * non-ASCII characters in node names are percent-encoded
+ */
+function summarizeWarnings(warnings) {
+    const joined = warnings.join('; ');
+    const summary = joined.length > MAX_WARNINGS_SUMMARY_LENGTH
+        ? `${Array.from(joined).slice(0, MAX_WARNINGS_SUMMARY_LENGTH).join('')}...`
+        : joined;
+    return summary.replace(/[^\x20-\x7e]/gu, char => encodeURIComponent(char));
+}
+
+/**
+ * List subscriptions that timed out or failed as `host=timeout|error`; full URLs may carry tokens
+ */
+function reportFailedSources(c, failedSources) {
+    if (failedSources.length === 0) return;
+    const entries = failedSources.map(({ url, reason }) => {
+        let host;
+        try {
+            host = new URL(url).host;
+        } catch {
+            host = 'invalid-url';
+        }
+        return `${host}=${reason}`;
+    });
+    c.header('X-Failed-Sources', entries.join(', '));
+}
+
+/**
+ * Headers clients read to show quota and name the profile: the merged upstream usage,
+ * `profile-update-interval` (hours, `update_interval` query) and a filename (`filename` query)
+ */
+function reportSubscriptionHeaders(c, subscriptionUserinfo, extension) {
+    if (subscriptionUserinfo) {
+        c.header('subscription-userinfo', subscriptionUserinfo);
+    }
+    const interval = Number(c.req.query('update_interval'));
+    c.header('profile-update-interval', String(Number.isInteger(interval) && interval > 0 ? interval : DEFAULT_PROFILE_UPDATE_INTERVAL_HOURS));
+    const profileName = c.req.query('filename')?.trim() || APP_NAME;
+    const filename = /\.[A-Za-z0-9]+$/.test(profileName) ? profileName : `${profileName}.${extension}`;
+    // Plain `filename` must be ASCII; `filename*` carries the real name for clients that decode it
+    const asciiFilename = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    c.header('content-disposition', `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+}
+
 function parseSemverLike(value) {
     if (typeof value !== 'string') {
         return null;
@@ -1,8 +1,46 @@
 import { ProxyParser } from '../parsers/index.js';
-import { createStableProviderName, deepCopy, tryDecodeSubscriptionLines, decodeBase64 } from '../utils.js';
+import { createStableProviderName, deepCopy, tryDecodeSubscriptionLines, decodeBase64, parseCountryFromNodeName, getCountryByCode, groupCountriesByRegion, groupProxiesByCountry, normalizeCountryAliases } from '../utils.js';
 import { createTranslator } from '../i18n/index.js';
+import { mergeSubscriptionUserinfo } from '../utils/subscriptionUserinfo.js';
+import { checkUserPattern, normalizeRenameRule } from '../utils/userPatterns.js';
+import { hasRequestOptions, parseSourceEntry } from '../parsers/subscription/sourceOptions.js';
 import { generateRules, getOutbounds, PREDEFINED_RULE_SETS } from '../config/index.js';
 
+/**
+ * Remarks airports use for traffic, expiry and website notices rather than real servers
+ */
+const INFO_NODE_PATTERN = /剩余流量|已用流量|总流量|流量重置|下次重置|到期|过期|有效期|官网|网址|套餐|expire|traffic|remaining|website/i;
+
+/**
+ * Fields that identify who a node authenticates as, in order of preference
+ */
+const ENDPOINT_CREDENTIAL_KEYS = ['uuid', 'password', 'private_key', 'username'];
+
+/**
+ * Identify a node by protocol, server, port and credential, ignoring its name
+ * @returns {string|null} null when the node has no server to compare
+ */
+function getEndpointKey(item) {
+    if (!item?.server || item.server_port === undefined) return null;
+    const credential = ENDPOINT_CREDENTIAL_KEYS.map(key => item[key]).find(value => value !== undefined && value !== '');
+    return [item.type, String(item.server).toLowerCase(), item.server_port, credential ?? ''].join('|');
+}
+
+function isHttpUrl(value) {
+    return value.startsWith('http://') || value.startsWith('https://');
+}
+
+/**
+ * Parse a subscription URL, or null when it is malformed
+ */
+function parseUrl(value) {
+    try {
+        return new URL(value);
+    } catch {
+        return null;
+    }
+}
+
 export class BaseConfigBuilder {
     constructor(inputString, baseConfig, lang, userAgent, groupByCountry = false, includeAutoSelect = true, subscriptionCache = null) {
         this.inputString = inputString;
@@ -17,7 +55,412 @@ export class BaseConfigBuilder {
         this.providerUrls = [];  // URLs to use as providers (auto-sync)
         this.subscriptionCache = subscriptionCache;  // D1 subscription cache service
         this.autoProviderDescriptors = undefined;
-        this.subscriptionUserinfo = undefined;
+        this.subscriptionUserinfos = new Map();  // subscription URL -> upstream subscription-userinfo header
+        this.warnings = [];
+        this.proxyChains = [];
+        this.nodeFilter = null;
+        this.filteredNodeCount = 0;
+        this.renameOptions = null;
+        this.proxySources = new WeakMap();  // parsed item -> index of the input line it came from
+        this.sourceUrls = [];  // input line index -> subscription URL
+        this.sourceProviderUrls = [];  // input line index -> URL kept as a provider instead of parsed
+        this.nodeSources = new Map();  // final node name -> input line index
+        this.sourceGroupType = null;
+        this.sourceLabels = [];
+        this.sourceGroups = [];
+        this.nodeOrder = { dedup: 'all', sort: 'original' };
+        this.mergedNodes = [];
+        this.regionGroupType = null;
+        this.countryResolver = null;
+        this.nodeServers = new Map();  // final node name -> server address
+        this.fetchTimeouts = {};
+        this.failedSources = [];  // subscriptions that timed out or failed without a cached copy
+        // Stored profiles may carry country aliases next to the config; they are not part of the output
+        this.profileCountryAliases = {};
+        if (this.config && typeof this.config === 'object' && 'country_aliases' in this.config) {
+            this.profileCountryAliases = normalizeCountryAliases(this.config.country_aliases).aliases;
+            delete this.config.country_aliases;
+        }
+        this.countryAliases = this.profileCountryAliases;
+    }
+
+    /**
+     * Relay matching nodes through another node ("reach B through A")
+     * @param {Array<{match: string, via: string}>} chains - `match` is a case-insensitive regex tested
+     *   against node tags; `via` is the tag of the hop node. The first matching chain wins.
+     * @returns {this}
+     */
+    setProxyChains(chains) {
+        this.proxyChains = [];
+        (Array.isArray(chains) ? chains : []).forEach(chain => {
+            if (!chain || typeof chain.match !== 'string' || typeof chain.via !== 'string' || !chain.via) return;
+            if (checkUserPattern(chain.match, 'i')) {
+                this.addWarning(`Invalid chain pattern: ${chain.match}`);
+                return;
+            }
+            this.proxyChains.push({ pattern: new RegExp(chain.match, 'i'), via: chain.via });
+        });
+        return this;
+    }
+
+    /**
+     * Keep only nodes whose tag matches `include` and drop those matching `exclude`
+     * @param {{include?: string, exclude?: string, dropInfoNodes?: boolean}} filter - Case-insensitive regex
+     *   sources; `dropInfoNodes` also removes traffic/expiry pseudo-nodes
+     * @returns {this}
+     */
+    setNodeFilter({ include, exclude, dropInfoNodes = false } = {}) {
+        const compile = (source, label) => {
+            if (typeof source !== 'string' || source === '') return null;
+            if (checkUserPattern(source, 'i')) {
+                this.addWarning(`Invalid ${label} pattern: ${source}`);
+                return null;
+            }
+            return new RegExp(source, 'i');
+        };
+        const filter = {
+            include: compile(include, 'include'),
+            exclude: compile(exclude, 'exclude'),
+            dropInfoNodes: !!dropInfoNodes
+        };
+        this.nodeFilter = filter.include || filter.exclude || filter.dropInfoNodes ? filter : null;
+        return this;
+    }
+
+    /**
+     * Apply the node filter and count what it removed
+     * @param {object[]} items - Parsed proxies
+     * @returns {object[]}
+     */
+    filterNodes(items) {
+        if (!this.nodeFilter) return items;
+        const { include, exclude, dropInfoNodes } = this.nodeFilter;
+        const kept = items.filter(item => {
+            const tag = String(item.tag);
+            if (dropInfoNodes && INFO_NODE_PATTERN.test(tag)) return false;
+            if (include && !include.test(tag)) return false;
+            return !(exclude && exclude.test(tag));
+        });
+        this.filteredNodeCount += items.length - kept.length;
+        return kept;
+    }
+
+    getFilteredNodeCount() {
+        return this.filteredNodeCount;
+    }
+
+    /**
+     * Rewrite node tags before they reach groups, country grouping and dedup
+     * @param {{rules?: Array<{pattern: string, replacement?: string}|string>, flagEmoji?: boolean, sourcePrefixes?: string[]}} options
+     *   `rules` run in order as case-insensitive global replacements (`"pattern -> replacement"` strings are accepted too);
+     *   `flagEmoji` prepends the detected country flag; `sourcePrefixes[i]` is prepended to nodes from the i-th input line
+     * @returns {this}
+     */
+    setRenameRules({ rules, flagEmoji = false, sourcePrefixes } = {}) {
+        const compiled = [];
+        (Array.isArray(rules) ? rules : []).forEach(rule => {
+            const { pattern, replacement = '' } = normalizeRenameRule(rule);
+            if (typeof pattern !== 'string' || pattern === '') return;
+            if (checkUserPattern(pattern, 'gi')) {
+                this.addWarning(`Invalid rename pattern: ${pattern}`);
+                return;
+            }
+            compiled.push({ pattern: new RegExp(pattern, 'gi'), replacement: String(replacement ?? '') });
+        });
+        const prefixes = (Array.isArray(sourcePrefixes) ? sourcePrefixes : []).map(prefix => typeof prefix === 'string' ? prefix : '');
+        this.renameOptions = compiled.length > 0 || flagEmoji || prefixes.some(Boolean)
+            ? { rules: compiled, flagEmoji: !!flagEmoji, prefixes }
+            : null;
+        return this;
+    }
+
+    /**
+     * Apply rename rules, source prefixes and flag emoji to node tags
+     * @param {object[]} items - Parsed proxies
+     * @returns {object[]} Renamed copies; the originals are left untouched
+     */
+    renameNodes(items) {
+        if (!this.renameOptions) return items;
+        const { rules, flagEmoji, prefixes } = this.renameOptions;
+        return items.map(item => {
+            const original = String(item.tag);
+            let name = rules.reduce((current, { pattern, replacement }) => current.replace(pattern, replacement), original).trim() || original;
+            const country = flagEmoji ? parseCountryFromNodeName(name, this.countryAliases) : null;
+            const prefix = prefixes[this.getProxySource(item)] || '';
+            name = `${prefix}${name}`;
+            if (country && !name.includes(country.emoji)) {
+                name = `${country.emoji} ${name}`;
+            }
+            if (name === original) return item;
+            const renamed = { ...item, tag: name };
+            this.proxySources.set(renamed, this.getProxySource(item));
+            return renamed;
+        });
+    }
+
+    /**
+     * Choose how duplicate endpoints are handled and how nodes are ordered before groups are built
+     * @param {{dedup?: 'all'|'first', sort?: 'original'|'name'|'country'|'source'}} options - `dedup: 'first'` keeps
+     *   only the first node per protocol/server/port/credential; the order applies to the proxy list and every group
+     * @returns {this}
+     */
+    setNodeOrder({ dedup, sort } = {}) {
+        this.nodeOrder = {
+            dedup: dedup === 'first' ? 'first' : 'all',
+            sort: ['name', 'country', 'source'].includes(sort) ? sort : 'original'
+        };
+        return this;
+    }
+
+    /**
+     * Drop nodes whose endpoint was already seen, recording each merge
+     * @param {object[]} items - Parsed proxies
+     * @returns {object[]}
+     */
+    dedupeNodes(items) {
+        if (this.nodeOrder.dedup !== 'first') return items;
+        const firstByEndpoint = new Map();
+        return items.filter(item => {
+            const key = getEndpointKey(item);
+            if (!key) return true;
+            const first = firstByEndpoint.get(key);
+            if (!first) {
+                firstByEndpoint.set(key, item);
+                return true;
+            }
+            this.mergedNodes.push({ kept: first.tag, dropped: item.tag });
+            return false;
+        });
+    }
+
+    /**
+     * Reorder nodes; every mode is stable so ties keep their input order
+     * @param {object[]} items - Parsed proxies
+     * @returns {object[]}
+     */
+    sortNodes(items) {
+        const { sort } = this.nodeOrder;
+        if (sort === 'name') {
+            return [...items].sort((a, b) => String(a.tag).localeCompare(String(b.tag), undefined, { numeric: true }));
+        }
+        if (sort === 'country') {
+            // Same order as the country groups, GeoIP fallback included; nodes without a detectable country go last
+            const codes = new Map(items.map(item => [item, parseCountryFromNodeName(String(item.tag), this.countryAliases)?.code
+                ?? getCountryByCode(this.lookupServerCountry(item.server))?.code]));
+            return [...items].sort((a, b) => {
+                const codeA = codes.get(a);
+                const codeB = codes.get(b);
+                if (codeA === codeB) return 0;
+                if (!codeA) return 1;
+                if (!codeB) return -1;
+                return codeA.localeCompare(codeB);
+            });
+        }
+        if (sort === 'source') {
+            const sourceOf = item => this.getProxySource(item) ?? Number.MAX_SAFE_INTEGER;
+            return [...items].sort((a, b) => sourceOf(a) - sourceOf(b));
+        }
+        return items;
+    }
+
+    /**
+     * Filter, rename, dedupe and sort parsed nodes, in that order
+     * @param {object[]} customItems - Output of parseCustomItems
+     * @returns {object[]}
+     */
+    prepareNodes(customItems) {
+        const nodes = this.filterNodes(customItems.filter(item => item?.tag));
+        return this.sortNodes(this.dedupeNodes(this.renameNodes(nodes)));
+    }
+
+    /**
+     * Summary of what the build changed besides conversion itself
+     * @returns {{warnings: string[], filteredNodes: number, mergedNodes: Array<{kept: string, dropped: string}>,
+     *   failedSources: Array<{source: number, url: string, reason: 'timeout'|'error'}>}}
+     */
+    getDiagnostics() {
+        return {
+            warnings: [...this.warnings],
+            filteredNodes: this.filteredNodeCount,
+            mergedNodes: [...this.mergedNodes],
+            failedSources: this.failedSources.map(failure => ({ ...failure }))
+        };
+    }
+
+    /**
+     * Limits for downloading subscriptions; sources past them are skipped and reported in the diagnostics
+     * @param {{sourceTimeoutMs?: number, deadlineMs?: number}} timeouts - Per-source timeout and the
+     *   deadline for all sources together, in milliseconds
+     * @returns {this}
+     */
+    setFetchTimeouts(timeouts) {
+        this.fetchTimeouts = { ...(timeouts || {}) };
+        return this;
+    }
+
+    /**
+     * Fold country groups into regions (Asia, Europe, Americas, ...) when grouping by country
+     * @param {'select'|'url-test'|null} type - `select` offers each region's country groups;
+     *   `url-test` tests all of a region's nodes and replaces the per-country groups
+     * @returns {this}
+     */
+    setRegionGrouping(type) {
+        this.regionGroupType = type === 'select' || type === 'url-test' ? type : null;
+        return this;
+    }
+
+    /**
+     * Extra names that identify countries in node names, on top of the stored profile's own aliases
+     * @param {Object<string, string|string[]>} aliases - Keyed by ISO 3166 code, e.g. `{"JP": ["东京"]}`
+     * @returns {this}
+     */
+    setCountryAliases(aliases) {
+        const { aliases: requested, unknown } = normalizeCountryAliases(aliases);
+        unknown.forEach(code => this.addWarning(`Unknown country code in country aliases: ${code}`));
+        const merged = { ...this.profileCountryAliases };
+        Object.entries(requested).forEach(([code, list]) => {
+            merged[code] = [...(merged[code] || []), ...list];
+        });
+        this.countryAliases = merged;
+        return this;
+    }
+
+    /**
+     * Group converted proxies by country using names, user aliases and the GeoIP fallback
+     * @param {Array} proxies - Proxies in this builder's output format
+     */
+    groupNodesByCountry(proxies) {
+        return groupProxiesByCountry(proxies, {
+            getName: proxy => this.getProxyName(proxy),
+            lookupCountry: name => this.lookupNodeCountry(name),
+            aliases: this.countryAliases
+        });
+    }
+
+    /**
+     * Fall back to an offline GeoIP lookup of the server address for nodes whose names carry no country
+     * @param {{lookup: (address: string) => string|null}|null} resolver - See createGeoIpResolver
+     * @returns {this}
+     */
+    setCountryResolver(resolver) {
+        this.countryResolver = typeof resolver?.lookup === 'function' ? resolver : null;
+        return this;
+    }
+
+    /**
+     * ISO country code of a node's server, for groupProxiesByCountry's `lookupCountry`
+     * @param {string} name - Final node name
+     * @returns {string|null} null without a resolver or when the server is a hostname
+     */
+    lookupNodeCountry(name) {
+        return this.lookupServerCountry(this.nodeServers.get(name));
+    }
+
+    /**
+     * ISO country code of a server address from the GeoIP resolver
+     * @param {string|undefined} server - Server address of a parsed node
+     * @returns {string|null} null without a resolver or when the server is a hostname
+     */
+    lookupServerCountry(server) {
+        if (!this.countryResolver || !server) return null;
+        return this.countryResolver.lookup(String(server));
+    }
+
+    /**
+     * Lay out country groups and the optional region layer above them
+     * @param {object} countryGroups - Output of groupProxiesByCountry
+     * @returns {{groups: Array<{name: string, type: 'select'|'url-test', members: string[]}>, listedNames: string[]}}
+     *   `groups` in emit order; `listedNames` are the groups Node Select and rule selectors offer
+     */
+    getCountryGroupLayout(countryGroups) {
+        const groupName = key => `${countryGroups[key].emoji} ${countryGroups[key].name}`;
+        const countries = Object.keys(countryGroups).sort((a, b) => a.localeCompare(b))
+            .filter(key => countryGroups[key].proxies?.length > 0)
+            .map(key => ({ name: groupName(key), type: 'url-test', members: countryGroups[key].proxies }));
+        if (!this.regionGroupType) {
+            return { groups: countries, listedNames: countries.map(group => group.name) };
+        }
+
+        const regions = groupCountriesByRegion(countryGroups).map(region => ({
+            name: `${region.emoji} ${region.name}`,
+            type: this.regionGroupType,
+            members: this.regionGroupType === 'select' ? region.countries.map(groupName) : region.proxies
+        }));
+        return {
+            groups: this.regionGroupType === 'select' ? [...countries, ...regions] : regions,
+            listedNames: regions.map(region => region.name)
+        };
+    }
+
+    /**
+     * Emit one group per input source and list those groups in place of their nodes
+     * @param {{type?: 'select'|'url-test'|null, labels?: string[]}} options - `labels[i]` names the group of the
+     *   i-th input line; unlabeled subscriptions are named after their host, unlabeled inline nodes stay ungrouped
+     * @returns {this}
+     */
+    setSourceGroups({ type, labels } = {}) {
+        this.sourceGroupType = type === 'select' || type === 'url-test' ? type : null;
+        this.sourceLabels = (Array.isArray(labels) ? labels : []).map(label => typeof label === 'string' ? label.trim() : '');
+        return this;
+    }
+
+    getSourceLabel(index) {
+        if (this.sourceLabels[index]) return this.sourceLabels[index];
+        try {
+            return this.sourceUrls[index] ? new URL(this.sourceUrls[index]).hostname : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Group final node names by the input source they came from
+     * @returns {Array<{name: string, type: 'select'|'url-test', proxies: string[], providerUrl?: string}>}
+     */
+    getSourceGroups() {
+        if (!this.sourceGroupType) return [];
+        const proxyList = this.getProxyList();
+        const membersBySource = new Map();
+        proxyList.forEach(name => {
+            const index = this.nodeSources.get(name);
+            if (index === undefined) return;
+            if (!membersBySource.has(index)) membersBySource.set(index, []);
+            membersBySource.get(index).push(name);
+        });
+        this.sourceProviderUrls.forEach((_, index) => {
+            if (!membersBySource.has(index)) membersBySource.set(index, []);
+        });
+
+        const usedNames = new Set(proxyList);
+        return [...membersBySource.keys()].sort((a, b) => a - b).flatMap(index => {
+            const label = this.getSourceLabel(index);
+            if (!label) return [];
+            let name = label;
+            for (let suffix = 2; usedNames.has(name); suffix++) {
+                name = `${label} ${suffix}`;
+            }
+            usedNames.add(name);
+            const providerUrl = this.sourceProviderUrls[index];
+            return [{ name, type: this.sourceGroupType, proxies: membersBySource.get(index), ...(providerUrl && { providerUrl }) }];
+        });
+    }
+
+    /**
+     * Index of the non-empty input line a parsed node came from (0 for whole-config input)
+     * @param {object} item - Parsed proxy
+     * @returns {number|undefined}
+     */
+    getProxySource(item) {
+        return this.proxySources.get(item);
+    }
+
+    markProxySource(items, index) {
+        items.forEach(item => {
+            if (item && typeof item === 'object') {
+                this.proxySources.set(item, index);
+            }
+        });
+        return items;
     }
 
     async build() {
@@ -47,7 +490,7 @@ export class BaseConfigBuilder {
                         parsedItems.push(proxy);
                     }
                 }
-                if (parsedItems.length > 0) return parsedItems;
+                if (parsedItems.length > 0) return this.markProxySource(parsedItems, 0);
             }
         }
 
@@ -69,7 +512,7 @@ export class BaseConfigBuilder {
                                     parsedItems.push(proxy);
                                 }
                             }
-                            if (parsedItems.length > 0) return parsedItems;
+                            if (parsedItems.length > 0) return this.markProxySource(parsedItems, 0);
                         }
                     }
                 }
@@ -77,44 +520,37 @@ export class BaseConfigBuilder {
         }
 
         // Otherwise, line-by-line processing (URLs, subscription content, remote lists, etc.)
-        const urls = input.split('\n').filter(url => url.trim() !== '');
-        for (const url of urls) {
-            let processedUrls = tryDecodeSubscriptionLines(url);
-            if (!Array.isArray(processedUrls)) {
-                processedUrls = [processedUrls];
-            }
+        const lines = input.split('\n').filter(url => url.trim() !== '').map(url => {
+            const processedUrls = tryDecodeSubscriptionLines(url);
+            return Array.isArray(processedUrls) ? processedUrls : [processedUrls];
+        });
+        const fetchedSubscriptions = await this.fetchSubscriptions(lines);
+
+        for (const [sourceIndex, processedUrls] of lines.entries()) {
+            const sourceStart = parsedItems.length;
 
             for (const processedUrl of processedUrls) {
                 const trimmedUrl = typeof processedUrl === 'string' ? processedUrl.trim() : '';
 
                 // Check if it's an HTTP(S) URL - may use as provider if format matches
-                if (trimmedUrl.startsWith('http://') || trimmedUrl.startsWith('https://')) {
-                    const { fetchSubscriptionWithFormat } = await import('../parsers/subscription/httpSubscriptionFetcher.js');
+                const source = parseSourceEntry(trimmedUrl);
+                if (isHttpUrl(source.url)) {
+                    this.sourceUrls[sourceIndex] = this.sourceUrls[sourceIndex] || source.url;
 
-                    // Check for cache=false query param to disable caching
-                    let cacheEnabled = true;
                     try {
-                        const urlObj = new URL(trimmedUrl);
-                        cacheEnabled = urlObj.searchParams.get('cache') !== 'false';
-                    } catch (e) {
-                        // Invalid URL, use default cache enabled
-                    }
-
-                    try {
-                        const fetchResult = await fetchSubscriptionWithFormat(trimmedUrl, this.userAgent, {
-                            cacheService: this.subscriptionCache,
-                            cacheEnabled
-                        });
+                        const fetchResult = fetchedSubscriptions.get(trimmedUrl);
                         if (fetchResult) {
                             const { content, format, url: originalUrl, subscriptionUserinfo } = fetchResult;
 
-                            if (subscriptionUserinfo && !this.subscriptionUserinfo) {
-                                this.subscriptionUserinfo = subscriptionUserinfo;
+                            if (subscriptionUserinfo) {
+                                this.subscriptionUserinfos.set(originalUrl, subscriptionUserinfo);
                             }
 
-                            // If format is compatible with target client, use as provider
-                            if (this.isCompatibleProviderFormat(format)) {
+                            // If format is compatible with target client, use as provider; clients would fetch it
+                            // without the source's own headers or credentials, so those sources are always inlined
+                            if (!hasRequestOptions(source.options) && this.isCompatibleProviderFormat(format)) {
                                 this.providerUrls.push(originalUrl);
+                                this.sourceProviderUrls[sourceIndex] = this.sourceProviderUrls[sourceIndex] || originalUrl;
                                 continue;  // Skip parsing, will be used as provider
                             }
 
@@ -184,11 +620,48 @@ export class BaseConfigBuilder {
                     parsedItems.push(result);
                 }
             }
+            this.markProxySource(parsedItems.slice(sourceStart), sourceIndex);
         }
 
         return parsedItems;
     }
 
+    /**
+     * Download every HTTP(S) subscription in the input at once, within the per-source and overall deadlines
+     * @param {Array<Array<string>>} lines - Decoded entries of each input line
+     * @returns {Promise<Map<string, object>>} input entry -> fetchSubscriptionWithFormat result, for the sources that answered
+     */
+    async fetchSubscriptions(lines) {
+        const urls = lines.flat()
+            .map(entry => (typeof entry === 'string' ? entry.trim() : ''))
+            .filter(entry => isHttpUrl(parseSourceEntry(entry).url));
+        if (urls.length === 0) return new Map();
+
+        const { fetchConcurrently, fetchSubscriptionWithFormat } = await import('../parsers/subscription/httpSubscriptionFetcher.js');
+        const { results, failures } = await fetchConcurrently(urls, (url, signal) => fetchSubscriptionWithFormat(url, this.userAgent, {
+            cacheService: this.subscriptionCache,
+            // cache=false in the subscription URL disables caching
+            cacheEnabled: parseUrl(parseSourceEntry(url).url)?.searchParams.get('cache') !== 'false',
+            signal
+        }), this.fetchTimeouts);
+
+        const describe = url => `Subscription ${parseUrl(url)?.hostname || url}`;
+        failures.forEach(({ url: entry, reason }) => {
+            const source = lines.findIndex(entries => entries.some(item => typeof item === 'string' && item.trim() === entry));
+            // Report the bare URL; per-source headers and credentials stay out of diagnostics
+            const { url } = parseSourceEntry(entry);
+            this.failedSources.push({ source, url, reason });
+            this.addWarning(`${describe(url)} ${reason === 'timeout' ? 'timed out' : 'could not be fetched'}`);
+        });
+        results.forEach(result => {
+            // Only fallbacks carry a warning; fresh or revalidated cache hits are not worth reporting
+            if (result.fromCache && result.warning) {
+                this.addWarning(`${describe(result.url)} could not be fetched, using cached content`);
+            }
+        });
+        return results;
+    }
+
     /**
      * Check if subscription format is compatible for use as a provider
      * Override in child classes to enable provider support
@@ -310,8 +783,25 @@ export class BaseConfigBuilder {
         return this.appliedOverrideKeys?.has(key);
     }
 
+    /**
+     * Usage reported by the fetched subscriptions, merged into one header value
+     * @returns {string|undefined}
+     */
     getSubscriptionUserinfo() {
-        return this.subscriptionUserinfo;
+        return mergeSubscriptionUserinfo([...this.subscriptionUserinfos.values()]);
+    }
+
+    /**
+     * Record a per-node conversion warning, e.g. a protocol or transport the target cannot express
+     * @param {string} message - Human readable warning, prefixed with the node tag
+     */
+    addWarning(message) {
+        this.warnings.push(message);
+        console.warn(message);
+    }
+
+    getWarnings() {
+        return this.warnings;
     }
 
     getOutboundsList() {
@@ -370,13 +860,89 @@ export class BaseConfigBuilder {
         throw new Error('addCountryGroups must be implemented in child class');
     }
 
+    /**
+     * Emit the groups computed by getSourceGroups
+     * @param {Array<{name: string, type: 'select'|'url-test', proxies: string[], providerUrl?: string}>} sourceGroups
+     */
+    addSourceGroups(sourceGroups) {
+        throw new Error('addSourceGroups must be implemented in child class');
+    }
+
+    /**
+     * Set `detour` on nodes matched by the configured chains
+     * Nodes that already carry a detour from their source config keep it.
+     * @param {object[]} items - Parsed proxies
+     * @returns {{items: object[], chained: Set<string>}} - Items with chains applied and the tags that were chained
+     */
+    applyProxyChains(items) {
+        const chained = new Set();
+        if (this.proxyChains.length === 0) {
+            return { items, chained };
+        }
+
+        const tags = new Set(items.map(item => item.tag));
+        this.proxyChains
+            .filter(chain => !tags.has(chain.via))
+            .forEach(chain => this.addWarning(`Chain target not found: ${chain.via}`));
+
+        const detours = new Map();
+        items.forEach(item => {
+            if (item.detour) return;
+            const chain = this.proxyChains.find(candidate => tags.has(candidate.via) && candidate.via !== item.tag && candidate.pattern.test(item.tag));
+            if (chain) detours.set(item.tag, chain.via);
+        });
+
+        // Hops may themselves be chained; a loop would never connect, so drop the link that closes it
+        detours.forEach((_, tag) => {
+            const seen = new Set([tag]);
+            let next = detours.get(tag);
+            while (next !== undefined && !seen.has(next)) {
+                seen.add(next);
+                next = detours.get(next);
+            }
+            if (next === tag) {
+                this.addWarning(`${tag} - Chain loop through ${detours.get(tag)} ignored`);
+                detours.delete(tag);
+            }
+        });
+
+        return {
+            items: items.map(item => {
+                if (!detours.has(item.tag)) return item;
+                chained.add(item.tag);
+                const relayed = { ...item, detour: detours.get(item.tag) };
+                this.proxySources.set(relayed, this.getProxySource(item));
+                return relayed;
+            }),
+            chained
+        };
+    }
+
     addCustomItems(customItems) {
-        const validItems = customItems.filter(item => item != null);
-        validItems.forEach(item => {
-            if (item?.tag) {
-                const convertedProxy = this.convertProxy(item);
-                if (convertedProxy) {
-                    this.addProxyToConfig(convertedProxy);
+        const { items, chained } = this.applyProxyChains(this.prepareNodes(customItems));
+        const converted = items.map(item => ({ item, proxy: this.convertProxy(item) }));
+        // A hop the target cannot express would leave its chained nodes pointing at nothing
+        const available = new Set(converted
+            .filter(({ item, proxy }) => proxy && this.getProxyName(proxy) === item.tag)
+            .map(({ item }) => item.tag));
+
+        converted.forEach(({ item, proxy }) => {
+            let convertedProxy = proxy;
+            if (convertedProxy && chained.has(item.tag) && !available.has(item.detour)) {
+                this.addWarning(`${item.tag} - Chain target ${item.detour} is not supported by this client`);
+                const { detour: _detour, ...unchained } = item;
+                convertedProxy = this.convertProxy(unchained);
+            }
+            if (convertedProxy) {
+                const before = this.getProxies().length;
+                this.addProxyToConfig(convertedProxy);
+                const proxies = this.getProxies();
+                const source = this.getProxySource(item);
+                // Dedup may have renamed the node, so record the name it was stored under
+                if (proxies.length > before) {
+                    const name = this.getProxyName(proxies[proxies.length - 1]);
+                    if (source !== undefined) this.nodeSources.set(name, source);
+                    if (item.server) this.nodeServers.set(name, String(item.server));
                 }
             }
         });
@@ -386,8 +952,12 @@ export class BaseConfigBuilder {
         const outbounds = this.getOutboundsList();
         const proxyList = this.getProxyList();
 
+        this.sourceGroups = this.getSourceGroups();
         this.addAutoSelectGroup(proxyList);
         this.addNodeSelectGroup(proxyList);
+        if (this.sourceGroups.length > 0) {
+            this.addSourceGroups(this.sourceGroups);
+        }
         if (this.groupByCountry) {
             this.addCountryGroups();
         }
@@ -1,7 +1,7 @@
 import yaml from 'js-yaml';
 import { CLASH_CONFIG, generateRules, generateClashRuleSets, getOutbounds, PREDEFINED_RULE_SETS, DIRECT_DEFAULT_RULES } from '../config/index.js';
 import { BaseConfigBuilder } from './BaseConfigBuilder.js';
-import { deepCopy, groupProxiesByCountry } from '../utils.js';
+import { deepCopy, echConfigToBase64, XHTTP_CLASH_OPTION_KEYS } from '../utils.js';
 import { addProxyWithDedup } from './helpers/proxyHelpers.js';
 import { buildSelectorMembers, buildNodeSelectMembers, buildCustomRuleMembers, uniqueNames } from './helpers/groupBuilder.js';
 import { emitClashRules, sanitizeClashProxyGroups } from './helpers/clashConfigUtils.js';
@@ -47,6 +47,152 @@ function getClashUdpValue(proxy, defaultEnabled = true) {
     return defaultEnabled;
 }
 
+/**
+ * QUIC-based protocols; mihomo has no client-fingerprint for them
+ */
+const QUIC_PROXY_TYPES = new Set(['hysteria', 'hysteria2', 'tuic']);
+
+/**
+ * Map the optional TLS settings (alpn, uTLS fingerprint, REALITY, ECH) to Clash keys
+ * @param {object} proxy - Internal proxy object
+ * @returns {object} - Fields to merge into the Clash proxy
+ */
+function buildClashTlsFields(proxy) {
+    const tls = proxy.tls || {};
+    // Clash YAML and older sing-box input keep alpn at the root
+    const alpn = tls.alpn ?? proxy.alpn;
+    const fingerprint = QUIC_PROXY_TYPES.has(proxy.type) ? undefined : tls.utls?.fingerprint;
+    const echConfig = echConfigToBase64(tls.ech?.config);
+    return {
+        ...(alpn ? { alpn } : {}),
+        ...(fingerprint ? { 'client-fingerprint': fingerprint } : {}),
+        ...(tls.reality?.enabled ? {
+            'reality-opts': {
+                'public-key': tls.reality.public_key,
+                'short-id': tls.reality.short_id,
+            }
+        } : {}),
+        ...(tls.ech?.enabled ? {
+            'ech-opts': {
+                enable: true,
+                ...(echConfig ? { config: echConfig } : {}),
+                ...(tls.ech.query_server_name ? { 'query-server-name': tls.ech.query_server_name } : {})
+            }
+        } : {})
+    };
+}
+
+/**
+ * Map the internal multiplex object to a Clash Meta `smux` block
+ * @param {object} multiplex - Internal (sing-box) multiplex object
+ * @returns {object} - `{ smux }` to merge into the Clash proxy, or an empty object
+ */
+function buildClashSmuxFields(multiplex) {
+    if (!multiplex?.enabled) return {};
+    const smux = { enabled: true };
+    if (multiplex.protocol) smux.protocol = multiplex.protocol;
+    if (multiplex.max_connections !== undefined) smux['max-connections'] = multiplex.max_connections;
+    if (multiplex.min_streams !== undefined) smux['min-streams'] = multiplex.min_streams;
+    if (multiplex.max_streams !== undefined) smux['max-streams'] = multiplex.max_streams;
+    if (multiplex.padding !== undefined) smux.padding = multiplex.padding;
+    if (multiplex.brutal?.enabled) {
+        smux['brutal-opts'] = {
+            enabled: true,
+            up: multiplex.brutal.up_mbps,
+            down: multiplex.brutal.down_mbps
+        };
+    }
+    return { smux };
+}
+
+/**
+ * Transports mihomo implements for each V2Ray-style protocol
+ */
+const CLASH_SUPPORTED_TRANSPORTS = {
+    vmess: new Set(['ws', 'httpupgrade', 'grpc', 'http', 'h2']),
+    vless: new Set(['ws', 'httpupgrade', 'grpc', 'http', 'h2', 'xhttp']),
+    trojan: new Set(['ws', 'httpupgrade', 'grpc'])
+};
+
+/**
+ * Map an internal transport to Clash `network` and its *-opts block
+ * @param {object} proxy - Internal proxy object
+ * @returns {object|null} - Fields to merge into the Clash proxy, or null when Clash has no equivalent
+ */
+function buildClashTransportFields(proxy) {
+    const transport = proxy.transport;
+    if (transport?.type && !CLASH_SUPPORTED_TRANSPORTS[proxy.type].has(transport.type)) {
+        return null;
+    }
+    switch (transport?.type) {
+        case undefined:
+            return { network: 'tcp' };
+        case 'ws':
+            return {
+                network: 'ws',
+                'ws-opts': {
+                    path: transport.path,
+                    headers: transport.headers,
+                    ...(transport.max_early_data ? {
+                        'max-early-data': transport.max_early_data,
+                        'early-data-header-name': transport.early_data_header_name
+                    } : {})
+                }
+            };
+        case 'httpupgrade':
+            // mihomo runs HTTPUpgrade as a ws-opts flag
+            return {
+                network: 'ws',
+                'ws-opts': {
+                    path: transport.path,
+                    ...(transport.host || transport.headers ? {
+                        headers: { ...transport.headers, ...(transport.host ? { Host: transport.host } : {}) }
+                    } : {}),
+                    'v2ray-http-upgrade': true
+                }
+            };
+        case 'grpc':
+            return {
+                network: 'grpc',
+                'grpc-opts': {
+                    'grpc-service-name': transport.service_name
+                }
+            };
+        case 'http': {
+            const opts = {
+                method: transport.method || 'GET',
+                path: Array.isArray(transport.path) ? transport.path : [transport.path || '/'],
+            };
+            if (transport.headers && Object.keys(transport.headers).length > 0) {
+                opts.headers = transport.headers;
+            }
+            return { network: 'http', 'http-opts': opts };
+        }
+        case 'h2':
+            return {
+                network: 'h2',
+                'h2-opts': {
+                    path: transport.path,
+                    host: transport.host
+                }
+            };
+        case 'xhttp': {
+            const opts = {
+                path: transport.path,
+                ...(transport.host ? { host: transport.host } : {}),
+                ...(transport.mode ? { mode: transport.mode } : {}),
+                ...(transport.headers ? { headers: transport.headers } : {})
+            };
+            Object.entries(XHTTP_CLASH_OPTION_KEYS).forEach(([xrayKey, clashKey]) => {
+                if (transport.extra?.[xrayKey] !== undefined) opts[clashKey] = transport.extra[xrayKey];
+            });
+            return { network: 'xhttp', 'xhttp-opts': opts };
+        }
+        default:
+            return {};
+    }
+}
+
 export class ClashConfigBuilder extends BaseConfigBuilder {
     constructor(inputString, selectedRules, customRules, baseConfig, lang, userAgent, groupByCountry = false, enableClashUI = false, externalController, externalUiDownloadUrl, includeAutoSelect = true, subscriptionCache = null) {
         if (!baseConfig) {
@@ -129,6 +275,18 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
     }
 
     convertProxy(proxy) {
+        // Chained nodes dial through their hop with mihomo's dialer-proxy
+        if (proxy.detour) {
+            const { detour, ...rest } = proxy;
+            const converted = this.convertProxy(rest);
+            return converted ? { ...converted, 'dialer-proxy': detour } : converted;
+        }
+        const transportFields = CLASH_SUPPORTED_TRANSPORTS[proxy.type] ? buildClashTransportFields(proxy) : {};
+        if (!transportFields) {
+            this.addWarning(`${proxy.tag} - Unsupported transport for Clash: ${proxy.transport.type}`);
+            return null;
+        }
+        const tlsFields = buildClashTlsFields(proxy);
         switch (proxy.type) {
             case 'shadowsocks':
                 return {
@@ -140,7 +298,8 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
                     password: proxy.password,
                     udp: getClashUdpValue(proxy),
                     ...(proxy.plugin ? { plugin: proxy.plugin } : {}),
-                    ...(proxy.plugin_opts ? { 'plugin-opts': proxy.plugin_opts } : {})
+                    ...(proxy.plugin_opts ? { 'plugin-opts': proxy.plugin_opts } : {}),
+                    ...buildClashSmuxFields(proxy.multiplex)
                 };
             case 'vmess':
                 return {
@@ -154,36 +313,9 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
                     tls: proxy.tls?.enabled || false,
                     servername: proxy.tls?.server_name || '',
                     'skip-cert-verify': !!proxy.tls?.insecure,
-                    network: proxy.transport?.type || proxy.network || 'tcp',
-                    'ws-opts': proxy.transport?.type === 'ws'
-                        ? {
-                            path: proxy.transport.path,
-                            headers: proxy.transport.headers
-                        }
-                        : undefined,
-                    'http-opts': proxy.transport?.type === 'http'
-                        ? (() => {
-                            const opts = {
-                                method: proxy.transport.method || 'GET',
-                                path: Array.isArray(proxy.transport.path) ? proxy.transport.path : [proxy.transport.path || '/'],
-                            };
-                            if (proxy.transport.headers && Object.keys(proxy.transport.headers).length > 0) {
-                                opts.headers = proxy.transport.headers;
-                            }
-                            return opts;
-                        })()
-                        : undefined,
-                    'grpc-opts': proxy.transport?.type === 'grpc'
-                        ? {
-                            'grpc-service-name': proxy.transport.service_name
-                        }
-                        : undefined,
-                    'h2-opts': proxy.transport?.type === 'h2'
-                        ? {
-                            path: proxy.transport.path,
-                            host: proxy.transport.host
-                        }
-                        : undefined,
+                    ...(proxy.tls?.enabled ? tlsFields : {}),
+                    ...transportFields,
+                    ...buildClashSmuxFields(proxy.multiplex),
                     udp: getClashUdpValue(proxy)
                 };
             case 'vless':
@@ -195,26 +327,36 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
                     uuid: proxy.uuid,
                     cipher: proxy.security,
                     tls: proxy.tls?.enabled || false,
-                    'client-fingerprint': proxy.tls?.utls?.fingerprint,
                     servername: proxy.tls?.server_name || '',
-                    network: proxy.transport?.type || 'tcp',
-                    'ws-opts': proxy.transport?.type === 'ws' ? {
-                        path: proxy.transport.path,
-                        headers: proxy.transport.headers
-                    } : undefined,
-                    'reality-opts': proxy.tls?.reality?.enabled ? {
-                        'public-key': proxy.tls.reality.public_key,
-                        'short-id': proxy.tls.reality.short_id,
-                    } : undefined,
-                    'grpc-opts': proxy.transport?.type === 'grpc' ? {
-                        'grpc-service-name': proxy.transport.service_name,
-                    } : undefined,
+                    ...transportFields,
+                    ...tlsFields,
                     tfo: proxy.tcp_fast_open,
                     'skip-cert-verify': !!proxy.tls?.insecure,
                     udp: getClashUdpValue(proxy),
-                    ...(proxy.alpn ? { alpn: proxy.alpn } : {}),
                     ...(proxy.packet_encoding ? { 'packet-encoding': proxy.packet_encoding } : {}),
                     'flow': proxy.flow ?? undefined,
+                    ...buildClashSmuxFields(proxy.multiplex),
+                };
+            case 'hysteria':
+                return {
+                    name: proxy.tag,
+                    type: 'hysteria',
+                    server: proxy.server,
+                    port: proxy.server_port,
+                    ...(proxy.ports ? { ports: proxy.ports } : {}),
+                    ...(proxy.auth_str ? { 'auth-str': proxy.auth_str } : {}),
+                    ...(proxy.obfs ? { obfs: proxy.obfs } : {}),
+                    ...(proxy.protocol ? { protocol: proxy.protocol } : {}),
+                    ...(proxy.up_mbps !== undefined ? { up: `${proxy.up_mbps} Mbps` } : {}),
+                    ...(proxy.down_mbps !== undefined ? { down: `${proxy.down_mbps} Mbps` } : {}),
+                    sni: proxy.tls?.server_name || '',
+                    'skip-cert-verify': !!proxy.tls?.insecure,
+                    ...tlsFields,
+                    ...(proxy.recv_window_conn !== undefined ? { 'recv-window-conn': proxy.recv_window_conn } : {}),
+                    ...(proxy.recv_window !== undefined ? { 'recv-window': proxy.recv_window } : {}),
+                    ...(proxy.disable_mtu_discovery !== undefined ? { 'disable-mtu-discovery': proxy.disable_mtu_discovery } : {}),
+                    ...(proxy.fast_open !== undefined ? { 'fast-open': proxy.fast_open } : {}),
+                    udp: getClashUdpValue(proxy),
                 };
             case 'hysteria2':
                 return {
@@ -233,7 +375,7 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
                     sni: proxy.tls?.server_name || '',
                     'skip-cert-verify': !!proxy.tls?.insecure,
                     ...(proxy.hop_interval !== undefined ? { 'hop-interval': proxy.hop_interval } : {}),
-                    ...(proxy.alpn ? { alpn: proxy.alpn } : {}),
+                    ...tlsFields,
                     ...(proxy.fast_open !== undefined ? { 'fast-open': proxy.fast_open } : {}),
                 };
             case 'trojan':
@@ -245,24 +387,13 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
                     password: proxy.password,
                     cipher: proxy.security,
                     tls: proxy.tls?.enabled || false,
-                    'client-fingerprint': proxy.tls?.utls?.fingerprint,
                     sni: proxy.tls?.server_name || '',
-                    network: proxy.transport?.type || 'tcp',
-                    'ws-opts': proxy.transport?.type === 'ws' ? {
-                        path: proxy.transport.path,
-                        headers: proxy.transport.headers
-                    } : undefined,
-                    'reality-opts': proxy.tls?.reality?.enabled ? {
-                        'public-key': proxy.tls.reality.public_key,
-                        'short-id': proxy.tls.reality.short_id,
-                    } : undefined,
-                    'grpc-opts': proxy.transport?.type === 'grpc' ? {
-                        'grpc-service-name': proxy.transport.service_name,
-                    } : undefined,
+                    ...transportFields,
+                    ...tlsFields,
                     tfo: proxy.tcp_fast_open,
                     'skip-cert-verify': !!proxy.tls?.insecure,
-                    ...(proxy.alpn ? { alpn: proxy.alpn } : {}),
                     'flow': proxy.flow ?? undefined,
+                    ...buildClashSmuxFields(proxy.multiplex),
                     udp: getClashUdpValue(proxy),
                 };
             case 'tuic':
@@ -276,7 +407,7 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
                     'congestion-controller': proxy.congestion_control,
                     'skip-cert-verify': !!proxy.tls?.insecure,
                     ...(proxy.disable_sni !== undefined ? { 'disable-sni': proxy.disable_sni } : {}),
-                    ...(proxy.tls?.alpn ? { alpn: proxy.tls.alpn } : {}),
+                    ...tlsFields,
                     'sni': proxy.tls?.server_name,
                     'udp-relay-mode': proxy.udp_relay_mode || 'native',
                     ...(proxy.zero_rtt !== undefined ? { 'zero-rtt': proxy.zero_rtt } : {}),
@@ -291,14 +422,74 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
                     port: proxy.server_port,
                     password: proxy.password,
                     udp: getClashUdpValue(proxy),
-                    ...(proxy.tls?.utls?.fingerprint ? { 'client-fingerprint': proxy.tls.utls.fingerprint } : {}),
                     ...(proxy.tls?.server_name ? { sni: proxy.tls.server_name } : {}),
                     ...(proxy.tls?.insecure !== undefined ? { 'skip-cert-verify': !!proxy.tls.insecure } : {}),
-                    ...(proxy.tls?.alpn ? { alpn: proxy.tls.alpn } : {}),
+                    ...tlsFields,
                     ...(proxy['idle-session-check-interval'] !== undefined ? { 'idle-session-check-interval': proxy['idle-session-check-interval'] } : {}),
                     ...(proxy['idle-session-timeout'] !== undefined ? { 'idle-session-timeout': proxy['idle-session-timeout'] } : {}),
                     ...(proxy['min-idle-session'] !== undefined ? { 'min-idle-session': proxy['min-idle-session'] } : {}),
                 };
+            case 'shadowsocksr':
+                return {
+                    name: proxy.tag,
+                    type: 'ssr',
+                    server: proxy.server,
+                    port: proxy.server_port,
+                    cipher: proxy.method,
+                    password: proxy.password,
+                    protocol: proxy.protocol,
+                    ...(proxy.protocol_param ? { 'protocol-param': proxy.protocol_param } : {}),
+                    obfs: proxy.obfs,
+                    ...(proxy.obfs_param ? { 'obfs-param': proxy.obfs_param } : {}),
+                    udp: getClashUdpValue(proxy),
+                };
+            case 'socks':
+                return {
+                    name: proxy.tag,
+                    type: 'socks5',
+                    server: proxy.server,
+                    port: proxy.server_port,
+                    ...(proxy.username ? { username: proxy.username } : {}),
+                    ...(proxy.password ? { password: proxy.password } : {}),
+                    ...(proxy.tls?.enabled ? { tls: true, 'skip-cert-verify': !!proxy.tls.insecure } : {}),
+                    udp: getClashUdpValue(proxy),
+                };
+            case 'http':
+                return {
+                    name: proxy.tag,
+                    type: 'http',
+                    server: proxy.server,
+                    port: proxy.server_port,
+                    ...(proxy.username ? { username: proxy.username } : {}),
+                    ...(proxy.password ? { password: proxy.password } : {}),
+                    ...(proxy.tls?.enabled ? {
+                        tls: true,
+                        ...(proxy.tls.server_name ? { sni: proxy.tls.server_name } : {}),
+                        'skip-cert-verify': !!proxy.tls.insecure,
+                        ...tlsFields
+                    } : {}),
+                };
+            case 'wireguard': {
+                const addresses = (proxy.local_address || []).map(address => address.split('/')[0]);
+                const ipv4 = addresses.find(address => !address.includes(':'));
+                const ipv6 = addresses.find(address => address.includes(':'));
+                return {
+                    name: proxy.tag,
+                    type: 'wireguard',
+                    server: proxy.server,
+                    port: proxy.server_port,
+                    ...(ipv4 ? { ip: ipv4 } : {}),
+                    ...(ipv6 ? { ipv6 } : {}),
+                    'private-key': proxy.private_key,
+                    'public-key': proxy.peer_public_key,
+                    ...(proxy.pre_shared_key ? { 'pre-shared-key': proxy.pre_shared_key } : {}),
+                    ...(Array.isArray(proxy.reserved) ? { reserved: proxy.reserved } : {}),
+                    ...(proxy.mtu ? { mtu: proxy.mtu } : {}),
+                    ...(proxy.allowed_ips ? { 'allowed-ips': proxy.allowed_ips } : {}),
+                    ...(proxy.persistent_keepalive_interval ? { 'persistent-keepalive': proxy.persistent_keepalive_interval } : {}),
+                    udp: getClashUdpValue(proxy),
+                };
+            }
             default:
                 return proxy; // Return as-is if no specific conversion is defined
         }
@@ -366,6 +557,7 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
             groupByCountry: this.groupByCountry,
             manualGroupName: this.manualGroupName,
             countryGroupNames: this.countryGroupNames,
+            sourceGroups: this.sourceGroups,
             includeAutoSelect: this.shouldIncludeAutoSelectGroup(proxyList)
         });
 
@@ -391,6 +583,7 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
             groupByCountry: this.groupByCountry,
             manualGroupName: this.manualGroupName,
             countryGroupNames: this.countryGroupNames,
+            sourceGroups: this.sourceGroups,
             includeAutoSelect: this.shouldIncludeAutoSelectGroup(proxyList)
         });
     }
@@ -430,6 +623,7 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
                         proxyList,
                         translator: this.t,
                         manualGroupName: this.manualGroupName,
+                        sourceGroups: this.sourceGroups,
                         includeAutoSelect: this.shouldIncludeAutoSelectGroup(proxyList)
                     });
                     const group = {
@@ -465,11 +659,29 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
         this.config['proxy-groups'].push(group);
     }
 
+    addSourceGroups(sourceGroups) {
+        const providers = this.getAutoProviderDescriptors(this.getExistingProviderNames());
+        sourceGroups.forEach(({ name, type, proxies, providerUrl }) => {
+            if (this.hasProxyGroup(name)) return;
+            const group = { name, type };
+            if (proxies.length > 0) {
+                group.proxies = proxies;
+            }
+            if (type === 'url-test') {
+                Object.assign(group, { url: 'https://www.gstatic.com/generate_204', interval: 300, lazy: false });
+            }
+            // Subscriptions kept as proxy-providers contribute their nodes through 'use'
+            const provider = providerUrl && providers.find(descriptor => descriptor.url === providerUrl);
+            if (provider) {
+                group.use = [provider.name];
+            }
+            this.config['proxy-groups'].push(group);
+        });
+    }
+
     addCountryGroups() {
         const proxies = this.getProxies();
-        const countryGroups = groupProxiesByCountry(proxies, {
-            getName: proxy => this.getProxyName(proxy)
-        });
+        const countryGroups = this.groupNodesByCountry(proxies);
 
         const existingNames = new Set((this.config['proxy-groups'] || []).map(g => normalizeGroupName(g?.name)).filter(Boolean));
 
@@ -493,31 +705,29 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
             }
         }
 
-        const countries = Object.keys(countryGroups).sort((a, b) => a.localeCompare(b));
-        const countryGroupNames = [];
+        const { groups, listedNames: countryGroupNames } = this.getCountryGroupLayout(countryGroups);
 
-        countries.forEach(country => {
-            const { emoji, name, proxies } = countryGroups[country];
-            const groupName = `${emoji} ${name}`;
+        groups.forEach(({ name: groupName, type, members }) => {
             const norm = normalizeGroupName(groupName);
             if (!existingNames.has(norm)) {
-                const group = {
-                    name: groupName,
-                    type: 'url-test',
-                    proxies: proxies,
-                    url: 'https://www.gstatic.com/generate_204',
-                    interval: 300,
-                    lazy: false
-                };
-                // Add 'use' field if we have proxy-providers
+                const group = type === 'url-test'
+                    ? {
+                        name: groupName,
+                        type: 'url-test',
+                        proxies: members,
+                        url: 'https://www.gstatic.com/generate_204',
+                        interval: 300,
+                        lazy: false
+                    }
+                    : { name: groupName, type: 'select', proxies: members };
+                // Add 'use' field if we have proxy-providers; region selectors only list country groups
                 const providerNames = this.getAllProviderNames();
-                if (providerNames.length > 0) {
+                if (providerNames.length > 0 && type === 'url-test') {
                     group.use = providerNames;
                 }
                 this.config['proxy-groups'].push(group);
                 existingNames.add(norm);
             }
-            countryGroupNames.push(groupName);
         });
 
         const nodeSelectGroup = this.config['proxy-groups'].find(g => g && g.name === this.t('outboundNames.Node Select'));
@@ -528,6 +738,7 @@ export class ClashConfigBuilder extends BaseConfigBuilder {
                 groupByCountry: true,
                 manualGroupName,
                 countryGroupNames,
+                sourceGroups: this.sourceGroups,
                 includeAutoSelect: this.shouldIncludeAutoSelectGroup(this.getProxyList())
             });
             nodeSelectGroup.proxies = rebuilt;
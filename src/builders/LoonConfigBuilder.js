@@ -0,0 +1,393 @@
+import { BaseConfigBuilder } from './BaseConfigBuilder.js';
+import { LOON_CONFIG, SURGE_SITE_RULE_SET_BASEURL, SURGE_IP_RULE_SET_BASEURL, generateRules, DIRECT_DEFAULT_RULES } from '../config/index.js';
+import { addProxyWithDedup } from './helpers/proxyHelpers.js';
+import { buildSelectorMembers, buildNodeSelectMembers, buildCustomRuleMembers, uniqueNames } from './helpers/groupBuilder.js';
+import { parseBandwidthMbps } from '../utils.js';
+
+/**
+ * Transports Loon accepts on vmess/vless/trojan nodes
+ */
+const LOON_SUPPORTED_TRANSPORTS = {
+    vmess: new Set(['ws', 'http']),
+    vless: new Set(['ws', 'http']),
+    trojan: new Set(['ws'])
+};
+
+const URL_TEST_OPTIONS = ',url=http://www.gstatic.com/generate_204,interval=300';
+
+export class LoonConfigBuilder extends BaseConfigBuilder {
+    constructor(inputString, selectedRules, customRules, baseConfig, lang, userAgent, groupByCountry, includeAutoSelect = true, subscriptionCache = null) {
+        const resolvedBaseConfig = baseConfig ?? LOON_CONFIG;
+        super(inputString, resolvedBaseConfig, lang, userAgent, groupByCountry, includeAutoSelect, subscriptionCache);
+        this.selectedRules = selectedRules;
+        this.customRules = customRules;
+        this.countryGroupNames = [];
+        this.manualGroupName = null;
+    }
+
+    getProxies() {
+        return this.config.proxies || [];
+    }
+
+    /**
+     * Get only valid proxies (filter out comment lines for unsupported types)
+     * @returns {string[]}
+     */
+    getValidProxies() {
+        return this.getProxies().filter(proxy =>
+            typeof proxy === 'string' && !proxy.trimStart().startsWith('#')
+        );
+    }
+
+    getProxyList() {
+        return this.getValidProxies().map(proxy => this.getProxyName(proxy));
+    }
+
+    getProxyName(proxy) {
+        return proxy.split('=')[0].trim();
+    }
+
+    /**
+     * Build the transport and TLS options shared by vmess, vless and trojan
+     * @param {object} proxy - Internal proxy object
+     * @param {boolean} tlsByDefault - Whether the protocol always runs over TLS
+     * @returns {string[]}
+     */
+    buildStreamOptions(proxy, tlsByDefault = false) {
+        const options = [];
+        const transport = proxy.transport;
+        options.push(`transport=${transport?.type || 'tcp'}`);
+        if (transport?.type === 'ws' || transport?.type === 'http') {
+            const path = Array.isArray(transport.path) ? transport.path[0] : transport.path;
+            const host = transport.headers?.host ?? transport.headers?.Host ?? transport.host;
+            if (path) options.push(`path=${path}`);
+            if (host) options.push(`host=${Array.isArray(host) ? host[0] : host}`);
+        }
+        if (!tlsByDefault) {
+            options.push(`over-tls=${!!proxy.tls?.enabled}`);
+        }
+        if (tlsByDefault || proxy.tls?.enabled) {
+            if (proxy.tls?.server_name) options.push(`sni=${proxy.tls.server_name}`);
+            if (proxy.tls?.alpn) options.push(`alpn=${proxy.tls.alpn.join(',')}`);
+            options.push(`skip-cert-verify=${!!proxy.tls?.insecure}`);
+        }
+        return options;
+    }
+
+    convertProxy(proxy) {
+        if (proxy.detour) {
+            this.addWarning(`${proxy.tag} - Chained proxies are not supported by Loon`);
+        }
+        const transportType = proxy.transport?.type;
+        const allowedTransports = LOON_SUPPORTED_TRANSPORTS[proxy.type];
+        if (allowedTransports && transportType && !allowedTransports.has(transportType)) {
+            this.addWarning(`${proxy.tag} - Unsupported transport for Loon: ${transportType}`);
+            return `# ${proxy.tag} - Unsupported transport: ${transportType}`;
+        }
+        if ((proxy.type === 'vmess' || proxy.type === 'trojan') && proxy.tls?.reality?.enabled) {
+            this.addWarning(`${proxy.tag} - REALITY is not supported by Loon for ${proxy.type}`);
+            return `# ${proxy.tag} - Unsupported TLS: reality`;
+        }
+        if (proxy.multiplex?.enabled) {
+            this.addWarning(`${proxy.tag} - Multiplex is not supported by Loon`);
+        }
+
+        const udp = `udp=${proxy.udp !== false}`;
+        let options;
+        switch (proxy.type) {
+            case 'shadowsocks':
+                options = ['Shadowsocks', proxy.server, proxy.server_port, proxy.method, `"${proxy.password}"`];
+                if (proxy.plugin === 'obfs' || proxy.plugin === 'simple-obfs') {
+                    options.push(`obfs-name=${proxy.plugin_opts?.mode || 'http'}`);
+                    if (proxy.plugin_opts?.host) options.push(`obfs-host=${proxy.plugin_opts.host}`);
+                    if (proxy.plugin_opts?.path) options.push(`obfs-uri=${proxy.plugin_opts.path}`);
+                } else if (proxy.plugin) {
+                    this.addWarning(`${proxy.tag} - Unsupported plugin for Loon: ${proxy.plugin}`);
+                    return `# ${proxy.tag} - Unsupported plugin: ${proxy.plugin}`;
+                }
+                options.push(`fast-open=${!!proxy.tcp_fast_open}`, udp);
+                break;
+            case 'shadowsocksr':
+                options = ['ShadowsocksR', proxy.server, proxy.server_port, proxy.method, `"${proxy.password}"`,
+                    `protocol=${proxy.protocol}`, `protocol-param=${proxy.protocol_param ?? ''}`,
+                    `obfs=${proxy.obfs}`, `obfs-param=${proxy.obfs_param ?? ''}`, `fast-open=${!!proxy.tcp_fast_open}`, udp];
+                break;
+            case 'vmess':
+                options = ['vmess', proxy.server, proxy.server_port, proxy.security || 'auto', `"${proxy.uuid}"`,
+                    ...this.buildStreamOptions(proxy), `alterId=${proxy.alter_id || 0}`, udp];
+                break;
+            case 'vless':
+                options = ['VLESS', proxy.server, proxy.server_port, `"${proxy.uuid}"`, ...this.buildStreamOptions(proxy)];
+                if (proxy.flow) options.push(`flow=${proxy.flow}`);
+                if (proxy.tls?.reality?.enabled) {
+                    options.push(`public-key="${proxy.tls.reality.public_key}"`);
+                    if (proxy.tls.reality.short_id) options.push(`short-id=${proxy.tls.reality.short_id}`);
+                }
+                options.push(udp);
+                break;
+            case 'trojan':
+                options = ['trojan', proxy.server, proxy.server_port, `"${proxy.password}"`, ...this.buildStreamOptions(proxy, true), udp];
+                break;
+            case 'hysteria2': {
+                const downMbps = parseBandwidthMbps(proxy.down);
+                options = ['Hysteria2', proxy.server, proxy.server_port, `"${proxy.password}"`];
+                if (proxy.tls?.server_name) options.push(`sni=${proxy.tls.server_name}`);
+                options.push(`skip-cert-verify=${!!proxy.tls?.insecure}`);
+                if (proxy.obfs?.password) options.push(`salamander-password=${proxy.obfs.password}`);
+                if (downMbps) options.push(`download-bandwidth=${downMbps}`);
+                options.push(udp);
+                break;
+            }
+            case 'http':
+                options = [proxy.tls?.enabled ? 'https' : 'http', proxy.server, proxy.server_port];
+                if (proxy.username) options.push(proxy.username, `"${proxy.password ?? ''}"`);
+                if (proxy.tls?.enabled) {
+                    if (proxy.tls.server_name) options.push(`sni=${proxy.tls.server_name}`);
+                    options.push(`skip-cert-verify=${!!proxy.tls.insecure}`);
+                }
+                break;
+            case 'socks':
+                options = ['socks5', proxy.server, proxy.server_port];
+                if (proxy.username) options.push(proxy.username, `"${proxy.password ?? ''}"`);
+                options.push(`over-tls=${!!proxy.tls?.enabled}`);
+                if (proxy.tls?.enabled) {
+                    if (proxy.tls.server_name) options.push(`sni=${proxy.tls.server_name}`);
+                    options.push(`skip-cert-verify=${!!proxy.tls.insecure}`);
+                }
+                options.push(udp);
+                break;
+            case 'wireguard':
+                options = ['wireguard', ...this.buildWireguardOptions(proxy)];
+                break;
+            default:
+                this.addWarning(`${proxy.tag} - Unsupported proxy type for Loon: ${proxy.type}`);
+                return `# ${proxy.tag} - Unsupported proxy type: ${proxy.type}`;
+        }
+        return `${proxy.tag} = ${options.join(',')}`;
+    }
+
+    /**
+     * Loon keeps WireGuard keys inline, with the peer list in brackets
+     * @param {object} proxy - Internal WireGuard node
+     * @returns {string[]}
+     */
+    buildWireguardOptions(proxy) {
+        const options = [];
+        (proxy.local_address || []).forEach(address => {
+            const ip = address.split('/')[0];
+            options.push(ip.includes(':') ? `interface-ipv6=${ip}` : `interface-ip=${ip}`);
+        });
+        options.push(`private-key="${proxy.private_key}"`);
+        if (proxy.mtu) options.push(`mtu=${proxy.mtu}`);
+        if (proxy.persistent_keepalive_interval) options.push(`keepalive=${proxy.persistent_keepalive_interval}`);
+
+        const host = proxy.server?.includes(':') ? `[${proxy.server}]` : proxy.server;
+        const peer = [
+            `public-key="${proxy.peer_public_key}"`,
+            `allowed-ips="${(proxy.allowed_ips || ['0.0.0.0/0', '::/0']).join(',')}"`,
+            `endpoint=${host}:${proxy.server_port}`
+        ];
+        if (proxy.pre_shared_key) peer.push(`preshared-key="${proxy.pre_shared_key}"`);
+        if (Array.isArray(proxy.reserved)) peer.push(`reserved=[${proxy.reserved.join(',')}]`);
+        options.push(`peers=[{${peer.join(',')}}]`);
+        return options;
+    }
+
+    addProxyToConfig(proxy) {
+        this.config.proxies = this.config.proxies || [];
+        addProxyWithDedup(this.config.proxies, proxy, {
+            getName: (item) => this.getProxyName(item),
+            setName: (value, name) => {
+                const equalsPos = typeof value === 'string' ? value.indexOf('=') : -1;
+                return equalsPos > 0 ? `${name} ${value.substring(equalsPos)}` : value;
+            },
+            isSame: (existing, incoming) => {
+                if (typeof existing !== 'string' || typeof incoming !== 'string') return false;
+                return existing.substring(existing.indexOf('=')) === incoming.substring(incoming.indexOf('='));
+            }
+        });
+    }
+
+    hasProxyGroup(name) {
+        const target = typeof name === 'string' ? name.trim() : name;
+        if (!target) return false;
+        return (this.config['proxy-groups'] || []).some(group => this.getGroupName(group) === target);
+    }
+
+    getGroupName(group) {
+        return typeof group === 'string' ? this.getProxyName(group) : undefined;
+    }
+
+    createProxyGroup(name, type, options = [], extraConfig = '') {
+        const sanitized = uniqueNames(options);
+        const optionsPart = sanitized.length > 0 ? `,${sanitized.join(',')}` : '';
+        return `${name} = ${type}${optionsPart}${extraConfig}`;
+    }
+
+    buildAggregatedOptions(proxyList = []) {
+        return buildSelectorMembers({
+            proxyList,
+            translator: this.t,
+            groupByCountry: this.groupByCountry,
+            manualGroupName: this.manualGroupName,
+            countryGroupNames: this.countryGroupNames,
+            sourceGroups: this.sourceGroups,
+            includeAutoSelect: this.includeAutoSelect
+        });
+    }
+
+    addAutoSelectGroup(proxyList) {
+        if (!this.includeAutoSelect || proxyList.length === 0) return;
+        this.config['proxy-groups'] = this.config['proxy-groups'] || [];
+        const name = this.t('outboundNames.Auto Select');
+        if (this.hasProxyGroup(name)) return;
+        this.config['proxy-groups'].push(this.createProxyGroup(name, 'url-test', proxyList, URL_TEST_OPTIONS));
+    }
+
+    addNodeSelectGroup(proxyList) {
+        this.config['proxy-groups'] = this.config['proxy-groups'] || [];
+        const name = this.t('outboundNames.Node Select');
+        if (this.hasProxyGroup(name)) return;
+        const options = buildNodeSelectMembers({
+            proxyList,
+            translator: this.t,
+            groupByCountry: false,
+            manualGroupName: this.manualGroupName,
+            countryGroupNames: this.countryGroupNames,
+            sourceGroups: this.sourceGroups,
+            includeAutoSelect: this.includeAutoSelect && proxyList.length > 0
+        });
+        this.config['proxy-groups'].push(this.createProxyGroup(name, 'select', options));
+    }
+
+    addOutboundGroups(outbounds, proxyList) {
+        outbounds.forEach(outbound => {
+            if (outbound === this.t('outboundNames.Node Select')) return;
+            const name = this.t(`outboundNames.${outbound}`);
+            if (this.hasProxyGroup(name)) return;
+            let options = this.buildAggregatedOptions(proxyList);
+            // For rules that should default to DIRECT, move DIRECT to the front
+            if (DIRECT_DEFAULT_RULES.has(outbound)) {
+                options = ['DIRECT', ...options.filter(p => p !== 'DIRECT')];
+            }
+            this.config['proxy-groups'].push(this.createProxyGroup(name, 'select', options));
+        });
+    }
+
+    addCustomRuleGroups(proxyList) {
+        if (!Array.isArray(this.customRules)) return;
+        this.customRules.forEach(rule => {
+            if (this.hasProxyGroup(rule.name)) return;
+            const options = buildCustomRuleMembers({
+                proxyList,
+                translator: this.t,
+                manualGroupName: this.manualGroupName,
+                sourceGroups: this.sourceGroups,
+                includeAutoSelect: this.includeAutoSelect
+            });
+            this.config['proxy-groups'].push(this.createProxyGroup(rule.name, 'select', options));
+        });
+    }
+
+    addFallBackGroup(proxyList) {
+        const name = this.t('outboundNames.Fall Back');
+        if (this.hasProxyGroup(name)) return;
+        this.config['proxy-groups'].push(this.createProxyGroup(name, 'select', this.buildAggregatedOptions(proxyList)));
+    }
+
+    addSourceGroups(sourceGroups) {
+        sourceGroups.forEach(({ name, type, proxies }) => {
+            if (this.hasProxyGroup(name)) return;
+            this.config['proxy-groups'].push(type === 'url-test'
+                ? this.createProxyGroup(name, 'url-test', proxies, URL_TEST_OPTIONS)
+                : this.createProxyGroup(name, 'select', proxies));
+        });
+    }
+
+    addCountryGroups() {
+        const proxies = this.getValidProxies();
+        const countryGroups = this.groupNodesByCountry(proxies);
+
+        const manualProxyNames = proxies.map(p => this.getProxyName(p)).filter(Boolean);
+        const manualGroupName = manualProxyNames.length > 0 ? this.t('outboundNames.Manual Switch') : null;
+        if (manualGroupName && !this.hasProxyGroup(manualGroupName)) {
+            this.config['proxy-groups'].push(this.createProxyGroup(manualGroupName, 'select', manualProxyNames));
+        }
+
+        const { groups, listedNames: countryGroupNames } = this.getCountryGroupLayout(countryGroups);
+        groups.forEach(({ name: groupName, type, members }) => {
+            if (!this.hasProxyGroup(groupName)) {
+                this.config['proxy-groups'].push(type === 'url-test'
+                    ? this.createProxyGroup(groupName, 'url-test', members, URL_TEST_OPTIONS)
+                    : this.createProxyGroup(groupName, 'select', members));
+            }
+        });
+
+        const nodeSelectName = this.t('outboundNames.Node Select');
+        const nodeSelectIndex = this.config['proxy-groups'].findIndex(g => this.getGroupName(g) === nodeSelectName);
+        if (nodeSelectIndex > -1) {
+            const options = buildNodeSelectMembers({
+                proxyList: [],
+                translator: this.t,
+                groupByCountry: true,
+                manualGroupName,
+                countryGroupNames,
+                sourceGroups: this.sourceGroups,
+                includeAutoSelect: this.includeAutoSelect
+            });
+            this.config['proxy-groups'][nodeSelectIndex] = this.createProxyGroup(nodeSelectName, 'select', options);
+        }
+        this.countryGroupNames = countryGroupNames;
+        this.manualGroupName = manualGroupName;
+    }
+
+    formatConfig() {
+        const rules = generateRules(this.selectedRules, this.customRules);
+        const policyName = (rule) => this.t('outboundNames.' + rule.outbound);
+        const finalConfig = [];
+
+        finalConfig.push('[General]');
+        Object.entries(this.config.general || {}).forEach(([key, value]) => {
+            finalConfig.push(`${key} = ${value}`);
+        });
+
+        finalConfig.push('\n[Proxy]');
+        finalConfig.push(...this.getProxies());
+
+        finalConfig.push('\n[Proxy Group]');
+        finalConfig.push(...(this.config['proxy-groups'] || []));
+
+        // Loon reads Surge rule lists as remote rules bound to a policy
+        finalConfig.push('\n[Remote Rule]');
+        const remoteTags = new Set();
+        const pushRemote = (url, tag, policy) => {
+            if (remoteTags.has(tag)) return;
+            remoteTags.add(tag);
+            finalConfig.push(`${url}, policy=${policy}, tag=${tag}, enabled=true`);
+        };
+        rules.filter(rule => rule.site_rules[0] !== '').forEach(rule => {
+            rule.site_rules.forEach(site => pushRemote(`${SURGE_SITE_RULE_SET_BASEURL}${site}.conf`, `geosite-${site}`, policyName(rule)));
+        });
+        rules.filter(rule => rule.ip_rules[0] !== '').forEach(rule => {
+            rule.ip_rules.forEach(ip => pushRemote(`${SURGE_IP_RULE_SET_BASEURL}${ip}.txt`, `geoip-${ip}`, policyName(rule)));
+        });
+
+        // Domain rules precede IP rules to avoid needless DNS lookups
+        finalConfig.push('\n[Rule]');
+        rules.filter(rule => Array.isArray(rule.src_ip_cidr) && rule.src_ip_cidr.length > 0).forEach(rule => {
+            rule.src_ip_cidr.forEach(cidr => finalConfig.push(`# SRC-IP-CIDR not supported by Loon, skipped: ${cidr}`));
+        });
+        rules.filter(rule => !!rule.domain_suffix).forEach(rule => {
+            rule.domain_suffix.forEach(suffix => finalConfig.push(`DOMAIN-SUFFIX,${suffix},${policyName(rule)}`));
+        });
+        rules.filter(rule => !!rule.domain_keyword).forEach(rule => {
+            rule.domain_keyword.forEach(keyword => finalConfig.push(`DOMAIN-KEYWORD,${keyword},${policyName(rule)}`));
+        });
+        rules.filter(rule => !!rule.ip_cidr).forEach(rule => {
+            rule.ip_cidr.forEach(cidr => finalConfig.push(`${cidr.includes(':') ? 'IP-CIDR6' : 'IP-CIDR'},${cidr},${policyName(rule)},no-resolve`));
+        });
+        finalConfig.push(`FINAL,${this.t('outboundNames.Fall Back')}`);
+
+        return finalConfig.join('\n');
+    }
+}
@@ -0,0 +1,424 @@
+import { BaseConfigBuilder } from './BaseConfigBuilder.js';
+import { QUANTUMULTX_CONFIG, SURGE_SITE_RULE_SET_BASEURL, SURGE_IP_RULE_SET_BASEURL, generateRules, DIRECT_DEFAULT_RULES } from '../config/index.js';
+import { addProxyWithDedup } from './helpers/proxyHelpers.js';
+import { buildSelectorMembers, buildNodeSelectMembers, buildCustomRuleMembers, uniqueNames } from './helpers/groupBuilder.js';
+
+/**
+ * Quantumult X spells the built-in policies in lower case
+ */
+const BUILTIN_POLICIES = { DIRECT: 'direct', REJECT: 'reject' };
+
+const LATENCY_TEST_OPTIONS = ', check-interval=300, tolerance=50';
+
+/**
+ * Map a vmess security setting to a Quantumult X method
+ * @param {string} security - Internal vmess security
+ * @returns {string}
+ */
+function toVmessMethod(security) {
+    if (!security || security === 'auto' || security === 'zero') return 'chacha20-poly1305';
+    return security;
+}
+
+export class QuantumultXConfigBuilder extends BaseConfigBuilder {
+    constructor(inputString, selectedRules, customRules, baseConfig, lang, userAgent, groupByCountry, includeAutoSelect = true, subscriptionCache = null) {
+        const resolvedBaseConfig = baseConfig ?? QUANTUMULTX_CONFIG;
+        super(inputString, resolvedBaseConfig, lang, userAgent, groupByCountry, includeAutoSelect, subscriptionCache);
+        this.selectedRules = selectedRules;
+        this.customRules = customRules;
+        this.countryGroupNames = [];
+        this.manualGroupName = null;
+    }
+
+    getProxies() {
+        return this.config.proxies || [];
+    }
+
+    /**
+     * Get only valid proxies (filter out comment lines for unsupported types)
+     * @returns {string[]}
+     */
+    getValidProxies() {
+        return this.getProxies().filter(proxy =>
+            typeof proxy === 'string' && !proxy.trimStart().startsWith('#')
+        );
+    }
+
+    getProxyList() {
+        return this.getValidProxies().map(proxy => this.getProxyName(proxy));
+    }
+
+    /**
+     * Server lines end with `tag=Name`; comment lines have no name
+     * @param {string} proxy - [server_local] line
+     * @returns {string}
+     */
+    getProxyName(proxy) {
+        const tagIndex = proxy.lastIndexOf(', tag=');
+        return tagIndex >= 0 ? proxy.slice(tagIndex + ', tag='.length).trim() : proxy;
+    }
+
+    /**
+     * Build the TLS/obfs options shared by vmess, vless and trojan lines
+     * @param {object} proxy - Internal proxy object
+     * @returns {string[]|null} - Option fragments, or null when Quantumult X has no equivalent transport
+     */
+    buildObfsOptions(proxy) {
+        const tlsEnabled = !!proxy.tls?.enabled;
+        const transport = proxy.transport;
+        const options = [];
+        switch (transport?.type) {
+            case undefined:
+                if (tlsEnabled) {
+                    options.push(proxy.type === 'trojan' ? 'over-tls=true' : 'obfs=over-tls');
+                    if (proxy.tls.server_name) {
+                        options.push(proxy.type === 'trojan' ? `tls-host=${proxy.tls.server_name}` : `obfs-host=${proxy.tls.server_name}`);
+                    }
+                }
+                break;
+            case 'ws': {
+                options.push(`obfs=${tlsEnabled ? 'wss' : 'ws'}`);
+                const host = transport.headers?.host ?? transport.headers?.Host ?? proxy.tls?.server_name;
+                if (host) options.push(`obfs-host=${Array.isArray(host) ? host[0] : host}`);
+                if (transport.path) options.push(`obfs-uri=${transport.path}`);
+                break;
+            }
+            case 'http': {
+                if (tlsEnabled) return null;
+                options.push('obfs=http');
+                const host = transport.headers?.host ?? transport.headers?.Host;
+                if (host) options.push(`obfs-host=${Array.isArray(host) ? host[0] : host}`);
+                const path = Array.isArray(transport.path) ? transport.path[0] : transport.path;
+                if (path) options.push(`obfs-uri=${path}`);
+                break;
+            }
+            default:
+                return null;
+        }
+        if (tlsEnabled) {
+            options.push(`tls-verification=${!proxy.tls.insecure}`);
+        }
+        return options;
+    }
+
+    convertProxy(proxy) {
+        if (proxy.detour) {
+            this.addWarning(`${proxy.tag} - Chained proxies are not supported by Quantumult X`);
+        }
+        if (proxy.multiplex?.enabled) {
+            this.addWarning(`${proxy.tag} - Multiplex is not supported by Quantumult X`);
+        }
+
+        const udpRelay = proxy.udp !== false;
+        const tail = [`fast-open=${!!proxy.tcp_fast_open}`, `udp-relay=${udpRelay}`, `tag=${proxy.tag}`];
+        let options;
+
+        switch (proxy.type) {
+            case 'shadowsocks': {
+                options = [`shadowsocks=${proxy.server}:${proxy.server_port}`, `method=${proxy.method}`, `password=${proxy.password}`];
+                if (proxy.plugin === 'obfs' || proxy.plugin === 'simple-obfs') {
+                    options.push(`obfs=${proxy.plugin_opts?.mode || 'http'}`);
+                    if (proxy.plugin_opts?.host) options.push(`obfs-host=${proxy.plugin_opts.host}`);
+                    if (proxy.plugin_opts?.path) options.push(`obfs-uri=${proxy.plugin_opts.path}`);
+                } else if (proxy.plugin === 'v2ray-plugin' && (proxy.plugin_opts?.mode || 'websocket') === 'websocket') {
+                    options.push(`obfs=${proxy.plugin_opts?.tls ? 'wss' : 'ws'}`);
+                    if (proxy.plugin_opts?.host) options.push(`obfs-host=${proxy.plugin_opts.host}`);
+                    if (proxy.plugin_opts?.path) options.push(`obfs-uri=${proxy.plugin_opts.path}`);
+                } else if (proxy.plugin) {
+                    return this.unsupported(proxy, `plugin ${proxy.plugin}`);
+                }
+                break;
+            }
+            case 'shadowsocksr':
+                options = [`shadowsocks=${proxy.server}:${proxy.server_port}`, `method=${proxy.method}`, `password=${proxy.password}`,
+                    `ssr-protocol=${proxy.protocol}`];
+                if (proxy.protocol_param) options.push(`ssr-protocol-param=${proxy.protocol_param}`);
+                options.push(`obfs=${proxy.obfs}`);
+                if (proxy.obfs_param) options.push(`obfs-host=${proxy.obfs_param}`);
+                break;
+            case 'vmess': {
+                const obfs = this.buildObfsOptions(proxy);
+                if (!obfs) return this.unsupported(proxy, `transport ${proxy.transport.type}`);
+                options = [`vmess=${proxy.server}:${proxy.server_port}`, `method=${toVmessMethod(proxy.security)}`, `password=${proxy.uuid}`,
+                    ...obfs, `aead=${!proxy.alter_id}`];
+                break;
+            }
+            case 'vless': {
+                const obfs = this.buildObfsOptions(proxy);
+                if (!obfs) return this.unsupported(proxy, `transport ${proxy.transport.type}`);
+                options = [`vless=${proxy.server}:${proxy.server_port}`, 'method=none', `password=${proxy.uuid}`, ...obfs];
+                if (proxy.tls?.reality?.enabled) {
+                    options.push(`reality-base64-pubkey=${proxy.tls.reality.public_key}`);
+                    if (proxy.tls.reality.short_id) options.push(`reality-hex-shortid=${proxy.tls.reality.short_id}`);
+                }
+                if (proxy.flow) options.push(`vless-flow=${proxy.flow}`);
+                break;
+            }
+            case 'trojan': {
+                if (proxy.tls?.reality?.enabled) return this.unsupported(proxy, 'TLS reality');
+                const obfs = this.buildObfsOptions({ ...proxy, tls: { ...proxy.tls, enabled: true } });
+                if (!obfs) return this.unsupported(proxy, `transport ${proxy.transport.type}`);
+                options = [`trojan=${proxy.server}:${proxy.server_port}`, `password=${proxy.password}`, ...obfs];
+                break;
+            }
+            case 'http':
+            case 'socks':
+                options = [`${proxy.type === 'socks' ? 'socks5' : 'http'}=${proxy.server}:${proxy.server_port}`];
+                if (proxy.username) options.push(`username=${proxy.username}`, `password=${proxy.password ?? ''}`);
+                if (proxy.tls?.enabled) {
+                    options.push('over-tls=true');
+                    if (proxy.tls.server_name) options.push(`tls-host=${proxy.tls.server_name}`);
+                    options.push(`tls-verification=${!proxy.tls.insecure}`);
+                }
+                break;
+            default:
+                return this.unsupported(proxy, `proxy type ${proxy.type}`);
+        }
+        return [...options, ...tail].join(', ');
+    }
+
+    /**
+     * Record an unsupported node and return the comment line kept in [server_local]
+     * @param {object} proxy - Internal proxy object
+     * @param {string} reason - What Quantumult X cannot express
+     * @returns {string}
+     */
+    unsupported(proxy, reason) {
+        this.addWarning(`${proxy.tag} - Unsupported ${reason} for Quantumult X`);
+        return `# ${proxy.tag} - Unsupported ${reason}`;
+    }
+
+    addProxyToConfig(proxy) {
+        this.config.proxies = this.config.proxies || [];
+        addProxyWithDedup(this.config.proxies, proxy, {
+            getName: (item) => this.getProxyName(item),
+            setName: (value, name) => {
+                const tagIndex = typeof value === 'string' ? value.lastIndexOf(', tag=') : -1;
+                return tagIndex >= 0 ? `${value.slice(0, tagIndex)}, tag=${name}` : value;
+            },
+            isSame: (existing, incoming) => {
+                if (typeof existing !== 'string' || typeof incoming !== 'string') return false;
+                const strip = (value) => value.slice(0, value.lastIndexOf(', tag='));
+                return strip(existing) === strip(incoming);
+            }
+        });
+    }
+
+    /**
+     * Get the policy name of a [policy] line (`type=Name, member, ...`)
+     * @param {string} group - Policy line
+     * @returns {string|undefined}
+     */
+    getGroupName(group) {
+        if (typeof group !== 'string') return undefined;
+        const equalsPos = group.indexOf('=');
+        if (equalsPos < 0) return undefined;
+        const rest = group.slice(equalsPos + 1);
+        const commaPos = rest.indexOf(',');
+        return (commaPos >= 0 ? rest.slice(0, commaPos) : rest).trim();
+    }
+
+    hasProxyGroup(name) {
+        const target = typeof name === 'string' ? name.trim() : name;
+        if (!target) return false;
+        return (this.config['proxy-groups'] || []).some(group => this.getGroupName(group) === target);
+    }
+
+    createProxyGroup(name, type, options = [], extraConfig = '') {
+        const members = uniqueNames(options).map(option => BUILTIN_POLICIES[option] || option);
+        return `${type}=${name}, ${members.join(', ')}${extraConfig}`;
+    }
+
+    buildAggregatedOptions(proxyList = []) {
+        return buildSelectorMembers({
+            proxyList,
+            translator: this.t,
+            groupByCountry: this.groupByCountry,
+            manualGroupName: this.manualGroupName,
+            countryGroupNames: this.countryGroupNames,
+            sourceGroups: this.sourceGroups,
+            includeAutoSelect: this.includeAutoSelect
+        });
+    }
+
+    addAutoSelectGroup(proxyList) {
+        if (!this.includeAutoSelect || proxyList.length === 0) return;
+        this.config['proxy-groups'] = this.config['proxy-groups'] || [];
+        const name = this.t('outboundNames.Auto Select');
+        if (this.hasProxyGroup(name)) return;
+        this.config['proxy-groups'].push(
+            this.createProxyGroup(name, 'url-latency-benchmark', proxyList, LATENCY_TEST_OPTIONS)
+        );
+    }
+
+    addNodeSelectGroup(proxyList) {
+        this.config['proxy-groups'] = this.config['proxy-groups'] || [];
+        const name = this.t('outboundNames.Node Select');
+        if (this.hasProxyGroup(name)) return;
+        const options = buildNodeSelectMembers({
+            proxyList,
+            translator: this.t,
+            groupByCountry: false,
+            manualGroupName: this.manualGroupName,
+            countryGroupNames: this.countryGroupNames,
+            sourceGroups: this.sourceGroups,
+            includeAutoSelect: this.includeAutoSelect && proxyList.length > 0
+        });
+        this.config['proxy-groups'].push(this.createProxyGroup(name, 'static', options));
+    }
+
+    addOutboundGroups(outbounds, proxyList) {
+        outbounds.forEach(outbound => {
+            if (outbound === this.t('outboundNames.Node Select')) return;
+            const name = this.t(`outboundNames.${outbound}`);
+            if (this.hasProxyGroup(name)) return;
+            let options = this.buildAggregatedOptions(proxyList);
+            // For rules that should default to DIRECT, move DIRECT to the front
+            if (DIRECT_DEFAULT_RULES.has(outbound)) {
+                options = ['DIRECT', ...options.filter(p => p !== 'DIRECT')];
+            }
+            this.config['proxy-groups'].push(this.createProxyGroup(name, 'static', options));
+        });
+    }
+
+    addCustomRuleGroups(proxyList) {
+        if (!Array.isArray(this.customRules)) return;
+        this.customRules.forEach(rule => {
+            if (this.hasProxyGroup(rule.name)) return;
+            const options = buildCustomRuleMembers({
+                proxyList,
+                translator: this.t,
+                manualGroupName: this.manualGroupName,
+                sourceGroups: this.sourceGroups,
+                includeAutoSelect: this.includeAutoSelect
+            });
+            this.config['proxy-groups'].push(this.createProxyGroup(rule.name, 'static', options));
+        });
+    }
+
+    addFallBackGroup(proxyList) {
+        const name = this.t('outboundNames.Fall Back');
+        if (this.hasProxyGroup(name)) return;
+        this.config['proxy-groups'].push(
+            this.createProxyGroup(name, 'static', this.buildAggregatedOptions(proxyList))
+        );
+    }
+
+    addSourceGroups(sourceGroups) {
+        sourceGroups.forEach(({ name, type, proxies }) => {
+            if (this.hasProxyGroup(name)) return;
+            this.config['proxy-groups'].push(type === 'url-test'
+                ? this.createProxyGroup(name, 'url-latency-benchmark', proxies, LATENCY_TEST_OPTIONS)
+                : this.createProxyGroup(name, 'static', proxies));
+        });
+    }
+
+    addCountryGroups() {
+        const proxies = this.getValidProxies();
+        const countryGroups = this.groupNodesByCountry(proxies);
+
+        const manualProxyNames = proxies.map(p => this.getProxyName(p)).filter(Boolean);
+        const manualGroupName = manualProxyNames.length > 0 ? this.t('outboundNames.Manual Switch') : null;
+        if (manualGroupName && !this.hasProxyGroup(manualGroupName)) {
+            this.config['proxy-groups'].push(this.createProxyGroup(manualGroupName, 'static', manualProxyNames));
+        }
+
+        const { groups, listedNames: countryGroupNames } = this.getCountryGroupLayout(countryGroups);
+        groups.forEach(({ name: groupName, type, members }) => {
+            if (!this.hasProxyGroup(groupName)) {
+                this.config['proxy-groups'].push(type === 'url-test'
+                    ? this.createProxyGroup(groupName, 'url-latency-benchmark', members, LATENCY_TEST_OPTIONS)
+                    : this.createProxyGroup(groupName, 'static', members));
+            }
+        });
+
+        const nodeSelectName = this.t('outboundNames.Node Select');
+        const nodeSelectIndex = this.config['proxy-groups'].findIndex(g => this.getGroupName(g) === nodeSelectName);
+        if (nodeSelectIndex > -1) {
+            const options = buildNodeSelectMembers({
+                proxyList: [],
+                translator: this.t,
+                groupByCountry: true,
+                manualGroupName,
+                countryGroupNames,
+                sourceGroups: this.sourceGroups,
+                includeAutoSelect: this.includeAutoSelect
+            });
+            this.config['proxy-groups'][nodeSelectIndex] = this.createProxyGroup(nodeSelectName, 'static', options);
+        }
+        this.countryGroupNames = countryGroupNames;
+        this.manualGroupName = manualGroupName;
+    }
+
+    /**
+     * Render a template section; arrays repeat the key and `true` renders a bare flag
+     * @param {string} name - Section name
+     * @param {object} values - Section entries
+     * @returns {string[]}
+     */
+    formatSection(name, values) {
+        const lines = [`[${name}]`];
+        Object.entries(values || {}).forEach(([key, value]) => {
+            if (Array.isArray(value)) {
+                value.forEach(entry => lines.push(`${key}=${entry}`));
+            } else if (value === true && name === 'dns') {
+                lines.push(key);
+            } else if (value !== false || name !== 'dns') {
+                lines.push(`${key}=${value}`);
+            }
+        });
+        return lines;
+    }
+
+    formatConfig() {
+        const rules = generateRules(this.selectedRules, this.customRules);
+        const policyName = (rule) => this.t('outboundNames.' + rule.outbound);
+        const finalConfig = [];
+
+        finalConfig.push(...this.formatSection('general', this.config.general));
+        finalConfig.push('', ...this.formatSection('dns', this.config.dns));
+
+        finalConfig.push('', '[policy]');
+        finalConfig.push(...(this.config['proxy-groups'] || []));
+
+        finalConfig.push('', '[server_remote]');
+
+        // Quantumult X reads Surge rule lists; force-policy routes every entry to the group
+        finalConfig.push('', '[filter_remote]');
+        const remoteTags = new Set();
+        const pushRemote = (url, tag, policy) => {
+            if (remoteTags.has(tag)) return;
+            remoteTags.add(tag);
+            finalConfig.push(`${url}, tag=${tag}, force-policy=${policy}, update-interval=86400, opt-parser=false, enabled=true`);
+        };
+        rules.filter(rule => rule.site_rules[0] !== '').forEach(rule => {
+            rule.site_rules.forEach(site => pushRemote(`${SURGE_SITE_RULE_SET_BASEURL}${site}.conf`, `geosite-${site}`, policyName(rule)));
+        });
+        rules.filter(rule => rule.ip_rules[0] !== '').forEach(rule => {
+            rule.ip_rules.forEach(ip => pushRemote(`${SURGE_IP_RULE_SET_BASEURL}${ip}.txt`, `geoip-${ip}`, policyName(rule)));
+        });
+
+        finalConfig.push('', '[rewrite_remote]');
+
+        finalConfig.push('', '[server_local]');
+        finalConfig.push(...this.getProxies());
+
+        // Domain rules precede IP rules to avoid needless DNS lookups
+        finalConfig.push('', '[filter_local]');
+        rules.filter(rule => Array.isArray(rule.src_ip_cidr) && rule.src_ip_cidr.length > 0).forEach(rule => {
+            rule.src_ip_cidr.forEach(cidr => finalConfig.push(`# SRC-IP-CIDR not supported by Quantumult X, skipped: ${cidr}`));
+        });
+        rules.filter(rule => !!rule.domain_suffix).forEach(rule => {
+            rule.domain_suffix.forEach(suffix => finalConfig.push(`host-suffix, ${suffix}, ${policyName(rule)}`));
+        });
+        rules.filter(rule => !!rule.domain_keyword).forEach(rule => {
+            rule.domain_keyword.forEach(keyword => finalConfig.push(`host-keyword, ${keyword}, ${policyName(rule)}`));
+        });
+        rules.filter(rule => !!rule.ip_cidr).forEach(rule => {
+            rule.ip_cidr.forEach(cidr => finalConfig.push(`${cidr.includes(':') ? 'ip6-cidr' : 'ip-cidr'}, ${cidr}, ${policyName(rule)}, no-resolve`));
+        });
+        finalConfig.push(`final, ${this.t('outboundNames.Fall Back')}`);
+
+        return finalConfig.join('\n');
+    }
+}
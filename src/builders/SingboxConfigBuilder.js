@@ -1,11 +1,96 @@
 
 import { SING_BOX_CONFIG, generateRuleSets, generateRules, getOutbounds, PREDEFINED_RULE_SETS, DIRECT_DEFAULT_RULES } from '../config/index.js';
 import { BaseConfigBuilder } from './BaseConfigBuilder.js';
-import { deepCopy, groupProxiesByCountry } from '../utils.js';
+import { deepCopy } from '../utils.js';
 import { addProxyWithDedup } from './helpers/proxyHelpers.js';
 import { buildSelectorMembers as buildSelectorMemberList, buildNodeSelectMembers, buildCustomRuleMembers, uniqueNames } from './helpers/groupBuilder.js';
 import { normalizeGroupName } from './helpers/groupNameUtils.js';
 
+/**
+ * Internal proxy types sing-box cannot express as an outbound
+ */
+const UNSUPPORTED_PROXY_TYPES = new Set(['shadowsocksr']);
+
+/**
+ * Outbound types that accept a sing-box `multiplex` block
+ */
+const MULTIPLEX_PROXY_TYPES = new Set(['shadowsocks', 'vmess', 'vless', 'trojan']);
+
+/**
+ * QUIC-based protocols; uTLS cannot shape their handshake
+ */
+const QUIC_PROXY_TYPES = new Set(['hysteria', 'hysteria2', 'tuic']);
+
+/**
+ * Map the internal tls object to its sing-box form
+ * @param {object} tls - Internal tls object
+ * @param {string} type - Proxy type
+ * @returns {object} - Sing-Box tls object
+ */
+function toSingboxTls(tls, type) {
+    const result = { ...tls };
+    if (result.reality) {
+        // spider_x and mldsa65_verify are Xray-only REALITY settings
+        const { spider_x: _spiderX, mldsa65_verify: _mldsa65Verify, ...reality } = result.reality;
+        result.reality = reality;
+        // sing-box refuses REALITY without a uTLS ClientHello
+        if (reality.enabled && !result.utls?.enabled) {
+            result.utls = { enabled: true, fingerprint: 'chrome' };
+        }
+    }
+    if (QUIC_PROXY_TYPES.has(type)) {
+        delete result.utls;
+    }
+    return result;
+}
+
+/**
+ * Map an internal transport to its sing-box form
+ * @param {object} transport - Internal transport object
+ * @returns {object|null} - Sing-Box transport, or null when sing-box has no equivalent
+ */
+function toSingboxTransport(transport) {
+    switch (transport.type) {
+        case 'h2': {
+            // sing-box calls the HTTP/2 transport "http"
+            const { type: _type, ...rest } = transport;
+            return { type: 'http', ...rest };
+        }
+        case 'xhttp':
+            return null;
+        default:
+            return transport;
+    }
+}
+
+/**
+ * Convert an internal WireGuard node (legacy outbound layout) to a sing-box 1.11+ endpoint
+ * @param {object} proxy - WireGuard node with server/server_port/peer_public_key
+ * @returns {object} - Sing-Box endpoint object
+ */
+function toWireguardEndpoint(proxy) {
+    const peer = {
+        address: proxy.server,
+        port: proxy.server_port,
+        public_key: proxy.peer_public_key,
+        allowed_ips: proxy.allowed_ips || ['0.0.0.0/0', '::/0']
+    };
+    if (proxy.pre_shared_key) peer.pre_shared_key = proxy.pre_shared_key;
+    if (proxy.persistent_keepalive_interval) peer.persistent_keepalive_interval = proxy.persistent_keepalive_interval;
+    if (Array.isArray(proxy.reserved)) peer.reserved = proxy.reserved;
+
+    const endpoint = {
+        type: 'wireguard',
+        tag: proxy.tag,
+        address: proxy.local_address,
+        private_key: proxy.private_key,
+        peers: [peer]
+    };
+    if (proxy.mtu) endpoint.mtu = proxy.mtu;
+    if (proxy.detour) endpoint.detour = proxy.detour;
+    return endpoint;
+}
+
 export class SingboxConfigBuilder extends BaseConfigBuilder {
     constructor(inputString, selectedRules, customRules, baseConfig, lang, userAgent, groupByCountry = false, enableClashUI = false, externalController, externalUiDownloadUrl, singboxVersion = '1.12', includeAutoSelect = true, subscriptionCache = null) {
         const resolvedBaseConfig = baseConfig ?? SING_BOX_CONFIG;
@@ -95,6 +180,12 @@ export class SingboxConfigBuilder extends BaseConfigBuilder {
     }
 
     convertProxy(proxy) {
+        // sing-box dropped ShadowsocksR; JSON has no comments, so warn instead of emitting the node
+        if (UNSUPPORTED_PROXY_TYPES.has(proxy.type)) {
+            this.addWarning(`${proxy.tag} - Unsupported proxy type for sing-box: ${proxy.type}`);
+            return null;
+        }
+
         // Create a shallow copy to avoid mutating the original
         const sanitized = { ...proxy };
 
@@ -116,10 +207,65 @@ export class SingboxConfigBuilder extends BaseConfigBuilder {
             delete sanitized.alpn;
         }
 
+        if (sanitized.tls && typeof sanitized.tls === 'object') {
+            sanitized.tls = toSingboxTls(sanitized.tls, sanitized.type);
+        }
+
         // Remove packet_encoding for now - it's version-specific in sing-box
         // xudp is default in newer versions
         delete sanitized.packet_encoding;
 
+        if (sanitized.transport) {
+            const transport = toSingboxTransport(sanitized.transport);
+            if (!transport) {
+                this.addWarning(`${sanitized.tag} - Unsupported transport for sing-box: ${sanitized.transport.type}`);
+                return null;
+            }
+            sanitized.transport = transport;
+        }
+
+        if (sanitized.multiplex && !MULTIPLEX_PROXY_TYPES.has(sanitized.type)) {
+            delete sanitized.multiplex;
+        }
+
+        // sing-box 'network' only accepts tcp/udp; Clash input stores the transport name there
+        if (sanitized.network && sanitized.network !== 'tcp' && sanitized.network !== 'udp') {
+            delete sanitized.network;
+        }
+
+        // Hysteria v1: sing-box only speaks the udp transport and takes port ranges as server_ports
+        if (sanitized.type === 'hysteria') {
+            if (sanitized.protocol && sanitized.protocol !== 'udp') {
+                this.addWarning(`${sanitized.tag} - Unsupported hysteria protocol for sing-box: ${sanitized.protocol}`);
+            }
+            if (sanitized.ports) {
+                sanitized.server_ports = String(sanitized.ports).split(',').map(range => range.trim().replace('-', ':'));
+            }
+            delete sanitized.protocol;
+            delete sanitized.ports;
+            delete sanitized.fast_open;
+        }
+
+        // sing-box's socks outbound has no TLS layer (Surge socks5-tls cannot be expressed)
+        if (sanitized.type === 'socks' && sanitized.tls) {
+            this.addWarning(`${sanitized.tag} - TLS is not supported for sing-box socks outbound`);
+            delete sanitized.tls;
+        }
+
+        // AnyTLS session options are stored with Clash keys (seconds); sing-box expects durations
+        if (sanitized.type === 'anytls') {
+            const toDuration = (value) => typeof value === 'number' ? `${value}s` : value;
+            const checkInterval = sanitized['idle-session-check-interval'];
+            const idleTimeout = sanitized['idle-session-timeout'];
+            const minIdle = sanitized['min-idle-session'];
+            delete sanitized['idle-session-check-interval'];
+            delete sanitized['idle-session-timeout'];
+            delete sanitized['min-idle-session'];
+            if (checkInterval !== undefined) sanitized.idle_session_check_interval = toDuration(checkInterval);
+            if (idleTimeout !== undefined) sanitized.idle_session_timeout = toDuration(idleTimeout);
+            if (minIdle !== undefined) sanitized.min_idle_session = minIdle;
+        }
+
         return sanitized;
     }
 
@@ -181,6 +327,7 @@ export class SingboxConfigBuilder extends BaseConfigBuilder {
             groupByCountry: this.groupByCountry,
             manualGroupName: this.manualGroupName,
             countryGroupNames: this.countryGroupNames,
+            sourceGroups: this.sourceGroups,
             includeAutoSelect
         });
 
@@ -206,6 +353,7 @@ export class SingboxConfigBuilder extends BaseConfigBuilder {
             groupByCountry: this.groupByCountry,
             manualGroupName: this.manualGroupName,
             countryGroupNames: this.countryGroupNames,
+            sourceGroups: this.sourceGroups,
             includeAutoSelect: this.includeAutoSelect && this.hasAutoSelectCandidates(proxyList)
         });
     }
@@ -239,6 +387,7 @@ export class SingboxConfigBuilder extends BaseConfigBuilder {
                     proxyList,
                     translator: this.t,
                     manualGroupName: this.manualGroupName,
+                    sourceGroups: this.sourceGroups,
                     includeAutoSelect
                 });
                 if (this.hasOutboundTag(rule.name)) return;
@@ -261,11 +410,27 @@ export class SingboxConfigBuilder extends BaseConfigBuilder {
         });
     }
 
+    addSourceGroups(sourceGroups) {
+        const providers = this.getAutoProviderDescriptors(this.getExistingProviderTags());
+        sourceGroups.forEach(({ name, type, proxies, providerUrl }) => {
+            if (this.hasOutboundTag(name)) return;
+            const group = {
+                type: type === 'url-test' ? 'urltest' : 'selector',
+                tag: name,
+                outbounds: proxies
+            };
+            // Subscriptions kept as outbound_providers contribute their nodes through 'providers'
+            const provider = providerUrl && providers.find(descriptor => descriptor.url === providerUrl);
+            if (provider) {
+                group.providers = [provider.name];
+            }
+            this.config.outbounds.push(group);
+        });
+    }
+
     addCountryGroups() {
         const proxies = this.getProxies();
-        const countryGroups = groupProxiesByCountry(proxies, {
-            getName: proxy => this.getProxyName(proxy)
-        });
+        const countryGroups = this.groupNodesByCountry(proxies);
 
         const existingTags = new Set((this.config.outbounds || []).map(o => normalizeGroupName(o?.tag)).filter(Boolean));
 
@@ -283,26 +448,19 @@ export class SingboxConfigBuilder extends BaseConfigBuilder {
             }
         }
 
-        const countries = Object.keys(countryGroups).sort((a, b) => a.localeCompare(b));
-        const countryGroupNames = [];
+        const { groups, listedNames: countryGroupNames } = this.getCountryGroupLayout(countryGroups);
         const includeAutoSelect = this.includeAutoSelect && this.hasAutoSelectCandidates();
 
-        countries.forEach(country => {
-            const { emoji, name, proxies: countryProxies } = countryGroups[country];
-            if (!countryProxies || countryProxies.length === 0) {
-                return;
-            }
-            const groupName = `${emoji} ${name}`;
+        groups.forEach(({ name: groupName, type, members }) => {
             const norm = normalizeGroupName(groupName);
             if (!existingTags.has(norm)) {
                 this.config.outbounds.push({
                     tag: groupName,
-                    type: 'urltest',
-                    outbounds: countryProxies
+                    type: type === 'url-test' ? 'urltest' : 'selector',
+                    outbounds: members
                 });
                 existingTags.add(norm);
             }
-            countryGroupNames.push(groupName);
         });
 
         const nodeSelectTag = this.t('outboundNames.Node Select');
@@ -314,6 +472,7 @@ export class SingboxConfigBuilder extends BaseConfigBuilder {
                 groupByCountry: true,
                 manualGroupName,
                 countryGroupNames,
+                sourceGroups: this.sourceGroups,
                 includeAutoSelect
             });
             nodeSelectGroup.outbounds = rebuilt;
@@ -448,6 +607,20 @@ export class SingboxConfigBuilder extends BaseConfigBuilder {
         }
     }
 
+    /**
+     * WireGuard became an endpoint in sing-box 1.11 and the outbound form is deprecated.
+     * Nodes stay in outbounds while groups are built, then move to endpoints here;
+     * selectors reference endpoints by tag just like outbounds.
+     */
+    moveWireguardToEndpoints() {
+        const outbounds = this.config.outbounds || [];
+        const wireguard = outbounds.filter(o => o?.type === 'wireguard' && o.server != undefined);
+        if (wireguard.length === 0) return;
+        this.config.outbounds = outbounds.filter(o => !wireguard.includes(o));
+        const existing = Array.isArray(this.config.endpoints) ? this.config.endpoints : [];
+        this.config.endpoints = [...existing, ...wireguard.map(toWireguardEndpoint)];
+    }
+
     formatConfig() {
         const rules = generateRules(this.selectedRules, this.customRules);
         const { site_rule_sets, ip_rule_sets } = generateRuleSets(this.selectedRules, this.customRules);
@@ -463,6 +636,7 @@ export class SingboxConfigBuilder extends BaseConfigBuilder {
 
         // Validate outbounds: fill empty urltest groups with all proxies
         this.validateOutbounds();
+        this.moveWireguardToEndpoints();
 
         const attachProtocolIfNeeded = (entry, rule) => {
             if (Array.isArray(rule?.protocol) && rule.protocol.length > 0) {
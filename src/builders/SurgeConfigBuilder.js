@@ -1,9 +1,13 @@
 import { BaseConfigBuilder } from './BaseConfigBuilder.js';
-import { groupProxiesByCountry } from '../utils.js';
 import { SURGE_CONFIG, SURGE_SITE_RULE_SET_BASEURL, SURGE_IP_RULE_SET_BASEURL, generateRules, getOutbounds, PREDEFINED_RULE_SETS, DIRECT_DEFAULT_RULES } from '../config/index.js';
 import { addProxyWithDedup } from './helpers/proxyHelpers.js';
 import { buildSelectorMembers, buildNodeSelectMembers, buildCustomRuleMembers, uniqueNames } from './helpers/groupBuilder.js';
 
+/**
+ * Transports Surge accepts on vmess/trojan policies
+ */
+const SURGE_SUPPORTED_TRANSPORTS = new Set(['ws', 'grpc']);
+
 export class SurgeConfigBuilder extends BaseConfigBuilder {
     constructor(inputString, selectedRules, customRules, baseConfig, lang, userAgent, groupByCountry, includeAutoSelect = true, subscriptionCache = null) {
         const resolvedBaseConfig = baseConfig ?? SURGE_CONFIG;
@@ -13,6 +17,7 @@ export class SurgeConfigBuilder extends BaseConfigBuilder {
         this.subscriptionUrl = null;
         this.countryGroupNames = [];
         this.manualGroupName = null;
+        this.wireguardSections = new Map();
     }
 
     setSubscriptionUrl(url) {
@@ -47,6 +52,28 @@ export class SurgeConfigBuilder extends BaseConfigBuilder {
     }
 
     convertProxy(proxy) {
+        // Chained nodes dial through their hop with underlying-proxy
+        if (proxy.detour) {
+            const { detour, ...rest } = proxy;
+            const converted = this.convertProxy(rest);
+            return converted.startsWith('#') ? converted : `${converted}, underlying-proxy=${detour}`;
+        }
+        const transportType = proxy.transport?.type;
+        if ((proxy.type === 'vmess' || proxy.type === 'trojan') && transportType && !SURGE_SUPPORTED_TRANSPORTS.has(transportType)) {
+            this.addWarning(`${proxy.tag} - Unsupported transport for Surge: ${transportType}`);
+            return `# ${proxy.tag} - Unsupported transport: ${transportType}`;
+        }
+        // Surge has no REALITY client; a plain TLS handshake would never reach the real server
+        if ((proxy.type === 'vmess' || proxy.type === 'trojan') && proxy.tls?.reality?.enabled) {
+            this.addWarning(`${proxy.tag} - REALITY is not supported by Surge`);
+            return `# ${proxy.tag} - Unsupported TLS: reality`;
+        }
+
+        // Surge has no stream multiplexing; the node is kept and dials without it
+        if (proxy.multiplex?.enabled) {
+            this.addWarning(`${proxy.tag} - Multiplex is not supported by Surge`);
+        }
+
         let surgeProxy;
         switch (proxy.type) {
             case 'shadowsocks':
@@ -128,12 +155,88 @@ export class SurgeConfigBuilder extends BaseConfigBuilder {
                     surgeProxy += `, udp-relay-mode=${proxy.udp_relay_mode}`;
                 }
                 break;
+            case 'anytls':
+                surgeProxy = `${proxy.tag} = anytls, ${proxy.server}, ${proxy.server_port}, password=${proxy.password}`;
+                if (proxy.tls?.server_name) {
+                    surgeProxy += `, sni=${proxy.tls.server_name}`;
+                }
+                if (proxy.tls?.insecure) {
+                    surgeProxy += ', skip-cert-verify=true';
+                }
+                break;
+            case 'socks':
+            case 'http': {
+                const surgeType = proxy.type === 'socks'
+                    ? (proxy.tls?.enabled ? 'socks5-tls' : 'socks5')
+                    : (proxy.tls?.enabled ? 'https' : 'http');
+                surgeProxy = `${proxy.tag} = ${surgeType}, ${proxy.server}, ${proxy.server_port}`;
+                if (proxy.username) {
+                    surgeProxy += `, ${proxy.username}, ${proxy.password ?? ''}`;
+                }
+                if (proxy.tls?.enabled) {
+                    if (proxy.tls.server_name) {
+                        surgeProxy += `, sni=${proxy.tls.server_name}`;
+                    }
+                    if (proxy.tls.insecure) {
+                        surgeProxy += ', skip-cert-verify=true';
+                    }
+                }
+                break;
+            }
+            case 'wireguard':
+                surgeProxy = `${proxy.tag} = wireguard, section-name=${this.addWireguardSection(proxy)}`;
+                break;
             default:
+                this.addWarning(`${proxy.tag} - Unsupported proxy type for Surge: ${proxy.type}`);
                 surgeProxy = `# ${proxy.tag} - Unsupported proxy type: ${proxy.type}`;
         }
         return surgeProxy;
     }
 
+    /**
+     * Register the [WireGuard ...] section backing a wireguard policy
+     * Identical nodes share a section; different nodes with the same tag get a numbered one
+     * @param {object} proxy - Internal WireGuard node
+     * @returns {string} - Section name to reference via section-name
+     */
+    addWireguardSection(proxy) {
+        const lines = [`private-key = ${proxy.private_key}`];
+        (proxy.local_address || []).forEach(address => {
+            const ip = address.split('/')[0];
+            lines.push(ip.includes(':') ? `self-ip-v6 = ${ip}` : `self-ip = ${ip}`);
+        });
+        if (proxy.mtu) {
+            lines.push(`mtu = ${proxy.mtu}`);
+        }
+
+        const host = proxy.server?.includes(':') ? `[${proxy.server}]` : proxy.server;
+        const peer = [
+            `public-key = ${proxy.peer_public_key}`,
+            `allowed-ips = "${(proxy.allowed_ips || ['0.0.0.0/0', '::/0']).join(', ')}"`,
+            `endpoint = ${host}:${proxy.server_port}`
+        ];
+        if (proxy.persistent_keepalive_interval) {
+            peer.push(`keepalive = ${proxy.persistent_keepalive_interval}`);
+        }
+        if (proxy.pre_shared_key) {
+            peer.push(`preshared-key = ${proxy.pre_shared_key}`);
+        }
+        if (Array.isArray(proxy.reserved)) {
+            peer.push(`client-id = ${proxy.reserved.join('/')}`);
+        }
+        lines.push(`peer = (${peer.join(', ')})`);
+
+        const baseName = String(proxy.tag).replace(/[\[\],=]/g, '').trim() || 'WireGuard';
+        let name = baseName;
+        let suffix = 2;
+        while (this.wireguardSections.has(name) && this.wireguardSections.get(name).join('\n') !== lines.join('\n')) {
+            name = `${baseName} ${suffix}`;
+            suffix += 1;
+        }
+        this.wireguardSections.set(name, lines);
+        return name;
+    }
+
     addProxyToConfig(proxy) {
         this.config.proxies = this.config.proxies || [];
         addProxyWithDedup(this.config.proxies, proxy, {
@@ -236,6 +339,7 @@ export class SurgeConfigBuilder extends BaseConfigBuilder {
             groupByCountry: false,
             manualGroupName: this.manualGroupName,
             countryGroupNames: this.countryGroupNames,
+            sourceGroups: this.sourceGroups,
             includeAutoSelect: this.includeAutoSelect
         });
     }
@@ -247,6 +351,7 @@ export class SurgeConfigBuilder extends BaseConfigBuilder {
             groupByCountry: this.groupByCountry,
             manualGroupName: this.manualGroupName,
             countryGroupNames: this.countryGroupNames,
+            sourceGroups: this.sourceGroups,
             includeAutoSelect: this.includeAutoSelect
         });
     }
@@ -301,6 +406,7 @@ export class SurgeConfigBuilder extends BaseConfigBuilder {
                     proxyList,
                     translator: this.t,
                     manualGroupName: this.manualGroupName,
+                    sourceGroups: this.sourceGroups,
                     includeAutoSelect: this.includeAutoSelect
                 });
                 this.config['proxy-groups'].push(
@@ -318,11 +424,18 @@ export class SurgeConfigBuilder extends BaseConfigBuilder {
         );
     }
 
+    addSourceGroups(sourceGroups) {
+        sourceGroups.forEach(({ name, type, proxies }) => {
+            if (this.hasProxyGroup(name)) return;
+            this.config['proxy-groups'].push(type === 'url-test'
+                ? this.createProxyGroup(name, 'url-test', proxies, ', url=http://www.gstatic.com/generate_204, interval=300')
+                : this.createProxyGroup(name, 'select', proxies));
+        });
+    }
+
     addCountryGroups() {
         const proxies = this.getValidProxies();
-        const countryGroups = groupProxiesByCountry(proxies, {
-            getName: proxy => this.getProxyName(proxy)
-        });
+        const countryGroups = this.groupNodesByCountry(proxies);
 
         const existing = new Set((this.config['proxy-groups'] || [])
             .map(g => this.getGroupName(g)?.trim())
@@ -340,17 +453,13 @@ export class SurgeConfigBuilder extends BaseConfigBuilder {
             }
         }
 
-        const countryGroupNames = [];
-        const countries = Object.keys(countryGroups).sort((a, b) => a.localeCompare(b));
+        const { groups, listedNames: countryGroupNames } = this.getCountryGroupLayout(countryGroups);
 
-        countries.forEach(country => {
-            const { emoji, name, proxies } = countryGroups[country];
-            const groupName = `${emoji} ${name}`;
-            countryGroupNames.push(groupName);
+        groups.forEach(({ name: groupName, type, members }) => {
             if (!existing.has(groupName.trim())) {
-                this.config['proxy-groups'].push(
-                    this.createProxyGroup(groupName, 'url-test', proxies, ', url=https://www.gstatic.com/generate_204, interval=300')
-                );
+                this.config['proxy-groups'].push(type === 'url-test'
+                    ? this.createProxyGroup(groupName, 'url-test', members, ', url=https://www.gstatic.com/generate_204, interval=300')
+                    : this.createProxyGroup(groupName, 'select', members));
                 existing.add(groupName.trim());
             }
         });
@@ -363,6 +472,7 @@ export class SurgeConfigBuilder extends BaseConfigBuilder {
                 groupByCountry: true,
                 manualGroupName,
                 countryGroupNames,
+                sourceGroups: this.sourceGroups,
                 includeAutoSelect: this.includeAutoSelect
             });
             const newGroup = this.createProxyGroup(this.t('outboundNames.Node Select'), 'select', newOptions);
@@ -415,6 +525,16 @@ export class SurgeConfigBuilder extends BaseConfigBuilder {
             finalConfig.push(...groupStrings);
         }
 
+        // Section names never contain commas, so options appended later (e.g. underlying-proxy) are not captured
+        const referencedSections = new Set(this.getValidProxies()
+            .map(proxy => proxy.match(/=\s*wireguard\s*,.*section-name=([^,]+)/)?.[1]?.trim())
+            .filter(Boolean));
+        this.wireguardSections.forEach((lines, name) => {
+            if (!referencedSections.has(name)) return;
+            finalConfig.push(`\n[WireGuard ${name}]`);
+            finalConfig.push(...lines);
+        });
+
         finalConfig.push('\n[Rule]');
 
         // Rule-Set & Domain Rules & IP Rules:  To reduce DNS leaks and unnecessary DNS queries,
@@ -0,0 +1,490 @@
+import { BaseConfigBuilder } from './BaseConfigBuilder.js';
+import { echConfigToBase64 } from '../utils.js';
+import { XRAY_CONFIG, generateRules, DIRECT_DEFAULT_RULES } from '../config/index.js';
+import { addProxyWithDedup } from './helpers/proxyHelpers.js';
+import { buildSelectorMembers, buildNodeSelectMembers, buildCustomRuleMembers, uniqueNames } from './helpers/groupBuilder.js';
+
+const DIRECT_TAG = 'direct';
+const BLOCK_TAG = 'block';
+const BUILTIN_OUTBOUNDS = { DIRECT: DIRECT_TAG, REJECT: BLOCK_TAG };
+
+/**
+ * Transports Xray-core can dial; h2 and quic were removed upstream
+ */
+const XRAY_SUPPORTED_TRANSPORTS = new Set(['ws', 'grpc', 'httpupgrade', 'xhttp', 'http']);
+
+const PROBE_URL = 'https://www.gstatic.com/generate_204';
+
+/**
+ * First value of a header that may be a string or a list
+ * @param {string|string[]|undefined} value
+ * @returns {string|undefined}
+ */
+function firstValue(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Outbound tags that balancer selectors can tell apart
+ * Xray matches selectors by tag prefix, so "HK 1" would also pick "HK 10". When any node tag is a prefix of
+ * another (or of a built-in outbound), every node tag gets a fixed-width index so none can prefix another.
+ * @param {string[]} tags - Node outbound tags
+ * @returns {Map<string, string>} - Renamed tags; empty when the tags are already prefix-free
+ */
+function prefixFreeTags(tags) {
+    const sorted = [...tags, DIRECT_TAG, BLOCK_TAG].sort();
+    const ambiguous = sorted.some((tag, index) => index + 1 < sorted.length && sorted[index + 1].startsWith(tag));
+    if (!ambiguous) return new Map();
+    const width = String(tags.length).length;
+    return new Map(tags.map((tag, index) => [tag, `${String(index + 1).padStart(width, '0')} ${tag}`]));
+}
+
+/**
+ * Apply renamed tags to an outbound and the chain it dials through
+ * @param {object} outbound - Xray outbound
+ * @param {(tag: string) => string} toXrayTag
+ * @returns {object}
+ */
+function renameOutbound(outbound, toXrayTag) {
+    const renamed = { ...outbound, tag: toXrayTag(outbound.tag) };
+    const dialerProxy = outbound.streamSettings?.sockopt?.dialerProxy;
+    if (dialerProxy) {
+        renamed.streamSettings = {
+            ...outbound.streamSettings,
+            sockopt: { ...outbound.streamSettings.sockopt, dialerProxy: toXrayTag(dialerProxy) }
+        };
+    }
+    return renamed;
+}
+
+/**
+ * Build Xray streamSettings from the internal transport and TLS objects
+ * @param {object} proxy - Internal proxy object
+ * @returns {object}
+ */
+function buildStreamSettings(proxy) {
+    const transport = proxy.transport;
+    const stream = { network: 'tcp' };
+
+    switch (transport?.type) {
+        case 'ws': {
+            let path = transport.path || '/';
+            if (transport.max_early_data) {
+                path += `${path.includes('?') ? '&' : '?'}ed=${transport.max_early_data}`;
+            }
+            const host = firstValue(transport.headers?.host ?? transport.headers?.Host);
+            stream.network = 'ws';
+            stream.wsSettings = { path, ...(host && { host }) };
+            break;
+        }
+        case 'grpc':
+            stream.network = 'grpc';
+            stream.grpcSettings = { serviceName: transport.service_name || '' };
+            break;
+        case 'httpupgrade':
+            stream.network = 'httpupgrade';
+            stream.httpupgradeSettings = { path: transport.path || '/', ...(transport.host && { host: transport.host }) };
+            break;
+        case 'xhttp':
+            stream.network = 'xhttp';
+            stream.xhttpSettings = {
+                path: transport.path || '/',
+                ...(transport.host && { host: transport.host }),
+                ...(transport.mode && { mode: transport.mode }),
+                ...(transport.extra && { extra: transport.extra })
+            };
+            break;
+        case 'http': {
+            // HTTP/1.1 disguise on plain TCP
+            const host = transport.headers?.host ?? transport.headers?.Host;
+            stream.tcpSettings = {
+                header: {
+                    type: 'http',
+                    request: {
+                        path: Array.isArray(transport.path) ? transport.path : [transport.path || '/'],
+                        ...(host && { headers: { Host: Array.isArray(host) ? host : [host] } })
+                    }
+                }
+            };
+            break;
+        }
+        default:
+            break;
+    }
+
+    const tls = proxy.tls;
+    if (tls?.reality?.enabled) {
+        stream.security = 'reality';
+        stream.realitySettings = {
+            serverName: tls.server_name,
+            fingerprint: tls.utls?.fingerprint || 'chrome',
+            publicKey: tls.reality.public_key,
+            shortId: tls.reality.short_id || '',
+            ...(tls.reality.spider_x && { spiderX: tls.reality.spider_x }),
+            ...(tls.reality.mldsa65_verify && { mldsa65Verify: tls.reality.mldsa65_verify })
+        };
+    } else if (tls?.enabled) {
+        const echConfigList = echConfigToBase64(tls.ech?.config);
+        stream.security = 'tls';
+        stream.tlsSettings = {
+            ...(tls.server_name && { serverName: tls.server_name }),
+            allowInsecure: !!tls.insecure,
+            ...(tls.alpn && { alpn: tls.alpn }),
+            ...(tls.utls?.fingerprint && { fingerprint: tls.utls.fingerprint }),
+            ...(tls.min_version && { minVersion: tls.min_version }),
+            ...(tls.max_version && { maxVersion: tls.max_version }),
+            ...(echConfigList && { echConfigList })
+        };
+    }
+
+    if (proxy.detour) {
+        stream.sockopt = { dialerProxy: proxy.detour };
+    }
+    return stream;
+}
+
+export class XrayConfigBuilder extends BaseConfigBuilder {
+    constructor(inputString, selectedRules, customRules, baseConfig, lang, userAgent, groupByCountry, includeAutoSelect = true, subscriptionCache = null) {
+        const resolvedBaseConfig = baseConfig ?? XRAY_CONFIG;
+        super(inputString, resolvedBaseConfig, lang, userAgent, groupByCountry, includeAutoSelect, subscriptionCache);
+        this.selectedRules = selectedRules;
+        this.customRules = customRules;
+        this.countryGroupNames = [];
+        this.manualGroupName = null;
+        // Xray has no selector outbounds; groups are kept here and resolved to routing targets
+        this.groups = [];
+    }
+
+    getProxies() {
+        return (this.config.outbounds || []).filter(outbound =>
+            outbound?.protocol !== 'freedom' && outbound?.protocol !== 'blackhole' && outbound?.protocol !== 'dns'
+        );
+    }
+
+    getProxyName(proxy) {
+        return proxy.tag;
+    }
+
+    convertProxy(proxy) {
+        const transportType = proxy.transport?.type;
+        if (transportType && !XRAY_SUPPORTED_TRANSPORTS.has(transportType)) {
+            this.addWarning(`${proxy.tag} - Unsupported transport for Xray: ${transportType}`);
+            return null;
+        }
+        // Xray mux is its own protocol and cannot talk to smux/yamux/h2mux servers
+        if (proxy.multiplex?.enabled) {
+            this.addWarning(`${proxy.tag} - Multiplex is not supported by Xray`);
+        }
+
+        switch (proxy.type) {
+            case 'shadowsocks':
+                if (proxy.plugin) {
+                    this.addWarning(`${proxy.tag} - Unsupported plugin for Xray: ${proxy.plugin}`);
+                    return null;
+                }
+                return {
+                    tag: proxy.tag,
+                    protocol: 'shadowsocks',
+                    settings: {
+                        servers: [{ address: proxy.server, port: proxy.server_port, method: proxy.method, password: proxy.password }]
+                    },
+                    streamSettings: buildStreamSettings(proxy)
+                };
+            case 'vmess':
+                return {
+                    tag: proxy.tag,
+                    protocol: 'vmess',
+                    settings: {
+                        vnext: [{
+                            address: proxy.server,
+                            port: proxy.server_port,
+                            users: [{ id: proxy.uuid, alterId: proxy.alter_id || 0, security: proxy.security || 'auto' }]
+                        }]
+                    },
+                    streamSettings: buildStreamSettings(proxy)
+                };
+            case 'vless':
+                return {
+                    tag: proxy.tag,
+                    protocol: 'vless',
+                    settings: {
+                        vnext: [{
+                            address: proxy.server,
+                            port: proxy.server_port,
+                            users: [{ id: proxy.uuid, encryption: 'none', ...(proxy.flow && { flow: proxy.flow }) }]
+                        }]
+                    },
+                    streamSettings: buildStreamSettings(proxy)
+                };
+            case 'trojan':
+                return {
+                    tag: proxy.tag,
+                    protocol: 'trojan',
+                    settings: {
+                        servers: [{ address: proxy.server, port: proxy.server_port, password: proxy.password }]
+                    },
+                    streamSettings: buildStreamSettings({ ...proxy, tls: { ...proxy.tls, enabled: true } })
+                };
+            case 'socks':
+            case 'http': {
+                const users = proxy.username ? [{ user: proxy.username, pass: proxy.password ?? '' }] : undefined;
+                return {
+                    tag: proxy.tag,
+                    protocol: proxy.type,
+                    settings: {
+                        servers: [{ address: proxy.server, port: proxy.server_port, ...(users && { users }) }]
+                    },
+                    streamSettings: buildStreamSettings(proxy)
+                };
+            }
+            case 'wireguard': {
+                const host = proxy.server?.includes(':') ? `[${proxy.server}]` : proxy.server;
+                return {
+                    tag: proxy.tag,
+                    protocol: 'wireguard',
+                    settings: {
+                        secretKey: proxy.private_key,
+                        address: proxy.local_address,
+                        peers: [{
+                            publicKey: proxy.peer_public_key,
+                            ...(proxy.pre_shared_key && { preSharedKey: proxy.pre_shared_key }),
+                            endpoint: `${host}:${proxy.server_port}`,
+                            allowedIPs: proxy.allowed_ips || ['0.0.0.0/0', '::/0'],
+                            ...(proxy.persistent_keepalive_interval && { keepAlive: proxy.persistent_keepalive_interval })
+                        }],
+                        ...(Array.isArray(proxy.reserved) && { reserved: proxy.reserved }),
+                        ...(proxy.mtu && { mtu: proxy.mtu })
+                    },
+                    ...(proxy.detour && { streamSettings: { sockopt: { dialerProxy: proxy.detour } } })
+                };
+            }
+            default:
+                this.addWarning(`${proxy.tag} - Unsupported proxy type for Xray: ${proxy.type}`);
+                return null;
+        }
+    }
+
+    addProxyToConfig(proxy) {
+        this.config.outbounds = this.config.outbounds || [];
+        addProxyWithDedup(this.config.outbounds, proxy, {
+            getName: (item) => item.tag,
+            setName: (item, name) => ({ ...item, tag: name }),
+            isSame: (existing, incoming) => {
+                const { tag: _existingTag, ...existingRest } = existing;
+                const { tag: _incomingTag, ...incomingRest } = incoming;
+                return JSON.stringify(existingRest) === JSON.stringify(incomingRest);
+            }
+        });
+    }
+
+    hasProxyGroup(name) {
+        return this.groups.some(group => group.tag === name);
+    }
+
+    /**
+     * Record a policy group
+     * @param {string} tag - Group name
+     * @param {'select'|'url-test'} type - select resolves to its first member, url-test becomes a balancer
+     * @param {string[]} members - Node, group, DIRECT or REJECT names
+     */
+    addGroup(tag, type, members) {
+        if (this.hasProxyGroup(tag)) return;
+        this.groups.push({ tag, type, members: uniqueNames(members) });
+    }
+
+    buildAggregatedOptions(proxyList = []) {
+        return buildSelectorMembers({
+            proxyList,
+            translator: this.t,
+            groupByCountry: this.groupByCountry,
+            manualGroupName: this.manualGroupName,
+            countryGroupNames: this.countryGroupNames,
+            sourceGroups: this.sourceGroups,
+            includeAutoSelect: this.includeAutoSelect
+        });
+    }
+
+    addAutoSelectGroup(proxyList) {
+        if (!this.includeAutoSelect || proxyList.length === 0) return;
+        this.addGroup(this.t('outboundNames.Auto Select'), 'url-test', proxyList);
+    }
+
+    addNodeSelectGroup(proxyList) {
+        this.addGroup(this.t('outboundNames.Node Select'), 'select', buildNodeSelectMembers({
+            proxyList,
+            translator: this.t,
+            groupByCountry: false,
+            manualGroupName: this.manualGroupName,
+            countryGroupNames: this.countryGroupNames,
+            sourceGroups: this.sourceGroups,
+            includeAutoSelect: this.includeAutoSelect && proxyList.length > 0
+        }));
+    }
+
+    addOutboundGroups(outbounds, proxyList) {
+        outbounds.forEach(outbound => {
+            if (outbound === this.t('outboundNames.Node Select')) return;
+            let options = this.buildAggregatedOptions(proxyList);
+            // For rules that should default to DIRECT, move DIRECT to the front
+            if (DIRECT_DEFAULT_RULES.has(outbound)) {
+                options = ['DIRECT', ...options.filter(p => p !== 'DIRECT')];
+            }
+            this.addGroup(this.t(`outboundNames.${outbound}`), 'select', options);
+        });
+    }
+
+    addCustomRuleGroups(proxyList) {
+        if (!Array.isArray(this.customRules)) return;
+        this.customRules.forEach(rule => {
+            this.addGroup(rule.name, 'select', buildCustomRuleMembers({
+                proxyList,
+                translator: this.t,
+                manualGroupName: this.manualGroupName,
+                sourceGroups: this.sourceGroups,
+                includeAutoSelect: this.includeAutoSelect
+            }));
+        });
+    }
+
+    addFallBackGroup(proxyList) {
+        this.addGroup(this.t('outboundNames.Fall Back'), 'select', this.buildAggregatedOptions(proxyList));
+    }
+
+    addSourceGroups(sourceGroups) {
+        sourceGroups.forEach(({ name, type, proxies }) => this.addGroup(name, type, proxies));
+    }
+
+    addCountryGroups() {
+        const proxies = this.getProxies();
+        const countryGroups = this.groupNodesByCountry(proxies);
+
+        const manualProxyNames = proxies.map(p => this.getProxyName(p)).filter(Boolean);
+        const manualGroupName = manualProxyNames.length > 0 ? this.t('outboundNames.Manual Switch') : null;
+        if (manualGroupName) {
+            this.addGroup(manualGroupName, 'select', manualProxyNames);
+        }
+
+        const { groups, listedNames: countryGroupNames } = this.getCountryGroupLayout(countryGroups);
+        groups.forEach(({ name: groupName, type, members }) => this.addGroup(groupName, type, members));
+
+        const nodeSelect = this.groups.find(group => group.tag === this.t('outboundNames.Node Select'));
+        if (nodeSelect) {
+            nodeSelect.members = uniqueNames(buildNodeSelectMembers({
+                proxyList: [],
+                translator: this.t,
+                groupByCountry: true,
+                manualGroupName,
+                countryGroupNames,
+                sourceGroups: this.sourceGroups,
+                includeAutoSelect: this.includeAutoSelect
+            }));
+        }
+        this.countryGroupNames = countryGroupNames;
+        this.manualGroupName = manualGroupName;
+    }
+
+    /**
+     * Resolve a policy name to the routing target Xray uses by default
+     * Select groups follow their first member; url-test groups are balancers.
+     * @param {string} name - Node, group, DIRECT or REJECT
+     * @param {Set<string>} [seen] - Groups already visited
+     * @returns {{outboundTag: string}|{balancerTag: string}}
+     */
+    resolveTarget(name, seen = new Set()) {
+        if (BUILTIN_OUTBOUNDS[name]) return { outboundTag: BUILTIN_OUTBOUNDS[name] };
+        const group = this.groups.find(candidate => candidate.tag === name);
+        if (!group) return { outboundTag: name };
+        if (group.type === 'url-test') return { balancerTag: group.tag };
+        if (seen.has(name) || group.members.length === 0) return { outboundTag: DIRECT_TAG };
+        seen.add(name);
+        return this.resolveTarget(group.members[0], seen);
+    }
+
+    /**
+     * Tags of the nodes a balancer may pick from
+     * Xray balancer selectors match by tag prefix, so nested groups are flattened to node tags.
+     * @param {object} group - url-test group
+     * @returns {string[]}
+     */
+    collectNodeTags(group, seen = new Set()) {
+        seen.add(group.tag);
+        return uniqueNames(group.members.flatMap(member => {
+            if (BUILTIN_OUTBOUNDS[member]) return [];
+            const nested = this.groups.find(candidate => candidate.tag === member);
+            if (!nested) return [member];
+            return seen.has(member) ? [] : this.collectNodeTags(nested, seen);
+        }));
+    }
+
+    formatConfig() {
+        const rules = generateRules(this.selectedRules, this.customRules);
+        const config = this.config;
+        const target = (rule) => this.resolveTarget(this.t('outboundNames.' + rule.outbound));
+        const balancerGroups = this.groups
+            .filter(group => group.type === 'url-test')
+            .map(group => ({ tag: group.tag, nodeTags: this.collectNodeTags(group) }))
+            .filter(group => group.nodeTags.length > 0);
+        // Only balancer selectors match by prefix; without balancers the tags are kept as they are
+        const xrayTags = balancerGroups.length > 0 ? prefixFreeTags(this.getProxies().map(proxy => proxy.tag)) : new Map();
+        const toXrayTag = (tag) => xrayTags.get(tag) ?? tag;
+
+        const balancers = balancerGroups.map(group => ({
+            tag: group.tag,
+            selector: group.nodeTags.map(toXrayTag),
+            strategy: { type: 'leastPing' },
+            fallbackTag: DIRECT_TAG
+        }));
+        const balancerTags = new Set(balancers.map(balancer => balancer.tag));
+
+        const routingRules = [];
+        const pushRule = (match, rule) => {
+            const resolved = target(rule);
+            if (resolved.balancerTag && !balancerTags.has(resolved.balancerTag)) return;
+            if (resolved.outboundTag) resolved.outboundTag = toXrayTag(resolved.outboundTag);
+            routingRules.push({ type: 'field', ...match, ...resolved });
+        };
+
+        rules.filter(rule => Array.isArray(rule.src_ip_cidr) && rule.src_ip_cidr.length > 0).forEach(rule => {
+            pushRule({ source: rule.src_ip_cidr }, rule);
+        });
+        // Domain rules precede IP rules so matching does not force a DNS lookup
+        rules.forEach(rule => {
+            const domain = [
+                ...(rule.domain_suffix || []).map(suffix => `domain:${suffix}`),
+                ...(rule.domain_keyword || []).map(keyword => `keyword:${keyword}`),
+                ...rule.site_rules.filter(Boolean).map(site => `geosite:${site}`)
+            ];
+            if (domain.length > 0) pushRule({ domain }, rule);
+        });
+        rules.forEach(rule => {
+            const ip = [
+                ...rule.ip_rules.filter(Boolean).map(geoip => `geoip:${geoip}`),
+                ...(rule.ip_cidr || [])
+            ];
+            if (ip.length > 0) pushRule({ ip }, rule);
+        });
+        pushRule({ network: 'tcp,udp' }, { outbound: 'Fall Back' });
+
+        const output = {
+            ...config,
+            outbounds: [
+                ...this.getProxies().map(outbound => renameOutbound(outbound, toXrayTag)),
+                { tag: DIRECT_TAG, protocol: 'freedom' },
+                { tag: BLOCK_TAG, protocol: 'blackhole' }
+            ],
+            routing: {
+                ...config.routing,
+                rules: [...(config.routing?.rules || []), ...routingRules],
+                balancers: [...(config.routing?.balancers || []), ...balancers]
+            }
+        };
+        if (balancers.length > 0) {
+            output.observatory = {
+                subjectSelector: uniqueNames(balancers.flatMap(balancer => balancer.selector)),
+                probeUrl: PROBE_URL,
+                probeInterval: '5m'
+            };
+        }
+        return output;
+    }
+}
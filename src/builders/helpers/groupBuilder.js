@@ -21,50 +21,72 @@ export function withDirectReject(options = []) {
     ]);
 }
 
-export function buildNodeSelectMembers({ proxyList = [], translator, groupByCountry = false, manualGroupName, countryGroupNames = [], includeAutoSelect = true }) {
+/**
+ * Per-source groups stand in for the nodes they contain
+ * @param {string[]} proxyList - All node names
+ * @param {Array<{name: string, proxies: string[]}>} sourceGroups - Groups built per input source
+ * @returns {{sourceGroupNames: string[], looseProxies: string[]}}
+ */
+function splitSourceGroups(proxyList, sourceGroups) {
+    const grouped = new Set(sourceGroups.flatMap(group => group.proxies));
+    return {
+        sourceGroupNames: sourceGroups.map(group => group.name),
+        looseProxies: proxyList.filter(name => !grouped.has(name))
+    };
+}
+
+export function buildNodeSelectMembers({ proxyList = [], translator, groupByCountry = false, manualGroupName, countryGroupNames = [], sourceGroups = [], includeAutoSelect = true }) {
     if (!translator) {
         throw new Error('buildNodeSelectMembers requires a translator function');
     }
     const autoName = translator('outboundNames.Auto Select');
+    const { sourceGroupNames, looseProxies } = splitSourceGroups(proxyList, sourceGroups);
     const base = groupByCountry
         ? [
             ...(includeAutoSelect ? [autoName] : []),
             ...(manualGroupName ? [manualGroupName] : []),
+            ...sourceGroupNames,
             ...countryGroupNames
         ]
         : [
             ...(includeAutoSelect ? [autoName] : []),
-            ...proxyList
+            ...sourceGroupNames,
+            ...looseProxies
         ];
     return withDirectReject(base);
 }
 
-export function buildSelectorMembers({ proxyList = [], translator, groupByCountry = false, manualGroupName, countryGroupNames = [], includeAutoSelect = true }) {
+export function buildSelectorMembers({ proxyList = [], translator, groupByCountry = false, manualGroupName, countryGroupNames = [], sourceGroups = [], includeAutoSelect = true }) {
     if (!translator) {
         throw new Error('buildSelectorMembers requires a translator function');
     }
+    const { sourceGroupNames, looseProxies } = splitSourceGroups(proxyList, sourceGroups);
     const base = groupByCountry
         ? [
             translator('outboundNames.Node Select'),
             ...(includeAutoSelect ? [translator('outboundNames.Auto Select')] : []),
             ...(manualGroupName ? [manualGroupName] : []),
+            ...sourceGroupNames,
             ...countryGroupNames
         ]
         : [
             translator('outboundNames.Node Select'),
-            ...proxyList
+            ...sourceGroupNames,
+            ...looseProxies
         ];
     return withDirectReject(base);
 }
 
-export function buildCustomRuleMembers({ proxyList = [], translator, manualGroupName, includeAutoSelect = true }) {
+export function buildCustomRuleMembers({ proxyList = [], translator, manualGroupName, sourceGroups = [], includeAutoSelect = true }) {
     if (!translator) {
         throw new Error('buildCustomRuleMembers requires a translator function');
     }
+    const { sourceGroupNames, looseProxies } = splitSourceGroups(proxyList, sourceGroups);
     return withDirectReject([
         translator('outboundNames.Node Select'),
         ...(includeAutoSelect ? [translator('outboundNames.Auto Select')] : []),
         ...(manualGroupName ? [manualGroupName] : []),
-        ...proxyList
+        ...sourceGroupNames,
+        ...looseProxies
     ]);
 }
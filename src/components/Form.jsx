@@ -10,7 +10,9 @@ const LINK_FIELDS = [
   { key: 'xray', labelKey: 'xrayLink' },
   { key: 'singbox', labelKey: 'singboxLink' },
   { key: 'clash', labelKey: 'clashLink' },
-  { key: 'surge', labelKey: 'surgeLink' }
+  { key: 'surge', labelKey: 'surgeLink' },
+  { key: 'qx', labelKey: 'qxLink' },
+  { key: 'loon', labelKey: 'loonLink' }
 ];
 
 export const Form = (props) => {
@@ -176,6 +178,15 @@ export const Form = (props) => {
                 </div>
               </label>
 
+              <div x-show="groupByCountry" class="flex items-center justify-between p-3 rounded-lg bg-gray-50 dark:bg-gray-700/30">
+                <span class="font-medium text-gray-700 dark:text-gray-300">{t('groupByRegion')}</span>
+                <select x-model="groupByRegion" class="px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700 text-sm font-medium text-gray-700 dark:text-gray-200 focus:ring-2 focus:ring-primary-500 focus:border-transparent">
+                  <option value="">{t('groupByRegionOff')}</option>
+                  <option value="select">{t('groupByRegionSelect')}</option>
+                  <option value="url-test">{t('groupByRegionUrlTest')}</option>
+                </select>
+              </div>
+
               <label class="flex items-center justify-between p-3 rounded-lg bg-gray-50 dark:bg-gray-700/30 hover:bg-gray-100 dark:hover:bg-gray-700/50 transition-colors cursor-pointer">
                 <span class="font-medium text-gray-700 dark:text-gray-300">{t('includeAutoSelect')}</span>
                 <div class="relative inline-flex items-center cursor-pointer">
@@ -184,6 +195,55 @@ export const Form = (props) => {
                 </div>
               </label>
 
+              <div class="p-3 rounded-lg bg-gray-50 dark:bg-gray-700/30 space-y-3">
+                <div class="flex items-center justify-between">
+                  <span class="font-medium text-gray-700 dark:text-gray-300">{t('groupBySource')}</span>
+                  <select x-model="groupBySource" class="px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700 text-sm font-medium text-gray-700 dark:text-gray-200 focus:ring-2 focus:ring-primary-500 focus:border-transparent">
+                    <option value="">{t('groupBySourceOff')}</option>
+                    <option value="select">{t('groupBySourceSelect')}</option>
+                    <option value="url-test">{t('groupBySourceUrlTest')}</option>
+                  </select>
+                </div>
+                <textarea x-show="groupBySource" x-model="sourceLabels" rows="2" class="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent font-mono text-sm" placeholder={t('sourceLabelsPlaceholder')}></textarea>
+              </div>
+
+              <div class="flex items-center justify-between p-3 rounded-lg bg-gray-50 dark:bg-gray-700/30">
+                <span class="font-medium text-gray-700 dark:text-gray-300">{t('nodeDedup')}</span>
+                <select x-model="nodeDedup" class="px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700 text-sm font-medium text-gray-700 dark:text-gray-200 focus:ring-2 focus:ring-primary-500 focus:border-transparent">
+                  <option value="all">{t('nodeDedupAll')}</option>
+                  <option value="first">{t('nodeDedupFirst')}</option>
+                </select>
+              </div>
+
+              <div class="flex items-center justify-between p-3 rounded-lg bg-gray-50 dark:bg-gray-700/30">
+                <span class="font-medium text-gray-700 dark:text-gray-300">{t('nodeSort')}</span>
+                <select x-model="nodeSort" class="px-3 py-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700 text-sm font-medium text-gray-700 dark:text-gray-200 focus:ring-2 focus:ring-primary-500 focus:border-transparent">
+                  <option value="original">{t('nodeSortOriginal')}</option>
+                  <option value="name">{t('nodeSortName')}</option>
+                  <option value="country">{t('nodeSortCountry')}</option>
+                  <option value="source">{t('nodeSortSource')}</option>
+                </select>
+              </div>
+
+              <label class="flex items-center justify-between p-3 rounded-lg bg-gray-50 dark:bg-gray-700/30 hover:bg-gray-100 dark:hover:bg-gray-700/50 transition-colors cursor-pointer">
+                <span class="font-medium text-gray-700 dark:text-gray-300">{t('filterInfoNodes')}</span>
+                <div class="relative inline-flex items-center cursor-pointer">
+                  <input type="checkbox" x-model="filterInfoNodes" class="sr-only peer" />
+                  <div class="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 dark:peer-focus:ring-primary-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-primary-600"></div>
+                </div>
+              </label>
+
+              <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('includeNodes')}</label>
+                  <input type="text" x-model="includePattern" class="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent" placeholder={t('includeNodesPlaceholder')} />
+                </div>
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('excludeNodes')}</label>
+                  <input type="text" x-model="excludePattern" class="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent" placeholder={t('excludeNodesPlaceholder')} />
+                </div>
+              </div>
+
               <label class="flex items-center justify-between p-3 rounded-lg bg-gray-50 dark:bg-gray-700/30 hover:bg-gray-100 dark:hover:bg-gray-700/50 transition-colors cursor-pointer">
                 <span class="font-medium text-gray-700 dark:text-gray-300">{t('enableClashUI')}</span>
                 <div class="relative inline-flex items-center cursor-pointer">
@@ -216,6 +276,55 @@ export const Form = (props) => {
           </div>
           </div>
 
+  {/* Node Renaming */}
+  <div class="bg-white dark:bg-gray-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+    <h3 class="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2 mb-2">
+      <i class="fas fa-pen text-gray-400"></i>
+      {t('renameTitle')}
+    </h3>
+    <p class="text-sm text-gray-500 dark:text-gray-400 mb-4">{t('renameDesc')}</p>
+
+    <div class="space-y-4">
+      <label class="flex items-center justify-between p-3 rounded-lg bg-gray-50 dark:bg-gray-700/30 hover:bg-gray-100 dark:hover:bg-gray-700/50 transition-colors cursor-pointer">
+        <span class="font-medium text-gray-700 dark:text-gray-300">{t('flagEmoji')}</span>
+        <div class="relative inline-flex items-center cursor-pointer">
+          <input type="checkbox" x-model="flagEmoji" class="sr-only peer" />
+          <div class="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 dark:peer-focus:ring-primary-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-primary-600"></div>
+        </div>
+      </label>
+
+      <template x-for="(rule, index) in renameRules" x-bind:key="index">
+        <div class="flex items-center gap-2">
+          <input type="text" x-model="rule.pattern" class="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent" placeholder={t('renamePatternPlaceholder')} />
+          <i class="fas fa-arrow-right text-gray-400"></i>
+          <input type="text" x-model="rule.replacement" class="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent" placeholder={t('renameReplacementPlaceholder')} />
+          <button
+            type="button"
+            x-on:click="removeRenameRule(index)"
+            class="text-red-500 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 transition-colors p-2 rounded hover:bg-red-50 dark:hover:bg-red-900/20"
+          >
+            <i class="fas fa-trash-alt"></i>
+          </button>
+        </div>
+      </template>
+
+      <button type="button" x-on:click="addRenameRule()" class="px-4 py-2 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors font-medium text-sm flex items-center gap-2">
+        <i class="fas fa-plus"></i>
+        {t('addRenameRule')}
+      </button>
+
+      <div>
+        <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('sourcePrefixes')}</label>
+        <textarea x-model="sourcePrefixes" rows="3" class="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent font-mono text-sm" placeholder={t('sourcePrefixesPlaceholder')}></textarea>
+      </div>
+
+      <div>
+        <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('countryAliases')}</label>
+        <textarea x-model="countryAliases" rows="3" class="w-full px-4 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-primary-500 focus:border-transparent font-mono text-sm" placeholder={t('countryAliasesPlaceholder')}></textarea>
+      </div>
+    </div>
+  </div>
+
   {/* Subconverter External Config */}
   <div class="bg-white dark:bg-gray-800 rounded-2xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
     <h3 class="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2 mb-2">
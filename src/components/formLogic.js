@@ -84,7 +84,19 @@ export const formLogicFn = (t) => {
             selectedPredefinedRule: 'balanced',
             subconverterCopied: false,
             groupByCountry: false,
+            groupByRegion: '',
+            countryAliases: '',
             includeAutoSelect: true,
+            groupBySource: '',
+            sourceLabels: '',
+            nodeDedup: 'all',
+            nodeSort: 'original',
+            filterInfoNodes: false,
+            includePattern: '',
+            excludePattern: '',
+            renameRules: [],
+            flagEmoji: false,
+            sourcePrefixes: '',
             enableClashUI: false,
             externalController: '',
             externalUiDownloadUrl: '',
@@ -131,7 +143,24 @@ export const formLogicFn = (t) => {
                 this.input = localStorage.getItem('inputTextarea') || '';
                 this.showAdvanced = localStorage.getItem('advancedToggle') === 'true';
                 this.groupByCountry = localStorage.getItem('groupByCountry') === 'true';
+                this.groupByRegion = localStorage.getItem('groupByRegion') || '';
+                this.countryAliases = localStorage.getItem('countryAliases') || '';
                 this.includeAutoSelect = localStorage.getItem('includeAutoSelect') !== 'false';
+                this.groupBySource = localStorage.getItem('groupBySource') || '';
+                this.sourceLabels = localStorage.getItem('sourceLabels') || '';
+                this.nodeDedup = localStorage.getItem('nodeDedup') || 'all';
+                this.nodeSort = localStorage.getItem('nodeSort') || 'original';
+                this.filterInfoNodes = localStorage.getItem('filterInfoNodes') === 'true';
+                this.includePattern = localStorage.getItem('includePattern') || '';
+                this.excludePattern = localStorage.getItem('excludePattern') || '';
+                try {
+                    const savedRenameRules = JSON.parse(localStorage.getItem('renameRules') || '[]');
+                    this.renameRules = Array.isArray(savedRenameRules) ? savedRenameRules : [];
+                } catch (e) {
+                    this.renameRules = [];
+                }
+                this.flagEmoji = localStorage.getItem('flagEmoji') === 'true';
+                this.sourcePrefixes = localStorage.getItem('sourcePrefixes') || '';
                 this.enableClashUI = localStorage.getItem('enableClashUI') === 'true';
                 this.externalController = localStorage.getItem('externalController') || '';
                 this.externalUiDownloadUrl = localStorage.getItem('externalUiDownloadUrl') || '';
@@ -162,7 +191,19 @@ export const formLogicFn = (t) => {
                 });
                 this.$watch('showAdvanced', val => localStorage.setItem('advancedToggle', val));
                 this.$watch('groupByCountry', val => localStorage.setItem('groupByCountry', val));
+                this.$watch('groupByRegion', val => localStorage.setItem('groupByRegion', val));
+                this.$watch('countryAliases', val => localStorage.setItem('countryAliases', val));
                 this.$watch('includeAutoSelect', val => localStorage.setItem('includeAutoSelect', val));
+                this.$watch('groupBySource', val => localStorage.setItem('groupBySource', val));
+                this.$watch('sourceLabels', val => localStorage.setItem('sourceLabels', val));
+                this.$watch('nodeDedup', val => localStorage.setItem('nodeDedup', val));
+                this.$watch('nodeSort', val => localStorage.setItem('nodeSort', val));
+                this.$watch('filterInfoNodes', val => localStorage.setItem('filterInfoNodes', val));
+                this.$watch('includePattern', val => localStorage.setItem('includePattern', val));
+                this.$watch('excludePattern', val => localStorage.setItem('excludePattern', val));
+                this.$watch('renameRules', val => localStorage.setItem('renameRules', JSON.stringify(val)), { deep: true });
+                this.$watch('flagEmoji', val => localStorage.setItem('flagEmoji', val));
+                this.$watch('sourcePrefixes', val => localStorage.setItem('sourcePrefixes', val));
                 this.$watch('enableClashUI', val => localStorage.setItem('enableClashUI', val));
                 this.$watch('externalController', val => localStorage.setItem('externalController', val));
                 this.$watch('externalUiDownloadUrl', val => localStorage.setItem('externalUiDownloadUrl', val));
@@ -183,6 +224,46 @@ export const formLogicFn = (t) => {
                 this.accordionSections[section] = !this.accordionSections[section];
             },
 
+            addRenameRule() {
+                this.renameRules.push({ pattern: '', replacement: '' });
+            },
+
+            removeRenameRule(index) {
+                this.renameRules.splice(index, 1);
+            },
+
+            getRenameRules() {
+                return this.renameRules.filter(rule => rule.pattern);
+            },
+
+            getSourcePrefixes() {
+                return this.splitSourceLines(this.sourcePrefixes);
+            },
+
+            getSourceLabels() {
+                return this.groupBySource ? this.splitSourceLines(this.sourceLabels) : [];
+            },
+
+            getCountryAliases() {
+                // One "CODE: alias, alias" line per country
+                const aliases = {};
+                this.countryAliases.split('\n').forEach(line => {
+                    const separator = line.indexOf(':');
+                    if (separator === -1) return;
+                    const code = line.slice(0, separator).trim().toUpperCase();
+                    const names = line.slice(separator + 1).split(',').map(name => name.trim()).filter(Boolean);
+                    if (code && names.length > 0) aliases[code] = [...(aliases[code] || []), ...names];
+                });
+                return aliases;
+            },
+
+            splitSourceLines(text) {
+                // One line per input line; trailing blank lines carry no value
+                const lines = text.split('\n');
+                while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+                return lines;
+            },
+
             applyPredefinedRule() {
                 if (this.selectedPredefinedRule === 'custom') return;
 
@@ -219,6 +300,9 @@ export const formLogicFn = (t) => {
 
                 if (this.groupByCountry) {
                     params.append('group_by_country', 'true');
+                    if (this.groupByRegion) params.append('group_by_region', this.groupByRegion);
+                    const countryAliases = this.getCountryAliases();
+                    if (Object.keys(countryAliases).length > 0) params.append('country_aliases', JSON.stringify(countryAliases));
                 }
 
                 // Include lang parameter so subconverter gets correct group names
@@ -379,7 +463,19 @@ export const formLogicFn = (t) => {
                     params.append('customRules', JSON.stringify(customRules));
 
                     if (this.groupByCountry) params.append('group_by_country', 'true');
+                    if (this.groupByCountry && this.groupByRegion) params.append('group_by_region', this.groupByRegion);
+                    if (Object.keys(this.getCountryAliases()).length > 0) params.append('country_aliases', JSON.stringify(this.getCountryAliases()));
                     if (!this.includeAutoSelect) params.append('include_auto_select', 'false');
+                    if (this.groupBySource) params.append('group_by_source', this.groupBySource);
+                    if (this.getSourceLabels().length > 0) params.append('source_labels', JSON.stringify(this.getSourceLabels()));
+                    if (this.nodeDedup !== 'all') params.append('dedup', this.nodeDedup);
+                    if (this.nodeSort !== 'original') params.append('sort', this.nodeSort);
+                    if (this.filterInfoNodes) params.append('filter_info_nodes', 'true');
+                    if (this.includePattern) params.append('include', this.includePattern);
+                    if (this.excludePattern) params.append('exclude', this.excludePattern);
+                    if (this.getRenameRules().length > 0) params.append('rename', JSON.stringify(this.getRenameRules()));
+                    if (this.flagEmoji) params.append('flag_emoji', 'true');
+                    if (this.getSourcePrefixes().length > 0) params.append('source_prefix', JSON.stringify(this.getSourcePrefixes()));
                     if (this.enableClashUI) params.append('enable_clash_ui', 'true');
                     if (this.externalController) params.append('external_controller', this.externalController);
                     if (this.externalUiDownloadUrl) params.append('external_ui_download_url', this.externalUiDownloadUrl);
@@ -397,7 +493,9 @@ export const formLogicFn = (t) => {
                         xray: origin + '/xray?' + queryString,
                         singbox: origin + '/singbox?' + queryString,
                         clash: origin + '/clash?' + queryString,
-                        surge: origin + '/surge?' + queryString
+                        surge: origin + '/surge?' + queryString,
+                        qx: origin + '/qx?' + queryString,
+                        loon: origin + '/loon?' + queryString
                     };
 
                     // Scroll to results
@@ -465,7 +563,9 @@ export const formLogicFn = (t) => {
                                 xray: 'x',
                                 singbox: 'b',
                                 clash: 'c',
-                                surge: 's'
+                                surge: 's',
+                                qx: 'q',
+                                loon: 'l'
                             };
 
                             shortened[type] = `${origin}/${prefixMap[type]}/${returnedCode}`;
@@ -511,14 +611,14 @@ export const formLogicFn = (t) => {
 
                 try {
                     const url = new URL(text);
-                    // Check if it matches our short link pattern: /[bcxs]/[code]
-                    const pathMatch = url.pathname.match(/^\/([bcxs])\/([a-zA-Z0-9_-]+)$/);
+                    // Check if it matches our short link pattern: /[bcxsql]/[code]
+                    const pathMatch = url.pathname.match(/^\/([bcxsql])\/([a-zA-Z0-9_-]+)$/);
                     if (pathMatch) {
                         return true;
                     }
 
                     // Check if it's a full subscription URL with query params
-                    const fullMatch = url.pathname.match(/^\/(singbox|clash|xray|surge)$/);
+                    const fullMatch = url.pathname.match(/^\/(singbox|clash|xray|surge|qx|loon)$/);
                     if (fullMatch && url.search) {
                         return true;
                     }
@@ -546,7 +646,7 @@ export const formLogicFn = (t) => {
                     }
 
                     // Check if it's a short link
-                    const shortMatch = urlToParse.pathname.match(/^\/([bcxs])\/([a-zA-Z0-9_-]+)$/);
+                    const shortMatch = urlToParse.pathname.match(/^\/([bcxsql])\/([a-zA-Z0-9_-]+)$/);
 
                     if (shortMatch) {
                         // It's a short link, resolve it first
@@ -621,7 +721,72 @@ export const formLogicFn = (t) => {
 
                 // Extract other parameters
                 this.groupByCountry = params.get('group_by_country') === 'true';
+                const groupByRegion = params.get('group_by_region');
+                this.groupByRegion = groupByRegion === 'url-test' ? 'url-test' : (groupByRegion === 'select' || groupByRegion === 'true' ? 'select' : '');
                 this.includeAutoSelect = params.get('include_auto_select') !== 'false';
+                const groupBySource = params.get('group_by_source');
+                this.groupBySource = groupBySource === 'url-test' ? 'url-test' : (groupBySource === 'select' || groupBySource === 'true' ? 'select' : '');
+                this.sourceLabels = '';
+                const sourceLabels = params.get('source_labels');
+                if (sourceLabels) {
+                    try {
+                        const parsed = JSON.parse(sourceLabels);
+                        if (Array.isArray(parsed)) {
+                            this.sourceLabels = parsed.join('\n');
+                        }
+                    } catch (e) {
+                        console.warn('Failed to parse source_labels:', e);
+                    }
+                }
+                this.nodeDedup = params.get('dedup') === 'first' ? 'first' : 'all';
+                this.nodeSort = ['name', 'country', 'source'].includes(params.get('sort')) ? params.get('sort') : 'original';
+                this.filterInfoNodes = params.get('filter_info_nodes') === 'true';
+                this.includePattern = params.get('include') || '';
+                this.excludePattern = params.get('exclude') || '';
+                this.flagEmoji = params.get('flag_emoji') === 'true';
+
+                const rename = params.get('rename');
+                this.renameRules = [];
+                if (rename) {
+                    try {
+                        const parsed = JSON.parse(rename);
+                        if (Array.isArray(parsed)) {
+                            this.renameRules = parsed
+                                .filter(rule => rule && typeof rule.pattern === 'string')
+                                .map(rule => ({ pattern: rule.pattern, replacement: rule.replacement || '' }));
+                        }
+                    } catch (e) {
+                        console.warn('Failed to parse rename:', e);
+                    }
+                }
+
+                const countryAliases = params.get('country_aliases');
+                this.countryAliases = '';
+                if (countryAliases) {
+                    try {
+                        const parsed = JSON.parse(countryAliases);
+                        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                            this.countryAliases = Object.entries(parsed)
+                                .map(([code, names]) => `${code}: ${[].concat(names).join(', ')}`)
+                                .join('\n');
+                        }
+                    } catch (e) {
+                        console.warn('Failed to parse country_aliases:', e);
+                    }
+                }
+
+                const sourcePrefix = params.get('source_prefix');
+                this.sourcePrefixes = '';
+                if (sourcePrefix) {
+                    try {
+                        const parsed = JSON.parse(sourcePrefix);
+                        if (Array.isArray(parsed)) {
+                            this.sourcePrefixes = parsed.join('\n');
+                        }
+                    } catch (e) {
+                        console.warn('Failed to parse source_prefix:', e);
+                    }
+                }
                 this.enableClashUI = params.get('enable_clash_ui') === 'true';
 
                 const externalController = params.get('external_controller');
@@ -647,6 +812,8 @@ export const formLogicFn = (t) => {
 
                 // Expand advanced options if any advanced settings are present
                 if (selectedRules || customRules || this.groupByCountry || this.enableClashUI ||
+                    this.groupBySource || this.nodeDedup !== 'all' || this.nodeSort !== 'original' || this.filterInfoNodes || this.includePattern || this.excludePattern ||
+                    this.renameRules.length > 0 || this.flagEmoji || this.sourcePrefixes || this.countryAliases ||
                     externalController || externalUiDownloadUrl || ua || configId) {
                     this.showAdvanced = true;
                 }
@@ -40,3 +40,6 @@ export { generateSubconverterConfig } from './subconverterConfig.js';
 export { SING_BOX_CONFIG, SING_BOX_CONFIG_V1_11 } from './singboxConfig.js';
 export { CLASH_CONFIG } from './clashConfig.js';
 export { SURGE_CONFIG } from './surgeConfig.js';
+export { QUANTUMULTX_CONFIG } from './quantumultXConfig.js';
+export { LOON_CONFIG } from './loonConfig.js';
+export { XRAY_CONFIG } from './xrayConfig.js';
@@ -0,0 +1,26 @@
+/**
+ * Loon Configuration
+ * Base configuration template for Loon client
+ */
+
+export const LOON_CONFIG = {
+	'general': {
+		'ip-mode': 'dual',
+		'dns-server': 'system,119.29.29.29,223.5.5.5',
+		'doh-server': 'https://223.5.5.5/dns-query',
+		'sni-sniffing': true,
+		'disable-stun': false,
+		'dns-reject-mode': 'LoopbackIP',
+		'domain-reject-mode': 'DNS',
+		'udp-fallback-mode': 'REJECT',
+		'allow-wifi-access': false,
+		'wifi-access-http-port': 7222,
+		'wifi-access-socks5-port': 7221,
+		'interface-mode': 'auto',
+		'test-timeout': 5,
+		'proxy-test-url': 'http://www.gstatic.com/generate_204',
+		'internet-test-url': 'http://connectivitycheck.platform.hicloud.com/generate_204',
+		'skip-proxy': '127.0.0.1,192.168.0.0/16,10.0.0.0/8,172.16.0.0/12,100.64.0.0/10,localhost,*.local',
+		'bypass-tun': '10.0.0.0/8,100.64.0.0/10,127.0.0.0/8,169.254.0.0/16,172.16.0.0/12,192.0.0.0/24,192.0.2.0/24,192.88.99.0/24,192.168.0.0/16,198.51.100.0/24,203.0.113.0/24,224.0.0.0/4,255.255.255.255/32'
+	}
+};
@@ -0,0 +1,21 @@
+/**
+ * Quantumult X Configuration
+ * Base configuration template for Quantumult X client
+ */
+
+export const QUANTUMULTX_CONFIG = {
+	'general': {
+		'network_check_url': 'http://www.baidu.com/',
+		'server_check_url': 'http://www.gstatic.com/generate_204',
+		'server_check_timeout': 3000,
+		'dns_exclusion_list': '*.cmpassport.com, *.jegotrip.com.cn, *.icitymobile.mobi, id6.me, *.pingan.com.cn, *.cmbchina.com',
+		'excluded_routes': '239.255.255.250/32, 24.105.30.129/32, 185.60.112.157/32, 185.60.112.158/32, 182.162.132.1/32',
+		'udp_drop_list': '1900, 80',
+		'icmp_auto_reply': true
+	},
+	'dns': {
+		'no-ipv6': true,
+		'server': ['119.29.29.29', '223.5.5.5', '180.184.1.1', 'system'],
+		'doh-server': 'https://223.5.5.5/dns-query'
+	}
+};
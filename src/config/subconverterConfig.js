@@ -5,7 +5,7 @@
 
 import { createTranslator } from '../i18n/index.js';
 import { generateRules } from './ruleGenerators.js';
-import { COUNTRY_DATA } from '../utils.js';
+import { COUNTRY_DATA, COMMON_COUNTRY_CODES, REGION_DATA, getCountryNameTokens, normalizeCountryAliases } from '../utils.js';
 import { DIRECT_DEFAULT_RULES } from './rules.js';
 
 // Rule names that should default to REJECT
@@ -20,6 +20,17 @@ function escapeRegex(str) {
 	return str.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
 }
 
+/**
+ * Build the node-matching regex for one country from its aliases, airport codes, flag and relay labels
+ */
+function buildCountryRegex(country, extraAliases) {
+	return getCountryNameTokens(country.code, extraAliases).map(a => {
+		const escaped = escapeRegex(a);
+		// Add word boundary for ASCII aliases to prevent substring matching (e.g. US matching AUS/RUS)
+		return /^[A-Za-z\s]+$/.test(a) ? `\\b${escaped}\\b` : escaped;
+	}).join('|');
+}
+
 /**
  * Build the member list suffix for a proxy group that references country groups.
  * Used by Node Select and rule outbound groups when groupByCountry is enabled.
@@ -35,10 +46,15 @@ function buildCountryGroupRefs(countryGroupNames) {
  * @param {string} options.lang - Language for group name translation
  * @param {boolean} options.includeAutoSelect - Whether to include auto select group
  * @param {boolean} options.groupByCountry - Whether to group proxies by country
+ * @param {'select'|'url-test'|null} options.groupByRegion - Fold country groups into region selectors, or replace
+ *   them with one url-test per region; only used with groupByCountry
+ * @param {Object<string, string|string[]>} options.countryAliases - Extra aliases per ISO code, e.g. `{"PL": ["Warsaw"]}`;
+ *   countries outside COMMON_COUNTRY_CODES get a group when aliases are supplied for them
  * @returns {string} INI format config string
  */
-export function generateSubconverterConfig({ selectedRules = [], customRules = [], lang = 'zh-CN', includeAutoSelect = true, groupByCountry = false } = {}) {
+export function generateSubconverterConfig({ selectedRules = [], customRules = [], lang = 'zh-CN', includeAutoSelect = true, groupByCountry = false, groupByRegion = null, countryAliases = {} } = {}) {
 	const t = createTranslator(lang);
+	const { aliases: extraAliases } = normalizeCountryAliases(countryAliases);
 	const rules = generateRules(selectedRules, customRules);
 
 	const lines = ['[custom]'];
@@ -105,21 +121,39 @@ export function generateSubconverterConfig({ selectedRules = [], customRules = [
 	const autoSelectName = t('outboundNames.Auto Select');
 	const manualSwitchName = t('outboundNames.Manual Switch');
 
-	// Pre-compute country group names and lines if groupByCountry is enabled
-	const countryGroupNames = [];
+	// Pre-compute country group names and lines if groupByCountry is enabled.
+	// countryGroupNames are the groups offered by selectors; with regions these are the region groups.
+	let countryGroupNames = [];
 	const countryGroupLines = [];
+	const regionalGroupNames = [];
 
 	if (groupByCountry) {
-		Object.values(COUNTRY_DATA).forEach(country => {
-			const groupName = `${country.emoji} ${country.name}`;
-			countryGroupNames.push(groupName);
-			const regex = country.aliases.map(a => {
-				const escaped = escapeRegex(a);
-				// Add word boundary for ASCII aliases to prevent substring matching (e.g. US matching AUS/RUS)
-				return /^[A-Za-z\s]+$/.test(a) ? `\\b${escaped}\\b` : escaped;
-			}).join('|');
-			countryGroupLines.push(`custom_proxy_group=${groupName}\`url-test\`(?i)(${regex})\`${SPEED_TEST_URL}\`300,,50`);
-		});
+		const codes = [...COMMON_COUNTRY_CODES, ...Object.keys(extraAliases).filter(code => !COMMON_COUNTRY_CODES.includes(code))];
+		const countries = codes.filter(code => COUNTRY_DATA[code]).map(code => ({ code, ...COUNTRY_DATA[code] }));
+		if (groupByRegion !== 'url-test') {
+			countries.forEach(country => {
+				const groupName = `${country.emoji} ${country.name}`;
+				countryGroupNames.push(groupName);
+				countryGroupLines.push(`custom_proxy_group=${groupName}\`url-test\`(?i)(${buildCountryRegex(country, extraAliases)})\`${SPEED_TEST_URL}\`300,,50`);
+			});
+		}
+
+		if (groupByRegion === 'select' || groupByRegion === 'url-test') {
+			regionalGroupNames.push(...countryGroupNames);
+			countryGroupNames = [];
+			Object.entries(REGION_DATA).forEach(([region, { emoji, name }]) => {
+				const members = countries.filter(country => country.region === region);
+				if (members.length === 0) return;
+				const groupName = `${emoji} ${name}`;
+				countryGroupNames.push(groupName);
+				if (groupByRegion === 'select') {
+					countryGroupLines.push(`custom_proxy_group=${groupName}\`select\`${buildCountryGroupRefs(members.map(country => `${country.emoji} ${country.name}`))}`);
+				} else {
+					const regex = members.map(country => buildCountryRegex(country, extraAliases)).join('|');
+					countryGroupLines.push(`custom_proxy_group=${groupName}\`url-test\`(?i)(${regex})\`${SPEED_TEST_URL}\`300,,50`);
+				}
+			});
+		}
 	}
 
 	// Node Select group (top-level selector)
@@ -156,7 +190,7 @@ export function generateSubconverterConfig({ selectedRules = [], customRules = [
 	if (includeAutoSelect) processedGroups.add(autoSelectName);
 	if (groupByCountry) {
 		processedGroups.add(manualSwitchName);
-		countryGroupNames.forEach(name => processedGroups.add(name));
+		[...regionalGroupNames, ...countryGroupNames].forEach(name => processedGroups.add(name));
 	}
 
 	rules.forEach(rule => {
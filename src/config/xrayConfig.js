@@ -0,0 +1,57 @@
+/**
+ * Xray Configuration
+ * Base configuration template for Xray-core client
+ */
+
+export const XRAY_CONFIG = {
+	log: {
+		loglevel: 'warning'
+	},
+	dns: {
+		servers: [
+			{
+				address: 'https://1.1.1.1/dns-query',
+				skipFallback: false
+			},
+			{
+				address: '223.5.5.5',
+				domains: ['geosite:cn'],
+				expectIPs: ['geoip:cn'],
+				skipFallback: true
+			},
+			'localhost'
+		],
+		queryStrategy: 'UseIP'
+	},
+	inbounds: [
+		{
+			tag: 'socks-in',
+			listen: '127.0.0.1',
+			port: 10808,
+			protocol: 'socks',
+			settings: {
+				udp: true
+			},
+			sniffing: {
+				enabled: true,
+				destOverride: ['http', 'tls', 'quic']
+			}
+		},
+		{
+			tag: 'http-in',
+			listen: '127.0.0.1',
+			port: 10809,
+			protocol: 'http',
+			sniffing: {
+				enabled: true,
+				destOverride: ['http', 'tls']
+			}
+		}
+	],
+	outbounds: [],
+	routing: {
+		domainStrategy: 'IPIfNonMatch',
+		rules: [],
+		balancers: []
+	}
+};
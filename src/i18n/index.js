@@ -135,7 +135,39 @@ export const translations = {
     generalSettings: '通用设置',
     groupByCountry: '按国家分组',
     groupByCountryTip: '仅 Clash/Surge/SingBox 生效',
+    groupByRegion: '按大洲合并国家分组',
+    groupByRegionOff: '关闭',
+    groupByRegionSelect: '大洲选择（包含国家分组）',
+    groupByRegionUrlTest: '大洲自动测速',
     includeAutoSelect: '包含自动选择分组',
+    groupBySource: '按订阅来源分组',
+    groupBySourceOff: '关闭',
+    groupBySourceSelect: '手动选择',
+    groupBySourceUrlTest: '自动测速',
+    sourceLabelsPlaceholder: '分组名称，每行一个，与输入中的订阅顺序对应；留空则使用订阅域名',
+    nodeDedup: '相同服务器节点',
+    nodeDedupAll: '全部保留',
+    nodeDedupFirst: '只保留第一个',
+    nodeSort: '节点排序',
+    nodeSortOriginal: '原始顺序',
+    nodeSortName: '按名称',
+    nodeSortCountry: '按国家/地区',
+    nodeSortSource: '按订阅来源',
+    filterInfoNodes: '过滤流量/到期等信息节点',
+    includeNodes: '保留节点（正则）',
+    includeNodesPlaceholder: '例如：香港|HK|日本',
+    excludeNodes: '排除节点（正则）',
+    excludeNodesPlaceholder: '例如：倍率|x3|测试',
+    renameTitle: '节点重命名',
+    renameDesc: '按顺序执行的正则替换，在分组与去重之前应用到节点名称',
+    flagEmoji: '添加国旗 Emoji 前缀',
+    renamePatternPlaceholder: '匹配（正则），例如：香港\\s*(\\d+)',
+    renameReplacementPlaceholder: '替换为，例如：HK $1',
+    addRenameRule: '添加重命名规则',
+    sourcePrefixes: '订阅来源前缀',
+    sourcePrefixesPlaceholder: '每行一个前缀，与输入中的订阅顺序对应，例如：\nA-\nB-',
+    countryAliases: '国家别名',
+    countryAliasesPlaceholder: '每行一个国家代码及其别名，用于国家分组和旗帜识别，例如：\nJP: 东京, Tokyo\nHK: HKBN',
     UASettings: '自定义UserAgent',
     UAtip: '默认值curl/7.74.0',
     subscriptionLinks: '订阅链接',
@@ -143,6 +175,8 @@ export const translations = {
     singboxLink: 'SingBox 链接',
     clashLink: 'Clash 链接',
     surgeLink: 'Surge 链接',
+    qxLink: 'Quantumult X 链接',
+    loonLink: 'Loon 链接',
     copied: '已复制！',
     shortening: '正在生成短链接...',
     alreadyShortened: '链接已经是短链接了！',
@@ -297,7 +331,39 @@ export const translations = {
     generalSettings: 'General Settings',
     groupByCountry: 'Group by Country',
     groupByCountryTip: 'Clash/Surge/SingBox only',
+    groupByRegion: 'Region groups',
+    groupByRegionOff: 'Off',
+    groupByRegionSelect: 'Region select (of country groups)',
+    groupByRegionUrlTest: 'Region URL test',
     includeAutoSelect: 'Include Auto Select Group',
+    groupBySource: 'Group by subscription',
+    groupBySourceOff: 'Off',
+    groupBySourceSelect: 'Manual select',
+    groupBySourceUrlTest: 'URL test',
+    sourceLabelsPlaceholder: 'Group names, one per line in input order; blank lines use the subscription host',
+    nodeDedup: 'Nodes with the same server',
+    nodeDedupAll: 'Keep all',
+    nodeDedupFirst: 'Keep first',
+    nodeSort: 'Node order',
+    nodeSortOriginal: 'Original',
+    nodeSortName: 'By name',
+    nodeSortCountry: 'By country',
+    nodeSortSource: 'By subscription',
+    filterInfoNodes: 'Drop traffic/expiry info nodes',
+    includeNodes: 'Include nodes (regex)',
+    includeNodesPlaceholder: 'e.g. HK|Hong Kong|JP',
+    excludeNodes: 'Exclude nodes (regex)',
+    excludeNodesPlaceholder: 'e.g. x3|test',
+    renameTitle: 'Node Renaming',
+    renameDesc: 'Ordered regex replacements applied to node names before grouping and dedup',
+    flagEmoji: 'Prepend flag emoji',
+    renamePatternPlaceholder: 'Pattern (regex), e.g. Hong Kong\\s*(\\d+)',
+    renameReplacementPlaceholder: 'Replacement, e.g. HK $1',
+    addRenameRule: 'Add rename rule',
+    sourcePrefixes: 'Per-source prefixes',
+    sourcePrefixesPlaceholder: 'One prefix per line, in the same order as the input sources, e.g.\nA-\nB-',
+    countryAliases: 'Country aliases',
+    countryAliasesPlaceholder: 'One country code and its aliases per line, used for country groups and flags, e.g.\nJP: 东京, Tokyo\nHK: HKBN',
     UASettings: 'Custom UserAgent',
     UAtip: 'By default it will use curl/7.74.0',
     subscriptionLinks: 'Subscription Links',
@@ -305,6 +371,8 @@ export const translations = {
     singboxLink: 'SingBox Link',
     clashLink: 'Clash Link',
     surgeLink: 'Surge Link',
+    qxLink: 'Quantumult X Link',
+    loonLink: 'Loon Link',
     copied: 'Copied!',
     shortening: 'Shortening...',
     alreadyShortened: 'Links are already shortened!',
@@ -453,7 +521,39 @@ export const translations = {
     generalSettings: 'تنظیمات عمومی',
     groupByCountry: 'گروه‌بندی بر اساس کشور',
     groupByCountryTip: 'فقط Clash/Surge/SingBox',
+    groupByRegion: 'گروه‌های منطقه‌ای',
+    groupByRegionOff: 'خاموش',
+    groupByRegionSelect: 'انتخاب منطقه (از گروه‌های کشور)',
+    groupByRegionUrlTest: 'تست سرعت منطقه',
     includeAutoSelect: 'شامل گروه انتخاب خودکار',
+    groupBySource: 'گروه‌بندی بر اساس اشتراک',
+    groupBySourceOff: 'خاموش',
+    groupBySourceSelect: 'انتخاب دستی',
+    groupBySourceUrlTest: 'تست سرعت خودکار',
+    sourceLabelsPlaceholder: 'نام گروه‌ها، هر خط یکی به ترتیب ورودی؛ خط خالی از دامنه اشتراک استفاده می‌کند',
+    nodeDedup: 'نودهای با سرور یکسان',
+    nodeDedupAll: 'نگه داشتن همه',
+    nodeDedupFirst: 'فقط اولی',
+    nodeSort: 'ترتیب نودها',
+    nodeSortOriginal: 'ترتیب اصلی',
+    nodeSortName: 'بر اساس نام',
+    nodeSortCountry: 'بر اساس کشور',
+    nodeSortSource: 'بر اساس اشتراک',
+    filterInfoNodes: 'حذف نودهای اطلاعات ترافیک/انقضا',
+    includeNodes: 'نودهای مجاز (regex)',
+    includeNodesPlaceholder: 'مثال: HK|Hong Kong|JP',
+    excludeNodes: 'نودهای حذف‌شده (regex)',
+    excludeNodesPlaceholder: 'مثال: x3|test',
+    renameTitle: 'تغییر نام نودها',
+    renameDesc: 'جایگزینی‌های regex به ترتیب، پیش از گروه‌بندی و حذف تکراری‌ها روی نام نودها اعمال می‌شوند',
+    flagEmoji: 'افزودن پرچم کشور به ابتدای نام',
+    renamePatternPlaceholder: 'الگو (regex)، مثال: Hong Kong\\s*(\\d+)',
+    renameReplacementPlaceholder: 'جایگزین، مثال: HK $1',
+    addRenameRule: 'افزودن قانون تغییر نام',
+    sourcePrefixes: 'پیشوند هر منبع',
+    sourcePrefixesPlaceholder: 'هر خط یک پیشوند، به ترتیب منابع ورودی، مثال:\nA-\nB-',
+    countryAliases: 'نام‌های جایگزین کشور',
+    countryAliasesPlaceholder: 'هر خط یک کد کشور و نام‌های جایگزین آن، برای گروه‌بندی کشورها و پرچم‌ها، مثال:\nJP: 东京, Tokyo\nHK: HKBN',
     UASettings: 'UserAgent سفارشی',
     UAtip: 'به طور پیش‌فرض از curl/7.74.0 استفاده می‌کند',
     subscriptionLinks: 'لینک‌های اشتراک',
@@ -461,6 +561,8 @@ export const translations = {
     singboxLink: 'لینک SingBox',
     clashLink: 'لینک Clash',
     surgeLink: 'لینک Surge',
+    qxLink: 'لینک Quantumult X',
+    loonLink: 'لینک Loon',
     copied: 'کپی شد!',
     shortening: 'در حال کوتاه کردن...',
     alreadyShortened: 'لینک‌ها از قبل کوتاه شده‌اند!',
@@ -609,7 +711,39 @@ export const translations = {
     generalSettings: 'Общие настройки',
     groupByCountry: 'Группировать по странам',
     groupByCountryTip: 'Только для Clash/Surge/SingBox',
+    groupByRegion: 'Группы регионов',
+    groupByRegionOff: 'Выкл.',
+    groupByRegionSelect: 'Выбор региона (из групп стран)',
+    groupByRegionUrlTest: 'Автотест по региону',
     includeAutoSelect: 'Включить группу автовыбора',
+    groupBySource: 'Группировать по подписке',
+    groupBySourceOff: 'Выкл.',
+    groupBySourceSelect: 'Ручной выбор',
+    groupBySourceUrlTest: 'Автотест скорости',
+    sourceLabelsPlaceholder: 'Имена групп, по одному в строке в порядке ввода; пустая строка — домен подписки',
+    nodeDedup: 'Узлы с одинаковым сервером',
+    nodeDedupAll: 'Оставить все',
+    nodeDedupFirst: 'Только первый',
+    nodeSort: 'Порядок узлов',
+    nodeSortOriginal: 'Исходный',
+    nodeSortName: 'По имени',
+    nodeSortCountry: 'По стране',
+    nodeSortSource: 'По подписке',
+    filterInfoNodes: 'Убрать информационные узлы (трафик/срок)',
+    includeNodes: 'Оставить узлы (regex)',
+    includeNodesPlaceholder: 'например: HK|Hong Kong|JP',
+    excludeNodes: 'Исключить узлы (regex)',
+    excludeNodesPlaceholder: 'например: x3|test',
+    renameTitle: 'Переименование узлов',
+    renameDesc: 'Регулярные замены по порядку, применяются к именам узлов до группировки и удаления дублей',
+    flagEmoji: 'Добавлять эмодзи флага',
+    renamePatternPlaceholder: 'Шаблон (regex), например: Hong Kong\\s*(\\d+)',
+    renameReplacementPlaceholder: 'Замена, например: HK $1',
+    addRenameRule: 'Добавить правило',
+    sourcePrefixes: 'Префиксы источников',
+    sourcePrefixesPlaceholder: 'По одному префиксу в строке, в порядке источников ввода, например:\nA-\nB-',
+    countryAliases: 'Псевдонимы стран',
+    countryAliasesPlaceholder: 'По одному коду страны и его псевдонимам в строке, для групп по странам и флагов, например:\nJP: 东京, Tokyo\nHK: HKBN',
     UASettings: 'Пользовательский UserAgent',
     UAtip: 'По умолчанию используется curl/7.74.0',
     subscriptionLinks: 'Ссылки подписки',
@@ -617,6 +751,8 @@ export const translations = {
     singboxLink: 'Ссылка SingBox',
     clashLink: 'Ссылка Clash',
     surgeLink: 'Ссылка Surge',
+    qxLink: 'Ссылка Quantumult X',
+    loonLink: 'Ссылка Loon',
     copied: 'Скопировано!',
     shortening: 'Сокращение...',
     alreadyShortened: 'Ссылки уже сокращены!',
@@ -1,22 +1,36 @@
 import { parseShadowsocks } from './protocols/shadowsocksParser.js';
+import { parseShadowsocksr } from './protocols/shadowsocksrParser.js';
 import { parseVmess } from './protocols/vmessParser.js';
 import { parseVless } from './protocols/vlessParser.js';
+import { parseHysteria } from './protocols/hysteriaParser.js';
 import { parseHysteria2 } from './protocols/hysteria2Parser.js';
 import { parseTrojan } from './protocols/trojanParser.js';
 import { parseTuic } from './protocols/tuicParser.js';
+import { parseAnytls } from './protocols/anytlsParser.js';
+import { parseWireguard } from './protocols/wireguardParser.js';
+import { parseSocks } from './protocols/socksParser.js';
+import { parseHttpProxy } from './protocols/httpProxyParser.js';
 import { fetchSubscription } from './subscription/httpSubscriptionFetcher.js';
 
 const protocolParsers = {
     ss: parseShadowsocks,
+    ssr: parseShadowsocksr,
     vmess: parseVmess,
     vless: parseVless,
-    hysteria: parseHysteria2,
+    hysteria: parseHysteria,
     hysteria2: parseHysteria2,
     hy2: parseHysteria2,
     http: fetchSubscription,
     https: fetchSubscription,
     trojan: parseTrojan,
-    tuic: parseTuic
+    tuic: parseTuic,
+    anytls: parseAnytls,
+    wireguard: parseWireguard,
+    wg: parseWireguard,
+    socks: parseSocks,
+    socks5: parseSocks,
+    'http-proxy': parseHttpProxy,
+    'https-proxy': parseHttpProxy
 };
 
 export class ProxyParser {
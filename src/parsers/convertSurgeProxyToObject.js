@@ -7,8 +7,14 @@
  * - Trojan: ProxyName = trojan, server, port, password=xxx, ...
  * - TUIC: ProxyName = tuic, server, port, uuid=xxx, password=xxx, ...
  * - Hysteria2: ProxyName = hysteria2, server, port, password=xxx, ...
+ * - AnyTLS: ProxyName = anytls, server, port, password=xxx, ...
+ * - HTTP/SOCKS5: ProxyName = http|https|socks5|socks5-tls, server, port, username, password
+ * - WireGuard: ProxyName = wireguard, section-name=Name (keys live in [WireGuard Name])
+ * Any policy may add underlying-proxy=Other to dial through another policy.
  */
 
+import { parseWireguardReserved, normalizeWireguardAddresses } from '../utils.js';
+
 /**
  * Parse key=value parameters from a Surge proxy line
  * @param {string[]} parts - Array of parameter strings
@@ -43,12 +49,79 @@ function parseBool(value) {
     return false;
 }
 
+/**
+ * Parse the peer tuple of a [WireGuard] section
+ * Format: (public-key = xxx, allowed-ips = "0.0.0.0/0, ::/0", endpoint = host:port, ...)
+ * @param {string} value - Raw peer value including parentheses
+ * @returns {object} - Parsed peer parameters
+ */
+function parseWireguardPeer(value) {
+    const inner = value.trim().replace(/^\(/, '').replace(/\)$/, '');
+    const peer = {};
+    const pattern = /([\w-]+)\s*=\s*("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(inner)) !== null) {
+        peer[match[1].trim()] = match[2].trim().replace(/^"(.*)"$/, '$1');
+    }
+    return peer;
+}
+
+/**
+ * Convert a Surge wireguard policy and its [WireGuard] section to internal format
+ * @param {string} tag - Policy name
+ * @param {object} params - Policy parameters (expects section-name)
+ * @param {object} sections - Parsed Surge sections keyed by lower-cased section name
+ * @returns {object|null}
+ */
+function convertSurgeWireguard(tag, params, sections) {
+    const sectionName = params['section-name'];
+    const lines = sectionName ? sections?.[`wireguard ${sectionName}`.toLowerCase()] : null;
+    if (!Array.isArray(lines)) {
+        console.warn(`WireGuard section not found for Surge policy: ${tag}`);
+        return null;
+    }
+    const section = parseParams(lines);
+    const peer = section.peer ? parseWireguardPeer(section.peer) : {};
+    const endpoint = peer.endpoint || '';
+    const portIndex = endpoint.lastIndexOf(':');
+    if (portIndex <= 0) return null;
+    const server = endpoint.slice(0, portIndex).replace(/^\[(.*)\]$/, '$1');
+    const port = parseInt(endpoint.slice(portIndex + 1));
+    if (!server || isNaN(port)) return null;
+
+    const addresses = [section['self-ip'], section['self-ip-v6']].filter(Boolean);
+    return {
+        tag,
+        type: 'wireguard',
+        server,
+        server_port: port,
+        private_key: section['private-key'],
+        peer_public_key: peer['public-key'],
+        pre_shared_key: peer['preshared-key'],
+        local_address: normalizeWireguardAddresses(addresses.length > 0 ? addresses : undefined),
+        reserved: parseWireguardReserved(peer['client-id']),
+        mtu: section.mtu ? parseInt(section.mtu) : undefined,
+        allowed_ips: peer['allowed-ips'] ? peer['allowed-ips'].split(',').map(ip => ip.trim()) : undefined,
+        persistent_keepalive_interval: peer.keepalive ? parseInt(peer.keepalive) : undefined
+    };
+}
+
 /**
  * Convert a Surge proxy line to internal (Sing-Box) format
  * @param {string} line - The Surge proxy line
+ * @param {object} [sections] - Other parsed Surge sections (needed for WireGuard policies)
  * @returns {object|null} - Parsed proxy object or null if invalid
  */
-export function convertSurgeProxyToObject(line) {
+export function convertSurgeProxyToObject(line, sections = {}) {
+    const proxy = convertSurgeProxy(line, sections);
+    const underlying = proxy ? line.match(/,\s*underlying-proxy\s*=\s*([^,]+)/) : null;
+    if (underlying) {
+        proxy.detour = underlying[1].trim();
+    }
+    return proxy;
+}
+
+function convertSurgeProxy(line, sections) {
     if (!line || typeof line !== 'string') return null;
 
     const trimmed = line.trim();
@@ -65,6 +138,9 @@ export function convertSurgeProxyToObject(line) {
 
     // Split by comma to get parts
     const parts = rest.split(',').map(p => p.trim());
+    if (parts[0].toLowerCase() === 'wireguard') {
+        return convertSurgeWireguard(tag, parseParams(parts.slice(1)), sections);
+    }
     if (parts.length < 3) return null;
 
     const type = parts[0].toLowerCase();
@@ -185,10 +261,42 @@ export function convertSurgeProxyToObject(line) {
                 } : undefined
             };
 
+        case 'anytls':
+            return {
+                tag,
+                type: 'anytls',
+                server,
+                server_port: port,
+                password: params.password,
+                tls: {
+                    enabled: true,
+                    server_name: params.sni || params['server-name'] || server,
+                    insecure: parseBool(params['skip-cert-verify'])
+                }
+            };
+
         case 'http':
         case 'https':
-            // Skip HTTP/HTTPS proxy types
-            return null;
+        case 'socks5':
+        case 'socks5-tls': {
+            // Credentials are positional: Name = http, server, port, username, password
+            const positional = parts.slice(3).filter(part => !part.includes('='));
+            const tlsEnabled = type === 'https' || type === 'socks5-tls';
+            return {
+                tag,
+                type: type.startsWith('socks5') ? 'socks' : 'http',
+                server,
+                server_port: port,
+                ...(type.startsWith('socks5') ? { version: '5' } : {}),
+                username: params.username || positional[0] || undefined,
+                password: params.password || positional[1] || undefined,
+                tls: tlsEnabled ? {
+                    enabled: true,
+                    server_name: params.sni || server,
+                    insecure: parseBool(params['skip-cert-verify'])
+                } : undefined
+            };
+        }
 
         case 'direct':
         case 'reject':
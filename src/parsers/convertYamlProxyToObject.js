@@ -1,4 +1,121 @@
+import { decodeBase64, parseBandwidthMbps, parseWireguardReserved, normalizeWireguardAddresses, echConfigFromBase64, XHTTP_CLASH_OPTION_KEYS } from '../utils.js';
+
+/**
+ * Convert a Clash `network` and its *-opts block into the internal transport object
+ * @param {string} net - Clash network (ws, grpc, http, h2, xhttp)
+ * @param {object} p - Clash proxy
+ * @returns {object|undefined}
+ */
+function convertClashTransport(net, p) {
+    if (net === 'ws') {
+        const w = p['ws-opts'] || {};
+        // mihomo expresses HTTPUpgrade as a ws-opts flag
+        if (w['v2ray-http-upgrade']) {
+            return { type: 'httpupgrade', path: w.path, host: w.headers?.Host ?? w.headers?.host };
+        }
+        return {
+            type: 'ws',
+            path: w.path,
+            headers: w.headers,
+            ...(w['max-early-data'] ? {
+                max_early_data: w['max-early-data'],
+                early_data_header_name: w['early-data-header-name']
+            } : {})
+        };
+    }
+    if (net === 'grpc') {
+        const g = p['grpc-opts'] || {};
+        return { type: 'grpc', service_name: g['grpc-service-name'] };
+    }
+    if (net === 'http') {
+        const h = p['http-opts'] || {};
+        return { type: 'http', method: h.method || 'GET', path: h.path, headers: h.headers };
+    }
+    if (net === 'h2') {
+        const h2 = p['h2-opts'] || {};
+        return { type: 'h2', path: h2.path, host: h2.host };
+    }
+    if (net === 'xhttp') {
+        const x = p['xhttp-opts'] || {};
+        const extra = {};
+        Object.entries(XHTTP_CLASH_OPTION_KEYS).forEach(([xrayKey, clashKey]) => {
+            if (x[clashKey] !== undefined) extra[xrayKey] = x[clashKey];
+        });
+        return {
+            type: 'xhttp',
+            path: x.path,
+            host: x.host,
+            mode: x.mode,
+            headers: x.headers,
+            ...(Object.keys(extra).length > 0 ? { extra } : {})
+        };
+    }
+    return undefined;
+}
+
+/**
+ * Copy the optional Clash TLS keys (alpn, client-fingerprint, ech-opts) onto an internal tls object
+ * @param {object} tls - Internal tls object to extend
+ * @param {object} p - Clash proxy
+ * @returns {object} - The same tls object
+ */
+function applyClashTlsOptions(tls, p) {
+    const alpn = p.alpn === undefined || p.alpn === null ? undefined : (Array.isArray(p.alpn) ? p.alpn : [p.alpn]);
+    if (alpn) tls.alpn = alpn;
+    if (p['client-fingerprint']) {
+        tls.utls = {
+            enabled: true,
+            fingerprint: p['client-fingerprint']
+        };
+    }
+    const ech = p['ech-opts'];
+    if (ech?.enable) {
+        tls.ech = {
+            enabled: true,
+            ...(ech.config ? { config: echConfigFromBase64(ech.config) } : {}),
+            ...(ech['query-server-name'] ? { query_server_name: ech['query-server-name'] } : {})
+        };
+    }
+    return tls;
+}
+
+/**
+ * Convert a Clash Meta `smux` block into the internal (sing-box) multiplex object
+ * @param {object} smux - Clash smux options
+ * @returns {object|undefined}
+ */
+function convertClashSmux(smux) {
+    if (!smux || typeof smux !== 'object' || !smux.enabled) return undefined;
+    const brutal = smux['brutal-opts'];
+    const multiplex = {
+        enabled: true,
+        protocol: smux.protocol,
+        max_connections: smux['max-connections'],
+        min_streams: smux['min-streams'],
+        max_streams: smux['max-streams'],
+        padding: typeof smux.padding !== 'undefined' ? !!smux.padding : undefined,
+        ...(brutal?.enabled ? {
+            brutal: {
+                enabled: true,
+                up_mbps: parseBandwidthMbps(brutal.up),
+                down_mbps: parseBandwidthMbps(brutal.down)
+            }
+        } : {})
+    };
+    Object.keys(multiplex).forEach(key => multiplex[key] === undefined && delete multiplex[key]);
+    return multiplex;
+}
+
 export function convertYamlProxyToObject(p) {
+    const proxy = convertYamlProxy(p);
+    // mihomo chains nodes with dialer-proxy; the internal model follows sing-box's detour
+    if (proxy && typeof p['dialer-proxy'] === 'string' && p['dialer-proxy']) {
+        proxy.detour = p['dialer-proxy'];
+    }
+    return proxy;
+}
+
+function convertYamlProxy(p) {
     if (!p || typeof p !== 'object' || !p.type) return null;
     const type = String(p.type).toLowerCase();
     const name = p.name || p.tag || 'proxy';
@@ -20,37 +137,33 @@ export function convertYamlProxyToObject(p) {
                 tcp_fast_open: !!p['fast-open'],
                 udp: typeof p.udp !== 'undefined' ? !!p.udp : undefined,
                 plugin: p.plugin,
-                plugin_opts: p['plugin-opts']
+                plugin_opts: p['plugin-opts'],
+                multiplex: convertClashSmux(p.smux)
+            };
+        case 'ssr':
+            return {
+                tag: name,
+                type: 'shadowsocksr',
+                server: p.server,
+                server_port: parseInt(p.port),
+                method: p.cipher,
+                password: p.password,
+                protocol: p.protocol,
+                protocol_param: p['protocol-param'],
+                obfs: p.obfs,
+                obfs_param: p['obfs-param'],
+                udp: typeof p.udp !== 'undefined' ? !!p.udp : undefined
             };
         case 'vmess': {
             const tlsEnabled = !!p.tls;
             const tls = tlsEnabled
-                ? {
+                ? applyClashTlsOptions({
                     enabled: true,
                     server_name: p.servername || p.sni,
                     insecure: !!p['skip-cert-verify']
-                }
+                }, p)
                 : { enabled: false };
-            const transport = (() => {
-                const net = p.network || p['network-type'];
-                if (net === 'ws') {
-                    const w = p['ws-opts'] || {};
-                    return { type: 'ws', path: w.path, headers: w.headers };
-                }
-                if (net === 'grpc') {
-                    const g = p['grpc-opts'] || {};
-                    return { type: 'grpc', service_name: g['grpc-service-name'] };
-                }
-                if (net === 'http') {
-                    const h = p['http-opts'] || {};
-                    return { type: 'http', method: h.method || 'GET', path: h.path, headers: h.headers };
-                }
-                if (net === 'h2') {
-                    const h2 = p['h2-opts'] || {};
-                    return { type: 'h2', path: h2.path, host: h2.host };
-                }
-                return undefined;
-            })();
+            const transport = convertClashTransport(p.network || p['network-type'], p);
             return {
                 tag: name,
                 type: 'vmess',
@@ -65,48 +178,23 @@ export function convertYamlProxyToObject(p) {
                 tls,
                 udp: typeof p.udp !== 'undefined' ? !!p.udp : undefined,
                 packet_encoding: p['packet-encoding'],
-                alpn: toArray(p.alpn)
+                multiplex: convertClashSmux(p.smux)
             };
         }
         case 'vless': {
             const tlsEnabled = !!p.tls;
             const reality = p['reality-opts'];
             const tls = tlsEnabled
-                ? {
+                ? applyClashTlsOptions({
                     enabled: true,
                     server_name: p.servername || p.sni,
                     insecure: !!p['skip-cert-verify'],
                     ...(reality
                         ? { reality: { enabled: true, public_key: reality['public-key'], short_id: reality['short-id'] } }
                         : {})
-                }
+                }, p)
                 : { enabled: false };
-            if (p['client-fingerprint']) {
-                tls.utls = {
-                    enabled: true,
-                    fingerprint: p['client-fingerprint']
-                };
-            }
-            const transport = (() => {
-                const net = p.network;
-                if (net === 'ws') {
-                    const w = p['ws-opts'] || {};
-                    return { type: 'ws', path: w.path, headers: w.headers };
-                }
-                if (net === 'grpc') {
-                    const g = p['grpc-opts'] || {};
-                    return { type: 'grpc', service_name: g['grpc-service-name'] };
-                }
-                if (net === 'http') {
-                    const h = p['http-opts'] || {};
-                    return { type: 'http', method: h.method || 'GET', path: h.path, headers: h.headers };
-                }
-                if (net === 'h2') {
-                    const h2 = p['h2-opts'] || {};
-                    return { type: 'h2', path: h2.path, host: h2.host };
-                }
-                return undefined;
-            })();
+            const transport = convertClashTransport(p.network, p);
             return {
                 tag: name,
                 type: 'vless',
@@ -120,48 +208,23 @@ export function convertYamlProxyToObject(p) {
                 flow: p.flow ?? undefined,
                 udp: typeof p.udp !== 'undefined' ? !!p.udp : undefined,
                 packet_encoding: p['packet-encoding'],
-                alpn: toArray(p.alpn)
+                multiplex: convertClashSmux(p.smux)
             };
         }
         case 'trojan': {
             const tlsEnabled = !!p.tls;
             const reality = p['reality-opts'];
             const tls = tlsEnabled
-                ? {
+                ? applyClashTlsOptions({
                     enabled: true,
                     server_name: p.servername || p.sni,
                     insecure: !!p['skip-cert-verify'],
                     ...(reality
                         ? { reality: { enabled: true, public_key: reality['public-key'], short_id: reality['short-id'] } }
                         : {})
-                }
+                }, p)
                 : { enabled: false };
-            if (p['client-fingerprint']) {
-                tls.utls = {
-                    enabled: true,
-                    fingerprint: p['client-fingerprint']
-                };
-            }
-            const transport = (() => {
-                const net = p.network;
-                if (net === 'ws') {
-                    const w = p['ws-opts'] || {};
-                    return { type: 'ws', path: w.path, headers: w.headers };
-                }
-                if (net === 'grpc') {
-                    const g = p['grpc-opts'] || {};
-                    return { type: 'grpc', service_name: g['grpc-service-name'] };
-                }
-                if (net === 'http') {
-                    const h = p['http-opts'] || {};
-                    return { type: 'http', method: h.method || 'GET', path: h.path, headers: h.headers };
-                }
-                if (net === 'h2') {
-                    const h2 = p['h2-opts'] || {};
-                    return { type: 'h2', path: h2.path, host: h2.host };
-                }
-                return undefined;
-            })();
+            const transport = convertClashTransport(p.network, p);
             return {
                 type: 'trojan',
                 tag: name,
@@ -173,17 +236,42 @@ export function convertYamlProxyToObject(p) {
                 tls,
                 transport,
                 flow: p.flow ?? undefined,
-                alpn: toArray(p.alpn)
+                multiplex: convertClashSmux(p.smux)
+            };
+        }
+        case 'hysteria': {
+            const authStr = p['auth-str'] ?? p.auth_str;
+            return {
+                tag: name,
+                type: 'hysteria',
+                server: p.server,
+                server_port: parseInt(p.port),
+                // 'auth' is the base64 form of the same credential
+                auth_str: authStr ?? (p.auth ? decodeBase64(p.auth) : undefined),
+                protocol: p.protocol,
+                up_mbps: parseBandwidthMbps(p.up),
+                down_mbps: parseBandwidthMbps(p.down),
+                obfs: p.obfs,
+                ports: p.ports,
+                recv_window_conn: p['recv-window-conn'],
+                recv_window: p['recv-window'],
+                disable_mtu_discovery: typeof p['disable-mtu-discovery'] !== 'undefined' ? !!p['disable-mtu-discovery'] : undefined,
+                fast_open: typeof p['fast-open'] !== 'undefined' ? !!p['fast-open'] : undefined,
+                tls: applyClashTlsOptions({
+                    enabled: true,
+                    server_name: p.sni,
+                    insecure: !!p['skip-cert-verify']
+                }, p),
+                udp: typeof p.udp !== 'undefined' ? !!p.udp : undefined
             };
         }
         case 'hysteria2':
-        case 'hysteria':
         case 'hy2': {
-            const tls = {
+            const tls = applyClashTlsOptions({
                 enabled: true,
                 server_name: p.sni,
                 insecure: !!p['skip-cert-verify']
-            };
+            }, p);
             const obfs = {};
             if (p.obfs) {
                 obfs.type = p.obfs;
@@ -218,12 +306,11 @@ export function convertYamlProxyToObject(p) {
                 uuid: p.uuid,
                 password: p.password,
                 congestion_control: p['congestion-controller'] || p.congestion_control,
-                tls: {
+                tls: applyClashTlsOptions({
                     enabled: true,
                     server_name: p.sni,
-                    alpn: toArray(p.alpn),
                     insecure: !!p['skip-cert-verify']
-                },
+                }, p),
                 flow: p.flow ?? undefined,
                 udp_relay_mode: p['udp-relay-mode'],
                 zero_rtt: typeof p['zero-rtt'] !== 'undefined' ? !!p['zero-rtt'] : undefined,
@@ -233,18 +320,11 @@ export function convertYamlProxyToObject(p) {
             };
         }
         case 'anytls': {
-            const tls = {
+            const tls = applyClashTlsOptions({
                 enabled: true,
                 server_name: p.sni,
-                insecure: !!p['skip-cert-verify'],
-                alpn: toArray(p.alpn)
-            };
-            if (p['client-fingerprint']) {
-                tls.utls = {
-                    enabled: true,
-                    fingerprint: p['client-fingerprint']
-                };
-            }
+                insecure: !!p['skip-cert-verify']
+            }, p);
             return {
                 tag: name,
                 type: 'anytls',
@@ -258,6 +338,47 @@ export function convertYamlProxyToObject(p) {
                 tls
             };
         }
+        case 'socks5':
+        case 'http': {
+            const tls = p.tls
+                ? applyClashTlsOptions({
+                    enabled: true,
+                    server_name: p.sni,
+                    insecure: !!p['skip-cert-verify']
+                }, p)
+                : undefined;
+            return {
+                tag: name,
+                type: type === 'socks5' ? 'socks' : 'http',
+                server: p.server,
+                server_port: parseInt(p.port),
+                ...(type === 'socks5' ? { version: '5' } : {}),
+                username: p.username,
+                password: p.password,
+                tls,
+                udp: typeof p.udp !== 'undefined' ? !!p.udp : undefined
+            };
+        }
+        case 'wireguard': {
+            // Multi-peer configs keep the endpoint on the first peer instead of the proxy itself
+            const peer = Array.isArray(p.peers) && p.peers.length > 0 ? p.peers[0] : p;
+            const addresses = [p.ip, p.ipv6].filter(Boolean);
+            return {
+                tag: name,
+                type: 'wireguard',
+                server: peer.server ?? p.server,
+                server_port: parseInt(peer.port ?? p.port),
+                private_key: p['private-key'],
+                peer_public_key: peer['public-key'],
+                pre_shared_key: peer['pre-shared-key'],
+                local_address: normalizeWireguardAddresses(addresses.length > 0 ? addresses : undefined),
+                reserved: parseWireguardReserved(peer.reserved),
+                mtu: p.mtu,
+                allowed_ips: toArray(peer['allowed-ips']),
+                persistent_keepalive_interval: p['persistent-keepalive'],
+                udp: typeof p.udp !== 'undefined' ? !!p.udp : undefined
+            };
+        }
         default:
             return null;
     }
@@ -0,0 +1,30 @@
+import { parseServerInfo, parseUrlParams, parseBool, parseTlsOptions } from '../../utils.js';
+
+export function parseAnytls(url) {
+    const { addressPart, params, name } = parseUrlParams(url);
+    const atIndex = addressPart.lastIndexOf('@');
+    const password = atIndex >= 0 ? addressPart.slice(0, atIndex) : '';
+    // Share links are usually written as anytls://pass@host:port/?sni=...
+    const serverInfo = addressPart.slice(atIndex + 1).replace(/\/+$/, '');
+    const { host, port } = parseServerInfo(serverInfo);
+
+    // AnyTLS always runs over TLS
+    const tls = {
+        enabled: true,
+        server_name: params.sni || params.peer,
+        insecure: parseBool(params.insecure ?? params.allowInsecure ?? params['skip-cert-verify'], false),
+        ...parseTlsOptions(params)
+    };
+
+    const udp = parseBool(params.udp);
+
+    return {
+        tag: name,
+        type: 'anytls',
+        server: host,
+        server_port: port,
+        password: decodeURIComponent(password),
+        tls,
+        ...(udp !== undefined ? { udp } : {})
+    };
+}
@@ -0,0 +1,38 @@
+import { parseServerInfo, parseUrlParams, parseMaybeNumber, parseBool, parseBandwidthMbps, parseTlsOptions } from '../../utils.js';
+
+/**
+ * Parse a Hysteria v1 link
+ * Format: hysteria://host:port?protocol=udp&auth=xxx&peer=sni&insecure=1&upmbps=100&downmbps=100&alpn=hysteria&obfsParam=xxx#name
+ */
+export function parseHysteria(url) {
+    const { addressPart, params, name } = parseUrlParams(url);
+    const serverInfo = addressPart.slice(addressPart.lastIndexOf('@') + 1).replace(/\/+$/, '');
+    const { host, port } = parseServerInfo(serverInfo);
+
+    // Hysteria v1 always runs over TLS
+    const tls = {
+        enabled: true,
+        server_name: params.peer || params.sni,
+        insecure: parseBool(params.insecure ?? params.allowInsecure, false),
+        ...parseTlsOptions(params)
+    };
+
+    return {
+        tag: name,
+        type: 'hysteria',
+        server: host,
+        server_port: port,
+        auth_str: params.auth || params.auth_str || undefined,
+        protocol: params.protocol || undefined,
+        up_mbps: parseBandwidthMbps(params.upmbps ?? params.up),
+        down_mbps: parseBandwidthMbps(params.downmbps ?? params.down),
+        // v1 obfs is a plain string (xplus key), not the v2 {type, password} object
+        obfs: params.obfsParam || params['obfs-param'] || undefined,
+        ports: params.mport || params.ports || undefined,
+        recv_window_conn: parseMaybeNumber(params.recv_window_conn),
+        recv_window: parseMaybeNumber(params.recv_window),
+        disable_mtu_discovery: parseBool(params.disable_mtu_discovery),
+        fast_open: parseBool(params.fastopen ?? params['fast-open']),
+        tls
+    };
+}
@@ -1,4 +1,4 @@
-import { base64ToBinary } from '../../utils.js';
+import { base64ToBinary, parseMultiplexParams } from '../../utils.js';
 
 function parseServer(serverPart) {
     const match = serverPart.match(/\[([^\]]+)\]:(\d+)/);
@@ -60,7 +60,7 @@ function parsePluginString(pluginStr) {
     };
 }
 
-function createConfig(tag, server, server_port, method, password, pluginInfo) {
+function createConfig(tag, server, server_port, method, password, pluginInfo, multiplex) {
     const config = {
         tag: tag || 'Shadowsocks',
         type: 'shadowsocks',
@@ -80,6 +80,10 @@ function createConfig(tag, server, server_port, method, password, pluginInfo) {
         }
     }
 
+    if (multiplex) {
+        config.multiplex = multiplex;
+    }
+
     return config;
 }
 
@@ -101,12 +105,14 @@ export function parseShadowsocks(url) {
 
     // Parse plugin from query string
     let pluginInfo = null;
+    let multiplex;
     if (queryString) {
         const params = new URLSearchParams(queryString);
         const pluginParam = params.get('plugin');
         if (pluginParam) {
             pluginInfo = parsePluginString(pluginParam);
         }
+        multiplex = parseMultiplexParams(Object.fromEntries(params.entries()));
     }
 
     try {
@@ -116,7 +122,7 @@ export function parseShadowsocks(url) {
             const [methodAndPass, serverInfo] = decodedLegacy.split('@');
             const [method, password] = methodAndPass.split(':');
             const [server, server_port] = parseServer(serverInfo);
-            return createConfig(tag, server, server_port, method, password, pluginInfo);
+            return createConfig(tag, server, server_port, method, password, pluginInfo, multiplex);
         }
 
         let decodedParts = base64ToBinary(decodeURIComponent(base64)).split(':');
@@ -124,7 +130,7 @@ export function parseShadowsocks(url) {
         let password = decodedParts.slice(1).join(':');
         let [server, server_port] = parseServer(serverPart);
 
-        return createConfig(tag, server, server_port, method, password, pluginInfo);
+        return createConfig(tag, server, server_port, method, password, pluginInfo, multiplex);
     } catch (e) {
         console.error('Failed to parse shadowsocks URL:', e);
         return null;
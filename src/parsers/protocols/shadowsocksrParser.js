@@ -0,0 +1,44 @@
+import { decodeBase64 } from '../../utils.js';
+
+// SSR links use URL-safe base64 without padding for every encoded segment
+function decodeUrlSafeBase64(value) {
+    if (!value) return '';
+    const normalized = value.trim().replace(/-/g, '+').replace(/_/g, '/');
+    return decodeBase64(normalized + '='.repeat((4 - normalized.length % 4) % 4));
+}
+
+/**
+ * Parse ssr://base64(host:port:protocol:method:obfs:base64pass/?obfsparam=..&protoparam=..&remarks=..&group=..)
+ */
+export function parseShadowsocksr(url) {
+    const decoded = decodeUrlSafeBase64(url.replace(/^ssr:\/\//i, '').split('#')[0]);
+    const [mainPart, queryPart = ''] = decoded.split('/?');
+    const segments = mainPart.replace(/\/$/, '').split(':');
+    if (segments.length < 6) {
+        return null;
+    }
+
+    // The host may be an IPv6 address, so take the fixed-position fields from the end
+    const passwordEncoded = segments.pop();
+    const obfs = segments.pop();
+    const method = segments.pop();
+    const protocol = segments.pop();
+    const port = parseInt(segments.pop());
+    const host = segments.join(':').replace(/^\[(.*)\]$/, '$1');
+
+    const params = Object.fromEntries(new URLSearchParams(queryPart).entries());
+    const decodeParam = (key) => (params[key] ? decodeUrlSafeBase64(params[key]) : undefined);
+
+    return {
+        tag: decodeParam('remarks') || `${host}:${port}`,
+        type: 'shadowsocksr',
+        server: host,
+        server_port: port,
+        method,
+        password: decodeUrlSafeBase64(passwordEncoded),
+        protocol,
+        protocol_param: decodeParam('protoparam'),
+        obfs,
+        obfs_param: decodeParam('obfsparam')
+    };
+}
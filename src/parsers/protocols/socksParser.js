@@ -0,0 +1,22 @@
+import { parseServerInfo, parseUrlParams, parseBool, parseProxyCredentials } from '../../utils.js';
+
+export function parseSocks(url) {
+    const { addressPart, params, name } = parseUrlParams(url);
+    const atIndex = addressPart.lastIndexOf('@');
+    const { username, password } = parseProxyCredentials(atIndex >= 0 ? addressPart.slice(0, atIndex) : '');
+    const serverInfo = addressPart.slice(atIndex + 1).replace(/\/+$/, '');
+    const { host, port } = parseServerInfo(serverInfo);
+
+    const udp = parseBool(params.udp);
+
+    return {
+        tag: name,
+        type: 'socks',
+        server: host,
+        server_port: port,
+        version: '5',
+        username,
+        password,
+        ...(udp !== undefined ? { udp } : {})
+    };
+}
@@ -1,4 +1,4 @@
-import { parseServerInfo, parseUrlParams, createTlsConfig, createTransportConfig } from '../../utils.js';
+import { parseServerInfo, parseUrlParams, createTlsConfig, createTransportConfig, parseMultiplexParams } from '../../utils.js';
 
 export function parseTrojan(url) {
     const { addressPart, params, name } = parseUrlParams(url);
@@ -7,7 +7,8 @@ export function parseTrojan(url) {
 
     const parsedURL = parseServerInfo(addressPart);
     const tls = createTlsConfig(params);
-    const transport = params.type !== 'tcp' ? createTransportConfig(params) : undefined;
+    const transport = createTransportConfig(params);
+    const multiplex = parseMultiplexParams(params);
     return {
         type: 'trojan',
         tag: name,
@@ -18,6 +19,7 @@ export function parseTrojan(url) {
         tcp_fast_open: false,
         tls,
         transport,
-        flow: params.flow ?? undefined
+        flow: params.flow ?? undefined,
+        ...(multiplex ? { multiplex } : {})
     };
 }
@@ -1,4 +1,4 @@
-import { parseServerInfo, parseUrlParams, createTlsConfig, createTransportConfig, parseBool } from '../../utils.js';
+import { parseServerInfo, parseUrlParams, createTlsConfig, createTransportConfig, parseBool, parseMultiplexParams } from '../../utils.js';
 
 export function parseVless(url) {
     const { addressPart, params, name } = parseUrlParams(url);
@@ -6,13 +6,8 @@ export function parseVless(url) {
     const { host, port } = parseServerInfo(serverInfo);
 
     const tls = createTlsConfig(params);
-    if (tls.reality) {
-        tls.utls = {
-            enabled: true,
-            fingerprint: 'chrome'
-        };
-    }
-    const transport = params.type !== 'tcp' ? createTransportConfig(params) : undefined;
+    const transport = createTransportConfig(params);
+    const multiplex = parseMultiplexParams(params);
 
     // Parse UDP setting - primarily used for Clash output
     // In sing-box, UDP is controlled by 'network' field, but we preserve this for Clash compatibility
@@ -29,6 +24,7 @@ export function parseVless(url) {
         transport,
         network: 'tcp',
         flow: params.flow ?? undefined,
+        ...(multiplex ? { multiplex } : {}),
         // Include udp if explicitly specified - will be used for Clash output
         // SingBoxConfigBuilder will strip this field for sing-box output
         ...(udp !== undefined ? { udp } : {})
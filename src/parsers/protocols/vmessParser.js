@@ -1,4 +1,4 @@
-import { decodeBase64 } from '../../utils.js';
+import { decodeBase64, createTransportConfig, parseTlsOptions, parseMultiplexParams } from '../../utils.js';
 
 function normalizeArray(value) {
     if (!value) return undefined;
@@ -45,7 +45,9 @@ export function parseVmess(url) {
         tls = {
             enabled: true,
             server_name: vmessConfig.sni,
-            insecure: vmessConfig['skip-cert-verify'] || false
+            insecure: vmessConfig['skip-cert-verify'] || false,
+            // v2rayN exports fp/alpn/ech alongside sni in the JSON payload
+            ...parseTlsOptions(vmessConfig)
         };
     }
 
@@ -76,8 +78,18 @@ export function parseVmess(url) {
             path: vmessConfig.path,
             host: hostValue ? (Array.isArray(hostValue) ? hostValue : [hostValue]) : undefined
         };
+    } else if (['httpupgrade', 'xhttp', 'splithttp', 'quic'].includes(networkType)) {
+        transport = createTransportConfig({
+            type: networkType,
+            host: vmessConfig.host,
+            path: vmessConfig.path,
+            mode: vmessConfig.mode,
+            extra: vmessConfig.extra
+        });
     }
 
+    const multiplex = parseMultiplexParams(vmessConfig);
+
     return {
         tag: tagOverride || vmessConfig.ps,
         type: 'vmess',
@@ -89,6 +101,7 @@ export function parseVmess(url) {
         network: 'tcp',
         tcp_fast_open: false,
         transport,
-        tls: tls.enabled ? tls : undefined
+        tls: tls.enabled ? tls : undefined,
+        ...(multiplex ? { multiplex } : {})
     };
 }
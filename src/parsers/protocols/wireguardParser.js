@@ -0,0 +1,31 @@
+import { parseServerInfo, parseUrlParams, parseArray, parseBool, parseMaybeNumber, parseWireguardReserved, normalizeWireguardAddresses } from '../../utils.js';
+
+// URLSearchParams turns '+' into a space, which corrupts base64 keys
+const restoreKey = (value) => (typeof value === 'string' ? value.replace(/ /g, '+') : value);
+
+export function parseWireguard(url) {
+    const { addressPart, params, name } = parseUrlParams(url);
+    const atIndex = addressPart.lastIndexOf('@');
+    // Private key is carried as userinfo (wireguard://key@host:port) or as a query parameter
+    const userinfo = atIndex >= 0 ? decodeURIComponent(addressPart.slice(0, atIndex)) : '';
+    const serverInfo = addressPart.slice(atIndex + 1).replace(/\/+$/, '');
+    const { host, port } = parseServerInfo(serverInfo);
+
+    const udp = parseBool(params.udp);
+
+    return {
+        tag: name,
+        type: 'wireguard',
+        server: host,
+        server_port: port,
+        private_key: userinfo || restoreKey(params.privatekey || params['private-key'] || params.private_key),
+        peer_public_key: restoreKey(params.publickey || params['public-key'] || params.public_key || params.peer),
+        pre_shared_key: restoreKey(params.presharedkey || params['pre-shared-key'] || params.psk) || undefined,
+        local_address: normalizeWireguardAddresses(params.address || params.ip),
+        reserved: parseWireguardReserved(params.reserved),
+        mtu: parseMaybeNumber(params.mtu),
+        allowed_ips: parseArray(params.allowedips || params['allowed-ips']),
+        persistent_keepalive_interval: parseMaybeNumber(params.keepalive || params['persistent-keepalive']),
+        ...(udp !== undefined ? { udp } : {})
+    };
+}
@@ -1,7 +1,11 @@
 import { decodeBase64 } from '../../utils.js';
 import { parseSubscriptionContent } from './subscriptionContentParser.js';
+import { buildRequestHeaders, parseSourceEntry } from './sourceOptions.js';
 
-const SUBSCRIPTION_URI_PATTERN = /^(ss|vmess|vless|hysteria|hysteria2|hy2|trojan|tuic|anytls|http|https):\/\//i;
+export const DEFAULT_SOURCE_TIMEOUT_MS = 10000;
+export const DEFAULT_FETCH_DEADLINE_MS = 25000;
+
+const SUBSCRIPTION_URI_PATTERN = /^(ss|ssr|vmess|vless|hysteria|hysteria2|hy2|trojan|tuic|anytls|wireguard|wg|socks|socks5|http-proxy|https-proxy|http|https):\/\//i;
 
 function hasSubscriptionUriLine(content) {
     return content
@@ -118,15 +122,21 @@ function detectFormat(content) {
 
 /**
  * Fetch subscription content from a URL and parse it
- * @param {string} url - The subscription URL to fetch
- * @param {string} userAgent - Optional User-Agent header
+ * @param {string} url - The subscription URL to fetch, optionally with per-source request options
+ *   (`url|ua=...|header=Name: value`, or a JSON object with a `url` field; see sourceOptions.js)
+ * @param {string} userAgent - Optional User-Agent header, unless the source pins its own
  * @param {object} options - Optional options
  * @param {object} options.cacheService - Optional SubscriptionCacheService instance
  * @param {boolean} options.cacheEnabled - Whether to use cache (default: true)
+ * @param {AbortSignal} options.signal - Optional signal that cancels the download
  * @returns {Promise<object|string[]|null>} - Parsed subscription content
  */
 export async function fetchSubscription(url, userAgent, options = {}) {
-    const { cacheService, cacheEnabled = true } = options;
+    const { cacheService, cacheEnabled = true, signal } = options;
+
+    const source = parseSourceEntry(url);
+    // The request User-Agent is only a fallback; the cache service rotates it on retries unless the source pins one
+    const headers = buildRequestHeaders(source.options);
 
     try {
         let text;
@@ -134,9 +144,12 @@ export async function fetchSubscription(url, userAgent, options = {}) {
         let warning = null;
 
         if (cacheService && cacheEnabled) {
-            const result = await cacheService.fetchWithCache(url, {
-                headers: { 'User-Agent': userAgent },
-                cacheEnabled
+            const result = await cacheService.fetchWithCache(source.url, {
+                headers,
+                userAgent,
+                cacheEnabled,
+                signal,
+                rotateUserAgent: source.options.rotateUserAgent
             });
 
             if (!result.success) {
@@ -152,13 +165,10 @@ export async function fetchSubscription(url, userAgent, options = {}) {
             fromCache = result.fromCache;
         } else {
             // Direct fetch without cache
-            const headers = new Headers();
-            if (userAgent) {
-                headers.set('User-Agent', userAgent);
-            }
-            const response = await fetch(url, {
+            const response = await fetch(source.url, {
                 method: 'GET',
-                headers: headers
+                headers: buildRequestHeaders(source.options, userAgent),
+                signal
             });
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -177,15 +187,21 @@ export async function fetchSubscription(url, userAgent, options = {}) {
 
 /**
  * Fetch subscription content and detect its format without parsing
- * @param {string} url - The subscription URL to fetch
- * @param {string} userAgent - Optional User-Agent header
+ * @param {string} url - The subscription URL to fetch, optionally with per-source request options
+ *   (`url|ua=...|header=Name: value`, or a JSON object with a `url` field; see sourceOptions.js)
+ * @param {string} userAgent - Optional User-Agent header, unless the source pins its own
  * @param {object} options - Optional options
  * @param {object} options.cacheService - Optional SubscriptionCacheService instance
  * @param {boolean} options.cacheEnabled - Whether to use cache (default: true)
+ * @param {AbortSignal} options.signal - Optional signal that cancels the download
  * @returns {Promise<{content: string, format: 'clash'|'singbox'|'surge'|'unknown', url: string, fromCache?: boolean, warning?: string, subscriptionUserinfo?: string}|null>}
  */
 export async function fetchSubscriptionWithFormat(url, userAgent, options = {}) {
-    const { cacheService, cacheEnabled = true } = options;
+    const { cacheService, cacheEnabled = true, signal } = options;
+
+    const source = parseSourceEntry(url);
+    // The request User-Agent is only a fallback; the cache service rotates it on retries unless the source pins one
+    const headers = buildRequestHeaders(source.options);
 
     try {
         let text;
@@ -194,9 +210,12 @@ export async function fetchSubscriptionWithFormat(url, userAgent, options = {})
         let subscriptionUserinfo;
 
         if (cacheService && cacheEnabled) {
-            const result = await cacheService.fetchWithCache(url, {
-                headers: { 'User-Agent': userAgent },
-                cacheEnabled
+            const result = await cacheService.fetchWithCache(source.url, {
+                headers,
+                userAgent,
+                cacheEnabled,
+                signal,
+                rotateUserAgent: source.options.rotateUserAgent
             });
 
             if (!result.success) {
@@ -214,13 +233,10 @@ export async function fetchSubscriptionWithFormat(url, userAgent, options = {})
             subscriptionUserinfo = result.subscriptionUserinfo;
         } else {
             // Direct fetch without cache
-            const headers = new Headers();
-            if (userAgent) {
-                headers.set('User-Agent', userAgent);
-            }
-            const response = await fetch(url, {
+            const response = await fetch(source.url, {
                 method: 'GET',
-                headers: headers
+                headers: buildRequestHeaders(source.options, userAgent),
+                signal
             });
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -232,9 +248,68 @@ export async function fetchSubscriptionWithFormat(url, userAgent, options = {})
         const content = decodeContent(text);
         const format = detectFormat(content);
 
-        return { content, format, url, fromCache, warning, subscriptionUserinfo };
+        return { content, format, url: source.url, fromCache, warning, subscriptionUserinfo };
     } catch (error) {
         console.error('Error fetching subscription:', error);
         return null;
     }
 }
+
+/**
+ * Download several sources in parallel without letting one slow source hold up the rest.
+ * Each source gets an AbortController that fires after `sourceTimeoutMs`; sources still
+ * pending at the shared `deadlineMs` are aborted and given up on, so callers build from partial results.
+ * @param {string[]} urls - Source URLs; duplicates are fetched once
+ * @param {(url: string, signal: AbortSignal) => Promise<object|null>} fetchSource - Resolves null (or throws) when the source failed
+ * @param {object} options - Optional options
+ * @param {number} options.sourceTimeoutMs - Per-source timeout (default: 10s)
+ * @param {number} options.deadlineMs - Deadline for all sources together (default: 25s)
+ * @returns {Promise<{results: Map<string, object>, failures: Array<{url: string, reason: 'timeout'|'error'}>}>}
+ *   failures are listed in input order
+ */
+export async function fetchConcurrently(urls, fetchSource, options = {}) {
+    const sourceTimeoutMs = options.sourceTimeoutMs || DEFAULT_SOURCE_TIMEOUT_MS;
+    const deadlineMs = options.deadlineMs || DEFAULT_FETCH_DEADLINE_MS;
+    const sources = [...new Set(urls)].map(url => ({ url, controller: new AbortController(), result: undefined, reason: null }));
+
+    const downloads = Promise.all(sources.map(async source => {
+        const timer = setTimeout(() => source.controller.abort(), sourceTimeoutMs);
+        try {
+            const result = await fetchSource(source.url, source.controller.signal);
+            // Late answers after the deadline are ignored
+            if (source.result !== undefined) return;
+            source.result = result || null;
+        } catch (error) {
+            if (source.result !== undefined) return;
+            source.result = null;
+        } finally {
+            clearTimeout(timer);
+        }
+        if (source.result === null) {
+            source.reason = source.controller.signal.aborted ? 'timeout' : 'error';
+        }
+    }));
+
+    let deadlineTimer;
+    const deadline = new Promise(resolve => {
+        deadlineTimer = setTimeout(resolve, deadlineMs);
+    });
+    await Promise.race([downloads, deadline]);
+    clearTimeout(deadlineTimer);
+
+    const results = new Map();
+    const failures = [];
+    sources.forEach(source => {
+        if (source.result === undefined) {
+            source.controller.abort();
+            source.result = null;
+            source.reason = 'timeout';
+        }
+        if (source.result) {
+            results.set(source.url, source.result);
+        } else {
+            failures.push({ url: source.url, reason: source.reason });
+        }
+    });
+    return { results, failures };
+}
@@ -0,0 +1,132 @@
+import { encodeBase64 } from '../../utils.js';
+
+/**
+ * @typedef {Object} SourceRequestOptions
+ * @property {string} [userAgent] - Overrides the request's User-Agent for this source
+ * @property {Object<string, string>} [headers] - Extra request headers; they win over the User-Agent above
+ * @property {{type: 'basic', username: string, password: string}|{type: 'bearer', token: string}} [auth]
+ * @property {boolean} [rotateUserAgent] - false sends the request once, exactly as configured,
+ *   instead of retrying with the client User-Agent pool
+ */
+
+const SUFFIX_OPTION_PATTERN = /\|(ua|header|auth|bearer|rotate)=/i;
+
+function parseFlag(value) {
+    const normalized = String(value).trim().toLowerCase();
+    if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+    if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+    return undefined;
+}
+
+function parseBasicAuth(value) {
+    if (value && typeof value === 'object') {
+        return { type: 'basic', username: String(value.username ?? ''), password: String(value.password ?? '') };
+    }
+    const separator = String(value).indexOf(':');
+    if (separator === -1) return { type: 'basic', username: String(value), password: '' };
+    return { type: 'basic', username: value.slice(0, separator), password: value.slice(separator + 1) };
+}
+
+/**
+ * `https://host/sub|ua=clash.meta|header=X-Token: abc|auth=user:pass|bearer=TOKEN|rotate=false`
+ */
+function parseSuffixEntry(entry) {
+    const start = entry.search(SUFFIX_OPTION_PATTERN);
+    if (start === -1) return { url: entry, options: {} };
+
+    const options = {};
+    entry.slice(start + 1).split('|').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator === -1) return;
+        const key = part.slice(0, separator).trim().toLowerCase();
+        const value = part.slice(separator + 1).trim();
+        if (key === 'ua') {
+            options.userAgent = value;
+        } else if (key === 'header') {
+            const colon = value.indexOf(':');
+            if (colon > 0) {
+                options.headers = { ...options.headers, [value.slice(0, colon).trim()]: value.slice(colon + 1).trim() };
+            }
+        } else if (key === 'auth') {
+            options.auth = parseBasicAuth(value);
+        } else if (key === 'bearer') {
+            options.auth = { type: 'bearer', token: value };
+        } else if (key === 'rotate') {
+            options.rotateUserAgent = parseFlag(value);
+        }
+    });
+    return { url: entry.slice(0, start).trim(), options: pruneOptions(options) };
+}
+
+/**
+ * `{"url": "https://host/sub", "ua": "...", "headers": {...}, "auth": "user:pass", "bearer": "...", "rotate": false}`
+ */
+function parseJsonEntry(entry) {
+    let parsed;
+    try {
+        parsed = JSON.parse(entry);
+    } catch {
+        return null;
+    }
+    if (!parsed || typeof parsed !== 'object' || typeof parsed.url !== 'string') return null;
+
+    const options = {
+        userAgent: parsed.ua ?? parsed.userAgent ?? parsed.user_agent,
+        rotateUserAgent: parseFlag(parsed.rotate ?? parsed.rotateUserAgent)
+    };
+    if (parsed.headers && typeof parsed.headers === 'object' && !Array.isArray(parsed.headers)) {
+        options.headers = Object.fromEntries(Object.entries(parsed.headers).map(([name, value]) => [name, String(value)]));
+    }
+    if (parsed.bearer ?? parsed.token) {
+        options.auth = { type: 'bearer', token: String(parsed.bearer ?? parsed.token) };
+    } else if (parsed.auth) {
+        options.auth = parseBasicAuth(parsed.auth);
+    }
+    return { url: parsed.url.trim(), options: pruneOptions(options) };
+}
+
+function pruneOptions(options) {
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Split a subscription input entry into its URL and per-source request options
+ * @param {string} entry - A plain URL, a URL with `|key=value` options, or a JSON object with a `url` field
+ * @returns {{url: string, options: SourceRequestOptions}} options is empty for plain entries
+ */
+export function parseSourceEntry(entry) {
+    const trimmed = typeof entry === 'string' ? entry.trim() : '';
+    if (trimmed.startsWith('{')) {
+        const parsed = parseJsonEntry(trimmed);
+        if (parsed) return parsed;
+    }
+    return parseSuffixEntry(trimmed);
+}
+
+/**
+ * Whether a source asks for anything beyond a plain GET, so clients cannot fetch it on their own
+ */
+export function hasRequestOptions(options) {
+    return Object.keys(options || {}).length > 0;
+}
+
+/**
+ * Request headers for a source: its User-Agent (or the request's), its extra headers, then its credentials
+ * @param {SourceRequestOptions} options
+ * @param {string} [fallbackUserAgent] - The User-Agent used when the source does not pin one
+ * @returns {Headers}
+ */
+export function buildRequestHeaders(options = {}, fallbackUserAgent) {
+    const headers = new Headers();
+    const userAgent = options.userAgent || fallbackUserAgent;
+    if (userAgent) {
+        headers.set('User-Agent', userAgent);
+    }
+    Object.entries(options.headers || {}).forEach(([name, value]) => headers.set(name, value));
+    if (options.auth?.type === 'basic') {
+        headers.set('Authorization', `Basic ${encodeBase64(`${options.auth.username}:${options.auth.password}`)}`);
+    } else if (options.auth?.type === 'bearer') {
+        headers.set('Authorization', `Bearer ${options.auth.token}`);
+    }
+    return headers;
+}
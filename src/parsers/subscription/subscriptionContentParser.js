@@ -28,9 +28,14 @@ export function parseSingboxJson(content) {
                 o.server && o.type &&
                 !SINGBOX_NON_PROXY_TYPES.has(o.type)
             );
+            const endpoints = Array.isArray(parsed.endpoints) ? parsed.endpoints : [];
+            proxies.push(...endpoints
+                .map(e => convertSingboxWireguardEndpoint(e))
+                .filter(p => p != null));
             if (proxies.length > 0) {
                 const configOverrides = deepCopy(parsed);
                 delete configOverrides.outbounds;
+                delete configOverrides.endpoints;
 
                 // Extract selector/urltest outbounds and convert to Clash proxy-groups format
                 const proxyGroups = parsed.outbounds
@@ -55,6 +60,36 @@ export function parseSingboxJson(content) {
     return null;
 }
 
+/**
+ * Convert a Sing-Box 1.11+ WireGuard endpoint to the internal outbound-like format
+ * Only the first peer is kept, matching what Clash and Surge can express
+ * @param {object} endpoint - Sing-Box endpoint object
+ * @returns {object|null} - Internal proxy object
+ */
+function convertSingboxWireguardEndpoint(endpoint) {
+    if (!endpoint || endpoint.type !== 'wireguard' || !endpoint.tag) {
+        return null;
+    }
+    const peer = Array.isArray(endpoint.peers) ? endpoint.peers[0] : null;
+    if (!peer?.address) {
+        return null;
+    }
+    return {
+        tag: endpoint.tag,
+        type: 'wireguard',
+        server: peer.address,
+        server_port: peer.port,
+        private_key: endpoint.private_key,
+        peer_public_key: peer.public_key,
+        pre_shared_key: peer.pre_shared_key,
+        local_address: endpoint.address,
+        reserved: peer.reserved,
+        mtu: endpoint.mtu,
+        allowed_ips: peer.allowed_ips,
+        persistent_keepalive_interval: peer.persistent_keepalive_interval
+    };
+}
+
 /**
  * Convert Sing-Box selector/urltest outbound to Clash proxy-group format
  * @param {object} outbound - Sing-Box outbound object
@@ -155,12 +190,15 @@ export function parseSurgeIni(content) {
         const parsed = convertSurgeIniToJson(content);
         if (parsed && Array.isArray(parsed.proxies) && parsed.proxies.length > 0) {
             const proxies = parsed.proxies
-                .map(line => convertSurgeProxyToObject(line))
+                .map(line => convertSurgeProxyToObject(line, parsed))
                 .filter(p => p != null);
             if (proxies.length > 0) {
                 const configOverrides = deepCopy(parsed);
                 // Remove fields that are handled separately
                 delete configOverrides.proxies;
+                Object.keys(configOverrides)
+                    .filter(key => key.startsWith('wireguard '))
+                    .forEach(key => delete configOverrides[key]);
 
                 // Convert Surge proxy-group strings to Clash-compatible objects
                 if (Array.isArray(parsed['proxy-groups']) && parsed['proxy-groups'].length > 0) {
@@ -1,10 +1,17 @@
 import { CloudflareKVAdapter } from '../adapters/kv/cloudflareKv.js';
+import { D1CacheStore } from '../adapters/cache/d1CacheStore.js';
 import { createSubscriptionCacheService } from '../services/subscriptionCacheService.js';
+import { createAssetFileLoader } from '../adapters/assets/assetFileLoader.js';
+
+const DEFAULT_GEOIP_DB_PATH = 'geoip.mmdb';
 
 export function createCloudflareRuntime(env) {
     // Create subscription cache service with D1 binding
     const subscriptionDb = env?.SUBSCRIPTION_DB ? env.SUBSCRIPTION_DB : null;
-    const subscriptionCache = subscriptionDb ? createSubscriptionCacheService(subscriptionDb) : null;
+    const subscriptionCache = subscriptionDb ? createSubscriptionCacheService(new D1CacheStore(subscriptionDb), {
+        freshSeconds: Number(env?.SUBSCRIPTION_CACHE_FRESH_SECONDS) || 0,
+        staleWhileRevalidateSeconds: Number(env?.SUBSCRIPTION_CACHE_STALE_SECONDS) || 0
+    }) : null;
 
     // Initialize cache service if DB is available
     if (subscriptionCache) {
@@ -13,11 +20,33 @@ export function createCloudflareRuntime(env) {
         });
     }
 
+    const assetFetcher = env?.ASSETS ? (request) => env.ASSETS.fetch(request) : null;
     return {
         kv: env?.SUBLINK_KV ? new CloudflareKVAdapter(env.SUBLINK_KV) : null,
-        assetFetcher: env?.ASSETS ? (request) => env.ASSETS.fetch(request) : null,
+        assetFetcher,
+        geoipLoader: createGeoIpLoader(env, assetFetcher),
         subscriptionCache,
         logger: console,
-        config: {}
+        config: {
+            sourceTimeoutMs: Number(env?.SOURCE_TIMEOUT_MS) || undefined,
+            fetchDeadlineMs: Number(env?.FETCH_DEADLINE_MS) || undefined
+        }
     };
 }
+
+/**
+ * GeoIP database from R2 (GEOIP_BUCKET), a KV key (GEOIP_KV_KEY) or the bundled static assets
+ */
+function createGeoIpLoader(env, assetFetcher) {
+    const key = env?.GEOIP_DB_PATH || DEFAULT_GEOIP_DB_PATH;
+    if (env?.GEOIP_BUCKET) {
+        return async () => {
+            const object = await env.GEOIP_BUCKET.get(key);
+            return object ? object.arrayBuffer() : null;
+        };
+    }
+    if (env?.GEOIP_KV_KEY && env?.SUBLINK_KV) {
+        return () => env.SUBLINK_KV.get(env.GEOIP_KV_KEY, { type: 'arrayBuffer' });
+    }
+    return createAssetFileLoader(assetFetcher, key);
+}
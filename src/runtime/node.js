@@ -1,17 +1,29 @@
 import Redis from 'ioredis';
 import { createFileAssetFetcher } from '../adapters/assets/fileAssetFetcher.js';
+import { createAssetFileLoader } from '../adapters/assets/assetFileLoader.js';
 import { UpstashKVAdapter } from '../adapters/kv/upstashKv.js';
 import { MemoryKVAdapter } from '../adapters/kv/memoryKv.js';
 import { RedisKVAdapter } from '../adapters/kv/redisKv.js';
+import { KVCacheStore } from '../adapters/cache/kvCacheStore.js';
+import { SqliteCacheStore } from '../adapters/cache/sqliteCacheStore.js';
+import { createSubscriptionCacheService } from '../services/subscriptionCacheService.js';
+
+const DEFAULT_GEOIP_DB_PATH = 'geoip.mmdb';
 
 export function createNodeRuntime(env = process.env) {
+    const assetFetcher = createFileAssetFetcher(env.STATIC_DIR || 'public');
+    const kv = resolveKv(env);
     return {
-        kv: resolveKv(env),
-        assetFetcher: createFileAssetFetcher(env.STATIC_DIR || 'public'),
+        kv,
+        assetFetcher,
+        geoipLoader: createAssetFileLoader(assetFetcher, env.GEOIP_DB_PATH || DEFAULT_GEOIP_DB_PATH),
+        subscriptionCache: resolveSubscriptionCache(env, kv),
         logger: console,
         config: {
             configTtlSeconds: parseNumber(env.CONFIG_TTL_SECONDS) || undefined,
-            shortLinkTtlSeconds: parseNumber(env.SHORT_LINK_TTL_SECONDS) || null
+            shortLinkTtlSeconds: parseNumber(env.SHORT_LINK_TTL_SECONDS) || null,
+            sourceTimeoutMs: parseNumber(env.SOURCE_TIMEOUT_MS) || undefined,
+            fetchDeadlineMs: parseNumber(env.FETCH_DEADLINE_MS) || undefined
         }
     };
 }
@@ -33,6 +45,25 @@ function resolveKv(env) {
     return new MemoryKVAdapter();
 }
 
+// Off unless configured: a local SQLite file, or the KV store with SUBSCRIPTION_CACHE_KV=true
+function resolveSubscriptionCache(env, kv) {
+    let store = null;
+    if (env.SUBSCRIPTION_CACHE_SQLITE_PATH) {
+        store = new SqliteCacheStore(env.SUBSCRIPTION_CACHE_SQLITE_PATH);
+    } else if (env.SUBSCRIPTION_CACHE_KV === 'true' && kv) {
+        store = new KVCacheStore(kv, { ttlSeconds: parseNumber(env.SUBSCRIPTION_CACHE_TTL_SECONDS) || undefined });
+    }
+    if (!store) {
+        return null;
+    }
+    return createSubscriptionCacheService(store, {
+        freshSeconds: parseNumber(env.SUBSCRIPTION_CACHE_FRESH_SECONDS) || 0,
+        staleWhileRevalidateSeconds: parseNumber(env.SUBSCRIPTION_CACHE_STALE_SECONDS) || 0,
+        // The server keeps running after the response, so background refreshes need no extra keep-alive
+        waitUntil: () => {}
+    });
+}
+
 function createRedisAdapter(env) {
     const connection = buildRedisConnection(env);
     if (!connection) {
@@ -9,27 +9,36 @@
  * @typedef {(request: Request) => Promise<Response>} AssetFetcher
  */
 
+/**
+ * @typedef {() => Promise<ArrayBuffer | Uint8Array | string | null>} GeoIpLoader
+ */
+
 /**
  * @typedef {Object} SubscriptionCacheService
  * @property {(key: string) => Promise<object|null>} getCachedContent
- * @property {(key: string, url: string, content: string) => Promise<boolean>} saveToCache
+ * @property {(key: string, url: string, content: string, meta?: object) => Promise<boolean>} saveToCache
+ * @property {(key: string, meta?: object) => Promise<boolean>} markValidated
  * @property {(key: string) => Promise<boolean>} recordFailAttempt
  * @property {(key: string) => Promise<boolean>} clearCache
  * @property {() => Promise<object>} getCacheStats
  * @property {() => Promise<boolean>} clearAllCache
  * @property {(url: string, options?: object) => Promise<object>} fetchWithCache
+ * @property {(waitUntil: (promise: Promise) => void) => SubscriptionCacheService} [withWaitUntil]
  */
 
 /**
  * @typedef {Object} RuntimeConfig
  * @property {number} [configTtlSeconds]
  * @property {number} [shortLinkTtlSeconds]
+ * @property {number} [sourceTimeoutMs] - Per-subscription download timeout
+ * @property {number} [fetchDeadlineMs] - Deadline for downloading all subscriptions of one request
  */
 
 /**
  * @typedef {Object} RuntimeBindings
  * @property {KeyValueStore | null} [kv]
  * @property {AssetFetcher | null} [assetFetcher]
+ * @property {GeoIpLoader | null} [geoipLoader]
  * @property {SubscriptionCacheService | null} [subscriptionCache]
  * @property {Console} [logger]
  * @property {RuntimeConfig} [config]
@@ -43,17 +52,20 @@ const DEFAULTS = {
  * Normalize optional runtime bindings and provide safe defaults.
  *
  * @param {RuntimeBindings | undefined} runtime
- * @returns {{ kv: KeyValueStore | null, assetFetcher: AssetFetcher | null, subscriptionCache: SubscriptionCacheService | null, logger: Console, config: RuntimeConfig & { configTtlSeconds: number, shortLinkTtlSeconds: number | null } }}
+ * @returns {{ kv: KeyValueStore | null, assetFetcher: AssetFetcher | null, geoipLoader: GeoIpLoader | null, subscriptionCache: SubscriptionCacheService | null, logger: Console, config: RuntimeConfig & { configTtlSeconds: number, shortLinkTtlSeconds: number | null } }}
  */
 export function normalizeRuntime(runtime = {}) {
     return {
         kv: runtime.kv ?? null,
         assetFetcher: runtime.assetFetcher ?? null,
+        geoipLoader: runtime.geoipLoader ?? null,
         subscriptionCache: runtime.subscriptionCache ?? null,
         logger: runtime.logger ?? console,
         config: {
             configTtlSeconds: runtime.config?.configTtlSeconds ?? DEFAULTS.configTtlSeconds,
-            shortLinkTtlSeconds: runtime.config?.shortLinkTtlSeconds ?? null
+            shortLinkTtlSeconds: runtime.config?.shortLinkTtlSeconds ?? null,
+            sourceTimeoutMs: runtime.config?.sourceTimeoutMs || undefined,
+            fetchDeadlineMs: runtime.config?.fetchDeadlineMs || undefined
         }
     };
 }
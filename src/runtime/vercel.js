@@ -1,17 +1,28 @@
 import Redis from 'ioredis';
 import { createFileAssetFetcher } from '../adapters/assets/fileAssetFetcher.js';
+import { createAssetFileLoader } from '../adapters/assets/assetFileLoader.js';
 import { UpstashKVAdapter } from '../adapters/kv/upstashKv.js';
 import { MemoryKVAdapter } from '../adapters/kv/memoryKv.js';
 import { RedisKVAdapter } from '../adapters/kv/redisKv.js';
+import { KVCacheStore } from '../adapters/cache/kvCacheStore.js';
+import { createSubscriptionCacheService } from '../services/subscriptionCacheService.js';
+
+const DEFAULT_GEOIP_DB_PATH = 'geoip.mmdb';
 
 export function createVercelRuntime(env = process.env) {
+    const assetFetcher = createFileAssetFetcher('public');
+    const kv = resolveKv(env);
     return {
-        kv: resolveKv(env),
-        assetFetcher: createFileAssetFetcher('public'),
+        kv,
+        assetFetcher,
+        geoipLoader: createAssetFileLoader(assetFetcher, env.GEOIP_DB_PATH || DEFAULT_GEOIP_DB_PATH),
+        subscriptionCache: resolveSubscriptionCache(env, kv),
         logger: console,
         config: {
             configTtlSeconds: undefined,
-            shortLinkTtlSeconds: null
+            shortLinkTtlSeconds: null,
+            sourceTimeoutMs: Number(env.SOURCE_TIMEOUT_MS) || undefined,
+            fetchDeadlineMs: Number(env.FETCH_DEADLINE_MS) || undefined
         }
     };
 }
@@ -30,6 +41,17 @@ function resolveKv(env) {
     return new MemoryKVAdapter();
 }
 
+// Off unless SUBSCRIPTION_CACHE_KV=true; entries then live in the KV store until their TTL runs out
+function resolveSubscriptionCache(env, kv) {
+    if (env.SUBSCRIPTION_CACHE_KV !== 'true' || !kv) {
+        return null;
+    }
+    return createSubscriptionCacheService(new KVCacheStore(kv, { ttlSeconds: Number(env.SUBSCRIPTION_CACHE_TTL_SECONDS) || undefined }), {
+        freshSeconds: Number(env.SUBSCRIPTION_CACHE_FRESH_SECONDS) || 0,
+        staleWhileRevalidateSeconds: Number(env.SUBSCRIPTION_CACHE_STALE_SECONDS) || 0
+    });
+}
+
 function createRedisAdapter(env) {
     const connection = buildRedisConnection(env);
     if (!connection) {
@@ -0,0 +1,37 @@
+import { serializeShadowsocks } from './protocols/shadowsocksSerializer.js';
+import { serializeVmess } from './protocols/vmessSerializer.js';
+import { serializeVless } from './protocols/vlessSerializer.js';
+import { serializeTrojan } from './protocols/trojanSerializer.js';
+import { serializeHysteria2 } from './protocols/hysteria2Serializer.js';
+import { serializeTuic } from './protocols/tuicSerializer.js';
+
+/**
+ * Internal proxy type -> share link serializer (inverse of ProxyParser's protocol table)
+ */
+const protocolSerializers = {
+    shadowsocks: serializeShadowsocks,
+    vmess: serializeVmess,
+    vless: serializeVless,
+    trojan: serializeTrojan,
+    hysteria2: serializeHysteria2,
+    tuic: serializeTuic
+};
+
+export class ProxySerializer {
+    static isSupported(proxy) {
+        return !!protocolSerializers[proxy?.type];
+    }
+
+    /**
+     * Serialize an internal (sing-box style) node back to a share link
+     * @param {object} proxy - Parsed node
+     * @returns {string|undefined} - Share link, or undefined for types without a standard URI
+     */
+    static serialize(proxy) {
+        const serializer = protocolSerializers[proxy?.type];
+        if (!serializer) {
+            return undefined;
+        }
+        return serializer(proxy);
+    }
+}
@@ -0,0 +1 @@
+export { ProxySerializer } from './ProxySerializer.js';
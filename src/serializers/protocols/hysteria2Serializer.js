@@ -0,0 +1,18 @@
+import { buildShareLink, buildTlsParams } from '../shareLinkUtils.js';
+
+export function serializeHysteria2(proxy) {
+    // TLS is implied by the protocol; parseHysteria2 defaults security to tls
+    const { security: _security, ...tlsParams } = buildTlsParams({ ...proxy.tls, enabled: true });
+    const alpn = proxy.alpn ?? proxy.tls?.alpn;
+    return buildShareLink('hysteria2', encodeURIComponent(proxy.password ?? ''), proxy, {
+        ...tlsParams,
+        alpn: Array.isArray(alpn) ? alpn.join(',') : alpn,
+        obfs: proxy.obfs?.password ? (proxy.obfs.type || 'salamander') : undefined,
+        'obfs-password': proxy.obfs?.password,
+        up: proxy.up ?? proxy.up_mbps,
+        down: proxy.down ?? proxy.down_mbps,
+        ports: proxy.ports,
+        'hop-interval': proxy.hop_interval,
+        'fast-open': proxy.fast_open ? '1' : undefined
+    });
+}
@@ -0,0 +1,30 @@
+import { encodeBase64 } from '../../utils.js';
+import { buildShareLink, buildMultiplexParams } from '../shareLinkUtils.js';
+
+/**
+ * Inverse of parsePluginString: simple-obfs options go back to their SIP003 names
+ * @param {object} proxy - Internal shadowsocks node
+ * @returns {string|undefined}
+ */
+function buildPluginString(proxy) {
+    if (!proxy.plugin) return undefined;
+    const isObfs = proxy.plugin === 'obfs' || proxy.plugin === 'simple-obfs' || proxy.plugin === 'obfs-local';
+    const name = isObfs ? 'simple-obfs' : proxy.plugin;
+    // sing-box keeps plugin_opts as the raw SIP003 string
+    if (typeof proxy.plugin_opts === 'string') {
+        return proxy.plugin_opts ? `${name};${proxy.plugin_opts}` : name;
+    }
+    const renamed = isObfs ? { mode: 'obfs', host: 'obfs-host', path: 'obfs-uri' } : {};
+    const options = Object.entries(proxy.plugin_opts || {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== false)
+        .map(([key, value]) => (value === true ? (renamed[key] || key) : `${renamed[key] || key}=${value}`));
+    return [name, ...options].join(';');
+}
+
+export function serializeShadowsocks(proxy) {
+    const userinfo = encodeURIComponent(encodeBase64(`${proxy.method}:${proxy.password}`));
+    return buildShareLink('ss', userinfo, proxy, {
+        plugin: buildPluginString(proxy),
+        ...buildMultiplexParams(proxy.multiplex)
+    });
+}
@@ -0,0 +1,10 @@
+import { buildShareLink, buildTlsParams, buildTransportParams, buildMultiplexParams } from '../shareLinkUtils.js';
+
+export function serializeTrojan(proxy) {
+    return buildShareLink('trojan', encodeURIComponent(proxy.password), proxy, {
+        ...buildTlsParams(proxy.tls),
+        ...buildTransportParams(proxy.transport),
+        flow: proxy.flow,
+        ...buildMultiplexParams(proxy.multiplex)
+    });
+}
@@ -0,0 +1,19 @@
+import { buildShareLink, buildTlsParams } from '../shareLinkUtils.js';
+
+const flag = (value) => (value === undefined ? undefined : (value ? '1' : '0'));
+
+export function serializeTuic(proxy) {
+    const { security: _security, allowInsecure: _allowInsecure, ...tlsParams } = buildTlsParams({ ...proxy.tls, enabled: true });
+    const userinfo = `${encodeURIComponent(proxy.uuid)}:${encodeURIComponent(proxy.password ?? '')}`;
+    return buildShareLink('tuic', userinfo, proxy, {
+        ...tlsParams,
+        // parseTuic treats a missing flag as insecure, so always spell it out
+        insecure: flag(!!proxy.tls?.insecure),
+        congestion_control: proxy.congestion_control,
+        udp_relay_mode: proxy.udp_relay_mode,
+        'zero-rtt': flag(proxy.zero_rtt),
+        'reduce-rtt': flag(proxy.reduce_rtt),
+        'fast-open': flag(proxy.fast_open),
+        'disable-sni': flag(proxy.disable_sni)
+    });
+}
@@ -0,0 +1,12 @@
+import { buildShareLink, buildTlsParams, buildTransportParams, buildMultiplexParams } from '../shareLinkUtils.js';
+
+export function serializeVless(proxy) {
+    return buildShareLink('vless', encodeURIComponent(proxy.uuid), proxy, {
+        encryption: 'none',
+        ...buildTlsParams(proxy.tls),
+        ...buildTransportParams(proxy.transport),
+        flow: proxy.flow,
+        udp: proxy.udp === undefined ? undefined : String(proxy.udp),
+        ...buildMultiplexParams(proxy.multiplex)
+    });
+}
@@ -0,0 +1,57 @@
+import { encodeBase64, echConfigToBase64 } from '../../utils.js';
+import { buildMultiplexParams, wsPathWithEarlyData } from '../shareLinkUtils.js';
+
+/**
+ * v2rayN JSON fields for the internal transport (inverse of the parseVmess branches)
+ * @param {object} [transport] - Internal transport
+ * @returns {object}
+ */
+function buildTransportFields(transport) {
+    const joinValues = (value) => (Array.isArray(value) ? value.join(',') : value);
+    switch (transport?.type) {
+        case undefined:
+            return { net: 'tcp', type: 'none' };
+        case 'ws':
+            return { net: 'ws', type: 'none', path: wsPathWithEarlyData(transport), host: joinValues(transport.headers?.host ?? transport.headers?.Host) };
+        case 'http':
+            return { net: 'tcp', type: 'http', path: joinValues(transport.path), host: joinValues(transport.headers?.host ?? transport.headers?.Host) };
+        case 'grpc':
+            return { net: 'grpc', type: 'none', path: transport.service_name };
+        case 'h2':
+            return { net: 'h2', type: 'none', path: transport.path, host: joinValues(transport.host) };
+        default:
+            return {
+                net: transport.type,
+                type: 'none',
+                path: transport.path,
+                host: transport.host,
+                mode: transport.mode,
+                extra: transport.extra ? JSON.stringify(transport.extra) : undefined
+            };
+    }
+}
+
+export function serializeVmess(proxy) {
+    const tls = proxy.tls?.enabled ? proxy.tls : null;
+    const fields = {
+        v: '2',
+        ps: proxy.tag,
+        add: proxy.server,
+        port: String(proxy.server_port),
+        id: proxy.uuid,
+        aid: String(proxy.alter_id || 0),
+        scy: proxy.security || 'auto',
+        ...buildTransportFields(proxy.transport),
+        tls: tls ? 'tls' : '',
+        ...(tls && {
+            sni: tls.server_name,
+            alpn: tls.alpn?.join(','),
+            fp: tls.utls?.fingerprint,
+            ech: echConfigToBase64(tls.ech?.config),
+            'skip-cert-verify': tls.insecure || undefined
+        }),
+        ...buildMultiplexParams(proxy.multiplex)
+    };
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    return `vmess://${encodeBase64(JSON.stringify(fields))}`;
+}
@@ -0,0 +1,133 @@
+import { echConfigToBase64 } from '../utils.js';
+
+/**
+ * Format host:port, bracketing IPv6 literals as parseServerInfo expects
+ * @param {string} host
+ * @param {number|string} port
+ * @returns {string}
+ */
+export function formatServer(host, port) {
+    const bracketed = host && host.includes(':') && !host.startsWith('[') ? `[${host}]` : host;
+    return `${bracketed}:${port}`;
+}
+
+/**
+ * Assemble scheme://userinfo@host:port?query#tag, skipping empty query values
+ * @param {string} scheme - URI scheme without ://
+ * @param {string} userinfo - Already URI-encoded userinfo
+ * @param {object} proxy - Internal proxy (server, server_port, tag)
+ * @param {object} params - Query parameters
+ * @returns {string}
+ */
+export function buildShareLink(scheme, userinfo, proxy, params = {}) {
+    const search = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        search.append(key, String(value));
+    });
+    const query = search.toString();
+    const tag = proxy.tag ? `#${encodeURIComponent(proxy.tag)}` : '';
+    return `${scheme}://${userinfo}@${formatServer(proxy.server, proxy.server_port)}${query ? `?${query}` : ''}${tag}`;
+}
+
+/**
+ * Inverse of createTlsConfig: security, sni, alpn, fp, allowInsecure, ech, REALITY keys
+ * @param {object} tls - Internal TLS object
+ * @returns {object}
+ */
+export function buildTlsParams(tls) {
+    if (!tls?.enabled) return {};
+    const reality = tls.reality?.enabled ? tls.reality : null;
+    return {
+        security: reality ? 'reality' : 'tls',
+        sni: tls.server_name,
+        alpn: Array.isArray(tls.alpn) ? tls.alpn.join(',') : tls.alpn,
+        fp: tls.utls?.enabled !== false ? tls.utls?.fingerprint : undefined,
+        allowInsecure: tls.insecure ? '1' : undefined,
+        ech: echConfigToBase64(tls.ech?.config),
+        minVersion: tls.min_version,
+        maxVersion: tls.max_version,
+        ...(reality && {
+            pbk: reality.public_key,
+            sid: reality.short_id,
+            spx: reality.spider_x,
+            pqv: reality.mldsa65_verify
+        })
+    };
+}
+
+/**
+ * Restore the ?ed= early-data hint createTransportConfig strips from ws paths
+ * @param {object} transport - Internal ws transport
+ * @returns {string|undefined}
+ */
+export function wsPathWithEarlyData(transport) {
+    if (!transport.max_early_data) return transport.path;
+    const path = transport.path || '/';
+    return `${path}${path.includes('?') ? '&' : '?'}ed=${transport.max_early_data}`;
+}
+
+/**
+ * Inverse of createTransportConfig: type, host, path, headerType, serviceName, mode, extra
+ * @param {object} [transport] - Internal transport
+ * @returns {object}
+ */
+export function buildTransportParams(transport) {
+    const joinValues = (value) => (Array.isArray(value) ? value.join(',') : value);
+    switch (transport?.type) {
+        case undefined:
+            return { type: 'tcp' };
+        case 'http':
+            // HTTP/1.1 disguise over plain TCP
+            return {
+                type: 'tcp',
+                headerType: 'http',
+                path: joinValues(transport.path),
+                host: joinValues(transport.headers?.host ?? transport.headers?.Host)
+            };
+        case 'ws':
+            return {
+                type: 'ws',
+                path: wsPathWithEarlyData(transport),
+                host: joinValues(transport.headers?.host ?? transport.headers?.Host)
+            };
+        case 'grpc':
+            return { type: 'grpc', serviceName: transport.service_name };
+        case 'h2':
+            return { type: 'http', path: transport.path, host: joinValues(transport.host) };
+        case 'xhttp':
+            return {
+                type: 'xhttp',
+                path: transport.path,
+                host: transport.host,
+                mode: transport.mode,
+                extra: transport.extra ? JSON.stringify(transport.extra) : undefined
+            };
+        default:
+            return {
+                type: transport.type,
+                path: transport.path,
+                host: joinValues(transport.host ?? transport.headers?.host)
+            };
+    }
+}
+
+/**
+ * Inverse of parseMultiplexParams
+ * @param {object} [multiplex] - Internal multiplex object
+ * @returns {object}
+ */
+export function buildMultiplexParams(multiplex) {
+    if (!multiplex?.enabled) return {};
+    return {
+        mux: multiplex.protocol || '1',
+        'mux-max-connections': multiplex.max_connections,
+        'mux-min-streams': multiplex.min_streams,
+        'mux-max-streams': multiplex.max_streams,
+        'mux-padding': multiplex.padding === undefined ? undefined : String(multiplex.padding),
+        ...(multiplex.brutal?.enabled && {
+            'brutal-up': multiplex.brutal.up_mbps,
+            'brutal-down': multiplex.brutal.down_mbps
+        })
+    };
+}
@@ -0,0 +1,38 @@
+import { createGeoIpResolver } from '../utils/geoipDatabase.js';
+
+/**
+ * Loads the offline GeoIP database once per process and hands out the resolver.
+ * A missing or unreadable database disables the lookup instead of failing requests.
+ */
+export class GeoIpService {
+    /**
+     * @param {() => Promise<ArrayBuffer|Uint8Array|string|null>} loadDatabase - Reads the database file
+     * @param {{logger?: Console}} [options]
+     */
+    constructor(loadDatabase, options = {}) {
+        this.loadDatabase = loadDatabase;
+        this.logger = options.logger ?? console;
+        this.resolverPromise = null;
+    }
+
+    /**
+     * @returns {Promise<{lookup: (address: string) => string|null}|null>}
+     */
+    async getResolver() {
+        if (!this.resolverPromise) {
+            this.resolverPromise = this.loadResolver();
+        }
+        return this.resolverPromise;
+    }
+
+    async loadResolver() {
+        try {
+            const data = await this.loadDatabase();
+            if (!data) return null;
+            return createGeoIpResolver(data);
+        } catch (error) {
+            this.logger.warn('GeoIP database could not be loaded', error);
+            return null;
+        }
+    }
+}
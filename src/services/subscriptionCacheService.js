@@ -1,13 +1,18 @@
 /**
  * Subscription Cache Service
  *
- * Purpose: Store subscription content persistently in D1 for offline access
+ * Purpose: Store subscription content persistently (D1, a SQLite file or KV) for offline access
  * Problem solved: Subscription links with time-limited tokens (10min/1-time use)
  *
  * Strategy:
- * - On fetch: try remote first, if success -> update cache
+ * - Within the freshness window (freshSeconds, off by default): serve the cached copy without contacting the origin
+ * - Within the stale window that follows (staleWhileRevalidateSeconds, off by default): serve the cached copy
+ *   and revalidate in the background (waitUntil)
+ * - Otherwise: fetch remote, sending If-None-Match/If-Modified-Since from the stored ETag/Last-Modified;
+ *   a 304 keeps the cached copy, a 200 replaces it
  * - On fetch failure: use cached content as fallback
- * - Cache never expires (until manually cleared)
+ * - D1 and SQLite entries are kept until manually cleared; KV entries expire after the store's
+ *   ttlSeconds (default 7 days), counted from the last write
  */
 
 // User-Agent pool for retry mechanism
@@ -16,10 +21,7 @@ const USER_AGENTS = [
         ua: 'FlClash/v0.8.74 clash-verge Platform/windows',
         headers: {
             'accept-encoding': 'gzip, br',
-            'connection': 'Keep-Alive',
-            'user-agent': 'FlClash/v0.8.74 clash-verge Platform/windows',
-            'x-forwarded-proto': 'https',
-            'x-real-ip': '47.91.20.160'
+            'user-agent': 'FlClash/v0.8.74 clash-verge Platform/windows'
         }
     },
     { ua: 'curl/7.88.1', headers: { 'user-agent': 'curl/7.88.1' } },
@@ -45,19 +47,6 @@ const USER_AGENTS = [
     }
 ];
 
-// D1 schema for subscription cache
-const CREATE_TABLE_SQL = `
-    CREATE TABLE IF NOT EXISTS subscription_cache (
-        cache_key TEXT PRIMARY KEY,
-        url TEXT NOT NULL,
-        content TEXT NOT NULL,
-        created_at INTEGER NOT NULL,
-        updated_at INTEGER NOT NULL,
-        success_count INTEGER DEFAULT 1,
-        fail_count INTEGER DEFAULT 0
-    )
-`;
-
 /**
  * Generate cache key for URL using DJB2 hash (32-bit)
  * @param {string} url - URL to generate key for
@@ -78,57 +67,105 @@ export function generateCacheKey(url) {
     return Math.abs(hash).toString(16);
 }
 
+/**
+ * Cache key for a source fetched with its own headers (credentials, custom headers or a pinned User-Agent)
+ * Each header set gets a separate entry, so a subscription fetched with one caller's credentials is never
+ * served to a caller sending other or no credentials. Plain sources keep the URL-only key.
+ * @param {string} url - URL to generate key for
+ * @param {HeadersInit} [headers] - Per-source request headers
+ * @returns {Promise<string>}
+ */
+export async function generateRequestCacheKey(url, headers) {
+    const entries = [...new Headers(headers || {})];
+    if (entries.length === 0) {
+        return generateCacheKey(url);
+    }
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(entries)));
+    const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${generateCacheKey(url)}-${hex.slice(0, 32)}`;
+}
+
 /**
  * Fetch with retry mechanism
+ * A User-Agent in `headers` (set per source) is pinned and sent on every attempt. Otherwise the first attempt
+ * uses `userAgent` (the requesting client's) and retries borrow the next one from USER_AGENTS; without
+ * `userAgent` every attempt does, plus that client's headers on the first attempt.
  * @param {string} url - URL to fetch
- * @param {object} options - Fetch options
+ * @param {object} options - Fetch options; `signal` aborts the download and stops retrying,
+ *   `userAgent` is the fallback User-Agent, `rotateUserAgent: false` sends the request once with the given
+ *   headers and fallback only, `validators: {etag, lastModified}` makes the request conditional
  * @param {number} maxRetries - Max retry attempts
- * @returns {Promise<string>} - Response text
+ * @returns {Promise<{content: string|null, notModified: boolean, etag: string|null, lastModified: string|null, subscriptionUserinfo: string|null}>}
+ *   content is null when the origin answered 304 Not Modified
  */
 async function fetchWithRetry(url, options = {}, maxRetries = 3) {
     let lastError = null;
+    const rotateUserAgent = options.rotateUserAgent !== false;
+    const attempts = rotateUserAgent ? maxRetries : 1;
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
         try {
-            const uaIndex = (attempt - 1) % USER_AGENTS.length;
-            const uaConfig = USER_AGENTS[uaIndex];
-
             const headers = new Headers(options.headers || {});
+            if (options.validators?.etag && !headers.has('if-none-match')) {
+                headers.set('if-none-match', options.validators.etag);
+            }
+            if (options.validators?.lastModified && !headers.has('if-modified-since')) {
+                headers.set('if-modified-since', options.validators.lastModified);
+            }
 
-            if (!headers.has('user-agent')) {
+            // A User-Agent set by the source is pinned and never rotated
+            const pinned = headers.has('user-agent');
+            if (!pinned && options.userAgent && attempt === 1) {
+                headers.set('user-agent', options.userAgent);
+            } else if (!pinned && rotateUserAgent) {
+                const poolIndex = attempt - (options.userAgent ? 2 : 1);
+                const uaConfig = USER_AGENTS[poolIndex % USER_AGENTS.length];
                 headers.set('user-agent', uaConfig.ua);
-            }
 
-            // Add real client headers only on first attempt
-            if (attempt === 1) {
-                for (const [key, value] of Object.entries(uaConfig.headers)) {
-                    if (key !== 'user-agent') {
-                        headers.set(key, value);
+                // Add real client headers only on first attempt
+                if (attempt === 1) {
+                    for (const [key, value] of Object.entries(uaConfig.headers)) {
+                        if (!headers.has(key)) {
+                            headers.set(key, value);
+                        }
+                    }
+                    try {
+                        const urlObj = new URL(url);
+                        if (!headers.has('referer')) {
+                            headers.set('referer', `${urlObj.protocol}//${urlObj.host}/`);
+                        }
+                    } catch (e) {}
+                    if (!headers.has('accept')) {
+                        headers.set('accept', 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8');
                     }
-                }
-                try {
-                    const urlObj = new URL(url);
-                    headers.set('referer', `${urlObj.protocol}//${urlObj.host}/`);
-                } catch (e) {}
-                if (!headers.has('accept')) {
-                    headers.set('accept', 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8');
                 }
             }
 
             const response = await fetch(url, {
                 method: 'GET',
                 headers,
-                ...options
+                signal: options.signal
             });
 
-            if (response.ok) {
-                return await response.text();
+            const notModified = response.status === 304 && Boolean(options.validators);
+            if (response.ok || notModified) {
+                return {
+                    content: notModified ? null : await response.text(),
+                    notModified,
+                    etag: response.headers.get('etag'),
+                    lastModified: response.headers.get('last-modified'),
+                    subscriptionUserinfo: response.headers.get('subscription-userinfo')
+                };
             }
 
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         } catch (error) {
             lastError = error;
             console.log(`Download attempt ${attempt} failed: ${url}, Error: ${error.message}`);
+            // A timed-out source is not retried with another User-Agent
+            if (options.signal?.aborted) {
+                break;
+            }
         }
     }
 
@@ -139,107 +176,104 @@ async function fetchWithRetry(url, options = {}, maxRetries = 3) {
  * Subscription Cache Service Class
  */
 export class SubscriptionCacheService {
-    constructor(db) {
-        this.db = db;
-        this.dbInitialized = false;
+    /**
+     * @param {import('../adapters/cache/d1CacheStore.js').SubscriptionCacheStore|null} store - Where cached copies live
+     *   (D1, SQLite file or KV); without one every fetch goes straight to the origin
+     * @param {object} options - Optional options
+     * @param {number} options.freshSeconds - Serve cached copies younger than this without contacting the origin (default: 0)
+     * @param {number} options.staleWhileRevalidateSeconds - Past the freshness window, keep serving the cached copy for
+     *   this long while it is refreshed in the background; needs a waitUntil (default: 0)
+     * @param {(promise: Promise) => void} options.waitUntil - Keeps background refreshes alive, e.g. ctx.waitUntil
+     */
+    constructor(store, options = {}) {
+        this.store = store || null;
+        this.freshSeconds = options.freshSeconds || 0;
+        this.staleWhileRevalidateSeconds = options.staleWhileRevalidateSeconds || 0;
+        this.waitUntil = options.waitUntil || null;
     }
 
     /**
-     * Initialize the database schema
-     * @returns {Promise<boolean>}
+     * A view of this service whose background refreshes are tied to one request
+     * @param {(promise: Promise) => void} waitUntil - e.g. the Workers ExecutionContext's waitUntil
+     * @returns {SubscriptionCacheService}
      */
-    async init() {
-        if (this.dbInitialized || !this.db) {
-            return this.dbInitialized;
+    withWaitUntil(waitUntil) {
+        if (typeof waitUntil !== 'function') {
+            return this;
         }
+        const scoped = Object.create(this);
+        scoped.fetchWithCache = (url, options = {}) => this.fetchWithCache(url, { waitUntil, ...options });
+        return scoped;
+    }
 
-        try {
-            if (typeof this.db.exec !== 'function') {
-                console.warn('D1 db.exec is not a function, skipping init');
-                return false;
-            }
-            await this.db.exec(CREATE_TABLE_SQL).catch(e => {
-                if (!e.message?.includes('duration')) throw e;
-            });
-            this.dbInitialized = true;
-            console.log('D1 subscription_cache table initialized');
-            return true;
-        } catch (error) {
-            if (error.message && error.message.includes('already exists')) {
-                this.dbInitialized = true;
-                console.log('D1 table already exists');
-                return true;
-            }
-            console.warn('Failed to initialize D1 database (non-fatal):', error.message);
+    /**
+     * Prepare the storage (e.g. create the table)
+     * @returns {Promise<boolean>}
+     */
+    async init() {
+        if (!this.store) {
             return false;
         }
+        return this.store.init();
     }
 
     /**
-     * Get cached content from D1
+     * Get cached content
      * @param {string} cacheKey - Cache key
      * @returns {Promise<object|null>}
      */
     async getCachedContent(cacheKey) {
-        if (!this.db) {
+        if (!this.store) {
             return null;
         }
 
         try {
-            const result = await this.db.prepare(`
-                SELECT content, success_count, fail_count, created_at
-                FROM subscription_cache
-                WHERE cache_key = ?
-            `).bind(cacheKey).first();
-
-            if (result) {
-                return {
-                    content: result.content,
-                    successCount: result.success_count,
-                    failCount: result.fail_count,
-                    createdAt: result.created_at
-                };
-            }
+            return await this.store.get(cacheKey);
         } catch (error) {
-            console.warn(`D1 read error for ${cacheKey}:`, error.message);
+            console.warn(`Cache read error for ${cacheKey}:`, error.message);
         }
         return null;
     }
 
     /**
-     * Save content to D1 cache (only on success)
+     * Save content to cache (only on success)
      * @param {string} cacheKey - Cache key
      * @param {string} url - Original URL
      * @param {string} content - Content to cache
+     * @param {object} meta - Optional response metadata: etag, lastModified, subscriptionUserinfo
      * @returns {Promise<boolean>}
      */
-    async saveToCache(cacheKey, url, content) {
-        if (!this.db) {
+    async saveToCache(cacheKey, url, content, meta = {}) {
+        if (!this.store) {
             return false;
         }
 
         try {
-            const now = Date.now();
-
-            await this.db.prepare(`
-                INSERT OR REPLACE INTO subscription_cache
-                (cache_key, url, content, created_at, updated_at, success_count, fail_count)
-                VALUES (?, ?, ?, COALESCE(
-                    (SELECT created_at FROM subscription_cache WHERE cache_key = ?),
-                    ?
-                ), ?, COALESCE(
-                    (SELECT success_count + 1 FROM subscription_cache WHERE cache_key = ?),
-                    1
-                ), COALESCE(
-                    (SELECT fail_count FROM subscription_cache WHERE cache_key = ?),
-                    0
-                ))
-            `).bind(cacheKey, url, content, cacheKey, now, now, cacheKey, cacheKey).run();
-
+            await this.store.save(cacheKey, url, content, meta);
             console.log(`Cached ${cacheKey}, url: ${(url || '').substring(0, 50)}...`);
             return true;
         } catch (error) {
-            console.error(`Error saving cache to D1 for ${cacheKey}:`, error.message);
+            console.error(`Error saving cache for ${cacheKey}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Record that the origin confirmed the cached copy (304 Not Modified)
+     * @param {string} cacheKey - Cache key
+     * @param {object} meta - Validators and usage from the 304 response; missing values keep the stored ones
+     * @returns {Promise<boolean>}
+     */
+    async markValidated(cacheKey, meta = {}) {
+        if (!this.store) {
+            return false;
+        }
+
+        try {
+            await this.store.markValidated(cacheKey, meta);
+            return true;
+        } catch (error) {
+            console.error(`Error marking ${cacheKey} as validated:`, error.message);
             return false;
         }
     }
@@ -250,16 +284,12 @@ export class SubscriptionCacheService {
      * @returns {Promise<boolean>}
      */
     async recordFailAttempt(cacheKey) {
-        if (!this.db) {
+        if (!this.store) {
             return false;
         }
 
         try {
-            await this.db.prepare(`
-                UPDATE subscription_cache
-                SET fail_count = fail_count + 1, updated_at = ?
-                WHERE cache_key = ?
-            `).bind(Date.now(), cacheKey).run();
+            await this.store.recordFailure(cacheKey);
             return true;
         } catch (error) {
             console.error(`Error recording fail for ${cacheKey}:`, error.message);
@@ -273,14 +303,12 @@ export class SubscriptionCacheService {
      * @returns {Promise<boolean>}
      */
     async clearCache(cacheKey) {
-        if (!this.db) {
+        if (!this.store) {
             return false;
         }
 
         try {
-            await this.db.prepare(`
-                DELETE FROM subscription_cache WHERE cache_key = ?
-            `).bind(cacheKey).run();
+            await this.store.delete(cacheKey);
             return true;
         } catch (error) {
             console.error(`Error clearing cache for ${cacheKey}:`, error.message);
@@ -293,23 +321,12 @@ export class SubscriptionCacheService {
      * @returns {Promise<object>}
      */
     async getCacheStats() {
-        if (!this.db) {
-            return { error: 'D1 database not initialized' };
+        if (!this.store) {
+            return { error: 'Subscription cache storage not configured' };
         }
 
         try {
-            const total = await this.db.prepare(`
-                SELECT COUNT(*) as count FROM subscription_cache
-            `).first();
-
-            const withSuccess = await this.db.prepare(`
-                SELECT COUNT(*) as count FROM subscription_cache WHERE success_count > 0
-            `).first();
-
-            return {
-                totalCached: total?.count || 0,
-                withSuccess: withSuccess?.count || 0
-            };
+            return await this.store.stats();
         } catch (error) {
             return { error: error.message };
         }
@@ -320,12 +337,15 @@ export class SubscriptionCacheService {
      * @returns {Promise<boolean>}
      */
     async clearAllCache() {
-        if (!this.db) {
+        if (!this.store) {
             return false;
         }
 
         try {
-            await this.db.prepare(`DELETE FROM subscription_cache`).run();
+            if (await this.store.clear() === false) {
+                console.warn('This cache storage cannot clear all entries; they expire on their own');
+                return false;
+            }
             console.log('All cache cleared');
             return true;
         } catch (error) {
@@ -337,42 +357,60 @@ export class SubscriptionCacheService {
     /**
      * Fetch with cache fallback (core logic)
      * Strategy:
-     * 1. Try to fetch from remote
-     * 2. If success: update cache, return fresh content
-     * 3. If failure: return cached content (if exists)
+     * 1. Cached copy within the freshness window: return it without contacting the origin
+     * 2. Cached copy within the stale window and a waitUntil available: return it, revalidate in the background
+     * 3. Otherwise fetch from remote, conditionally when a cached copy has validators
+     * 4. If success: update cache (or just its validation time on 304), return the content
+     * 5. If failure: return cached content (if exists)
      * @param {string} url - URL to fetch
-     * @param {object} options - Options including cacheEnabled
-     * @returns {Promise<object>}
+     * @param {object} options - Options including cacheEnabled, headers (per-source User-Agent, extra headers
+     *   and Authorization), userAgent (fallback for the first attempt), signal, rotateUserAgent (false: one
+     *   attempt, no User-Agent pool) and waitUntil
+     * @returns {Promise<{content: string|null, fromCache: boolean, success: boolean, subscriptionUserinfo?: string,
+     *   cacheStatus?: 'miss'|'fresh'|'stale'|'revalidated'|'fallback', warning?: string, error?: string}>}
      */
     async fetchWithCache(url, options = {}) {
         const cacheEnabled = options.cacheEnabled !== false;
         const maxRetries = options.maxRetries || 3;
 
-        // If cache disabled or no DB, do direct fetch
-        if (!cacheEnabled || !this.db) {
+        // If cache disabled or no storage, do direct fetch
+        if (!cacheEnabled || !this.store) {
             try {
-                const content = await fetchWithRetry(url, options, maxRetries);
-                return { content, fromCache: false, success: true };
+                const response = await fetchWithRetry(url, options, maxRetries);
+                return {
+                    content: response.content,
+                    fromCache: false,
+                    success: true,
+                    subscriptionUserinfo: response.subscriptionUserinfo || undefined
+                };
             } catch (error) {
                 return { content: null, fromCache: false, success: false, error: error?.message };
             }
         }
 
-        const cacheKey = generateCacheKey(url);
+        await this.init();
+        const cacheKey = await generateRequestCacheKey(url, options.headers);
+        const cached = await this.getCachedContent(cacheKey);
+
+        if (cached?.content && cached.validatedAt) {
+            const ageSeconds = (Date.now() - cached.validatedAt) / 1000;
+            if (ageSeconds < this.freshSeconds) {
+                return this.toCachedResult(cached, 'fresh');
+            }
+            const waitUntil = options.waitUntil || this.waitUntil;
+            if (waitUntil && ageSeconds < this.freshSeconds + this.staleWhileRevalidateSeconds) {
+                // The request's own signal may be aborted once it returns, so the refresh runs without it
+                const { signal, ...backgroundOptions } = options;
+                waitUntil(this.revalidate(url, cacheKey, cached, backgroundOptions, maxRetries).catch(error => {
+                    console.warn(`Background refresh failed for ${url}:`, error.message);
+                }));
+                return this.toCachedResult(cached, 'stale');
+            }
+        }
 
-        // Try to fetch fresh content
         try {
             console.log(`Fetching: ${url}`);
-            const content = await fetchWithRetry(url, options, maxRetries);
-
-            // Success: update cache
-            await this.saveToCache(cacheKey, url, content);
-
-            return {
-                content,
-                fromCache: false,
-                success: true
-            };
+            return await this.revalidate(url, cacheKey, cached, options, maxRetries);
         } catch (error) {
             console.error(`Fetch failed for ${url}:`, error.message);
 
@@ -380,14 +418,10 @@ export class SubscriptionCacheService {
             await this.recordFailAttempt(cacheKey);
 
             // Failure: try to use cached content as fallback
-            const cached = await this.getCachedContent(cacheKey);
-
             if (cached && cached.content) {
                 console.log(`Using cached content for ${cacheKey}`);
                 return {
-                    content: cached.content,
-                    fromCache: true,
-                    success: true,
+                    ...this.toCachedResult(cached, 'fallback'),
                     warning: 'Remote fetch failed, using cached content'
                 };
             }
@@ -401,13 +435,52 @@ export class SubscriptionCacheService {
             };
         }
     }
+
+    /**
+     * Fetch from the origin, conditionally when the cached copy has validators, and update the cache
+     */
+    async revalidate(url, cacheKey, cached, options, maxRetries) {
+        const validators = cached?.content && (cached.etag || cached.lastModified)
+            ? { etag: cached.etag, lastModified: cached.lastModified }
+            : null;
+        const response = await fetchWithRetry(url, { ...options, validators }, maxRetries);
+
+        if (response.notModified) {
+            await this.markValidated(cacheKey, response);
+            return this.toCachedResult({
+                ...cached,
+                subscriptionUserinfo: response.subscriptionUserinfo || cached.subscriptionUserinfo
+            }, 'revalidated');
+        }
+
+        // Success: update cache
+        await this.saveToCache(cacheKey, url, response.content, response);
+        return {
+            content: response.content,
+            fromCache: false,
+            success: true,
+            subscriptionUserinfo: response.subscriptionUserinfo || undefined,
+            cacheStatus: 'miss'
+        };
+    }
+
+    toCachedResult(cached, cacheStatus) {
+        return {
+            content: cached.content,
+            fromCache: true,
+            success: true,
+            subscriptionUserinfo: cached.subscriptionUserinfo || undefined,
+            cacheStatus
+        };
+    }
 }
 
 /**
  * Create SubscriptionCacheService instance
- * @param {object} db - D1 database binding
+ * @param {object} store - Cache storage, e.g. a D1CacheStore, SqliteCacheStore or KVCacheStore
+ * @param {object} options - Freshness and stale-while-revalidate windows, see SubscriptionCacheService
  * @returns {SubscriptionCacheService}
  */
-export function createSubscriptionCacheService(db) {
-    return new SubscriptionCacheService(db);
+export function createSubscriptionCacheService(store, options = {}) {
+    return new SubscriptionCacheService(store, options);
 }
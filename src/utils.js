@@ -155,7 +155,16 @@ export function tryDecodeSubscriptionLines(input, { decodeUriComponent = false }
 	return trimmed;
 }
 
-export function groupProxiesByCountry(proxies, { getName } = {}) {
+/**
+ * Group proxies into countries by the aliases in their names
+ * @param {Array} proxies
+ * @param {object} [options]
+ * @param {(proxy: *) => string} [options.getName] - Reads the display name of a proxy
+ * @param {(name: string) => string|null} [options.lookupCountry] - Fallback for names without a
+ *   country alias, e.g. an offline GeoIP lookup of the node's server; returns an ISO country code
+ * @param {Object<string, string[]>} [options.aliases] - Extra aliases, see normalizeCountryAliases
+ */
+export function groupProxiesByCountry(proxies, { getName, lookupCountry, aliases } = {}) {
 	const extractor = typeof getName === 'function'
 		? getName
 		: (proxy) => {
@@ -198,7 +207,8 @@ export function groupProxiesByCountry(proxies, { getName } = {}) {
 		if (!proxyName) {
 			return;
 		}
-		const countryInfo = parseCountryFromNodeName(proxyName);
+		const countryInfo = parseCountryFromNodeName(proxyName, aliases)
+			?? getCountryByCode(typeof lookupCountry === 'function' ? lookupCountry(proxyName) : null);
 		if (!countryInfo) {
 			return;
 		}
@@ -271,8 +281,14 @@ export function parseServerInfo(serverInfo) {
 
 export function parseUrlParams(url) {
 	const [, rest] = url.split('://');
-	const [addressPart, ...remainingParts] = rest.split('?');
-	const paramsPart = remainingParts.join('?');
+	let [addressPart, ...remainingParts] = rest.split('?');
+	let paramsPart = remainingParts.join('?');
+	// Links without a query string carry the fragment on the address part
+	if (remainingParts.length === 0 && addressPart.includes('#')) {
+		const hashIndex = addressPart.indexOf('#');
+		paramsPart = addressPart.slice(hashIndex);
+		addressPart = addressPart.slice(0, hashIndex);
+	}
 
 	const [paramsOnly, ...fragmentParts] = paramsPart.split('#');
 	const searchParams = new URLSearchParams(paramsOnly);
@@ -286,38 +302,175 @@ export function parseUrlParams(url) {
 	return { addressPart, params, name };
 }
 
+const ECH_PEM_HEADER = '-----BEGIN ECH CONFIGS-----';
+const ECH_PEM_FOOTER = '-----END ECH CONFIGS-----';
+
+// Build the internal (sing-box) ECH object from a share-link value: either a base64
+// ECHConfigList or Xray's "query-domain+dns-server" form that resolves it at runtime
+export function parseEchConfig(value) {
+	if (!value || typeof value !== 'string') return undefined;
+	// URLSearchParams turns the '+' separator (and base64 '+') into a space
+	const trimmed = value.trim().replace(/ /g, '+');
+	const queryMatch = trimmed.match(/^([a-z0-9-]+(?:\.[a-z0-9-]+)+)\+\w+:\/\//i);
+	if (queryMatch) {
+		return { enabled: true, query_server_name: queryMatch[1] };
+	}
+	if (/:\/\//.test(trimmed)) {
+		return { enabled: true };
+	}
+	return { enabled: true, config: [ECH_PEM_HEADER, trimmed, ECH_PEM_FOOTER] };
+}
+
+// Collapse sing-box ECH config lines (PEM) back to the bare base64 ECHConfigList
+export function echConfigToBase64(config) {
+	if (!config) return undefined;
+	const lines = Array.isArray(config) ? config : String(config).split('\n');
+	const body = lines
+		.map(line => line.trim())
+		.filter(line => line && !line.startsWith('-----'))
+		.join('');
+	return body || undefined;
+}
+
+// Wrap a bare base64 ECHConfigList in the PEM lines sing-box expects
+export function echConfigFromBase64(value) {
+	if (!value) return undefined;
+	return [ECH_PEM_HEADER, String(value).trim(), ECH_PEM_FOOTER];
+}
+
+// TLS options shared by every TLS-capable share link: fp, alpn, ech and minVersion/maxVersion
+export function parseTlsOptions(params) {
+	const options = {};
+	const alpn = parseArray(params.alpn);
+	if (alpn && alpn.length > 0) options.alpn = alpn;
+	if (params.fp && params.fp !== 'none') {
+		options.utls = {
+			enabled: true,
+			fingerprint: params.fp
+		};
+	}
+	const ech = parseEchConfig(params.ech);
+	if (ech) options.ech = ech;
+	if (params.minVersion) options.min_version = params.minVersion;
+	if (params.maxVersion) options.max_version = params.maxVersion;
+	return options;
+}
+
 export function createTlsConfig(params) {
 	let tls = { enabled: false };
 	if (params.security && params.security !== 'none') {
 		tls = {
 			enabled: true,
-			server_name: params.sni || params.host,
-			insecure: !!params?.allowInsecure || !!params?.insecure || !!params?.allow_insecure,
-			// utls: {
-			//   enabled: true,
-			//   fingerprint: "chrome"
-			// },
+			server_name: params.sni || params.peer || params.host,
+			insecure: parseBool(params.allowInsecure ?? params.insecure ?? params.allow_insecure, false),
+			...parseTlsOptions(params)
 		};
 		if (params.security === 'reality') {
 			tls.reality = {
 				enabled: true,
 				public_key: params.pbk,
 				short_id: params.sid,
+				// spider_x and mldsa65_verify are Xray-only; sing-box and mihomo ignore them
+				...(params.spx ? { spider_x: params.spx } : {}),
+				...(params.pqv ? { mldsa65_verify: params.pqv } : {})
 			};
 		}
 	}
 	return tls;
 }
 
+// xhttp "extra" settings (Xray key) that mihomo exposes in xhttp-opts (Clash key)
+export const XHTTP_CLASH_OPTION_KEYS = {
+	noGRPCHeader: 'no-grpc-header',
+	xPaddingBytes: 'x-padding-bytes',
+	scMaxEachPostBytes: 'sc-max-each-post-bytes'
+};
+
+// Parse the JSON "extra" blob xhttp links carry (URL-encoded JSON object)
+function parseTransportExtra(value) {
+	if (!value) return undefined;
+	if (typeof value === 'object') return value;
+	try {
+		const parsed = JSON.parse(value);
+		return parsed && typeof parsed === 'object' ? parsed : undefined;
+	} catch (_) {
+		return undefined;
+	}
+}
+
+// Build the internal transport from V2Ray/Xray share-link params (type, host, path, serviceName, mode, extra...)
+// Returns undefined for plain TCP
 export function createTransportConfig(params) {
-	return {
-		type: params.type,
-		path: params.path ?? undefined,
-		...(params.host && { 'headers': { 'host': params.host } }),
-		...(params.type === 'grpc' && {
-			service_name: params.serviceName ?? undefined,
-		})
-	};
+	const type = params.type === 'splithttp' ? 'xhttp' : params.type;
+	switch (type) {
+		case undefined:
+		case '':
+		case 'tcp':
+		case 'raw':
+		case 'none':
+			// Plain TCP, optionally disguised with HTTP/1.1 request headers
+			if (params.headerType !== 'http') return undefined;
+			return {
+				type: 'http',
+				method: 'GET',
+				path: parseArray(params.path) || ['/'],
+				...(params.host && { headers: { host: parseArray(params.host) } })
+			};
+		case 'ws': {
+			// Early data rides on the path as /path?ed=2048
+			const [pathname, query] = (params.path ?? '').split('?');
+			const search = new URLSearchParams(query ?? '');
+			const earlyData = parseInt(search.get('ed'));
+			search.delete('ed');
+			const rest = search.toString();
+			return {
+				type: 'ws',
+				path: Number.isNaN(earlyData) ? params.path ?? undefined : `${pathname}${rest ? `?${rest}` : ''}`,
+				...(params.host && { 'headers': { 'host': params.host } }),
+				...(!Number.isNaN(earlyData) && {
+					max_early_data: earlyData,
+					early_data_header_name: 'Sec-WebSocket-Protocol'
+				})
+			};
+		}
+		case 'httpupgrade':
+			return {
+				type: 'httpupgrade',
+				path: params.path ?? undefined,
+				...(params.host && { host: params.host })
+			};
+		case 'grpc':
+			return {
+				type: 'grpc',
+				service_name: params.serviceName ?? undefined
+			};
+		case 'h2':
+		case 'http':
+			// In share links type=http means HTTP/2 (the HTTP/1.1 disguise is tcp + headerType=http)
+			return {
+				type: 'h2',
+				path: params.path ?? undefined,
+				...(params.host && { host: parseArray(params.host) })
+			};
+		case 'quic':
+			return { type: 'quic' };
+		case 'xhttp': {
+			const extra = parseTransportExtra(params.extra);
+			return {
+				type: 'xhttp',
+				path: params.path ?? undefined,
+				...(params.host && { host: params.host }),
+				...(params.mode && { mode: params.mode }),
+				...(extra && { extra })
+			};
+		}
+		default:
+			return {
+				type,
+				path: params.path ?? undefined,
+				...(params.host && { 'headers': { 'host': params.host } })
+			};
+	}
 }
 
 // Parse boolean value from various formats
@@ -337,6 +490,47 @@ export function parseMaybeNumber(value) {
 	return Number.isNaN(num) ? undefined : num;
 }
 
+// Parse bandwidth such as 100, "100", "30 Mbps" or "1 Gbps" into Mbps
+export function parseBandwidthMbps(value) {
+	if (value === undefined || value === null || value === '') return undefined;
+	if (typeof value === 'number') return value;
+	const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(?:([kmgt])?bps)?$/i);
+	if (!match) return undefined;
+	const factors = { k: 1 / 1000, m: 1, g: 1000, t: 1000000 };
+	return Number(match[1]) * factors[(match[2] || 'm').toLowerCase()];
+}
+
+const MULTIPLEX_PROTOCOLS = new Set(['smux', 'yamux', 'h2mux']);
+
+// Parse the `mux=` share-link options into the internal (sing-box) multiplex object.
+// `mux` is a protocol name (smux/yamux/h2mux) or a boolean; tuning and TCP Brutal ride
+// along as mux-max-connections, mux-min-streams, mux-max-streams, mux-padding, brutal-up and brutal-down
+export function parseMultiplexParams(params) {
+	const raw = params?.mux;
+	if (raw === undefined || raw === null || raw === '') return undefined;
+	const lowered = String(raw).toLowerCase();
+	const protocol = MULTIPLEX_PROTOCOLS.has(lowered) ? lowered : undefined;
+	if (!protocol && parseBool(raw, false) !== true) return undefined;
+
+	const multiplex = { enabled: true };
+	if (protocol) multiplex.protocol = protocol;
+	const maxConnections = parseMaybeNumber(params['mux-max-connections']);
+	const minStreams = parseMaybeNumber(params['mux-min-streams']);
+	const maxStreams = parseMaybeNumber(params['mux-max-streams']);
+	const padding = parseBool(params['mux-padding']);
+	if (maxConnections !== undefined) multiplex.max_connections = maxConnections;
+	if (minStreams !== undefined) multiplex.min_streams = minStreams;
+	if (maxStreams !== undefined) multiplex.max_streams = maxStreams;
+	if (padding !== undefined) multiplex.padding = padding;
+
+	const upMbps = parseBandwidthMbps(params['brutal-up']);
+	const downMbps = parseBandwidthMbps(params['brutal-down']);
+	if (upMbps !== undefined && downMbps !== undefined) {
+		multiplex.brutal = { enabled: true, up_mbps: upMbps, down_mbps: downMbps };
+	}
+	return multiplex;
+}
+
 // Parse comma-separated string to array
 export function parseArray(value) {
 	if (!value) return undefined;
@@ -347,67 +541,455 @@ export function parseArray(value) {
 		.filter(entry => entry.length > 0);
 }
 
+// Parse "user:pass" userinfo of SOCKS/HTTP share links; v2rayN base64-encodes the whole pair
+export function parseProxyCredentials(userinfo) {
+	if (!userinfo) return {};
+	let decoded = userinfo;
+	if (!userinfo.includes(':') && /^[A-Za-z0-9+/_-]+={0,2}$/.test(userinfo)) {
+		try {
+			const candidate = decodeBase64(userinfo.replace(/-/g, '+').replace(/_/g, '/'));
+			// A bare username such as "admin" also fits the base64 alphabet; only accept a readable "user:pass"
+			if (candidate.includes(':') && !/[\u0000-\u001f\u007f\ufffd]/.test(candidate)) {
+				decoded = candidate;
+			}
+		} catch (_) { }
+	}
+	const colonIndex = decoded.indexOf(':');
+	const username = colonIndex >= 0 ? decoded.slice(0, colonIndex) : decoded;
+	const password = colonIndex >= 0 ? decoded.slice(colonIndex + 1) : undefined;
+	const safeDecode = (value) => {
+		try {
+			return decodeURIComponent(value);
+		} catch (_) {
+			return value;
+		}
+	};
+	return {
+		username: username ? safeDecode(username) : undefined,
+		password: password ? safeDecode(password) : undefined
+	};
+}
+
+// Parse WireGuard reserved bytes: [1, 2, 3], "1,2,3", "1/2/3" or base64 "AQID"
+export function parseWireguardReserved(value) {
+	if (value === undefined || value === null || value === '') return undefined;
+	if (Array.isArray(value)) {
+		const bytes = value.map(Number);
+		return bytes.every(Number.isInteger) ? bytes : undefined;
+	}
+	const text = String(value).trim();
+	if (/^\d+([,/]\s*\d+)*$/.test(text)) {
+		return text.split(/[,/]/).map(entry => parseInt(entry.trim(), 10));
+	}
+	if (!/^[A-Za-z0-9+/]+={0,2}$/.test(text)) return undefined;
+	return Array.from(base64ToBinary(text), char => char.charCodeAt(0));
+}
+
+// Normalize WireGuard interface addresses to CIDR notation (10.0.0.2 -> 10.0.0.2/32)
+export function normalizeWireguardAddresses(value) {
+	const entries = parseArray(value);
+	if (!entries) return undefined;
+	return entries.map(entry => {
+		if (entry.includes('/')) return entry;
+		return entry.includes(':') ? `${entry}/128` : `${entry}/32`;
+	});
+}
+
+/**
+ * ISO 3166-1 countries and territories. `aliases`, `iata` (airport/city codes) and the flag `emoji`
+ * are matched in node names; `abbr` is the one-character name used in relay labels like "沪日".
+ */
 export const COUNTRY_DATA = {
-	'HK': { name: 'Hong Kong', emoji: '🇭🇰', aliases: ['香港', 'Hong Kong', 'HK'] },
-	'TW': { name: 'Taiwan', emoji: '🇹🇼', aliases: ['台湾', 'Taiwan', 'TW'] },
-	'JP': { name: 'Japan', emoji: '🇯🇵', aliases: ['日本', 'Japan', 'JP'] },
-	'KR': { name: 'Korea', emoji: '🇰🇷', aliases: ['韩国', 'Korea', 'KR'] },
-	'SG': { name: 'Singapore', emoji: '🇸🇬', aliases: ['新加坡', 'Singapore', 'SG'] },
-	'US': { name: 'United States', emoji: '🇺🇸', aliases: ['美国', 'United States', 'US'] },
-	'GB': { name: 'United Kingdom', emoji: '🇬🇧', aliases: ['英国', 'United Kingdom', 'UK', 'GB'] },
-	'DE': { name: 'Germany', emoji: '🇩🇪', aliases: ['德国', 'Germany'] },
-	'FR': { name: 'France', emoji: '🇫🇷', aliases: ['法国', 'France'] },
-	'RU': { name: 'Russia', emoji: '🇷🇺', aliases: ['俄罗斯', 'Russia'] },
-	'CA': { name: 'Canada', emoji: '🇨🇦', aliases: ['加拿大', 'Canada'] },
-	'AU': { name: 'Australia', emoji: '🇦🇺', aliases: ['澳大利亚', 'Australia'] },
-	'IN': { name: 'India', emoji: '🇮🇳', aliases: ['印度', 'India'] },
-	'BR': { name: 'Brazil', emoji: '🇧🇷', aliases: ['巴西', 'Brazil'] },
-	'ZA': { name: 'South Africa', emoji: '🇿🇦', aliases: ['南非', 'South Africa'] },
-	'AR': { name: 'Argentina', emoji: '🇦🇷', aliases: ['阿根廷', 'Argentina'] },
-	'TR': { name: 'Turkey', emoji: '🇹🇷', aliases: ['土耳其', 'Turkey'] },
-	'NL': { name: 'Netherlands', emoji: '🇳🇱', aliases: ['荷兰', 'Netherlands'] },
-	'CH': { name: 'Switzerland', emoji: '🇨🇭', aliases: ['瑞士', 'Switzerland'] },
-	'SE': { name: 'Sweden', emoji: '🇸🇪', aliases: ['瑞典', 'Sweden'] },
-	'IT': { name: 'Italy', emoji: '🇮🇹', aliases: ['意大利', 'Italy'] },
-	'ES': { name: 'Spain', emoji: '🇪🇸', aliases: ['西班牙', 'Spain'] },
-	'IE': { name: 'Ireland', emoji: '🇮🇪', aliases: ['爱尔兰', 'Ireland'] },
-	'MY': { name: 'Malaysia', emoji: '🇲🇾', aliases: ['马来西亚', 'Malaysia'] },
-	'TH': { name: 'Thailand', emoji: '🇹🇭', aliases: ['泰国', 'Thailand'] },
-	'VN': { name: 'Vietnam', emoji: '🇻🇳', aliases: ['越南', 'Vietnam'] },
-	'PH': { name: 'Philippines', emoji: '🇵🇭', aliases: ['菲律宾', 'Philippines'] },
-	'ID': { name: 'Indonesia', emoji: '🇮🇩', aliases: ['印度尼西亚', 'Indonesia'] },
-	'NZ': { name: 'New Zealand', emoji: '🇳🇿', aliases: ['新西兰', 'New Zealand'] },
-	'AE': { name: 'United Arab Emirates', emoji: '🇦🇪', aliases: ['阿联酋', 'United Arab Emirates'] },
+	'HK': { name: 'Hong Kong', emoji: '🇭🇰', aliases: ['香港', 'Hong Kong', 'HK'], iata: ['HKG'], abbr: '港', region: 'Asia' },
+	'TW': { name: 'Taiwan', emoji: '🇹🇼', aliases: ['台湾', 'Taiwan', 'TW'], iata: ['TPE', 'TSA', 'KHH', 'RMQ'], abbr: '台', region: 'Asia' },
+	'JP': { name: 'Japan', emoji: '🇯🇵', aliases: ['日本', 'Japan', 'JP'], iata: ['NRT', 'HND', 'KIX', 'ITM', 'NGO', 'FUK', 'CTS', 'OKA'], abbr: '日', region: 'Asia' },
+	'KR': { name: 'Korea', emoji: '🇰🇷', aliases: ['韩国', 'Korea', 'KR', '南韩', 'South Korea'], iata: ['ICN', 'GMP', 'PUS'], abbr: '韩', region: 'Asia' },
+	'SG': { name: 'Singapore', emoji: '🇸🇬', aliases: ['新加坡', 'Singapore', 'SG'], iata: ['SIN'], abbr: '新', region: 'Asia' },
+	'US': { name: 'United States', emoji: '🇺🇸', aliases: ['美国', 'United States', 'US', 'New Jersey'], iata: ['LAX', 'SJC', 'SFO', 'SEA', 'PDX', 'LAS', 'PHX', 'DFW', 'IAH', 'ORD', 'ATL', 'MIA', 'JFK', 'EWR', 'IAD', 'BOS'], abbr: '美', region: 'Americas' },
+	'GB': { name: 'United Kingdom', emoji: '🇬🇧', aliases: ['英国', 'United Kingdom', 'UK', 'GB', 'England'], iata: ['LHR', 'LGW'], abbr: '英', region: 'Europe' },
+	'DE': { name: 'Germany', emoji: '🇩🇪', aliases: ['德国', 'Germany', 'DE'], iata: ['FRA', 'MUC', 'DUS'], abbr: '德', region: 'Europe' },
+	'FR': { name: 'France', emoji: '🇫🇷', aliases: ['法国', 'France', 'FR'], iata: ['CDG', 'ORY', 'MRS'], abbr: '法', region: 'Europe' },
+	'RU': { name: 'Russia', emoji: '🇷🇺', aliases: ['俄罗斯', 'Russia', 'RU'], iata: ['SVO', 'DME', 'LED', 'VVO'], abbr: '俄', region: 'Europe' },
+	'CA': { name: 'Canada', emoji: '🇨🇦', aliases: ['加拿大', 'Canada', 'CA'], iata: ['YVR', 'YYZ', 'YUL'], region: 'Americas' },
+	'AU': { name: 'Australia', emoji: '🇦🇺', aliases: ['澳大利亚', 'Australia', '澳洲', 'AU'], iata: ['SYD', 'MEL', 'BNE'], region: 'Oceania' },
+	'IN': { name: 'India', emoji: '🇮🇳', aliases: ['印度', 'India'], iata: ['BOM', 'DEL', 'MAA', 'BLR'], region: 'Asia' },
+	'BR': { name: 'Brazil', emoji: '🇧🇷', aliases: ['巴西', 'Brazil', 'BR'], iata: ['GRU', 'GIG'], region: 'Americas' },
+	'ZA': { name: 'South Africa', emoji: '🇿🇦', aliases: ['南非', 'South Africa', 'ZA'], iata: ['JNB', 'CPT'], region: 'Africa' },
+	'AR': { name: 'Argentina', emoji: '🇦🇷', aliases: ['阿根廷', 'Argentina'], iata: ['EZE'], region: 'Americas' },
+	'TR': { name: 'Turkey', emoji: '🇹🇷', aliases: ['土耳其', 'Turkey', 'Türkiye', 'TR'], iata: ['IST'], region: 'Europe' },
+	'NL': { name: 'Netherlands', emoji: '🇳🇱', aliases: ['荷兰', 'Netherlands', 'NL'], iata: ['AMS'], abbr: '荷', region: 'Europe' },
+	'CH': { name: 'Switzerland', emoji: '🇨🇭', aliases: ['瑞士', 'Switzerland', 'CH'], iata: ['ZRH', 'GVA'], region: 'Europe' },
+	'SE': { name: 'Sweden', emoji: '🇸🇪', aliases: ['瑞典', 'Sweden', 'SE'], iata: ['ARN'], region: 'Europe' },
+	'IT': { name: 'Italy', emoji: '🇮🇹', aliases: ['意大利', 'Italy'], iata: ['MXP', 'FCO'], region: 'Europe' },
+	'ES': { name: 'Spain', emoji: '🇪🇸', aliases: ['西班牙', 'Spain', 'ES'], iata: ['BCN'], region: 'Europe' },
+	'IE': { name: 'Ireland', emoji: '🇮🇪', aliases: ['爱尔兰', 'Ireland'], iata: ['DUB'], region: 'Europe' },
+	'MY': { name: 'Malaysia', emoji: '🇲🇾', aliases: ['马来西亚', 'Malaysia'], iata: ['KUL'], region: 'Asia' },
+	'TH': { name: 'Thailand', emoji: '🇹🇭', aliases: ['泰国', 'Thailand', 'TH'], iata: ['BKK', 'DMK'], region: 'Asia' },
+	'VN': { name: 'Vietnam', emoji: '🇻🇳', aliases: ['越南', 'Vietnam', 'VN'], iata: ['SGN', 'HAN'], region: 'Asia' },
+	'PH': { name: 'Philippines', emoji: '🇵🇭', aliases: ['菲律宾', 'Philippines', 'PH'], iata: ['MNL'], region: 'Asia' },
+	'ID': { name: 'Indonesia', emoji: '🇮🇩', aliases: ['印度尼西亚', 'Indonesia'], iata: ['CGK'], region: 'Asia' },
+	'NZ': { name: 'New Zealand', emoji: '🇳🇿', aliases: ['新西兰', 'New Zealand', 'NZ'], iata: ['AKL'], region: 'Oceania' },
+	'AE': { name: 'United Arab Emirates', emoji: '🇦🇪', aliases: ['阿联酋', 'United Arab Emirates', '迪拜', 'Dubai', 'UAE', 'AE'], iata: ['DXB', 'AUH'], region: 'Asia' },
+	// Remaining ISO 3166-1 entries
+	'AD': { name: 'Andorra', emoji: '🇦🇩', aliases: ['安道尔', 'Andorra'], region: 'Europe' },
+	'AF': { name: 'Afghanistan', emoji: '🇦🇫', aliases: ['阿富汗', 'Afghanistan'], region: 'Asia' },
+	'AG': { name: 'Antigua and Barbuda', emoji: '🇦🇬', aliases: ['安提瓜和巴布达', 'Antigua and Barbuda'], region: 'Americas' },
+	'AI': { name: 'Anguilla', emoji: '🇦🇮', aliases: ['安圭拉', 'Anguilla'], region: 'Americas' },
+	'AL': { name: 'Albania', emoji: '🇦🇱', aliases: ['阿尔巴尼亚', 'Albania'], region: 'Europe' },
+	'AM': { name: 'Armenia', emoji: '🇦🇲', aliases: ['亚美尼亚', 'Armenia'], iata: ['EVN'], region: 'Asia' },
+	'AO': { name: 'Angola', emoji: '🇦🇴', aliases: ['安哥拉', 'Angola'], region: 'Africa' },
+	'AQ': { name: 'Antarctica', emoji: '🇦🇶', aliases: ['南极洲', 'Antarctica'], region: 'Antarctica' },
+	'AS': { name: 'American Samoa', emoji: '🇦🇸', aliases: ['美属萨摩亚', 'American Samoa'], region: 'Oceania' },
+	'AT': { name: 'Austria', emoji: '🇦🇹', aliases: ['奥地利', 'Austria'], iata: ['VIE'], region: 'Europe' },
+	'AW': { name: 'Aruba', emoji: '🇦🇼', aliases: ['阿鲁巴', 'Aruba'], region: 'Americas' },
+	'AX': { name: 'Åland Islands', emoji: '🇦🇽', aliases: ['奥兰群岛', 'Åland Islands', 'Aland Islands'], region: 'Europe' },
+	'AZ': { name: 'Azerbaijan', emoji: '🇦🇿', aliases: ['阿塞拜疆', 'Azerbaijan'], iata: ['GYD'], region: 'Asia' },
+	'BA': { name: 'Bosnia and Herzegovina', emoji: '🇧🇦', aliases: ['波黑', '波斯尼亚和黑塞哥维那', 'Bosnia and Herzegovina', 'Bosnia'], region: 'Europe' },
+	'BB': { name: 'Barbados', emoji: '🇧🇧', aliases: ['巴巴多斯', 'Barbados'], region: 'Americas' },
+	'BD': { name: 'Bangladesh', emoji: '🇧🇩', aliases: ['孟加拉', '孟加拉国', 'Bangladesh'], iata: ['DAC'], region: 'Asia' },
+	'BE': { name: 'Belgium', emoji: '🇧🇪', aliases: ['比利时', 'Belgium'], region: 'Europe' },
+	'BF': { name: 'Burkina Faso', emoji: '🇧🇫', aliases: ['布基纳法索', 'Burkina Faso'], region: 'Africa' },
+	'BG': { name: 'Bulgaria', emoji: '🇧🇬', aliases: ['保加利亚', 'Bulgaria', 'BG'], iata: ['SOF'], region: 'Europe' },
+	'BH': { name: 'Bahrain', emoji: '🇧🇭', aliases: ['巴林', 'Bahrain'], iata: ['BAH'], region: 'Asia' },
+	'BI': { name: 'Burundi', emoji: '🇧🇮', aliases: ['布隆迪', 'Burundi'], region: 'Africa' },
+	'BJ': { name: 'Benin', emoji: '🇧🇯', aliases: ['贝宁', 'Benin'], region: 'Africa' },
+	'BL': { name: 'Saint Barthélemy', emoji: '🇧🇱', aliases: ['圣巴泰勒米', 'Saint Barthélemy', 'Saint Barthelemy'], region: 'Americas' },
+	'BM': { name: 'Bermuda', emoji: '🇧🇲', aliases: ['百慕大', 'Bermuda'], region: 'Americas' },
+	'BN': { name: 'Brunei', emoji: '🇧🇳', aliases: ['文莱', 'Brunei'], region: 'Asia' },
+	'BO': { name: 'Bolivia', emoji: '🇧🇴', aliases: ['玻利维亚', 'Bolivia'], region: 'Americas' },
+	'BQ': { name: 'Caribbean Netherlands', emoji: '🇧🇶', aliases: ['荷兰加勒比区', 'Caribbean Netherlands', 'Bonaire'], region: 'Americas' },
+	'BS': { name: 'Bahamas', emoji: '🇧🇸', aliases: ['巴哈马', 'Bahamas'], region: 'Americas' },
+	'BT': { name: 'Bhutan', emoji: '🇧🇹', aliases: ['不丹', 'Bhutan'], region: 'Asia' },
+	'BV': { name: 'Bouvet Island', emoji: '🇧🇻', aliases: ['布韦岛', 'Bouvet Island'], region: 'Antarctica' },
+	'BW': { name: 'Botswana', emoji: '🇧🇼', aliases: ['博茨瓦纳', 'Botswana'], region: 'Africa' },
+	'BY': { name: 'Belarus', emoji: '🇧🇾', aliases: ['白俄罗斯', 'Belarus'], region: 'Europe' },
+	'BZ': { name: 'Belize', emoji: '🇧🇿', aliases: ['伯利兹', 'Belize'], region: 'Americas' },
+	'CC': { name: 'Cocos Islands', emoji: '🇨🇨', aliases: ['科科斯群岛', 'Cocos Islands', 'Cocos (Keeling) Islands'], region: 'Oceania' },
+	'CD': { name: 'DR Congo', emoji: '🇨🇩', aliases: ['刚果（金）', '刚果金', '刚果民主共和国', 'DR Congo', 'Democratic Republic of the Congo'], region: 'Africa' },
+	'CF': { name: 'Central African Republic', emoji: '🇨🇫', aliases: ['中非共和国', '中非', 'Central African Republic'], region: 'Africa' },
+	'CG': { name: 'Congo', emoji: '🇨🇬', aliases: ['刚果（布）', '刚果布', '刚果共和国', 'Congo', 'Republic of the Congo'], region: 'Africa' },
+	'CI': { name: 'Côte d\'Ivoire', emoji: '🇨🇮', aliases: ['科特迪瓦', 'Côte d\'Ivoire', 'Cote d\'Ivoire', 'Ivory Coast'], region: 'Africa' },
+	'CK': { name: 'Cook Islands', emoji: '🇨🇰', aliases: ['库克群岛', 'Cook Islands'], region: 'Oceania' },
+	'CL': { name: 'Chile', emoji: '🇨🇱', aliases: ['智利', 'Chile', 'CL'], iata: ['SCL'], region: 'Americas' },
+	'CM': { name: 'Cameroon', emoji: '🇨🇲', aliases: ['喀麦隆', 'Cameroon'], region: 'Africa' },
+	'CN': { name: 'China', emoji: '🇨🇳', aliases: ['中国大陆', '大陆', '回国', 'Mainland China', 'China Mainland'], iata: ['PVG', 'PEK', 'SZX'], region: 'Asia' },
+	'CO': { name: 'Colombia', emoji: '🇨🇴', aliases: ['哥伦比亚', 'Colombia'], iata: ['BOG'], region: 'Americas' },
+	'CR': { name: 'Costa Rica', emoji: '🇨🇷', aliases: ['哥斯达黎加', 'Costa Rica'], iata: ['SJO'], region: 'Americas' },
+	'CU': { name: 'Cuba', emoji: '🇨🇺', aliases: ['古巴', 'Cuba'], region: 'Americas' },
+	'CV': { name: 'Cape Verde', emoji: '🇨🇻', aliases: ['佛得角', 'Cape Verde', 'Cabo Verde'], region: 'Africa' },
+	'CW': { name: 'Curaçao', emoji: '🇨🇼', aliases: ['库拉索', 'Curaçao', 'Curacao'], region: 'Americas' },
+	'CX': { name: 'Christmas Island', emoji: '🇨🇽', aliases: ['圣诞岛', 'Christmas Island'], region: 'Oceania' },
+	'CY': { name: 'Cyprus', emoji: '🇨🇾', aliases: ['塞浦路斯', 'Cyprus'], region: 'Europe' },
+	'CZ': { name: 'Czechia', emoji: '🇨🇿', aliases: ['捷克', 'Czechia', 'Czech Republic', 'Czech', 'CZ'], iata: ['PRG'], region: 'Europe' },
+	'DJ': { name: 'Djibouti', emoji: '🇩🇯', aliases: ['吉布提', 'Djibouti'], region: 'Africa' },
+	'DK': { name: 'Denmark', emoji: '🇩🇰', aliases: ['丹麦', 'Denmark', 'DK'], iata: ['CPH'], region: 'Europe' },
+	'DM': { name: 'Dominica', emoji: '🇩🇲', aliases: ['多米尼克', 'Dominica'], region: 'Americas' },
+	'DO': { name: 'Dominican Republic', emoji: '🇩🇴', aliases: ['多米尼加', 'Dominican Republic'], region: 'Americas' },
+	'DZ': { name: 'Algeria', emoji: '🇩🇿', aliases: ['阿尔及利亚', 'Algeria'], region: 'Africa' },
+	'EC': { name: 'Ecuador', emoji: '🇪🇨', aliases: ['厄瓜多尔', 'Ecuador'], region: 'Americas' },
+	'EE': { name: 'Estonia', emoji: '🇪🇪', aliases: ['爱沙尼亚', 'Estonia'], iata: ['TLL'], region: 'Europe' },
+	'EG': { name: 'Egypt', emoji: '🇪🇬', aliases: ['埃及', 'Egypt'], iata: ['CAI'], region: 'Africa' },
+	'EH': { name: 'Western Sahara', emoji: '🇪🇭', aliases: ['西撒哈拉', 'Western Sahara'], region: 'Africa' },
+	'ER': { name: 'Eritrea', emoji: '🇪🇷', aliases: ['厄立特里亚', 'Eritrea'], region: 'Africa' },
+	'ET': { name: 'Ethiopia', emoji: '🇪🇹', aliases: ['埃塞俄比亚', 'Ethiopia'], region: 'Africa' },
+	'FI': { name: 'Finland', emoji: '🇫🇮', aliases: ['芬兰', 'Finland', 'FI'], iata: ['HEL'], region: 'Europe' },
+	'FJ': { name: 'Fiji', emoji: '🇫🇯', aliases: ['斐济', 'Fiji'], region: 'Oceania' },
+	'FK': { name: 'Falkland Islands', emoji: '🇫🇰', aliases: ['福克兰群岛', 'Falkland Islands'], region: 'Americas' },
+	'FM': { name: 'Micronesia', emoji: '🇫🇲', aliases: ['密克罗尼西亚', 'Micronesia'], region: 'Oceania' },
+	'FO': { name: 'Faroe Islands', emoji: '🇫🇴', aliases: ['法罗群岛', 'Faroe Islands'], region: 'Europe' },
+	'GA': { name: 'Gabon', emoji: '🇬🇦', aliases: ['加蓬', 'Gabon'], region: 'Africa' },
+	'GD': { name: 'Grenada', emoji: '🇬🇩', aliases: ['格林纳达', 'Grenada'], region: 'Americas' },
+	'GE': { name: 'Georgia', emoji: '🇬🇪', aliases: ['格鲁吉亚', 'Georgia'], iata: ['TBS'], region: 'Asia' },
+	'GF': { name: 'French Guiana', emoji: '🇬🇫', aliases: ['法属圭亚那', 'French Guiana'], region: 'Americas' },
+	'GG': { name: 'Guernsey', emoji: '🇬🇬', aliases: ['根西岛', 'Guernsey'], region: 'Europe' },
+	'GH': { name: 'Ghana', emoji: '🇬🇭', aliases: ['加纳', 'Ghana'], region: 'Africa' },
+	'GI': { name: 'Gibraltar', emoji: '🇬🇮', aliases: ['直布罗陀', 'Gibraltar'], region: 'Europe' },
+	'GL': { name: 'Greenland', emoji: '🇬🇱', aliases: ['格陵兰', 'Greenland'], region: 'Americas' },
+	'GM': { name: 'Gambia', emoji: '🇬🇲', aliases: ['冈比亚', 'Gambia'], region: 'Africa' },
+	'GN': { name: 'Guinea', emoji: '🇬🇳', aliases: ['几内亚', 'Guinea'], region: 'Africa' },
+	'GP': { name: 'Guadeloupe', emoji: '🇬🇵', aliases: ['瓜德罗普', 'Guadeloupe'], region: 'Americas' },
+	'GQ': { name: 'Equatorial Guinea', emoji: '🇬🇶', aliases: ['赤道几内亚', 'Equatorial Guinea'], region: 'Africa' },
+	'GR': { name: 'Greece', emoji: '🇬🇷', aliases: ['希腊', 'Greece', 'GR'], iata: ['ATH'], region: 'Europe' },
+	'GS': { name: 'South Georgia', emoji: '🇬🇸', aliases: ['南乔治亚', 'South Georgia', 'South Georgia and the South Sandwich Islands'], region: 'Antarctica' },
+	'GT': { name: 'Guatemala', emoji: '🇬🇹', aliases: ['危地马拉', 'Guatemala'], region: 'Americas' },
+	'GU': { name: 'Guam', emoji: '🇬🇺', aliases: ['关岛', 'Guam'], region: 'Oceania' },
+	'GW': { name: 'Guinea-Bissau', emoji: '🇬🇼', aliases: ['几内亚比绍', 'Guinea-Bissau'], region: 'Africa' },
+	'GY': { name: 'Guyana', emoji: '🇬🇾', aliases: ['圭亚那', 'Guyana'], region: 'Americas' },
+	'HM': { name: 'Heard Island and McDonald Islands', emoji: '🇭🇲', aliases: ['赫德岛和麦克唐纳群岛', 'Heard Island and McDonald Islands'], region: 'Antarctica' },
+	'HN': { name: 'Honduras', emoji: '🇭🇳', aliases: ['洪都拉斯', 'Honduras'], region: 'Americas' },
+	'HR': { name: 'Croatia', emoji: '🇭🇷', aliases: ['克罗地亚', 'Croatia'], region: 'Europe' },
+	'HT': { name: 'Haiti', emoji: '🇭🇹', aliases: ['海地', 'Haiti'], region: 'Americas' },
+	'HU': { name: 'Hungary', emoji: '🇭🇺', aliases: ['匈牙利', 'Hungary', 'HU'], region: 'Europe' },
+	'IL': { name: 'Israel', emoji: '🇮🇱', aliases: ['以色列', 'Israel', 'IL'], iata: ['TLV'], region: 'Asia' },
+	'IM': { name: 'Isle of Man', emoji: '🇮🇲', aliases: ['马恩岛', 'Isle of Man'], region: 'Europe' },
+	'IO': { name: 'British Indian Ocean Territory', emoji: '🇮🇴', aliases: ['英属印度洋领地', 'British Indian Ocean Territory'], region: 'Asia' },
+	'IQ': { name: 'Iraq', emoji: '🇮🇶', aliases: ['伊拉克', 'Iraq'], region: 'Asia' },
+	'IR': { name: 'Iran', emoji: '🇮🇷', aliases: ['伊朗', 'Iran'], region: 'Asia' },
+	'IS': { name: 'Iceland', emoji: '🇮🇸', aliases: ['冰岛', 'Iceland'], iata: ['KEF'], region: 'Europe' },
+	'JE': { name: 'Jersey', emoji: '🇯🇪', aliases: ['泽西岛', 'Jersey'], region: 'Europe' },
+	'JM': { name: 'Jamaica', emoji: '🇯🇲', aliases: ['牙买加', 'Jamaica'], region: 'Americas' },
+	'JO': { name: 'Jordan', emoji: '🇯🇴', aliases: ['约旦', 'Jordan'], iata: ['AMM'], region: 'Asia' },
+	'KE': { name: 'Kenya', emoji: '🇰🇪', aliases: ['肯尼亚', 'Kenya'], iata: ['NBO'], region: 'Africa' },
+	'KG': { name: 'Kyrgyzstan', emoji: '🇰🇬', aliases: ['吉尔吉斯斯坦', '吉尔吉斯', 'Kyrgyzstan'], region: 'Asia' },
+	'KH': { name: 'Cambodia', emoji: '🇰🇭', aliases: ['柬埔寨', 'Cambodia'], iata: ['PNH'], region: 'Asia' },
+	'KI': { name: 'Kiribati', emoji: '🇰🇮', aliases: ['基里巴斯', 'Kiribati'], region: 'Oceania' },
+	'KM': { name: 'Comoros', emoji: '🇰🇲', aliases: ['科摩罗', 'Comoros'], region: 'Africa' },
+	'KN': { name: 'Saint Kitts and Nevis', emoji: '🇰🇳', aliases: ['圣基茨和尼维斯', 'Saint Kitts and Nevis'], region: 'Americas' },
+	'KP': { name: 'North Korea', emoji: '🇰🇵', aliases: ['朝鲜', '北韩', 'North Korea'], region: 'Asia' },
+	'KW': { name: 'Kuwait', emoji: '🇰🇼', aliases: ['科威特', 'Kuwait'], iata: ['KWI'], region: 'Asia' },
+	'KY': { name: 'Cayman Islands', emoji: '🇰🇾', aliases: ['开曼群岛', 'Cayman Islands'], region: 'Americas' },
+	'KZ': { name: 'Kazakhstan', emoji: '🇰🇿', aliases: ['哈萨克斯坦', 'Kazakhstan', 'KZ'], iata: ['ALA'], region: 'Asia' },
+	'LA': { name: 'Laos', emoji: '🇱🇦', aliases: ['老挝', 'Laos'], region: 'Asia' },
+	'LB': { name: 'Lebanon', emoji: '🇱🇧', aliases: ['黎巴嫩', 'Lebanon'], iata: ['BEY'], region: 'Asia' },
+	'LC': { name: 'Saint Lucia', emoji: '🇱🇨', aliases: ['圣卢西亚', 'Saint Lucia'], region: 'Americas' },
+	'LI': { name: 'Liechtenstein', emoji: '🇱🇮', aliases: ['列支敦士登', 'Liechtenstein'], region: 'Europe' },
+	'LK': { name: 'Sri Lanka', emoji: '🇱🇰', aliases: ['斯里兰卡', 'Sri Lanka'], iata: ['CMB'], region: 'Asia' },
+	'LR': { name: 'Liberia', emoji: '🇱🇷', aliases: ['利比里亚', 'Liberia'], region: 'Africa' },
+	'LS': { name: 'Lesotho', emoji: '🇱🇸', aliases: ['莱索托', 'Lesotho'], region: 'Africa' },
+	'LT': { name: 'Lithuania', emoji: '🇱🇹', aliases: ['立陶宛', 'Lithuania'], iata: ['VNO'], region: 'Europe' },
+	'LU': { name: 'Luxembourg', emoji: '🇱🇺', aliases: ['卢森堡', 'Luxembourg'], region: 'Europe' },
+	'LV': { name: 'Latvia', emoji: '🇱🇻', aliases: ['拉脱维亚', 'Latvia'], iata: ['RIX'], region: 'Europe' },
+	'LY': { name: 'Libya', emoji: '🇱🇾', aliases: ['利比亚', 'Libya'], region: 'Africa' },
+	'MA': { name: 'Morocco', emoji: '🇲🇦', aliases: ['摩洛哥', 'Morocco'], iata: ['CMN'], region: 'Africa' },
+	'MC': { name: 'Monaco', emoji: '🇲🇨', aliases: ['摩纳哥', 'Monaco'], region: 'Europe' },
+	'MD': { name: 'Moldova', emoji: '🇲🇩', aliases: ['摩尔多瓦', 'Moldova'], region: 'Europe' },
+	'ME': { name: 'Montenegro', emoji: '🇲🇪', aliases: ['黑山', 'Montenegro'], region: 'Europe' },
+	'MF': { name: 'Saint Martin', emoji: '🇲🇫', aliases: ['法属圣马丁', 'Saint Martin'], region: 'Americas' },
+	'MG': { name: 'Madagascar', emoji: '🇲🇬', aliases: ['马达加斯加', 'Madagascar'], region: 'Africa' },
+	'MH': { name: 'Marshall Islands', emoji: '🇲🇭', aliases: ['马绍尔群岛', 'Marshall Islands'], region: 'Oceania' },
+	'MK': { name: 'North Macedonia', emoji: '🇲🇰', aliases: ['北马其顿', '马其顿', 'North Macedonia', 'Macedonia'], region: 'Europe' },
+	'ML': { name: 'Mali', emoji: '🇲🇱', aliases: ['马里', 'Mali'], region: 'Africa' },
+	'MM': { name: 'Myanmar', emoji: '🇲🇲', aliases: ['缅甸', 'Myanmar', 'Burma'], iata: ['RGN'], region: 'Asia' },
+	'MN': { name: 'Mongolia', emoji: '🇲🇳', aliases: ['蒙古', 'Mongolia'], iata: ['ULN'], region: 'Asia' },
+	'MO': { name: 'Macau', emoji: '🇲🇴', aliases: ['澳门', 'Macau', 'Macao', 'MO'], iata: ['MFM'], region: 'Asia' },
+	'MP': { name: 'Northern Mariana Islands', emoji: '🇲🇵', aliases: ['北马里亚纳群岛', 'Northern Mariana Islands'], region: 'Oceania' },
+	'MQ': { name: 'Martinique', emoji: '🇲🇶', aliases: ['马提尼克', 'Martinique'], region: 'Americas' },
+	'MR': { name: 'Mauritania', emoji: '🇲🇷', aliases: ['毛里塔尼亚', 'Mauritania'], region: 'Africa' },
+	'MS': { name: 'Montserrat', emoji: '🇲🇸', aliases: ['蒙特塞拉特', 'Montserrat'], region: 'Americas' },
+	'MT': { name: 'Malta', emoji: '🇲🇹', aliases: ['马耳他', 'Malta'], region: 'Europe' },
+	'MU': { name: 'Mauritius', emoji: '🇲🇺', aliases: ['毛里求斯', 'Mauritius'], region: 'Africa' },
+	'MV': { name: 'Maldives', emoji: '🇲🇻', aliases: ['马尔代夫', 'Maldives'], region: 'Asia' },
+	'MW': { name: 'Malawi', emoji: '🇲🇼', aliases: ['马拉维', 'Malawi'], region: 'Africa' },
+	'MX': { name: 'Mexico', emoji: '🇲🇽', aliases: ['墨西哥', 'Mexico', 'MX'], iata: ['MEX'], region: 'Americas' },
+	'MZ': { name: 'Mozambique', emoji: '🇲🇿', aliases: ['莫桑比克', 'Mozambique'], region: 'Africa' },
+	'NA': { name: 'Namibia', emoji: '🇳🇦', aliases: ['纳米比亚', 'Namibia'], region: 'Africa' },
+	'NC': { name: 'New Caledonia', emoji: '🇳🇨', aliases: ['新喀里多尼亚', 'New Caledonia'], region: 'Oceania' },
+	'NE': { name: 'Niger', emoji: '🇳🇪', aliases: ['尼日尔', 'Niger'], region: 'Africa' },
+	'NF': { name: 'Norfolk Island', emoji: '🇳🇫', aliases: ['诺福克岛', 'Norfolk Island'], region: 'Oceania' },
+	'NG': { name: 'Nigeria', emoji: '🇳🇬', aliases: ['尼日利亚', 'Nigeria'], region: 'Africa' },
+	'NI': { name: 'Nicaragua', emoji: '🇳🇮', aliases: ['尼加拉瓜', 'Nicaragua'], region: 'Americas' },
+	'NO': { name: 'Norway', emoji: '🇳🇴', aliases: ['挪威', 'Norway'], iata: ['OSL'], region: 'Europe' },
+	'NP': { name: 'Nepal', emoji: '🇳🇵', aliases: ['尼泊尔', 'Nepal'], iata: ['KTM'], region: 'Asia' },
+	'NR': { name: 'Nauru', emoji: '🇳🇷', aliases: ['瑙鲁', 'Nauru'], region: 'Oceania' },
+	'NU': { name: 'Niue', emoji: '🇳🇺', aliases: ['纽埃', 'Niue'], region: 'Oceania' },
+	'OM': { name: 'Oman', emoji: '🇴🇲', aliases: ['阿曼', 'Oman'], iata: ['MCT'], region: 'Asia' },
+	'PA': { name: 'Panama', emoji: '🇵🇦', aliases: ['巴拿马', 'Panama'], iata: ['PTY'], region: 'Americas' },
+	'PE': { name: 'Peru', emoji: '🇵🇪', aliases: ['秘鲁', 'Peru'], iata: ['LIM'], region: 'Americas' },
+	'PF': { name: 'French Polynesia', emoji: '🇵🇫', aliases: ['法属波利尼西亚', 'French Polynesia'], region: 'Oceania' },
+	'PG': { name: 'Papua New Guinea', emoji: '🇵🇬', aliases: ['巴布亚新几内亚', 'Papua New Guinea'], region: 'Oceania' },
+	'PK': { name: 'Pakistan', emoji: '🇵🇰', aliases: ['巴基斯坦', 'Pakistan', 'PK'], iata: ['KHI', 'ISB', 'LHE'], region: 'Asia' },
+	'PL': { name: 'Poland', emoji: '🇵🇱', aliases: ['波兰', 'Poland', 'PL'], iata: ['WAW'], region: 'Europe' },
+	'PM': { name: 'Saint Pierre and Miquelon', emoji: '🇵🇲', aliases: ['圣皮埃尔和密克隆', 'Saint Pierre and Miquelon'], region: 'Americas' },
+	'PN': { name: 'Pitcairn Islands', emoji: '🇵🇳', aliases: ['皮特凯恩群岛', 'Pitcairn Islands'], region: 'Oceania' },
+	'PR': { name: 'Puerto Rico', emoji: '🇵🇷', aliases: ['波多黎各', 'Puerto Rico'], region: 'Americas' },
+	'PS': { name: 'Palestine', emoji: '🇵🇸', aliases: ['巴勒斯坦', 'Palestine'], region: 'Asia' },
+	'PT': { name: 'Portugal', emoji: '🇵🇹', aliases: ['葡萄牙', 'Portugal', 'PT'], iata: ['LIS'], region: 'Europe' },
+	'PW': { name: 'Palau', emoji: '🇵🇼', aliases: ['帕劳', 'Palau'], region: 'Oceania' },
+	'PY': { name: 'Paraguay', emoji: '🇵🇾', aliases: ['巴拉圭', 'Paraguay'], region: 'Americas' },
+	'QA': { name: 'Qatar', emoji: '🇶🇦', aliases: ['卡塔尔', 'Qatar'], iata: ['DOH'], region: 'Asia' },
+	'RE': { name: 'Réunion', emoji: '🇷🇪', aliases: ['留尼汪', 'Réunion', 'Reunion'], region: 'Africa' },
+	'RO': { name: 'Romania', emoji: '🇷🇴', aliases: ['罗马尼亚', 'Romania', 'RO'], iata: ['OTP'], region: 'Europe' },
+	'RS': { name: 'Serbia', emoji: '🇷🇸', aliases: ['塞尔维亚', 'Serbia'], iata: ['BEG'], region: 'Europe' },
+	'RW': { name: 'Rwanda', emoji: '🇷🇼', aliases: ['卢旺达', 'Rwanda'], region: 'Africa' },
+	'SA': { name: 'Saudi Arabia', emoji: '🇸🇦', aliases: ['沙特阿拉伯', '沙特', 'Saudi Arabia'], iata: ['RUH', 'JED'], region: 'Asia' },
+	'SB': { name: 'Solomon Islands', emoji: '🇸🇧', aliases: ['所罗门群岛', 'Solomon Islands'], region: 'Oceania' },
+	'SC': { name: 'Seychelles', emoji: '🇸🇨', aliases: ['塞舌尔', 'Seychelles'], region: 'Africa' },
+	'SD': { name: 'Sudan', emoji: '🇸🇩', aliases: ['苏丹', 'Sudan'], region: 'Africa' },
+	'SH': { name: 'Saint Helena', emoji: '🇸🇭', aliases: ['圣赫勒拿', 'Saint Helena'], region: 'Africa' },
+	'SI': { name: 'Slovenia', emoji: '🇸🇮', aliases: ['斯洛文尼亚', 'Slovenia'], region: 'Europe' },
+	'SJ': { name: 'Svalbard and Jan Mayen', emoji: '🇸🇯', aliases: ['斯瓦尔巴和扬马延', 'Svalbard and Jan Mayen'], region: 'Europe' },
+	'SK': { name: 'Slovakia', emoji: '🇸🇰', aliases: ['斯洛伐克', 'Slovakia'], region: 'Europe' },
+	'SL': { name: 'Sierra Leone', emoji: '🇸🇱', aliases: ['塞拉利昂', 'Sierra Leone'], region: 'Africa' },
+	'SM': { name: 'San Marino', emoji: '🇸🇲', aliases: ['圣马力诺', 'San Marino'], region: 'Europe' },
+	'SN': { name: 'Senegal', emoji: '🇸🇳', aliases: ['塞内加尔', 'Senegal'], region: 'Africa' },
+	'SO': { name: 'Somalia', emoji: '🇸🇴', aliases: ['索马里', 'Somalia'], region: 'Africa' },
+	'SR': { name: 'Suriname', emoji: '🇸🇷', aliases: ['苏里南', 'Suriname'], region: 'Americas' },
+	'SS': { name: 'South Sudan', emoji: '🇸🇸', aliases: ['南苏丹', 'South Sudan'], region: 'Africa' },
+	'ST': { name: 'São Tomé and Príncipe', emoji: '🇸🇹', aliases: ['圣多美和普林西比', 'São Tomé and Príncipe', 'Sao Tome and Principe'], region: 'Africa' },
+	'SV': { name: 'El Salvador', emoji: '🇸🇻', aliases: ['萨尔瓦多', 'El Salvador'], region: 'Americas' },
+	'SX': { name: 'Sint Maarten', emoji: '🇸🇽', aliases: ['荷属圣马丁', 'Sint Maarten'], region: 'Americas' },
+	'SY': { name: 'Syria', emoji: '🇸🇾', aliases: ['叙利亚', 'Syria'], region: 'Asia' },
+	'SZ': { name: 'Eswatini', emoji: '🇸🇿', aliases: ['斯威士兰', 'Eswatini', 'Swaziland'], region: 'Africa' },
+	'TC': { name: 'Turks and Caicos Islands', emoji: '🇹🇨', aliases: ['特克斯和凯科斯群岛', 'Turks and Caicos Islands'], region: 'Americas' },
+	'TD': { name: 'Chad', emoji: '🇹🇩', aliases: ['乍得', 'Chad'], region: 'Africa' },
+	'TF': { name: 'French Southern Territories', emoji: '🇹🇫', aliases: ['法属南部领地', 'French Southern Territories'], region: 'Antarctica' },
+	'TG': { name: 'Togo', emoji: '🇹🇬', aliases: ['多哥', 'Togo'], region: 'Africa' },
+	'TJ': { name: 'Tajikistan', emoji: '🇹🇯', aliases: ['塔吉克斯坦', 'Tajikistan'], region: 'Asia' },
+	'TK': { name: 'Tokelau', emoji: '🇹🇰', aliases: ['托克劳', 'Tokelau'], region: 'Oceania' },
+	'TL': { name: 'Timor-Leste', emoji: '🇹🇱', aliases: ['东帝汶', 'Timor-Leste', 'East Timor'], region: 'Asia' },
+	'TM': { name: 'Turkmenistan', emoji: '🇹🇲', aliases: ['土库曼斯坦', 'Turkmenistan'], region: 'Asia' },
+	'TN': { name: 'Tunisia', emoji: '🇹🇳', aliases: ['突尼斯', 'Tunisia'], region: 'Africa' },
+	'TO': { name: 'Tonga', emoji: '🇹🇴', aliases: ['汤加', 'Tonga'], region: 'Oceania' },
+	'TT': { name: 'Trinidad and Tobago', emoji: '🇹🇹', aliases: ['特立尼达和多巴哥', 'Trinidad and Tobago'], region: 'Americas' },
+	'TV': { name: 'Tuvalu', emoji: '🇹🇻', aliases: ['图瓦卢', 'Tuvalu'], region: 'Oceania' },
+	'TZ': { name: 'Tanzania', emoji: '🇹🇿', aliases: ['坦桑尼亚', 'Tanzania'], region: 'Africa' },
+	'UA': { name: 'Ukraine', emoji: '🇺🇦', aliases: ['乌克兰', 'Ukraine', 'UA'], iata: ['KBP'], region: 'Europe' },
+	'UG': { name: 'Uganda', emoji: '🇺🇬', aliases: ['乌干达', 'Uganda'], region: 'Africa' },
+	'UM': { name: 'U.S. Outlying Islands', emoji: '🇺🇲', aliases: ['美国本土外小岛屿', 'U.S. Outlying Islands'], region: 'Oceania' },
+	'UY': { name: 'Uruguay', emoji: '🇺🇾', aliases: ['乌拉圭', 'Uruguay'], region: 'Americas' },
+	'UZ': { name: 'Uzbekistan', emoji: '🇺🇿', aliases: ['乌兹别克斯坦', 'Uzbekistan'], iata: ['TAS'], region: 'Asia' },
+	'VA': { name: 'Vatican City', emoji: '🇻🇦', aliases: ['梵蒂冈', 'Vatican City', 'Vatican'], region: 'Europe' },
+	'VC': { name: 'Saint Vincent and the Grenadines', emoji: '🇻🇨', aliases: ['圣文森特和格林纳丁斯', 'Saint Vincent and the Grenadines'], region: 'Americas' },
+	'VE': { name: 'Venezuela', emoji: '🇻🇪', aliases: ['委内瑞拉', 'Venezuela'], region: 'Americas' },
+	'VG': { name: 'British Virgin Islands', emoji: '🇻🇬', aliases: ['英属维尔京群岛', 'British Virgin Islands'], region: 'Americas' },
+	'VI': { name: 'U.S. Virgin Islands', emoji: '🇻🇮', aliases: ['美属维尔京群岛', 'U.S. Virgin Islands', 'US Virgin Islands'], region: 'Americas' },
+	'VU': { name: 'Vanuatu', emoji: '🇻🇺', aliases: ['瓦努阿图', 'Vanuatu'], region: 'Oceania' },
+	'WF': { name: 'Wallis and Futuna', emoji: '🇼🇫', aliases: ['瓦利斯和富图纳', 'Wallis and Futuna'], region: 'Oceania' },
+	'WS': { name: 'Samoa', emoji: '🇼🇸', aliases: ['萨摩亚', 'Samoa'], region: 'Oceania' },
+	'YE': { name: 'Yemen', emoji: '🇾🇪', aliases: ['也门', 'Yemen'], region: 'Asia' },
+	'YT': { name: 'Mayotte', emoji: '🇾🇹', aliases: ['马约特', 'Mayotte'], region: 'Africa' },
+	'ZM': { name: 'Zambia', emoji: '🇿🇲', aliases: ['赞比亚', 'Zambia'], region: 'Africa' },
+	'ZW': { name: 'Zimbabwe', emoji: '🇿🇼', aliases: ['津巴布韦', 'Zimbabwe'], region: 'Africa' },
 };
 
-export function parseCountryFromNodeName(nodeName) {
-	// Build patterns sorted by length descending so longer aliases match first
-	// (e.g. "Indonesia" before "India", "United States" before "US").
-	// Short aliases (<=3 chars, all ASCII, e.g. US, UK, HK) get \b word boundaries
-	// to prevent false positives like "plus" matching "US".
-	const allEntries = Object.values(COUNTRY_DATA).flatMap(c =>
-		c.aliases.map(alias => ({ alias, escaped: alias.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&') }))
-	);
-	allEntries.sort((a, b) => b.alias.length - a.alias.length);
-
-	const patterns = allEntries.map(({ alias, escaped }) => {
-		if (alias.length <= 3 && /^[A-Za-z]+$/.test(alias)) {
-			return `\\b${escaped}\\b`;
+/**
+ * Subconverter cannot see the nodes, so its configs only carry groups for these countries
+ */
+export const COMMON_COUNTRY_CODES = ['HK', 'TW', 'JP', 'KR', 'SG', 'US', 'GB', 'DE', 'FR', 'RU', 'CA', 'AU', 'IN', 'BR', 'ZA', 'AR', 'TR', 'NL', 'CH', 'SE', 'IT', 'ES', 'IE', 'MY', 'TH', 'VN', 'PH', 'ID', 'NZ', 'AE'];
+
+/**
+ * Regions used to fold country groups into a coarser layer, in display order
+ */
+export const REGION_DATA = {
+	'Asia': { name: 'Asia', emoji: '🌏' },
+	'Europe': { name: 'Europe', emoji: '🌍' },
+	'Americas': { name: 'Americas', emoji: '🌎' },
+	'Oceania': { name: 'Oceania', emoji: '🏝️' },
+	'Africa': { name: 'Africa', emoji: '🌍' },
+	'Antarctica': { name: 'Antarctica', emoji: '🧊' },
+};
+
+/**
+ * Fold the output of groupProxiesByCountry into regions
+ * @param {object} countryGroups - Output of groupProxiesByCountry
+ * @returns {Array<{emoji: string, name: string, countries: string[], proxies: string[]}>} Regions in REGION_DATA order;
+ *   `countries` lists the member keys of countryGroups, sorted like the country groups
+ */
+export function groupCountriesByRegion(countryGroups) {
+	const regions = new Map();
+	Object.keys(countryGroups || {}).sort((a, b) => a.localeCompare(b)).forEach(key => {
+		const { region, proxies } = countryGroups[key];
+		if (!REGION_DATA[region]) return;
+		if (!regions.has(region)) {
+			regions.set(region, { ...REGION_DATA[region], countries: [], proxies: [] });
 		}
-		return escaped;
+		const entry = regions.get(region);
+		entry.countries.push(key);
+		entry.proxies.push(...proxies);
 	});
+	return Object.keys(REGION_DATA).filter(region => regions.has(region)).map(region => regions.get(region));
+}
 
-	const regex = new RegExp(patterns.join('|'), 'i');
-	const match = nodeName.match(regex);
+/**
+ * Country entry for an ISO 3166 code, in the same shape parseCountryFromNodeName returns
+ */
+export function getCountryByCode(code) {
+	if (typeof code !== 'string') return null;
+	const normalized = code.trim().toUpperCase();
+	return COUNTRY_DATA[normalized] ? { code: normalized, ...COUNTRY_DATA[normalized] } : null;
+}
 
-	if (match) {
-		const matchedAlias = match[0];
-		for (const code in COUNTRY_DATA) {
-			if (COUNTRY_DATA[code].aliases.some(alias => alias.toLowerCase() === matchedAlias.toLowerCase())) {
-				return { code, ...COUNTRY_DATA[code] };
-			}
+/**
+ * Origin cities in relay line labels: "沪日" is a Shanghai to Japan line
+ */
+const RELAY_ORIGINS = ['沪', '广', '深', '京', '杭', '莞', '苏', '厦', '中'];
+
+const NO_EXTRA_ALIASES = Object.freeze({});
+const countryMatchers = new WeakMap();
+
+/**
+ * Every string that names a country in node names: aliases, IATA codes, the flag emoji, relay labels
+ * and any extra aliases supplied for its code
+ */
+export function getCountryNameTokens(code, extraAliases = NO_EXTRA_ALIASES) {
+	const country = COUNTRY_DATA[code];
+	if (!country) return [];
+	return [
+		...country.aliases,
+		...(country.iata || []),
+		country.emoji,
+		...(country.abbr ? RELAY_ORIGINS.map(origin => `${origin}${country.abbr}`) : []),
+		...(extraAliases?.[code] || [])
+	];
+}
+
+/**
+ * Validate user alias mappings such as `{"JP": ["东京", "Tokyo"], "HK": "HKBN"}`
+ * @returns {{aliases: Object<string, string[]>, unknown: string[]}} aliases keyed by upper-case ISO code;
+ *   `unknown` lists keys that are not ISO 3166 codes
+ */
+export function normalizeCountryAliases(input) {
+	const aliases = {};
+	const unknown = [];
+	if (!input || typeof input !== 'object' || Array.isArray(input)) {
+		return { aliases, unknown };
+	}
+	Object.entries(input).forEach(([key, value]) => {
+		const code = key.trim().toUpperCase();
+		if (!COUNTRY_DATA[code]) {
+			unknown.push(key);
+			return;
+		}
+		const list = (Array.isArray(value) ? value : [value])
+			.filter(alias => typeof alias === 'string' && alias.trim())
+			.map(alias => alias.trim());
+		if (list.length > 0) {
+			aliases[code] = [...(aliases[code] || []), ...list];
 		}
+	});
+	return { aliases, unknown };
+}
+
+function getCountryMatcher(extraAliases) {
+	const key = extraAliases || NO_EXTRA_ALIASES;
+	if (countryMatchers.has(key)) {
+		return countryMatchers.get(key);
 	}
+	// User aliases are registered first so they win over a built-in token with the same text
+	const codeByToken = new Map();
+	Object.keys(key).forEach(code => {
+		(key[code] || []).forEach(token => {
+			if (COUNTRY_DATA[code] && !codeByToken.has(token.toLowerCase())) codeByToken.set(token.toLowerCase(), code);
+		});
+	});
+	Object.keys(COUNTRY_DATA).forEach(code => {
+		getCountryNameTokens(code).forEach(token => {
+			if (!codeByToken.has(token.toLowerCase())) codeByToken.set(token.toLowerCase(), code);
+		});
+	});
 
-	return null;
+	// Longer tokens first so e.g. "Indonesia" wins over "India" and "United States" over "US".
+	// Short ASCII tokens (<=3 chars, e.g. US, UK, HK, NRT) get \b word boundaries
+	// to prevent false positives like "plus" matching "US".
+	const patterns = [...codeByToken.keys()]
+		.sort((a, b) => b.length - a.length)
+		.map(token => {
+			const escaped = token.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+			return token.length <= 3 && /^[A-Za-z]+$/.test(token) ? `\\b${escaped}\\b` : escaped;
+		});
+	const matcher = { regex: new RegExp(patterns.join('|'), 'i'), codeByToken };
+	countryMatchers.set(key, matcher);
+	return matcher;
+}
+
+/**
+ * Detect the country a node name refers to; the leftmost match wins
+ * @param {string} nodeName
+ * @param {Object<string, string[]>} [extraAliases] - Output of normalizeCountryAliases
+ */
+export function parseCountryFromNodeName(nodeName, extraAliases) {
+	if (typeof nodeName !== 'string') return null;
+	const { regex, codeByToken } = getCountryMatcher(extraAliases);
+	const match = nodeName.match(regex);
+	return match ? getCountryByCode(codeByToken.get(match[0].toLowerCase())) : null;
 }
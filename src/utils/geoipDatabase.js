@@ -0,0 +1,286 @@
+/**
+ * Offline country lookup for literal IP addresses.
+ * Reads MaxMind/ipinfo MMDB files and ipinfo-style CSV range files without any network access.
+ */
+
+const METADATA_MARKER = [0xab, 0xcd, 0xef, ...Array.from('MaxMind.com', ch => ch.charCodeAt(0))];
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+/**
+ * Parse a dotted IPv4 or colon IPv6 literal into its bits
+ * @returns {{version: 4|6, value: bigint}|null} null for hostnames and malformed input
+ */
+export function parseIpAddress(input) {
+    if (typeof input !== 'string') return null;
+    const address = input.trim().replace(/^\[|\]$/g, '');
+    const v4 = address.match(IPV4_PATTERN);
+    if (v4) {
+        const octets = v4.slice(1).map(Number);
+        if (octets.some(octet => octet > 255)) return null;
+        return { version: 4, value: octets.reduce((acc, octet) => (acc << 8n) | BigInt(octet), 0n) };
+    }
+    if (!address.includes(':') || !/^[0-9a-f:.]+$/i.test(address)) return null;
+
+    let head = address;
+    let tail = '';
+    const doubleColon = address.indexOf('::');
+    if (doubleColon !== -1) {
+        head = address.slice(0, doubleColon);
+        tail = address.slice(doubleColon + 2);
+        if (tail.includes('::')) return null;
+    }
+    const toGroups = (part) => {
+        if (!part) return [];
+        return part.split(':').flatMap(group => {
+            // Embedded IPv4 (::ffff:1.2.3.4) fills the last two groups
+            const embedded = parseIpAddress(group);
+            if (embedded?.version === 4) return [Number(embedded.value >> 16n), Number(embedded.value & 0xffffn)];
+            return /^[0-9a-f]{1,4}$/i.test(group) ? [parseInt(group, 16)] : [NaN];
+        });
+    };
+    const headGroups = toGroups(head);
+    const tailGroups = toGroups(tail);
+    const missing = 8 - headGroups.length - tailGroups.length;
+    if (missing < 0 || (doubleColon === -1 && missing !== 0)) return null;
+    const groups = [...headGroups, ...new Array(missing).fill(0), ...tailGroups];
+    if (groups.some(Number.isNaN)) return null;
+    return { version: 6, value: groups.reduce((acc, group) => (acc << 16n) | BigInt(group), 0n) };
+}
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return new TextEncoder().encode(String(data));
+}
+
+function findMetadataStart(bytes) {
+    const limit = Math.max(0, bytes.length - 128 * 1024);
+    for (let i = bytes.length - METADATA_MARKER.length; i >= limit; i--) {
+        if (METADATA_MARKER.every((byte, j) => bytes[i + j] === byte)) {
+            return i + METADATA_MARKER.length;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Decoder for the MMDB data section format
+ */
+class MmdbDecoder {
+    constructor(bytes, pointerBase) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.pointerBase = pointerBase;
+        this.textDecoder = new TextDecoder();
+    }
+
+    readUint(offset, size) {
+        let value = 0;
+        for (let i = 0; i < size; i++) {
+            value = value * 256 + this.bytes[offset + i];
+        }
+        return value;
+    }
+
+    /**
+     * @returns {{value: *, offset: number}} the decoded value and the offset just past it
+     */
+    decode(offset) {
+        const ctrl = this.bytes[offset++];
+        let type = ctrl >> 5;
+        if (type === 1) {
+            const sizeBits = (ctrl >> 3) & 0x3;
+            const high = ctrl & 0x7;
+            const pointerSize = sizeBits + 1;
+            let pointer;
+            if (sizeBits === 0) pointer = high * 256 + this.bytes[offset];
+            else if (sizeBits === 1) pointer = high * 65536 + this.readUint(offset, 2) + 2048;
+            else if (sizeBits === 2) pointer = high * 16777216 + this.readUint(offset, 3) + 526336;
+            else pointer = this.readUint(offset, 4);
+            return { value: this.decode(this.pointerBase + pointer).value, offset: offset + pointerSize };
+        }
+        if (type === 0) {
+            type = 7 + this.bytes[offset++];
+        }
+        let size = ctrl & 0x1f;
+        if (size === 29) {
+            size = 29 + this.bytes[offset++];
+        } else if (size === 30) {
+            size = 285 + this.readUint(offset, 2);
+            offset += 2;
+        } else if (size === 31) {
+            size = 65821 + this.readUint(offset, 3);
+            offset += 3;
+        }
+
+        switch (type) {
+            case 2:
+                return { value: this.textDecoder.decode(this.bytes.subarray(offset, offset + size)), offset: offset + size };
+            case 3:
+                return { value: this.view.getFloat64(offset), offset: offset + 8 };
+            case 4:
+                return { value: this.bytes.subarray(offset, offset + size), offset: offset + size };
+            case 5:
+            case 6:
+            case 9:
+            case 10:
+                return { value: this.readUint(offset, size), offset: offset + size };
+            case 7: {
+                const map = {};
+                for (let i = 0; i < size; i++) {
+                    const key = this.decode(offset);
+                    const entry = this.decode(key.offset);
+                    map[key.value] = entry.value;
+                    offset = entry.offset;
+                }
+                return { value: map, offset };
+            }
+            case 8:
+                return { value: size === 0 ? 0 : (this.readUint(offset, size) << (32 - size * 8)) >> (32 - size * 8), offset: offset + size };
+            case 11: {
+                const list = [];
+                for (let i = 0; i < size; i++) {
+                    const entry = this.decode(offset);
+                    list.push(entry.value);
+                    offset = entry.offset;
+                }
+                return { value: list, offset };
+            }
+            case 14:
+                return { value: size !== 0, offset };
+            case 15:
+                return { value: this.view.getFloat32(offset), offset: offset + 4 };
+            default:
+                return { value: null, offset: offset + size };
+        }
+    }
+}
+
+/**
+ * Country code from an MMDB record: MaxMind nests it (`country.iso_code`), ipinfo stores it flat (`country`)
+ */
+function getRecordCountry(record) {
+    if (!record || typeof record !== 'object') return null;
+    const country = record.country ?? record.registered_country;
+    if (typeof country === 'string') return country;
+    return country?.iso_code ?? record.registered_country?.iso_code ?? record.country_code ?? null;
+}
+
+function createMmdbReader(bytes) {
+    const metadataStart = findMetadataStart(bytes);
+    const metadata = new MmdbDecoder(bytes, metadataStart).decode(metadataStart).value || {};
+    const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = metadata;
+    if (!nodeCount || ![24, 28, 32].includes(recordSize)) {
+        throw new Error('Unsupported MMDB metadata');
+    }
+    const nodeBytes = recordSize / 4;
+    const treeSize = nodeCount * nodeBytes;
+    const decoder = new MmdbDecoder(bytes, treeSize + 16);
+
+    const readRecord = (node, bit) => {
+        const offset = node * nodeBytes;
+        if (recordSize === 24) return decoder.readUint(offset + bit * 3, 3);
+        if (recordSize === 32) return decoder.readUint(offset + bit * 4, 4);
+        const middle = bytes[offset + 3];
+        return bit === 0
+            ? ((middle & 0xf0) * 2 ** 20) + decoder.readUint(offset, 3)
+            : ((middle & 0x0f) * 2 ** 24) + decoder.readUint(offset + 4, 3);
+    };
+
+    const walk = (node, value, bitCount) => {
+        for (let i = bitCount - 1; i >= 0 && node < nodeCount; i--) {
+            node = readRecord(node, Number((value >> BigInt(i)) & 1n));
+        }
+        return node;
+    };
+
+    // IPv4 addresses live under ::/96 in an IPv6 tree
+    const ipv4Start = ipVersion === 6 ? walk(0, 0n, 96) : 0;
+
+    return {
+        lookup(address) {
+            const ip = parseIpAddress(address);
+            if (!ip) return null;
+            let node;
+            if (ip.version === 4) {
+                if (ipv4Start >= nodeCount) return null;
+                node = walk(ipv4Start, ip.value, 32);
+            } else {
+                if (ipVersion !== 6) return null;
+                node = walk(0, ip.value, 128);
+            }
+            if (node <= nodeCount) return null;
+            const country = getRecordCountry(decoder.decode(treeSize + (node - nodeCount)).value);
+            return typeof country === 'string' ? country.toUpperCase() : null;
+        }
+    };
+}
+
+function parseRangeBounds(start, end) {
+    if (start.includes('/')) {
+        const [network, prefix] = start.split('/');
+        const ip = parseIpAddress(network);
+        const bits = ip?.version === 4 ? 32 : 128;
+        const length = Number(prefix);
+        if (!ip || !Number.isInteger(length) || length < 0 || length > bits) return null;
+        const hostMask = (1n << BigInt(bits - length)) - 1n;
+        return { version: ip.version, from: ip.value & ~hostMask, to: ip.value | hostMask };
+    }
+    const from = parseIpAddress(start);
+    const to = parseIpAddress(end);
+    if (!from || !to || from.version !== to.version) return null;
+    return { version: from.version, from: from.value, to: to.value };
+}
+
+/**
+ * ipinfo-style CSV: `start_ip,end_ip,country,...` or `network,country,...` (CIDR); a header row is skipped
+ */
+function createCsvReader(text) {
+    const ranges = { 4: [], 6: [] };
+    text.split(/\r?\n/).forEach(line => {
+        const columns = line.split(',').map(column => column.trim().replace(/^"|"$/g, ''));
+        if (columns.length < 2) return;
+        const isCidr = columns[0].includes('/');
+        const bounds = parseRangeBounds(columns[0], isCidr ? columns[0] : columns[1]);
+        const country = columns[isCidr ? 1 : 2];
+        if (!bounds || !/^[A-Za-z]{2}$/.test(country || '')) return;
+        ranges[bounds.version].push({ from: bounds.from, to: bounds.to, country: country.toUpperCase() });
+    });
+    Object.values(ranges).forEach(list => list.sort((a, b) => (a.from < b.from ? -1 : a.from > b.from ? 1 : 0)));
+
+    return {
+        lookup(address) {
+            const ip = parseIpAddress(address);
+            if (!ip) return null;
+            const list = ranges[ip.version];
+            let low = 0;
+            let high = list.length - 1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                if (list[mid].from > ip.value) {
+                    high = mid - 1;
+                } else if (list[mid].to < ip.value) {
+                    low = mid + 1;
+                } else {
+                    return list[mid].country;
+                }
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Build a resolver from a database file's contents
+ * @param {ArrayBuffer|Uint8Array|string} data - An MMDB file, or CSV ranges as text
+ * @returns {{lookup: (address: string) => string|null}} `lookup` returns an upper-case ISO country code
+ *   for literal IP addresses found in the database and null for anything else, hostnames included
+ */
+export function createGeoIpResolver(data) {
+    const bytes = toBytes(data);
+    if (findMetadataStart(bytes) !== -1) {
+        return createMmdbReader(bytes);
+    }
+    return createCsvReader(typeof data === 'string' ? data : new TextDecoder().decode(bytes));
+}
@@ -0,0 +1,53 @@
+/**
+ * `subscription-userinfo` response header handling.
+ * Upstream panels report traffic and expiry as `upload=..; download=..; total=..; expire=..` (bytes, unix seconds).
+ */
+
+const USERINFO_FIELDS = ['upload', 'download', 'total', 'expire'];
+
+/**
+ * Parse a `subscription-userinfo` header value
+ * @param {string} header
+ * @returns {{upload: number, download: number, total: number, expire: number}|null} missing fields are 0,
+ *   null when the header has none of the known fields
+ */
+export function parseSubscriptionUserinfo(header) {
+    if (typeof header !== 'string' || !header.trim()) return null;
+    const info = { upload: 0, download: 0, total: 0, expire: 0 };
+    let found = false;
+    header.split(';').forEach(part => {
+        const [key, value] = part.split('=').map(item => item?.trim());
+        const field = key?.toLowerCase();
+        const number = Number(value);
+        if (!USERINFO_FIELDS.includes(field) || !value || !Number.isFinite(number)) return;
+        info[field] = Math.max(0, Math.floor(number));
+        found = true;
+    });
+    return found ? info : null;
+}
+
+/**
+ * Format parsed usage back into a header value; a zero expiry (no expiry) is left out
+ */
+export function formatSubscriptionUserinfo(info) {
+    const parts = ['upload', 'download', 'total'].map(field => `${field}=${info[field] || 0}`);
+    if (info.expire) parts.push(`expire=${info.expire}`);
+    return parts.join('; ');
+}
+
+/**
+ * Combine the headers of merged subscriptions: traffic is summed and the earliest expiry wins
+ * @param {string[]} headers - Raw header values, one per upstream
+ * @returns {string|undefined} undefined when no upstream reported usage
+ */
+export function mergeSubscriptionUserinfo(headers) {
+    const parsed = (headers || []).map(parseSubscriptionUserinfo).filter(Boolean);
+    if (parsed.length === 0) return undefined;
+    const merged = parsed.reduce((acc, info) => ({
+        upload: acc.upload + info.upload,
+        download: acc.download + info.download,
+        total: acc.total + info.total,
+        expire: info.expire && (!acc.expire || info.expire < acc.expire) ? info.expire : acc.expire
+    }));
+    return formatSubscriptionUserinfo(merged);
+}
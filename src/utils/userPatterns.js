@@ -0,0 +1,43 @@
+/**
+ * Limits for regular expressions taken from request parameters (node filters, rename rules, chains).
+ * They run against every node name, so patterns that could backtrack catastrophically are refused.
+ */
+
+export const MAX_PATTERN_LENGTH = 200;
+export const MAX_PATTERN_RULES = 50;
+
+// A quantified group whose body is itself quantified, e.g. (a+)+ or (\w*x)*
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)(?:[+*]|\{\d*,\d*\})/;
+
+/**
+ * Check a user-supplied pattern before it is compiled
+ * @param {string} source - Regular expression source
+ * @param {string} flags - RegExp flags
+ * @returns {string|null} Why the pattern is refused, or null when it is usable
+ */
+export function checkUserPattern(source, flags = 'i') {
+    if (source.length > MAX_PATTERN_LENGTH) {
+        return `longer than ${MAX_PATTERN_LENGTH} characters`;
+    }
+    if (NESTED_QUANTIFIER.test(source)) {
+        return 'nested quantifiers are not allowed';
+    }
+    try {
+        new RegExp(source, flags);
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+}
+
+/**
+ * Split a rename rule given as `"pattern -> replacement"` or `{pattern, replacement}`
+ * @param {string|{pattern?: string, replacement?: string}} rule
+ * @returns {{pattern?: string, replacement?: string}}
+ */
+export function normalizeRenameRule(rule) {
+    if (typeof rule !== 'string') return rule || {};
+    const separator = rule.indexOf('->');
+    if (separator === -1) return { pattern: rule.trim(), replacement: '' };
+    return { pattern: rule.slice(0, separator).trim(), replacement: rule.slice(separator + 2).trim() };
+}
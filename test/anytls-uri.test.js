@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { ProxyParser } from '../src/parsers/ProxyParser.js';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { SurgeConfigBuilder } from '../src/builders/SurgeConfigBuilder.js';
+import { convertSurgeProxyToObject } from '../src/parsers/convertSurgeProxyToObject.js';
+
+const ANYTLS_URI = 'anytls://p%40ss@example.com:443/?sni=cdn.example.com&fp=chrome&alpn=h2,http/1.1&insecure=1#AnyTLS-Node';
+
+describe('AnyTLS share links', () => {
+    it('parses anytls:// URIs into the internal format', async () => {
+        const proxy = await ProxyParser.parse(ANYTLS_URI);
+
+        expect(proxy).toMatchObject({
+            tag: 'AnyTLS-Node',
+            type: 'anytls',
+            server: 'example.com',
+            server_port: 443,
+            password: 'p@ss',
+            tls: {
+                enabled: true,
+                server_name: 'cdn.example.com',
+                insecure: true,
+                alpn: ['h2', 'http/1.1'],
+                utls: { enabled: true, fingerprint: 'chrome' }
+            }
+        });
+    });
+
+    it('emits an anytls outbound for sing-box', async () => {
+        const builder = new SingboxConfigBuilder(ANYTLS_URI, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const config = await builder.build();
+        const outbound = config.outbounds.find(o => o.tag === 'AnyTLS-Node');
+
+        expect(outbound.type).toBe('anytls');
+        expect(outbound.password).toBe('p@ss');
+        expect(outbound.tls.server_name).toBe('cdn.example.com');
+    });
+
+    it('emits an anytls proxy for Clash', async () => {
+        const builder = new ClashConfigBuilder(ANYTLS_URI, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const built = yaml.load(await builder.build());
+        const proxy = built.proxies.find(p => p.name === 'AnyTLS-Node');
+
+        expect(proxy).toMatchObject({
+            type: 'anytls',
+            server: 'example.com',
+            port: 443,
+            password: 'p@ss',
+            sni: 'cdn.example.com',
+            'client-fingerprint': 'chrome',
+            'skip-cert-verify': true
+        });
+    });
+
+    it('emits an anytls line for Surge and reads it back', async () => {
+        const builder = new SurgeConfigBuilder(ANYTLS_URI, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const text = await builder.build();
+        const line = text.split('\n').find(l => l.startsWith('AnyTLS-Node ='));
+
+        expect(line).toBe('AnyTLS-Node = anytls, example.com, 443, password=p@ss, sni=cdn.example.com, skip-cert-verify=true');
+
+        const parsed = convertSurgeProxyToObject(line);
+        expect(parsed).toMatchObject({
+            type: 'anytls',
+            server: 'example.com',
+            server_port: 443,
+            password: 'p@ss',
+            tls: { enabled: true, server_name: 'cdn.example.com', insecure: true }
+        });
+    });
+
+    it('translates idle session options from Clash YAML for sing-box', async () => {
+        const input = `proxies:
+  - name: AnyTLS-YAML
+    type: anytls
+    server: example.com
+    port: 443
+    password: secret
+    idle-session-check-interval: 30
+    idle-session-timeout: 30
+    min-idle-session: 2`;
+        const builder = new SingboxConfigBuilder(input, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const config = await builder.build();
+        const outbound = config.outbounds.find(o => o.tag === 'AnyTLS-YAML');
+
+        expect(outbound.idle_session_check_interval).toBe('30s');
+        expect(outbound.idle_session_timeout).toBe('30s');
+        expect(outbound.min_idle_session).toBe(2);
+        expect(outbound['idle-session-timeout']).toBeUndefined();
+    });
+});
@@ -0,0 +1,77 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { KVCacheStore } from '../src/adapters/cache/kvCacheStore.js';
+import { MemoryKVAdapter } from '../src/adapters/kv/memoryKv.js';
+import { SubscriptionCacheService, generateCacheKey } from '../src/services/subscriptionCacheService.js';
+
+const URL_A = 'https://a.example.com/sub';
+const USERINFO = 'upload=1; download=2; total=30; expire=1900000000';
+
+function mockOrigin(responses) {
+    let count = 0;
+    vi.stubGlobal('fetch', vi.fn(async () => {
+        const { status = 200, body = '', headers = {} } = responses[Math.min(++count, responses.length) - 1];
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: String(status),
+            text: async () => body,
+            headers: new Headers(headers)
+        };
+    }));
+}
+
+describe('KV subscription cache store', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('keeps one JSON record per cache key', async () => {
+        const kv = new MemoryKVAdapter();
+        const store = new KVCacheStore(kv);
+
+        await store.save('k', URL_A, 'v1', { etag: '"a"', subscriptionUserinfo: USERINFO });
+        await store.save('k', URL_A, 'v2', { etag: '"b"' });
+        await store.markValidated('k', { lastModified: 'Mon, 19 Oct 2026 00:00:00 GMT' });
+        await store.recordFailure('k');
+
+        expect(await store.get('k')).toMatchObject({
+            content: 'v2',
+            successCount: 3,
+            failCount: 1,
+            etag: '"b"',
+            lastModified: 'Mon, 19 Oct 2026 00:00:00 GMT',
+            subscriptionUserinfo: null
+        });
+        expect(JSON.parse(await kv.get('subscription-cache:k')).url).toBe(URL_A);
+
+        await store.delete('k');
+        expect(await store.get('k')).toBeNull();
+    });
+
+    it('writes records with a TTL and documents stats and clear as unavailable', async () => {
+        const kv = new MemoryKVAdapter();
+        const put = vi.spyOn(kv, 'put');
+        const store = new KVCacheStore(kv, { ttlSeconds: 3600 });
+
+        await store.save('k', URL_A, 'v1');
+        await store.recordFailure('k');
+        expect(put.mock.calls.map(call => call[2])).toEqual([{ expirationTtl: 3600 }, { expirationTtl: 3600 }]);
+        expect(new KVCacheStore(kv).ttlSeconds).toBe(60 * 60 * 24 * 7);
+
+        const cache = new SubscriptionCacheService(store);
+        expect(await cache.getCacheStats()).toEqual({ totalCached: null, withSuccess: null });
+        expect(await cache.clearAllCache()).toBe(false);
+        expect(await store.get('k')).not.toBeNull();
+    });
+
+    it('backs SubscriptionCacheService fallback and revalidation', async () => {
+        const store = new KVCacheStore(new MemoryKVAdapter());
+        const cache = new SubscriptionCacheService(store);
+
+        mockOrigin([{ body: 'v1', headers: { etag: '"a"', 'subscription-userinfo': USERINFO } }, { status: 304 }, { status: 500 }]);
+        await cache.fetchWithCache(URL_A);
+        expect(await cache.fetchWithCache(URL_A)).toMatchObject({ content: 'v1', cacheStatus: 'revalidated' });
+        expect(await cache.fetchWithCache(URL_A)).toMatchObject({ content: 'v1', fromCache: true, cacheStatus: 'fallback', subscriptionUserinfo: USERINFO });
+        expect((await store.get(generateCacheKey(URL_A))).failCount).toBe(1);
+    });
+});
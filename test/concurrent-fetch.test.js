@@ -0,0 +1,96 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { fetchConcurrently } from '../src/parsers/subscription/httpSubscriptionFetcher.js';
+import { encodeBase64 } from '../src/utils.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+
+const FAST = 'https://fast.example.com/sub';
+const SLOW = 'https://slow.example.com/sub';
+const BROKEN = 'https://broken.example.com/sub';
+const STUCK = 'https://stuck.example.com/sub';
+const INPUT = [FAST, SLOW, BROKEN].join('\n');
+
+const response = body => ({ ok: true, status: 200, text: async () => body, headers: { get: () => null } });
+
+/**
+ * FAST answers at once, SLOW only when aborted, BROKEN fails, STUCK ignores its signal
+ */
+function mockSources(started = []) {
+    vi.stubGlobal('fetch', vi.fn((url, init = {}) => {
+        started.push(url);
+        if (url === FAST) return Promise.resolve(response(encodeBase64(ssLink('HK 01', 'fast.example.com'))));
+        if (url === BROKEN) return Promise.reject(new Error('connection reset'));
+        if (url === STUCK) return new Promise(() => {});
+        return new Promise((resolve, reject) => {
+            init.signal?.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+        });
+    }));
+}
+
+describe('Concurrent subscription fetching', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('starts every download before any of them finishes', async () => {
+        const started = [];
+        const resolvers = [];
+        const pending = fetchConcurrently(['a', 'b', 'a', 'c'], url => {
+            started.push(url);
+            return new Promise(resolve => resolvers.push(() => resolve({ url })));
+        });
+        expect(started).toEqual(['a', 'b', 'c']);
+        resolvers.forEach(resolve => resolve());
+        const { results, failures } = await pending;
+        expect([...results.keys()]).toEqual(['a', 'b', 'c']);
+        expect(failures).toEqual([]);
+    });
+
+    it('gives up on sources that ignore their signal at the deadline', async () => {
+        const { results, failures } = await fetchConcurrently(['ok', 'stuck', 'empty'], async url => {
+            if (url === 'stuck') return new Promise(() => {});
+            return url === 'ok' ? { url } : null;
+        }, { sourceTimeoutMs: 20, deadlineMs: 60 });
+        expect([...results.keys()]).toEqual(['ok']);
+        expect(failures).toEqual([{ url: 'stuck', reason: 'timeout' }, { url: 'empty', reason: 'error' }]);
+    });
+
+    it('builds from the sources that answered and reports the rest', async () => {
+        mockSources();
+        const builder = new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent')
+            .setFetchTimeouts({ sourceTimeoutMs: 30, deadlineMs: 500 });
+        const config = await builder.build();
+
+        expect(config.outbounds.some(outbound => outbound.tag === 'HK 01')).toBe(true);
+        const diagnostics = builder.getDiagnostics();
+        expect(diagnostics.failedSources).toEqual([
+            { source: 1, url: SLOW, reason: 'timeout' },
+            { source: 2, url: BROKEN, reason: 'error' }
+        ]);
+        expect(diagnostics.warnings).toContain('Subscription slow.example.com timed out');
+        expect(diagnostics.warnings).toContain('Subscription broken.example.com could not be fetched');
+    });
+
+    it('reports failed sources in the X-Failed-Sources header', async () => {
+        const started = [];
+        mockSources(started);
+        const app = createTestApp({ config: { sourceTimeoutMs: 30, fetchDeadlineMs: 100 } });
+
+        const clash = await app.request(`http://localhost/clash?config=${encodeURIComponent([FAST, STUCK, BROKEN].join('\n'))}`);
+        expect(clash.status).toBe(200);
+        expect(clash.headers.get('X-Failed-Sources')).toBe('stuck.example.com=timeout, broken.example.com=error');
+
+        const xray = await app.request(`http://localhost/xray?config=${encodeURIComponent(INPUT)}`);
+        expect(xray.status).toBe(200);
+        expect(xray.headers.get('X-Failed-Sources')).toBe('slow.example.com=timeout, broken.example.com=error');
+        expect(started.filter(url => url === FAST)).toHaveLength(2);
+    });
+
+    it('omits the header when every source answered', async () => {
+        mockSources();
+        const app = createTestApp();
+        const res = await app.request(`http://localhost/surge?config=${encodeURIComponent(FAST)}`);
+        expect(res.headers.get('X-Failed-Sources')).toBeNull();
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { MemoryKVAdapter } from '../src/adapters/kv/memoryKv.js';
+import { ConfigStorageService } from '../src/services/configStorageService.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { SING_BOX_CONFIG, generateSubconverterConfig } from '../src/config/index.js';
+import { COUNTRY_DATA, REGION_DATA, groupProxiesByCountry, parseCountryFromNodeName } from '../src/utils.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+const INPUT = [
+    ssLink('东京 01', 'a.example.com'),
+    ssLink('HKBN 02', 'b.example.com'),
+    ssLink('Warsaw 01', 'c.example.com')
+].join('\n');
+
+describe('Country table', () => {
+    it('covers ISO 3166-1 with flags and regions', () => {
+        const codes = Object.keys(COUNTRY_DATA);
+        expect(codes).toHaveLength(249);
+        codes.forEach(code => {
+            const flag = String.fromCodePoint(...[...code].map(ch => 0x1f1e6 + ch.charCodeAt(0) - 65));
+            expect(COUNTRY_DATA[code].emoji).toBe(flag);
+            expect(REGION_DATA[COUNTRY_DATA[code].region]).toBeDefined();
+        });
+    });
+
+    it('recognizes newly listed countries', () => {
+        expect(parseCountryFromNodeName('波兰 01')).toMatchObject({ code: 'PL' });
+        expect(parseCountryFromNodeName('UA-Kyiv')).toMatchObject({ code: 'UA' });
+        expect(parseCountryFromNodeName('Israel 2')).toMatchObject({ code: 'IL' });
+        expect(parseCountryFromNodeName('墨西哥')).toMatchObject({ code: 'MX' });
+        expect(parseCountryFromNodeName('澳门 IPLC')).toMatchObject({ code: 'MO' });
+        expect(parseCountryFromNodeName('Kazakhstan')).toMatchObject({ code: 'KZ' });
+        expect(parseCountryFromNodeName('Somalia')).toMatchObject({ code: 'SO' });
+        expect(parseCountryFromNodeName('中国香港 01')).toMatchObject({ code: 'HK' });
+    });
+
+    it('matches flags, airport codes and relay labels', () => {
+        expect(parseCountryFromNodeName('🇯🇵 Premium 01')).toMatchObject({ code: 'JP' });
+        expect(parseCountryFromNodeName('🇵🇰 01')).toMatchObject({ code: 'PK' });
+        expect(parseCountryFromNodeName('NRT-01')).toMatchObject({ code: 'JP' });
+        expect(parseCountryFromNodeName('lax.node.03')).toMatchObject({ code: 'US' });
+        expect(parseCountryFromNodeName('FRA|IPv6')).toMatchObject({ code: 'DE' });
+        expect(parseCountryFromNodeName('沪日 IEPL 01')).toMatchObject({ code: 'JP' });
+        expect(parseCountryFromNodeName('广港 02')).toMatchObject({ code: 'HK' });
+        expect(parseCountryFromNodeName('SNRT-1')).toBeNull();
+    });
+});
+
+describe('Country aliases', () => {
+    it('extends matching without touching the defaults', () => {
+        const aliases = { JP: ['东京'], HK: ['HKBN'] };
+        expect(parseCountryFromNodeName('东京 01', aliases)).toMatchObject({ code: 'JP' });
+        expect(parseCountryFromNodeName('东京 01')).toBeNull();
+        const groups = groupProxiesByCountry(['HKBN 02', 'HK 03'], { aliases });
+        expect(groups['Hong Kong'].proxies).toEqual(['HKBN 02', 'HK 03']);
+    });
+
+    it('groups nodes with request aliases and warns on unknown codes', async () => {
+        const builder = new ClashConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent', true)
+            .setCountryAliases({ jp: '东京', HK: ['HKBN'], PL: ['Warsaw'], XX: ['Nowhere'] });
+        const groups = yaml.load(await builder.build())['proxy-groups'];
+        expect(groups.find(g => g.name === '🇯🇵 Japan').proxies).toEqual(['东京 01']);
+        expect(groups.find(g => g.name === '🇭🇰 Hong Kong').proxies).toEqual(['HKBN 02']);
+        expect(groups.find(g => g.name === '🇵🇱 Poland').proxies).toEqual(['Warsaw 01']);
+        expect(builder.getWarnings()).toContain('Unknown country code in country aliases: XX');
+    });
+
+    it('reads aliases from a stored profile and the query', async () => {
+        const kv = new MemoryKVAdapter();
+        const configId = await new ConfigStorageService(kv).saveConfig('singbox', { ...SING_BOX_CONFIG, country_aliases: { JP: ['东京'] } });
+        const app = createTestApp({ kv });
+        const query = new URLSearchParams({
+            config: INPUT,
+            selectedRules: 'minimal',
+            group_by_country: 'true',
+            configId,
+            country_aliases: JSON.stringify({ HK: ['HKBN'] })
+        });
+        const config = await (await app.request(`http://localhost/singbox?${query}`)).json();
+
+        expect(config.country_aliases).toBeUndefined();
+        expect(config.outbounds.find(o => o.tag === '🇯🇵 Japan').outbounds).toEqual(['东京 01']);
+        expect(config.outbounds.find(o => o.tag === '🇭🇰 Hong Kong').outbounds).toEqual(['HKBN 02']);
+    });
+
+    it('adds aliased countries to subconverter configs', () => {
+        const ini = generateSubconverterConfig({ selectedRules: ['Non-China'], lang: 'en', groupByCountry: true, countryAliases: { PL: ['Warsaw'], JP: '东京' } });
+        expect(ini).toMatch(/custom_proxy_group=🇵🇱 Poland`url-test`\(\?i\)\(波兰\|\\bPoland\\b\|\\bPL\\b\|\\bWAW\\b\|🇵🇱\|\\bWarsaw\\b\)/);
+        expect(ini).toMatch(/custom_proxy_group=🇯🇵 Japan`url-test`\(\?i\)\([^`]*\|东京\)/);
+        expect(ini).not.toContain('🇲🇽 Mexico');
+    });
+});
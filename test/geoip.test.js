@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { createAssetFileLoader } from '../src/adapters/assets/assetFileLoader.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { SurgeConfigBuilder } from '../src/builders/SurgeConfigBuilder.js';
+import { createGeoIpResolver, parseIpAddress } from '../src/utils/geoipDatabase.js';
+import { GeoIpService } from '../src/services/geoipService.js';
+import { groupProxiesByCountry } from '../src/utils.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+// Minimal MMDB writer: 24-bit records, IPv6 tree, MaxMind-style `country.iso_code` records
+function encodeValue(value) {
+    if (typeof value === 'string') {
+        const bytes = [...new TextEncoder().encode(value)];
+        return [(2 << 5) | bytes.length, ...bytes];
+    }
+    if (typeof value === 'number') {
+        return [(6 << 5) | 4, (value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    }
+    const entries = Object.entries(value);
+    return [(7 << 5) | entries.length, ...entries.flatMap(([key, entry]) => [...encodeValue(key), ...encodeValue(entry)])];
+}
+
+function buildMmdb(networks) {
+    const nodes = [[null, null]];
+    networks.forEach(({ address, prefix, country }) => {
+        const ip = parseIpAddress(address);
+        let node = 0;
+        for (let i = 0; i < prefix; i++) {
+            const bit = Number((ip.value >> BigInt(127 - i)) & 1n);
+            if (i === prefix - 1) {
+                nodes[node][bit] = { country };
+            } else {
+                if (typeof nodes[node][bit] !== 'number') {
+                    nodes.push([null, null]);
+                    nodes[node][bit] = nodes.length - 1;
+                }
+                node = nodes[node][bit];
+            }
+        }
+    });
+
+    const data = [];
+    const resolve = record => {
+        if (record === null) return nodes.length;
+        if (typeof record === 'number') return record;
+        const offset = data.length;
+        data.push(...encodeValue({ country: { iso_code: record.country } }));
+        return nodes.length + 16 + offset;
+    };
+    const tree = nodes.flatMap(([left, right]) => [resolve(left), resolve(right)]
+        .flatMap(record => [(record >> 16) & 0xff, (record >> 8) & 0xff, record & 0xff]));
+    const marker = [0xab, 0xcd, 0xef, ...new TextEncoder().encode('MaxMind.com')];
+    const metadata = encodeValue({ node_count: nodes.length, record_size: 24, ip_version: 6 });
+    return new Uint8Array([...tree, ...new Array(16).fill(0), ...data, ...marker, ...metadata]);
+}
+
+const MMDB = buildMmdb([
+    // IPv4 networks sit under ::/96, so 1.0.0.0/8 is ::1.0.0.0/104
+    { address: '::1.0.0.0', prefix: 104, country: 'JP' },
+    { address: '::8.8.0.0', prefix: 112, country: 'US' },
+    { address: '2001:db8::', prefix: 32, country: 'DE' }
+]);
+
+const INPUT = [
+    ssLink('Node-01', '1.2.3.4'),
+    ssLink('Premium A', '8.8.4.4'),
+    ssLink('HK 01', '1.9.9.9'),
+    ssLink('Node-02', 'node2.example.com')
+].join('\n');
+
+describe('GeoIP database', () => {
+    it('parses IPv4 and IPv6 literals and rejects hostnames', () => {
+        expect(parseIpAddress('1.2.3.4')).toEqual({ version: 4, value: 0x01020304n });
+        expect(parseIpAddress('[2001:db8::1]')).toEqual({ version: 6, value: 0x20010db8000000000000000000000001n });
+        expect(parseIpAddress('::ffff:1.2.3.4').value).toBe(0xffff01020304n);
+        expect(parseIpAddress('example.com')).toBeNull();
+        expect(parseIpAddress('256.1.1.1')).toBeNull();
+    });
+
+    it('looks up countries in an MMDB file', () => {
+        const resolver = createGeoIpResolver(MMDB.buffer);
+        expect(resolver.lookup('1.2.3.4')).toBe('JP');
+        expect(resolver.lookup('8.8.8.8')).toBe('US');
+        expect(resolver.lookup('2001:db8::1')).toBe('DE');
+        expect(resolver.lookup('9.9.9.9')).toBeNull();
+        expect(resolver.lookup('node.example.com')).toBeNull();
+    });
+
+    it('looks up countries in ipinfo-style CSV ranges and CIDR rows', () => {
+        const resolver = createGeoIpResolver([
+            'start_ip,end_ip,country,country_name,continent,continent_name',
+            '1.0.0.0,1.255.255.255,jp,Japan,AS,Asia',
+            '2001:db8::,2001:db8:ffff:ffff:ffff:ffff:ffff:ffff,DE,Germany,EU,Europe',
+            '8.8.0.0/16,US'
+        ].join('\n'));
+        expect(resolver.lookup('1.2.3.4')).toBe('JP');
+        expect(resolver.lookup('8.8.4.4')).toBe('US');
+        expect(resolver.lookup('2001:db8::1')).toBe('DE');
+        expect(resolver.lookup('2.0.0.1')).toBeNull();
+    });
+
+    it('prefers name aliases over the lookup', () => {
+        const groups = groupProxiesByCountry(['HK 01', 'Node-01'], { lookupCountry: () => 'JP' });
+        expect(groups['Hong Kong'].proxies).toEqual(['HK 01']);
+        expect(groups['Japan'].proxies).toEqual(['Node-01']);
+    });
+});
+
+describe('GeoIP country grouping', () => {
+    const resolver = createGeoIpResolver(MMDB);
+
+    it('groups nodes by server IP when their names carry no country', async () => {
+        const builder = new ClashConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent', true)
+            .setCountryResolver(resolver);
+        const groups = yaml.load(await builder.build())['proxy-groups'];
+        expect(groups.find(g => g.name === '🇯🇵 Japan').proxies).toEqual(['Node-01']);
+        expect(groups.find(g => g.name === '🇺🇸 United States').proxies).toEqual(['Premium A']);
+        expect(groups.find(g => g.name === '🇭🇰 Hong Kong').proxies).toEqual(['HK 01']);
+    });
+
+    it('sorts by the looked-up country as well', async () => {
+        const reversed = INPUT.split('\n').reverse().join('\n');
+        const builder = new ClashConfigBuilder(reversed, 'minimal', [], null, 'en', 'test-agent')
+            .setCountryResolver(resolver)
+            .setNodeOrder({ sort: 'country' });
+        const config = yaml.load(await builder.build());
+        expect(config.proxies.map(p => p.name)).toEqual(['HK 01', 'Node-01', 'Premium A', 'Node-02']);
+    });
+
+    it('leaves such nodes ungrouped without a database', async () => {
+        const builder = new SurgeConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent', true);
+        await builder.build();
+        expect(builder.config['proxy-groups'].some(group => group.startsWith('🇯🇵 Japan'))).toBe(false);
+    });
+});
+
+describe('GeoIP runtime loading', () => {
+    const createAssetFetcher = (files) => {
+        const fetcher = async (request) => {
+            fetcher.requests.push(new URL(request.url).pathname);
+            const file = files[new URL(request.url).pathname];
+            return file ? new Response(file) : new Response('Not found', { status: 404 });
+        };
+        fetcher.requests = [];
+        return fetcher;
+    };
+
+    it('reads the database through the asset fetcher once', async () => {
+        const fetcher = createAssetFetcher({ '/geoip.mmdb': MMDB });
+        const app = createTestApp({ geoipLoader: createAssetFileLoader(fetcher, 'geoip.mmdb') });
+        const url = `http://localhost/singbox?config=${encodeURIComponent(INPUT)}&selectedRules=minimal&group_by_country=true`;
+        const config = await (await app.request(url)).json();
+        await app.request(url);
+
+        expect(config.outbounds.find(o => o.tag === '🇯🇵 Japan').outbounds).toEqual(['Node-01']);
+        expect(fetcher.requests).toEqual(['/geoip.mmdb']);
+    });
+
+    it('skips the database unless grouping by country', async () => {
+        const fetcher = createAssetFetcher({ '/geoip.mmdb': MMDB });
+        const app = createTestApp({ geoipLoader: createAssetFileLoader(fetcher, 'geoip.mmdb') });
+        await app.request(`http://localhost/clash?config=${encodeURIComponent(INPUT)}&selectedRules=minimal`);
+        expect(fetcher.requests).toEqual([]);
+    });
+
+    it('reads the database to sort by country', async () => {
+        const fetcher = createAssetFetcher({ '/geoip.mmdb': MMDB });
+        const app = createTestApp({ geoipLoader: createAssetFileLoader(fetcher, 'geoip.mmdb') });
+        const reversed = INPUT.split('\n').reverse().join('\n');
+        const res = await app.request(`http://localhost/singbox?config=${encodeURIComponent(reversed)}&selectedRules=minimal&sort=country`);
+        const config = await res.json();
+        expect(config.outbounds.filter(o => o.type === 'shadowsocks').map(o => o.tag)).toEqual(['HK 01', 'Node-01', 'Premium A', 'Node-02']);
+        expect(fetcher.requests).toEqual(['/geoip.mmdb']);
+    });
+
+    it('disables the lookup when the file is missing', async () => {
+        const service = new GeoIpService(createAssetFileLoader(createAssetFetcher({}), 'geoip.mmdb'));
+        expect(await service.getResolver()).toBeNull();
+    });
+});
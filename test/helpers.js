@@ -0,0 +1,18 @@
+import { createApp } from '../src/app/createApp.jsx';
+import { MemoryKVAdapter } from '../src/adapters/kv/memoryKv.js';
+
+/**
+ * Shadowsocks share link used as a generic node in tests
+ * @param {string} name - Node name
+ * @param {string} host - Server host
+ * @param {string} password - Shadowsocks password
+ * @returns {string}
+ */
+export const ssLink = (name, host = 'ss.example.com', password = 'secret') =>
+    `ss://${Buffer.from(`aes-128-gcm:${password}`).toString('base64')}@${host}:8388#${encodeURIComponent(name)}`;
+
+/**
+ * App backed by an in-memory KV store; runtime fields override the defaults
+ * @param {object} runtime - Extra runtime options passed to createApp
+ */
+export const createTestApp = (runtime = {}) => createApp({ kv: new MemoryKVAdapter(), logger: console, config: {}, ...runtime });
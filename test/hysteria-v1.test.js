@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { ProxyParser } from '../src/parsers/ProxyParser.js';
+import { convertYamlProxyToObject } from '../src/parsers/convertYamlProxyToObject.js';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { SurgeConfigBuilder } from '../src/builders/SurgeConfigBuilder.js';
+
+const HY1_URI = 'hysteria://hy.example.com:36712?protocol=udp&auth=secret&peer=hy.example.com&insecure=1&upmbps=50&downmbps=200&alpn=hysteria&obfs=xplus&obfsParam=obfskey#HY1-Node';
+
+describe('Hysteria v1', () => {
+    it('parses hysteria:// links into a hysteria (not hysteria2) node', async () => {
+        const proxy = await ProxyParser.parse(HY1_URI);
+        expect(proxy).toMatchObject({
+            tag: 'HY1-Node',
+            type: 'hysteria',
+            server: 'hy.example.com',
+            server_port: 36712,
+            auth_str: 'secret',
+            protocol: 'udp',
+            up_mbps: 50,
+            down_mbps: 200,
+            obfs: 'obfskey',
+            tls: { enabled: true, server_name: 'hy.example.com', insecure: true, alpn: ['hysteria'] }
+        });
+        expect(proxy.password).toBeUndefined();
+    });
+
+    it('keeps hysteria2:// links on the hysteria2 parser', async () => {
+        const proxy = await ProxyParser.parse('hysteria2://pw@hy2.example.com:443?sni=hy2.example.com#HY2-Node');
+        expect(proxy.type).toBe('hysteria2');
+    });
+
+    it('converts Clash YAML type: hysteria separately from hysteria2', () => {
+        const proxy = convertYamlProxyToObject({
+            name: 'YAML-HY1',
+            type: 'hysteria',
+            server: '192.0.2.3',
+            port: 443,
+            'auth-str': 'token',
+            protocol: 'faketcp',
+            up: '30 Mbps',
+            down: '1 Gbps',
+            obfs: 'key',
+            sni: 'example.com'
+        });
+        expect(proxy).toMatchObject({
+            type: 'hysteria',
+            auth_str: 'token',
+            protocol: 'faketcp',
+            up_mbps: 30,
+            down_mbps: 1000,
+            obfs: 'key'
+        });
+    });
+
+    it('emits a hysteria outbound for sing-box', async () => {
+        const builder = new SingboxConfigBuilder(HY1_URI, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const config = await builder.build();
+        const outbound = config.outbounds.find(o => o.tag === 'HY1-Node');
+
+        expect(outbound).toMatchObject({
+            type: 'hysteria',
+            auth_str: 'secret',
+            up_mbps: 50,
+            down_mbps: 200,
+            obfs: 'obfskey',
+            tls: { enabled: true, server_name: 'hy.example.com' }
+        });
+        expect(outbound.protocol).toBeUndefined();
+    });
+
+    it('emits a hysteria proxy for Clash', async () => {
+        const builder = new ClashConfigBuilder(HY1_URI, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const built = yaml.load(await builder.build());
+        const proxy = built.proxies.find(p => p.name === 'HY1-Node');
+
+        expect(proxy).toMatchObject({
+            type: 'hysteria',
+            server: 'hy.example.com',
+            port: 36712,
+            'auth-str': 'secret',
+            protocol: 'udp',
+            up: '50 Mbps',
+            down: '200 Mbps',
+            obfs: 'obfskey',
+            sni: 'hy.example.com',
+            'skip-cert-verify': true,
+            alpn: ['hysteria']
+        });
+    });
+
+    it('marks hysteria v1 as unsupported for Surge', async () => {
+        const builder = new SurgeConfigBuilder(HY1_URI, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const text = await builder.build();
+
+        expect(text).toContain('# HY1-Node - Unsupported proxy type: hysteria');
+        expect(text).not.toContain('HY1-Node = hysteria2');
+    });
+});
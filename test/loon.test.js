@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { LoonConfigBuilder } from '../src/builders/LoonConfigBuilder.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+const ss = ssLink('HK SS');
+const vmessWs = 'vmess://' + Buffer.from(JSON.stringify({
+    v: '2', ps: 'US VMess', add: 'vm.example.com', port: '443', id: '11111111-1111-1111-1111-111111111111',
+    aid: '0', scy: 'auto', net: 'ws', host: 'cdn.example.com', path: '/ws', tls: 'tls', sni: 'cdn.example.com'
+})).toString('base64');
+const vlessReality = 'vless://22222222-2222-2222-2222-222222222222@re.example.com:443?security=reality&sni=www.apple.com&pbk=PUBKEY&sid=ab12&flow=xtls-rprx-vision&type=tcp#JP%20Reality';
+const vlessGrpc = 'vless://33333333-3333-3333-3333-333333333333@grpc.example.com:443?security=tls&type=grpc&serviceName=svc#SG%20gRPC';
+const hy2 = 'hysteria2://pw@hy.example.com:443?sni=hy.example.com&obfs=salamander&obfs-password=salt#HY2';
+const tuic = 'tuic://44444444-4444-4444-4444-444444444444:pw@tuic.example.com:443?sni=tuic.example.com#TUIC';
+const INPUT = [ss, vmessWs, vlessReality, vlessGrpc, hy2, tuic].join('\n');
+
+const build = async (input = INPUT, customRules = [], ...options) => {
+    const builder = new LoonConfigBuilder(input, 'minimal', customRules, null, 'en', 'test-agent', ...options);
+    await builder.build();
+    return { builder, text: builder.formatConfig() };
+};
+
+const section = (text, name) => {
+    const lines = text.split('\n');
+    const start = lines.indexOf(`[${name}]`);
+    const end = lines.findIndex((line, i) => i > start && line.startsWith('['));
+    return lines.slice(start + 1, end === -1 ? undefined : end).filter(Boolean);
+};
+
+describe('Loon builder', () => {
+    it('maps proxies to Loon syntax', async () => {
+        const { text } = await build();
+        const proxies = section(text, 'Proxy');
+
+        expect(proxies).toContain('HK SS = Shadowsocks,ss.example.com,8388,aes-128-gcm,"secret",fast-open=false,udp=true');
+        expect(proxies).toContain('US VMess = vmess,vm.example.com,443,auto,"11111111-1111-1111-1111-111111111111",transport=ws,path=/ws,host=cdn.example.com,over-tls=true,sni=cdn.example.com,skip-cert-verify=false,alterId=0,udp=true');
+        expect(proxies).toContain('JP Reality = VLESS,re.example.com,443,"22222222-2222-2222-2222-222222222222",transport=tcp,over-tls=true,sni=www.apple.com,skip-cert-verify=false,flow=xtls-rprx-vision,public-key="PUBKEY",short-id=ab12,udp=true');
+        expect(proxies).toContain('HY2 = Hysteria2,hy.example.com,443,"pw",sni=hy.example.com,skip-cert-verify=false,salamander-password=salt,udp=true');
+    });
+
+    it('emits the Hysteria2 download bandwidth in Mbps', async () => {
+        const yamlInput = 'proxies:\n  - { name: HY2 YAML, type: hysteria2, server: hy.example.com, port: 443, password: pw, down: 1 Gbps }\n';
+        const { text: fromLink } = await build(`${hy2.replace('#HY2', '&down=100#HY2')}`);
+        const { text: fromYaml } = await build(yamlInput);
+
+        expect(section(fromLink, 'Proxy')).toContain('HY2 = Hysteria2,hy.example.com,443,"pw",sni=hy.example.com,skip-cert-verify=false,salamander-password=salt,download-bandwidth=100,udp=true');
+        expect(section(fromYaml, 'Proxy').find(line => line.startsWith('HY2 YAML ='))).toContain(',download-bandwidth=1000,');
+    });
+
+    it('comments out unsupported nodes and keeps them out of groups', async () => {
+        const { builder, text } = await build();
+        const proxies = section(text, 'Proxy');
+
+        expect(proxies).toContain('# SG gRPC - Unsupported transport: grpc');
+        expect(proxies).toContain('# TUIC - Unsupported proxy type: tuic');
+        expect(builder.getWarnings()).toEqual(expect.arrayContaining([
+            'SG gRPC - Unsupported transport for Loon: grpc',
+            'TUIC - Unsupported proxy type for Loon: tuic'
+        ]));
+        expect(section(text, 'Proxy Group').some(line => line.includes('TUIC') || line.includes('SG gRPC'))).toBe(false);
+    });
+
+    it('renders select and url-test groups', async () => {
+        const { text } = await build();
+        const groups = section(text, 'Proxy Group');
+
+        expect(groups[0]).toBe('⚡ Auto Select = url-test,HK SS,US VMess,JP Reality,HY2,url=http://www.gstatic.com/generate_204,interval=300');
+        expect(groups).toContain('🚀 Node Select = select,⚡ Auto Select,HK SS,US VMess,JP Reality,HY2,DIRECT,REJECT');
+        expect(groups.find(line => line.startsWith('🐟 Fall Back = select,'))).toBeDefined();
+    });
+
+    it('adds country url-test groups when grouping by country', async () => {
+        const { text } = await build(INPUT, [], true);
+        const groups = section(text, 'Proxy Group');
+        expect(groups.some(line => /^🇭🇰 .* = url-test,HK SS,url=/.test(line))).toBe(true);
+    });
+
+    it('renders remote rules and inline rules from generateRules', async () => {
+        const { text } = await build(INPUT, [{ name: 'Work', domain_suffix: 'corp.example', domain_keyword: 'intranet', ip_cidr: '10.0.0.0/8,fd00::/8' }]);
+
+        expect(section(text, 'General')).toContain('proxy-test-url = http://www.gstatic.com/generate_204');
+        const remote = section(text, 'Remote Rule');
+        expect(remote.some(line => /\/geosite\/cn\.conf, policy=.+, tag=geosite-cn, enabled=true$/.test(line))).toBe(true);
+        expect(remote.some(line => /\/geoip\/cn\.txt, policy=.+, tag=geoip-cn, enabled=true$/.test(line))).toBe(true);
+
+        const rules = section(text, 'Rule');
+        expect(rules).toContain('DOMAIN-SUFFIX,corp.example,Work');
+        expect(rules).toContain('DOMAIN-KEYWORD,intranet,Work');
+        expect(rules).toContain('IP-CIDR,10.0.0.0/8,Work,no-resolve');
+        expect(rules).toContain('IP-CIDR6,fd00::/8,Work,no-resolve');
+        expect(rules[rules.length - 1]).toBe('FINAL,🐟 Fall Back');
+    });
+});
+
+describe('Loon routes', () => {
+    it('serves /loon', async () => {
+        const app = createTestApp();
+        const res = await app.request(`http://localhost/loon?config=${encodeURIComponent(ss)}&selectedRules=minimal`);
+        expect(res.status).toBe(200);
+        const text = await res.text();
+        expect(text).toContain('[Proxy Group]');
+        expect(text).toContain('HK SS = Shadowsocks');
+    });
+
+    it('redirects /l/:code and resolves l short links', async () => {
+        const app = createTestApp();
+        const target = `http://localhost/loon?config=${encodeURIComponent(ss)}`;
+        const code = await (await app.request(`http://localhost/shorten-v2?url=${encodeURIComponent(target)}`)).text();
+
+        const redirect = await app.request(`http://localhost/l/${code}`);
+        expect(redirect.status).toBe(302);
+        expect(redirect.headers.get('location')).toBe(target);
+
+        const resolved = await app.request(`http://localhost/resolve?url=${encodeURIComponent(`http://localhost/l/${code}`)}`);
+        expect((await resolved.json()).originalUrl).toBe(target);
+    });
+});
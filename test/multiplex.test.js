@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { ProxyParser } from '../src/parsers/ProxyParser.js';
+import { convertYamlProxyToObject } from '../src/parsers/convertYamlProxyToObject.js';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { SurgeConfigBuilder } from '../src/builders/SurgeConfigBuilder.js';
+
+const TROJAN_MUX = 'trojan://pw@edge.example.com:443?security=tls&sni=edge.example.com&mux=smux&mux-max-connections=4&mux-padding=1&brutal-up=50&brutal-down=100#Trojan-MUX';
+const SS_MUX = `ss://${Buffer.from('aes-128-gcm:secret').toString('base64')}@ss.example.com:8388?mux=1#SS-MUX`;
+
+const EXPECTED_MULTIPLEX = {
+    enabled: true,
+    protocol: 'smux',
+    max_connections: 4,
+    padding: true,
+    brutal: { enabled: true, up_mbps: 50, down_mbps: 100 }
+};
+
+describe('Multiplex parsing', () => {
+    it('reads mux options from share links', async () => {
+        expect((await ProxyParser.parse(TROJAN_MUX)).multiplex).toEqual(EXPECTED_MULTIPLEX);
+        expect((await ProxyParser.parse(SS_MUX)).multiplex).toEqual({ enabled: true });
+        expect((await ProxyParser.parse('trojan://pw@edge.example.com:443?security=tls&mux=0#NoMux')).multiplex).toBeUndefined();
+    });
+
+    it('reads the smux block from Clash YAML', () => {
+        const node = convertYamlProxyToObject({
+            name: 'VMess-SMUX', type: 'vmess', server: 's', port: 443, uuid: 'u', cipher: 'auto',
+            smux: {
+                enabled: true,
+                protocol: 'smux',
+                'max-connections': 4,
+                padding: true,
+                'brutal-opts': { enabled: true, up: '50 Mbps', down: 100 }
+            }
+        });
+        expect(node.multiplex).toEqual(EXPECTED_MULTIPLEX);
+
+        const disabled = convertYamlProxyToObject({ name: 'X', type: 'ss', server: 's', port: 1, cipher: 'aes-128-gcm', password: 'p', smux: { enabled: false } });
+        expect(disabled.multiplex).toBeUndefined();
+    });
+});
+
+describe('Multiplex output', () => {
+    it('emits sing-box multiplex and drops it where unsupported', async () => {
+        const hy2 = 'hysteria2://pw@hy.example.com:443?sni=hy.example.com&mux=1#HY2';
+        const input = [TROJAN_MUX, SS_MUX, hy2].join('\n');
+        const config = await new SingboxConfigBuilder(input, 'minimal', [], null, 'zh-CN', 'test-agent').build();
+        const find = tag => config.outbounds.find(o => o.tag === tag);
+
+        expect(find('Trojan-MUX').multiplex).toEqual(EXPECTED_MULTIPLEX);
+        expect(find('SS-MUX').multiplex).toEqual({ enabled: true });
+        expect(find('HY2').multiplex).toBeUndefined();
+    });
+
+    it('keeps multiplex from sing-box JSON input', async () => {
+        const input = JSON.stringify({
+            outbounds: [{ type: 'vless', tag: 'JSON-MUX', server: 'v.example.com', server_port: 443, uuid: 'u', multiplex: { enabled: true, protocol: 'h2mux', max_streams: 8 } }]
+        });
+        const built = yaml.load(await new ClashConfigBuilder(input, 'minimal', [], null, 'zh-CN', 'test-agent').build());
+        expect(built.proxies.find(p => p.name === 'JSON-MUX').smux).toEqual({ enabled: true, protocol: 'h2mux', 'max-streams': 8 });
+    });
+
+    it('emits the Clash smux block with brutal-opts', async () => {
+        const built = yaml.load(await new ClashConfigBuilder(TROJAN_MUX, 'minimal', [], null, 'zh-CN', 'test-agent').build());
+        expect(built.proxies.find(p => p.name === 'Trojan-MUX').smux).toEqual({
+            enabled: true,
+            protocol: 'smux',
+            'max-connections': 4,
+            padding: true,
+            'brutal-opts': { enabled: true, up: 50, down: 100 }
+        });
+    });
+
+    it('warns that Surge cannot multiplex', async () => {
+        const builder = new SurgeConfigBuilder(TROJAN_MUX, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const text = await builder.build();
+        expect(text).toContain('Trojan-MUX = trojan');
+        expect(builder.getWarnings()).toContain('Trojan-MUX - Multiplex is not supported by Surge');
+    });
+});
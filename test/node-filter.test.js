@@ -0,0 +1,112 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import yaml from 'js-yaml';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { MAX_PATTERN_LENGTH, MAX_PATTERN_RULES, checkUserPattern } from '../src/utils/userPatterns.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+const NAMES = ['HK 01', 'HK 02 x3', 'JP 01', 'US 01', '剩余流量: 100G', '到期时间: 2026-12-31', '官网: example.com'];
+const INPUT = NAMES.map((name, index) => ssLink(name, `node${index}.example.com`)).join('\n');
+
+const proxyNames = config => config.outbounds.filter(o => o.type === 'shadowsocks').map(o => o.tag);
+
+describe('Node filter', () => {
+    it('keeps every node without a filter', async () => {
+        const builder = new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent');
+        const config = await builder.build();
+        expect(proxyNames(config)).toEqual(NAMES);
+        expect(builder.getFilteredNodeCount()).toBe(0);
+    });
+
+    it('applies include and exclude case-insensitively', async () => {
+        const builder = new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent')
+            .setNodeFilter({ include: '^(hk|jp)', exclude: 'X3' });
+        const config = await builder.build();
+        expect(proxyNames(config)).toEqual(['HK 01', 'JP 01']);
+        expect(builder.getFilteredNodeCount()).toBe(5);
+    });
+
+    it('drops traffic and expiry pseudo-nodes', async () => {
+        const builder = new ClashConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent')
+            .setNodeFilter({ dropInfoNodes: true });
+        const config = yaml.load(await builder.build());
+        expect(config.proxies.map(p => p.name)).toEqual(['HK 01', 'HK 02 x3', 'JP 01', 'US 01']);
+        const nodeSelect = config['proxy-groups'].find(g => g.name.includes('Node Select'));
+        expect(nodeSelect.proxies.some(name => name.includes('流量'))).toBe(false);
+    });
+
+    it('ignores an invalid pattern with a warning', async () => {
+        const builder = new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent')
+            .setNodeFilter({ include: '(' });
+        const config = await builder.build();
+        expect(proxyNames(config)).toEqual(NAMES);
+        expect(builder.getWarnings()).toContain('Invalid include pattern: (');
+    });
+});
+
+describe('Node filter routes', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('reports the filtered count in X-Filtered-Nodes', async () => {
+        const app = createTestApp();
+        const res = await app.request(`http://localhost/singbox?config=${encodeURIComponent(INPUT)}&selectedRules=minimal&exclude=${encodeURIComponent('^US')}&filter_info_nodes=true`);
+        expect(res.status).toBe(200);
+        expect(res.headers.get('X-Filtered-Nodes')).toBe('4');
+        expect(proxyNames(await res.json())).toEqual(['HK 01', 'HK 02 x3', 'JP 01']);
+    });
+
+    it('filters /surge output', async () => {
+        const app = createTestApp();
+        const res = await app.request(`http://localhost/surge?config=${encodeURIComponent(INPUT)}&selectedRules=minimal&include=JP`);
+        expect(res.headers.get('X-Filtered-Nodes')).toBe('6');
+        const text = await res.text();
+        expect(text).toContain('JP 01 = ss');
+        expect(text).not.toContain('HK 01 = ss');
+    });
+
+    it('filters and renames plain link lists and subscriptions on /xray', async () => {
+        const app = createTestApp();
+        const linkNames = async res => Buffer.from(await res.text(), 'base64').toString().split('\n').map(link => decodeURIComponent(link.split('#')[1]));
+
+        const links = await app.request(`http://localhost/xray?config=${encodeURIComponent(INPUT)}&exclude=${encodeURIComponent('^US')}&filter_info_nodes=true&rename=${encodeURIComponent(JSON.stringify(['^HK -> 香港 ']))}`);
+        expect(links.status).toBe(200);
+        expect(links.headers.get('X-Filtered-Nodes')).toBe('4');
+        expect(await linkNames(links)).toEqual(['香港 01', '香港 02 x3', 'JP 01']);
+
+        vi.stubGlobal('fetch', vi.fn(async () => ({
+            ok: true,
+            status: 200,
+            text: async () => Buffer.from(INPUT).toString('base64'),
+            headers: new Headers()
+        })));
+        const subscription = await app.request(`http://localhost/xray?config=${encodeURIComponent('https://sub.example.com/s')}&include=JP`);
+        expect(subscription.headers.get('X-Filtered-Nodes')).toBe('6');
+        expect(await linkNames(subscription)).toEqual(['JP 01']);
+    });
+
+    it('rejects unusable patterns with 400 instead of ignoring them', async () => {
+        const app = createTestApp();
+        const request = query => app.request(`http://localhost/singbox?config=${encodeURIComponent(INPUT)}&selectedRules=minimal&${query}`);
+
+        const invalid = await request(`include=${encodeURIComponent('(')}`);
+        expect(invalid.status).toBe(400);
+        expect(await invalid.text()).toMatch(/^Invalid include pattern: /);
+        expect((await request(`exclude=${encodeURIComponent('(a+)+$')}`)).status).toBe(400);
+        expect((await request(`include=${'a'.repeat(MAX_PATTERN_LENGTH + 1)}`)).status).toBe(400);
+        expect((await request(`rename=${encodeURIComponent(JSON.stringify(['(\\w*)* -> x']))}`)).status).toBe(400);
+        expect((await request(`chains=${encodeURIComponent(JSON.stringify([{ match: '[', via: 'HK 01' }]))}`)).status).toBe(400);
+
+        const tooMany = await request(`rename=${encodeURIComponent(JSON.stringify(Array(MAX_PATTERN_RULES + 1).fill('HK -> 香港')))}`);
+        expect(tooMany.status).toBe(400);
+        expect(await tooMany.text()).toBe(`Too many rename rules: at most ${MAX_PATTERN_RULES} are allowed`);
+    });
+
+    it('accepts ordinary patterns', () => {
+        expect(checkUserPattern('^(HK|JP)\\s*\\d+$')).toBeNull();
+        expect(checkUserPattern('(\\d+x)?')).toBeNull();
+        expect(checkUserPattern('(a|b)+')).toBeNull();
+        expect(checkUserPattern('(a{2,})+')).toBe('nested quantifiers are not allowed');
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+const INPUT = [
+    ssLink('US 01', 'us.example.com'),
+    ssLink('HK 10', 'hk.example.com'),
+    ssLink('Backup', 'misc.example.com'),
+    ssLink('香港 02', 'HK.example.com'),
+    ssLink('HK 2', 'hk.example.com', 'other'),
+    ssLink('JP 01', 'jp.example.com')
+].join('\n');
+
+const proxyNames = config => config.outbounds.filter(o => o.type === 'shadowsocks').map(o => o.tag);
+const build = async (order) => {
+    const builder = new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent').setNodeOrder(order);
+    return { builder, config: await builder.build() };
+};
+
+describe('Endpoint dedup', () => {
+    it('keeps every node by default', async () => {
+        const { builder, config } = await build({});
+        expect(proxyNames(config)).toHaveLength(6);
+        expect(builder.getDiagnostics().mergedNodes).toEqual([]);
+    });
+
+    it('keeps the first node per server, port and credential', async () => {
+        const { builder, config } = await build({ dedup: 'first' });
+        expect(proxyNames(config)).toEqual(['US 01', 'HK 10', 'Backup', 'HK 2', 'JP 01']);
+        expect(builder.getDiagnostics().mergedNodes).toEqual([{ kept: 'HK 10', dropped: '香港 02' }]);
+    });
+});
+
+describe('Node sorting', () => {
+    it('sorts by name with numeric awareness', async () => {
+        const { config } = await build({ sort: 'name' });
+        expect(proxyNames(config)).toEqual(['Backup', 'HK 2', 'HK 10', 'JP 01', 'US 01', '香港 02']);
+    });
+
+    it('sorts by country and keeps unknown nodes last', async () => {
+        const { config } = await build({ sort: 'country' });
+        expect(proxyNames(config)).toEqual(['HK 10', '香港 02', 'HK 2', 'JP 01', 'US 01', 'Backup']);
+    });
+
+    it('orders the proxy list and groups the same way', async () => {
+        const input = [ssLink('B 1', 'b1.example.com'), ssLink('A 1', 'a1.example.com')].join('\n');
+        const builder = new ClashConfigBuilder(input, 'minimal', [], null, 'en', 'test-agent').setNodeOrder({ sort: 'name' });
+        const config = yaml.load(await builder.build());
+        expect(config.proxies.map(p => p.name)).toEqual(['A 1', 'B 1']);
+        expect(config['proxy-groups'].find(g => g.name.includes('Auto Select')).proxies).toEqual(['A 1', 'B 1']);
+    });
+});
+
+describe('Node order routes', () => {
+    it('reads dedup and sort and reports merges in X-Merged-Nodes', async () => {
+        const app = createTestApp();
+        const res = await app.request(`http://localhost/singbox?config=${encodeURIComponent(INPUT)}&selectedRules=minimal&dedup=first&sort=name`);
+        expect(res.headers.get('X-Merged-Nodes')).toBe('1');
+        expect(res.headers.get('X-Filtered-Nodes')).toBe('0');
+        expect(proxyNames(await res.json())).toEqual(['Backup', 'HK 2', 'HK 10', 'JP 01', 'US 01']);
+    });
+});
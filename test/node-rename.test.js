@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+const INPUT = [
+    ssLink('香港 01', 'a1.example.com'),
+    ssLink('日本 01', 'a2.example.com'),
+    ssLink('Hong Kong 01', 'b1.example.com')
+].join('\n');
+
+const proxyNames = config => config.outbounds.filter(o => o.type === 'shadowsocks').map(o => o.tag);
+
+describe('Node renaming', () => {
+    it('applies rules in order with capture groups', async () => {
+        const builder = new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent')
+            .setRenameRules({ rules: [{ pattern: '香港|hong kong', replacement: 'HK' }, 'HK\\s*(\\d+) -> HK-$1', { pattern: '日本', replacement: 'JP' }] });
+        const config = await builder.build();
+        expect(proxyNames(config)).toEqual(['HK-01', 'JP 01', 'HK-01 2']);
+    });
+
+    it('prepends flags and per-source prefixes', async () => {
+        const builder = new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent')
+            .setRenameRules({ flagEmoji: true, sourcePrefixes: ['A-', '', 'B-'] });
+        const config = await builder.build();
+        expect(proxyNames(config)).toEqual(['🇭🇰 A-香港 01', '🇯🇵 日本 01', '🇭🇰 B-Hong Kong 01']);
+    });
+
+    it('feeds renamed tags into groups and country grouping', async () => {
+        const builder = new ClashConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent', true)
+            .setRenameRules({ rules: [{ pattern: '^香港', replacement: 'Hong Kong' }] });
+        const config = yaml.load(await builder.build());
+        const hkGroup = config['proxy-groups'].find(g => g.name.startsWith('🇭🇰'));
+        expect(hkGroup.proxies).toEqual(['Hong Kong 01', 'Hong Kong 01 2']);
+        const nodeSelect = config['proxy-groups'].find(g => g.name.includes('Node Select'));
+        expect(nodeSelect.proxies).not.toContain('香港 01');
+    });
+
+    it('keeps the original name when a rule would empty it and warns on invalid patterns', async () => {
+        const builder = new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent')
+            .setRenameRules({ rules: [{ pattern: '.*' }, { pattern: '[' }] });
+        const config = await builder.build();
+        expect(proxyNames(config)).toEqual(['香港 01', '日本 01', 'Hong Kong 01']);
+        expect(builder.getWarnings()).toContain('Invalid rename pattern: [');
+    });
+});
+
+describe('Node renaming routes', () => {
+    it('reads rename, flag_emoji and source_prefix from the query', async () => {
+        const app = createTestApp();
+        const query = new URLSearchParams({
+            config: INPUT,
+            selectedRules: 'minimal',
+            rename: JSON.stringify([{ pattern: ' 01$', replacement: '' }]),
+            flag_emoji: 'true',
+            source_prefix: JSON.stringify(['[A] '])
+        });
+        const res = await app.request(`http://localhost/singbox?${query}`);
+        expect(proxyNames(await res.json())).toEqual(['🇭🇰 [A] 香港', '🇯🇵 日本', '🇭🇰 Hong Kong']);
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { convertYamlProxyToObject } from '../src/parsers/convertYamlProxyToObject.js';
+import { convertSurgeProxyToObject } from '../src/parsers/convertSurgeProxyToObject.js';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { SurgeConfigBuilder } from '../src/builders/SurgeConfigBuilder.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+const HK = ssLink('HK Hop', 'hk.example.com');
+const US1 = ssLink('US 01', 'us1.example.com');
+const US2 = ssLink('US 02', 'us2.example.com');
+const JP = ssLink('JP 01', 'jp.example.com');
+const INPUT = [HK, US1, US2, JP].join('\n');
+const CHAINS = [{ match: '^US', via: 'HK Hop' }];
+
+describe('Proxy chain input', () => {
+    it('reads dialer-proxy from Clash YAML', () => {
+        const node = convertYamlProxyToObject({ name: 'US', type: 'ss', server: 's', port: 1, cipher: 'aes-128-gcm', password: 'p', 'dialer-proxy': 'HK' });
+        expect(node.detour).toBe('HK');
+    });
+
+    it('reads underlying-proxy from Surge lines', () => {
+        const node = convertSurgeProxyToObject('US = ss, us.example.com, 8388, encrypt-method=aes-128-gcm, password=p, underlying-proxy=HK');
+        expect(node.detour).toBe('HK');
+    });
+});
+
+describe('Proxy chain output', () => {
+    it('emits sing-box detour on matching nodes only', async () => {
+        const builder = new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'zh-CN', 'test-agent').setProxyChains(CHAINS);
+        const config = await builder.build();
+        const find = tag => config.outbounds.find(o => o.tag === tag);
+
+        expect(find('US 01').detour).toBe('HK Hop');
+        expect(find('US 02').detour).toBe('HK Hop');
+        expect(find('JP 01').detour).toBeUndefined();
+        expect(find('HK Hop').detour).toBeUndefined();
+    });
+
+    it('emits Clash dialer-proxy', async () => {
+        const builder = new ClashConfigBuilder(INPUT, 'minimal', [], null, 'zh-CN', 'test-agent').setProxyChains(CHAINS);
+        const built = yaml.load(await builder.build());
+        expect(built.proxies.find(p => p.name === 'US 01')['dialer-proxy']).toBe('HK Hop');
+        expect(built.proxies.find(p => p.name === 'JP 01')['dialer-proxy']).toBeUndefined();
+    });
+
+    it('emits Surge underlying-proxy', async () => {
+        const builder = new SurgeConfigBuilder(INPUT, 'minimal', [], null, 'zh-CN', 'test-agent').setProxyChains(CHAINS);
+        const text = await builder.build();
+        expect(text).toMatch(/US 01 = ss, [^\n]*, underlying-proxy=HK Hop/);
+        expect(text).not.toMatch(/JP 01 = ss, [^\n]*underlying-proxy/);
+    });
+
+    it('keeps the WireGuard section of a chained Surge node', async () => {
+        const wireguard = `wireguard://${encodeURIComponent('yAnz5TF+lXXJte14tji3zlMNq+hd2rYUIgJBgB3fBmk=')}@203.0.113.10:51820?publickey=HIgo9xNzJMWLKASShiTqIybxZ0U3wGLiUeJ1PKf8ykw=&address=10.0.0.2/32#US-WG`;
+        const hop = 'trojan://pw@hk.example.com:443?sni=hk.example.com#HK%20Hop';
+        const builder = new SurgeConfigBuilder([hop, wireguard].join('\n'), 'minimal', [], null, 'zh-CN', 'test-agent').setProxyChains(CHAINS);
+        const text = await builder.build();
+
+        expect(text).toContain('US-WG = wireguard, section-name=US-WG, underlying-proxy=HK Hop');
+        expect(text).toContain('[WireGuard US-WG]');
+        expect(text).toContain('endpoint = 203.0.113.10:51820');
+    });
+
+    it('keeps detours from the source config', async () => {
+        const input = yaml.dump({
+            proxies: [
+                { name: 'HK', type: 'ss', server: 'hk', port: 1, cipher: 'aes-128-gcm', password: 'p' },
+                { name: 'US', type: 'ss', server: 'us', port: 1, cipher: 'aes-128-gcm', password: 'p', 'dialer-proxy': 'HK' }
+            ]
+        });
+        const config = await new SingboxConfigBuilder(input, 'minimal', [], null, 'zh-CN', 'test-agent').build();
+        expect(config.outbounds.find(o => o.tag === 'US').detour).toBe('HK');
+    });
+
+    it('skips missing hops, loops and hops the target cannot express', async () => {
+        const loop = new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'zh-CN', 'test-agent')
+            .setProxyChains([{ match: '^US 01', via: 'US 02' }, { match: '^US 02', via: 'US 01' }, { match: 'JP', via: 'Nowhere' }]);
+        const loopConfig = await loop.build();
+        expect(loopConfig.outbounds.find(o => o.tag === 'US 01').detour).toBeUndefined();
+        expect(loopConfig.outbounds.find(o => o.tag === 'US 02').detour).toBe('US 01');
+        expect(loop.getWarnings()).toContain('Chain target not found: Nowhere');
+        expect(loop.getWarnings()).toContain('US 01 - Chain loop through US 02 ignored');
+
+        const ssr = 'ssr://' + Buffer.from(`ssr.example.com:8388:origin:aes-256-cfb:plain:${Buffer.from('pw').toString('base64')}/?remarks=${Buffer.from('SSR Hop').toString('base64')}`).toString('base64');
+        const unsupported = new SingboxConfigBuilder([ssr, US1].join('\n'), 'minimal', [], null, 'zh-CN', 'test-agent')
+            .setProxyChains([{ match: '^US', via: 'SSR Hop' }]);
+        const config = await unsupported.build();
+        expect(config.outbounds.find(o => o.tag === 'US 01').detour).toBeUndefined();
+        expect(unsupported.getWarnings()).toContain('US 01 - Chain target SSR Hop is not supported by this client');
+    });
+
+    it('reads chains from the query string', async () => {
+        const app = createTestApp();
+        const params = new URLSearchParams({ config: INPUT, chains: JSON.stringify(CHAINS) });
+        const res = await app.request(`http://localhost/singbox?${params}`);
+        expect(res.status).toBe(200);
+        const config = await res.json();
+        expect(config.outbounds.find(o => o.tag === 'US 01').detour).toBe('HK Hop');
+    });
+});
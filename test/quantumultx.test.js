@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { QuantumultXConfigBuilder } from '../src/builders/QuantumultXConfigBuilder.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+const ss = ssLink('HK SS');
+const vmessWs = 'vmess://' + Buffer.from(JSON.stringify({
+    v: '2', ps: 'US VMess', add: 'vm.example.com', port: '443', id: '11111111-1111-1111-1111-111111111111',
+    aid: '0', scy: 'auto', net: 'ws', host: 'cdn.example.com', path: '/ws', tls: 'tls', sni: 'cdn.example.com'
+})).toString('base64');
+const vlessReality = 'vless://22222222-2222-2222-2222-222222222222@re.example.com:443?security=reality&sni=www.apple.com&pbk=PUBKEY&sid=ab12&flow=xtls-rprx-vision&type=tcp#JP%20Reality';
+const trojan = 'trojan://pw@tj.example.com:443?security=tls&sni=tj.example.com&allowInsecure=1#SG%20Trojan';
+const hy2 = 'hysteria2://pw@hy.example.com:443?sni=hy.example.com#HY2';
+const INPUT = [ss, vmessWs, vlessReality, trojan, hy2].join('\n');
+
+const build = async (input = INPUT, ...options) => {
+    const builder = new QuantumultXConfigBuilder(input, 'minimal', [], null, 'en', 'test-agent', ...options);
+    await builder.build();
+    return { builder, text: builder.formatConfig() };
+};
+
+const section = (text, name) => {
+    const lines = text.split('\n');
+    const start = lines.indexOf(`[${name}]`);
+    const end = lines.findIndex((line, i) => i > start && line.startsWith('['));
+    return lines.slice(start + 1, end === -1 ? undefined : end).filter(Boolean);
+};
+
+describe('Quantumult X builder', () => {
+    it('writes [server_local] lines for supported protocols', async () => {
+        const { text } = await build();
+        const servers = section(text, 'server_local');
+
+        expect(servers).toContain('shadowsocks=ss.example.com:8388, method=aes-128-gcm, password=secret, fast-open=false, udp-relay=true, tag=HK SS');
+        expect(servers).toContain('vmess=vm.example.com:443, method=chacha20-poly1305, password=11111111-1111-1111-1111-111111111111, obfs=wss, obfs-host=cdn.example.com, obfs-uri=/ws, tls-verification=true, aead=true, fast-open=false, udp-relay=true, tag=US VMess');
+        const vless = servers.find(line => line.endsWith('tag=JP Reality'));
+        expect(vless).toContain('obfs=over-tls, obfs-host=www.apple.com');
+        expect(vless).toContain('reality-base64-pubkey=PUBKEY, reality-hex-shortid=ab12, vless-flow=xtls-rprx-vision');
+        expect(servers.find(line => line.endsWith('tag=SG Trojan'))).toContain('trojan=tj.example.com:443, password=pw, over-tls=true, tls-host=tj.example.com, tls-verification=false');
+    });
+
+    it('keeps unsupported nodes as comments with a warning and out of policies', async () => {
+        const { builder, text } = await build();
+        expect(section(text, 'server_local')).toContain('# HY2 - Unsupported proxy type hysteria2');
+        expect(builder.getWarnings()).toContain('HY2 - Unsupported proxy type hysteria2 for Quantumult X');
+        expect(section(text, 'policy').some(line => line.includes('HY2'))).toBe(false);
+    });
+
+    it('emits static and url-latency-benchmark policies', async () => {
+        const { text } = await build();
+        const policies = section(text, 'policy');
+
+        expect(policies[0]).toBe('url-latency-benchmark=⚡ Auto Select, HK SS, US VMess, JP Reality, SG Trojan, check-interval=300, tolerance=50');
+        expect(policies).toContain('static=🚀 Node Select, ⚡ Auto Select, HK SS, US VMess, JP Reality, SG Trojan, direct, reject');
+        expect(policies.find(line => line.startsWith('static=🐟 Fall Back'))).toBeDefined();
+    });
+
+    it('adds country policies when grouping by country', async () => {
+        const { text } = await build(INPUT, true);
+        const policies = section(text, 'policy');
+        expect(policies.some(line => /^url-latency-benchmark=🇭🇰 .*, HK SS, check-interval=300/.test(line))).toBe(true);
+        expect(policies.find(line => line.startsWith('static=🚀 Node Select'))).toMatch(/🇭🇰/);
+    });
+
+    it('renders [general], [dns] and rule sections from generateRules', async () => {
+        const { text } = await build();
+        expect(section(text, 'general')).toContain('server_check_url=http://www.gstatic.com/generate_204');
+        const dns = section(text, 'dns');
+        expect(dns).toContain('no-ipv6');
+        expect(dns).toContain('server=223.5.5.5');
+
+        const remote = section(text, 'filter_remote');
+        expect(remote.some(line => /\/geosite\/cn\.conf, tag=geosite-cn, force-policy=.+, update-interval=86400/.test(line))).toBe(true);
+        expect(remote.some(line => /\.txt, tag=geoip-cn, force-policy=/.test(line))).toBe(true);
+
+        const local = section(text, 'filter_local');
+        expect(local[local.length - 1]).toBe('final, 🐟 Fall Back');
+    });
+
+    it('maps custom rules to host and ip filters', async () => {
+        const builder = new QuantumultXConfigBuilder(INPUT, 'minimal', [{ name: 'Work', domain_suffix: 'corp.example', domain_keyword: 'intranet', ip_cidr: '10.0.0.0/8,fd00::/8' }], null, 'en', 'test-agent');
+        await builder.build();
+        const local = section(builder.formatConfig(), 'filter_local');
+
+        expect(local).toContain('host-suffix, corp.example, Work');
+        expect(local).toContain('host-keyword, intranet, Work');
+        expect(local).toContain('ip-cidr, 10.0.0.0/8, Work, no-resolve');
+        expect(local).toContain('ip6-cidr, fd00::/8, Work, no-resolve');
+        expect(section(builder.formatConfig(), 'policy').some(line => line.startsWith('static=Work, '))).toBe(true);
+    });
+});
+
+describe('Quantumult X routes', () => {
+    it('serves /qx', async () => {
+        const app = createTestApp();
+        const res = await app.request(`http://localhost/qx?config=${encodeURIComponent(ss)}&selectedRules=minimal`);
+        expect(res.status).toBe(200);
+        const text = await res.text();
+        expect(text).toContain('[server_local]');
+        expect(text).toContain('tag=HK SS');
+    });
+
+    it('redirects /q/:code and resolves q short links', async () => {
+        const app = createTestApp();
+        const target = `http://localhost/qx?config=${encodeURIComponent(ss)}`;
+        const code = await (await app.request(`http://localhost/shorten-v2?url=${encodeURIComponent(target)}`)).text();
+
+        const redirect = await app.request(`http://localhost/q/${code}`);
+        expect(redirect.status).toBe(302);
+        expect(redirect.headers.get('location')).toBe(target);
+
+        const resolved = await app.request(`http://localhost/resolve?url=${encodeURIComponent(`http://localhost/q/${code}`)}`);
+        expect((await resolved.json()).originalUrl).toBe(target);
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { SurgeConfigBuilder } from '../src/builders/SurgeConfigBuilder.js';
+import { generateSubconverterConfig } from '../src/config/subconverterConfig.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+const INPUT = [
+    ssLink('HK 01', 'hk.example.com'),
+    ssLink('JP 01', 'jp.example.com'),
+    ssLink('US 01', 'us.example.com'),
+    ssLink('德国 01', 'de.example.com')
+].join('\n');
+
+describe('Region groups', () => {
+    it('nests country groups under region selectors', async () => {
+        const builder = new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent', true)
+            .setRegionGrouping('select');
+        const config = await builder.build();
+        const find = tag => config.outbounds.find(o => o.tag === tag);
+
+        expect(find('🌏 Asia')).toEqual({ type: 'selector', tag: '🌏 Asia', outbounds: ['🇭🇰 Hong Kong', '🇯🇵 Japan'] });
+        expect(find('🌍 Europe').outbounds).toEqual(['🇩🇪 Germany']);
+        expect(find('🇭🇰 Hong Kong').type).toBe('urltest');
+        const nodeSelect = find('🚀 Node Select').outbounds;
+        expect(nodeSelect).toEqual(expect.arrayContaining(['🌏 Asia', '🌍 Europe', '🌎 Americas']));
+        expect(nodeSelect).not.toContain('🇭🇰 Hong Kong');
+    });
+
+    it('replaces country groups with region url-tests', async () => {
+        const builder = new ClashConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent', true)
+            .setRegionGrouping('url-test');
+        const groups = yaml.load(await builder.build())['proxy-groups'];
+
+        expect(groups.some(g => g.name === '🇭🇰 Hong Kong')).toBe(false);
+        const asia = groups.find(g => g.name === '🌏 Asia');
+        expect(asia.type).toBe('url-test');
+        expect(asia.proxies).toEqual(['HK 01', 'JP 01']);
+    });
+
+    it('keeps Surge output consistent with the other builders', async () => {
+        const builder = new SurgeConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent', true)
+            .setRegionGrouping('select');
+        await builder.build();
+        const groups = builder.config['proxy-groups'];
+
+        expect(groups).toContain('🌎 Americas = select, 🇺🇸 United States');
+        expect(groups.find(group => group.startsWith('🚀 Node Select = select'))).toContain('🌏 Asia, 🌍 Europe, 🌎 Americas');
+    });
+});
+
+describe('Region groups in subconverter config', () => {
+    it('adds region selectors that reference country groups', () => {
+        const ini = generateSubconverterConfig({ selectedRules: ['Non-China'], lang: 'en', groupByCountry: true, groupByRegion: 'select' });
+        expect(ini).toContain('custom_proxy_group=🌏 Asia`select`[]🇭🇰 Hong Kong`[]🇹🇼 Taiwan');
+        expect(ini).toMatch(/custom_proxy_group=🇭🇰 Hong Kong`url-test`/);
+        expect(ini).toMatch(/custom_proxy_group=🚀 Node Select`select`.*\[\]🌏 Asia/);
+    });
+
+    it('emits one url-test per region in url-test mode', () => {
+        const ini = generateSubconverterConfig({ selectedRules: ['Non-China'], lang: 'en', groupByCountry: true, groupByRegion: 'url-test' });
+        expect(ini).not.toMatch(/custom_proxy_group=🇭🇰 Hong Kong`/);
+        expect(ini).toMatch(/custom_proxy_group=🌏 Asia`url-test`\(\?i\)\(.*香港.*日本/);
+    });
+
+    it('reads group_by_region on the route', async () => {
+        const app = createTestApp();
+        const res = await app.request('http://localhost/subconverter?selectedRules=minimal&lang=en&group_by_country=true&group_by_region=select');
+        expect(await res.text()).toContain('custom_proxy_group=🌍 Europe`select`');
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { ProxyParser } from '../src/parsers/index.js';
+import { ProxySerializer } from '../src/serializers/index.js';
+import { convertYamlProxyToObject } from '../src/parsers/convertYamlProxyToObject.js';
+import { convertSurgeProxyToObject } from '../src/parsers/convertSurgeProxyToObject.js';
+import { createTestApp } from './helpers.js';
+
+const roundTrip = async (link) => {
+    const parsed = await ProxyParser.parse(link);
+    const serialized = ProxySerializer.serialize(parsed);
+    return { parsed, serialized, reparsed: await ProxyParser.parse(serialized) };
+};
+
+describe('Share link serializers', () => {
+    const links = {
+        ss: `ss://${Buffer.from('aes-256-gcm:p@ss:word').toString('base64')}@ss.example.com:8388?plugin=${encodeURIComponent('simple-obfs;obfs=http;obfs-host=cdn.example.com')}#HK%20SS`,
+        vmess: 'vmess://' + Buffer.from(JSON.stringify({
+            v: '2', ps: 'US 节点', add: 'vm.example.com', port: '443', id: '11111111-1111-1111-1111-111111111111',
+            aid: '0', scy: 'auto', net: 'ws', host: 'cdn.example.com', path: '/ws?ed=2048', tls: 'tls', sni: 'cdn.example.com', fp: 'chrome', alpn: 'h2,http/1.1'
+        })).toString('base64'),
+        vless: 'vless://22222222-2222-2222-2222-222222222222@[2001:db8::1]:443?security=reality&sni=www.apple.com&pbk=PUBKEY&sid=ab12&spx=%2F&fp=firefox&flow=xtls-rprx-vision&type=tcp&mux=smux&mux-max-streams=8#JP%20Reality',
+        vlessXhttp: 'vless://33333333-3333-3333-3333-333333333333@x.example.com:443?security=tls&sni=x.example.com&type=xhttp&path=%2Fup&host=x.example.com&mode=packet-up#SG%20XHTTP',
+        trojan: 'trojan://p%40ss@tj.example.com:443?security=tls&sni=tj.example.com&allowInsecure=1&type=grpc&serviceName=svc#TW%20Trojan',
+        hysteria2: 'hysteria2://secret@hy.example.com:443?sni=hy.example.com&obfs=salamander&obfs-password=salt&insecure=1&alpn=h3#HY2',
+        tuic: 'tuic://44444444-4444-4444-4444-444444444444:pw@tuic.example.com:443?sni=tuic.example.com&congestion_control=bbr&udp_relay_mode=native&alpn=h3&insecure=0#TUIC'
+    };
+
+    Object.entries(links).forEach(([name, link]) => {
+        it(`round-trips ${name} links`, async () => {
+            const { parsed, serialized, reparsed } = await roundTrip(link);
+            expect(serialized).toBeTruthy();
+            expect(reparsed).toEqual(parsed);
+        });
+    });
+
+    it('keeps tuic certificates verified when insecure is off', async () => {
+        const { serialized, reparsed } = await roundTrip(links.tuic);
+        expect(serialized).toContain('insecure=0');
+        expect(reparsed.tls.insecure).toBe(false);
+    });
+
+    it('serializes nodes parsed from Clash YAML', async () => {
+        const node = convertYamlProxyToObject({
+            name: 'YAML VLESS', type: 'vless', server: 'y.example.com', port: 443, uuid: '55555555-5555-5555-5555-555555555555',
+            tls: true, servername: 'y.example.com', network: 'ws', 'ws-opts': { path: '/ray', headers: { Host: 'y.example.com' } }
+        });
+        const link = ProxySerializer.serialize(node);
+        expect(link.startsWith('vless://55555555-5555-5555-5555-555555555555@y.example.com:443?')).toBe(true);
+        const reparsed = await ProxyParser.parse(link);
+        expect(reparsed.transport).toEqual({ type: 'ws', path: '/ray', headers: { host: 'y.example.com' } });
+        expect(reparsed.tls).toMatchObject({ enabled: true, server_name: 'y.example.com' });
+    });
+
+    it('serializes nodes parsed from Surge [Proxy] lines', async () => {
+        const node = convertSurgeProxyToObject('SG = trojan, sg.example.com, 443, password=pw, sni=sg.example.com');
+        const reparsed = await ProxyParser.parse(ProxySerializer.serialize(node));
+        expect(reparsed).toMatchObject({ type: 'trojan', tag: 'SG', server: 'sg.example.com', server_port: 443, password: 'pw' });
+        expect(reparsed.tls).toMatchObject({ enabled: true, server_name: 'sg.example.com' });
+    });
+
+    it('serializes sing-box outbounds with a raw plugin string', () => {
+        const link = ProxySerializer.serialize({
+            tag: 'SB', type: 'shadowsocks', server: 's.example.com', server_port: 8388, method: 'aes-128-gcm', password: 'pw',
+            plugin: 'obfs-local', plugin_opts: 'obfs=tls;obfs-host=s.example.com'
+        });
+        expect(decodeURIComponent(new URL(link).searchParams.get('plugin'))).toBe('simple-obfs;obfs=tls;obfs-host=s.example.com');
+    });
+
+    it('returns undefined for types without a standard share link', () => {
+        expect(ProxySerializer.serialize({ tag: 'WG', type: 'wireguard' })).toBeUndefined();
+        expect(ProxySerializer.isSupported({ type: 'vless' })).toBe(true);
+    });
+});
+
+describe('/xray with full configs', () => {
+    it('exports Clash YAML proxies as a base64 subscription', async () => {
+        const yaml = [
+            'proxies:',
+            '  - { name: HK, type: ss, server: hk.example.com, port: 8388, cipher: aes-128-gcm, password: pw }',
+            '  - { name: US, type: trojan, server: us.example.com, port: 443, password: pw, sni: us.example.com }',
+            '  - { name: WG, type: wireguard, server: wg.example.com, port: 51820, private-key: a, public-key: b, ip: 10.0.0.2 }'
+        ].join('\n');
+        const app = createTestApp();
+        const res = await app.request(`http://localhost/xray?config=${encodeURIComponent(yaml)}`);
+        expect(res.status).toBe(200);
+
+        const lines = Buffer.from(await res.text(), 'base64').toString().split('\n');
+        expect(lines).toHaveLength(2);
+        expect(lines[0].startsWith('ss://')).toBe(true);
+        expect(lines[0].endsWith('#HK')).toBe(true);
+        expect(lines[1].startsWith('trojan://pw@us.example.com:443?')).toBe(true);
+    });
+
+    it('exports sing-box JSON outbounds', async () => {
+        const json = JSON.stringify({
+            outbounds: [
+                { type: 'vless', tag: 'SB', server: 'sb.example.com', server_port: 443, uuid: '66666666-6666-6666-6666-666666666666', tls: { enabled: true, server_name: 'sb.example.com' } },
+                { type: 'direct', tag: 'direct' }
+            ]
+        });
+        const app = createTestApp();
+        const res = await app.request(`http://localhost/xray?config=${encodeURIComponent(json)}`);
+        const lines = Buffer.from(await res.text(), 'base64').toString().split('\n');
+        expect(lines).toEqual(['vless://66666666-6666-6666-6666-666666666666@sb.example.com:443?encryption=none&security=tls&sni=sb.example.com&type=tcp#SB']);
+    });
+});
@@ -0,0 +1,89 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import yaml from 'js-yaml';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { SurgeConfigBuilder } from '../src/builders/SurgeConfigBuilder.js';
+import { XrayConfigBuilder } from '../src/builders/XrayConfigBuilder.js';
+import { encodeBase64 } from '../src/utils.js';
+import { ssLink } from './helpers.js';
+
+
+const SUBSCRIPTIONS = {
+    'https://airport-a.example.com/sub': encodeBase64([ssLink('HK 01', 'a1.example.com'), ssLink('JP 01', 'a2.example.com')].join('\n')),
+    'https://airport-b.example.com/sub': encodeBase64([ssLink('HK 01', 'b1.example.com'), ssLink('US 01', 'b2.example.com')].join('\n')),
+    'https://airport-c.example.com/clash': 'proxies:\n  - { name: SG 01, type: ss, server: c1.example.com, port: 8388, cipher: aes-128-gcm, password: pw }\n'
+};
+const INLINE = ssLink('Home', 'home.example.com');
+const INPUT = ['https://airport-a.example.com/sub', 'https://airport-b.example.com/sub', INLINE].join('\n');
+
+function mockSubscriptions() {
+    vi.stubGlobal('fetch', vi.fn(async (url) => ({
+        ok: true,
+        status: 200,
+        text: async () => SUBSCRIPTIONS[url],
+        headers: { get: () => null }
+    })));
+}
+
+describe('Per-subscription groups', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('adds one selector per subscription and lists them in Node Select', async () => {
+        mockSubscriptions();
+        const builder = new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent')
+            .setSourceGroups({ type: 'select' });
+        const config = await builder.build();
+        const find = tag => config.outbounds.find(o => o.tag === tag);
+
+        expect(find('airport-a.example.com')).toEqual({ type: 'selector', tag: 'airport-a.example.com', outbounds: ['HK 01', 'JP 01'] });
+        expect(find('airport-b.example.com').outbounds).toEqual(['HK 01 2', 'US 01']);
+        expect(find('🚀 Node Select').outbounds).toEqual(['⚡ Auto Select', 'airport-a.example.com', 'airport-b.example.com', 'Home', 'DIRECT', 'REJECT']);
+        expect(find('⚡ Auto Select').outbounds).toEqual(['HK 01', 'JP 01', 'HK 01 2', 'US 01', 'Home']);
+    });
+
+    it('uses labels and url-test groups, and keeps country groups alongside', async () => {
+        mockSubscriptions();
+        const builder = new SurgeConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent', true)
+            .setSourceGroups({ type: 'url-test', labels: ['Airport A', '', 'Mine'] });
+        await builder.build();
+        const groups = builder.config['proxy-groups'];
+
+        expect(groups).toContain('Airport A = url-test, HK 01, JP 01, url=http://www.gstatic.com/generate_204, interval=300');
+        expect(groups.some(group => group.startsWith('airport-b.example.com = url-test, HK 01 2, US 01'))).toBe(true);
+        expect(groups.some(group => group.startsWith('Mine = url-test, Home'))).toBe(true);
+        const nodeSelect = groups.find(group => group.startsWith('🚀 Node Select = select'));
+        expect(nodeSelect).toContain('Airport A, airport-b.example.com, Mine, 🇭🇰 Hong Kong');
+    });
+
+    it('points groups at proxy-providers for Clash subscriptions', async () => {
+        mockSubscriptions();
+        const input = ['https://airport-c.example.com/clash', 'https://airport-a.example.com/sub'].join('\n');
+        const builder = new ClashConfigBuilder(input, 'minimal', [], null, 'en', 'test-agent')
+            .setSourceGroups({ type: 'select' });
+        const config = yaml.load(await builder.build());
+        const providerName = Object.keys(config['proxy-providers'])[0];
+        const groups = config['proxy-groups'];
+
+        expect(groups.find(g => g.name === 'airport-c.example.com')).toEqual({ name: 'airport-c.example.com', type: 'select', use: [providerName] });
+        expect(groups.find(g => g.name === 'airport-a.example.com').proxies).toEqual(['HK 01', 'JP 01']);
+        const fallBack = groups.find(g => g.name.includes('Fall Back'));
+        expect(fallBack.proxies.slice(0, 3)).toEqual(['🚀 Node Select', 'airport-c.example.com', 'airport-a.example.com']);
+    });
+
+    it('routes Xray select groups to their first member', async () => {
+        mockSubscriptions();
+        const builder = new XrayConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent', false, false)
+            .setSourceGroups({ type: 'select' });
+        const config = await builder.build();
+        expect(config.routing.rules[config.routing.rules.length - 1]).toEqual({ type: 'field', network: 'tcp,udp', outboundTag: 'HK 01' });
+    });
+
+    it('leaves Node Select flat when the option is off', async () => {
+        mockSubscriptions();
+        const config = await new SingboxConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent').build();
+        expect(config.outbounds.some(o => o.tag === 'airport-a.example.com')).toBe(false);
+        expect(config.outbounds.find(o => o.tag === '🚀 Node Select').outbounds).toContain('US 01');
+    });
+});
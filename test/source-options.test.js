@@ -0,0 +1,123 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { fetchSubscription, fetchSubscriptionWithFormat } from '../src/parsers/subscription/httpSubscriptionFetcher.js';
+import { buildRequestHeaders, parseSourceEntry } from '../src/parsers/subscription/sourceOptions.js';
+import { SubscriptionCacheService } from '../src/services/subscriptionCacheService.js';
+import { encodeBase64 } from '../src/utils.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+const CLASH_SUB = 'proxies:\n  - { name: SG 01, type: ss, server: sg.example.com, port: 8388, cipher: aes-128-gcm, password: pw }\n';
+
+function mockFetch(body = encodeBase64(ssLink('HK 01', 'hk.example.com')), status = 200) {
+    const calls = [];
+    vi.stubGlobal('fetch', vi.fn(async (url, init = {}) => {
+        calls.push({ url, headers: new Headers(init.headers) });
+        return {
+            ok: status === 200,
+            status,
+            statusText: status === 200 ? 'OK' : 'Forbidden',
+            text: async () => body,
+            headers: { get: () => null }
+        };
+    }));
+    return calls;
+}
+
+describe('Per-source request options', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('parses the pipe suffix syntax', () => {
+        expect(parseSourceEntry('https://a.example.com/sub?token=1|ua=clash.meta|header=X-Token: abc|header=Cookie: a=b|auth=user:p:ss|rotate=false')).toEqual({
+            url: 'https://a.example.com/sub?token=1',
+            options: {
+                userAgent: 'clash.meta',
+                headers: { 'X-Token': 'abc', Cookie: 'a=b' },
+                auth: { type: 'basic', username: 'user', password: 'p:ss' },
+                rotateUserAgent: false
+            }
+        });
+        expect(parseSourceEntry('https://a.example.com/a|b')).toEqual({ url: 'https://a.example.com/a|b', options: {} });
+    });
+
+    it('parses JSON entries', () => {
+        const entry = JSON.stringify({ url: 'https://b.example.com/sub', ua: 'Shadowrocket/2070', headers: { 'X-Device': 7 }, bearer: 'tok' });
+        expect(parseSourceEntry(entry)).toEqual({
+            url: 'https://b.example.com/sub',
+            options: { userAgent: 'Shadowrocket/2070', headers: { 'X-Device': '7' }, auth: { type: 'bearer', token: 'tok' } }
+        });
+    });
+
+    it('builds headers with the source User-Agent, extra headers and credentials', () => {
+        const headers = buildRequestHeaders({ userAgent: 'clash.meta', headers: { Accept: 'text/yaml' }, auth: { type: 'basic', username: 'u', password: 'p' } }, 'fallback');
+        expect(headers.get('user-agent')).toBe('clash.meta');
+        expect(headers.get('accept')).toBe('text/yaml');
+        expect(headers.get('authorization')).toBe(`Basic ${btoa('u:p')}`);
+        expect(buildRequestHeaders({}, 'fallback').get('user-agent')).toBe('fallback');
+        expect(buildRequestHeaders({}).has('user-agent')).toBe(false);
+    });
+
+    it('is honored by fetchSubscription and fetchSubscriptionWithFormat', async () => {
+        const calls = mockFetch();
+        await fetchSubscription('https://a.example.com/sub|ua=clash.meta|bearer=tok', 'request-ua');
+        const result = await fetchSubscriptionWithFormat('https://a.example.com/sub|header=X-Token: abc', 'request-ua');
+
+        expect(calls[0].url).toBe('https://a.example.com/sub');
+        expect(calls[0].headers.get('user-agent')).toBe('clash.meta');
+        expect(calls[0].headers.get('authorization')).toBe('Bearer tok');
+        expect(calls[1].headers.get('user-agent')).toBe('request-ua');
+        expect(calls[1].headers.get('x-token')).toBe('abc');
+        expect(result.url).toBe('https://a.example.com/sub');
+    });
+
+    it('lets fetchWithCache opt out of User-Agent rotation', async () => {
+        const calls = mockFetch('', 403);
+        const cache = new SubscriptionCacheService(null);
+
+        await cache.fetchWithCache('https://a.example.com/sub', { headers: buildRequestHeaders({ userAgent: 'Surge iOS/3000' }), rotateUserAgent: false });
+        expect(calls).toHaveLength(1);
+        expect([...calls[0].headers.keys()]).toEqual(['user-agent']);
+
+        await cache.fetchWithCache('https://a.example.com/sub', {});
+        expect(calls.slice(1).map(call => call.headers.get('user-agent'))).toEqual(['FlClash/v0.8.74 clash-verge Platform/windows', 'curl/7.88.1', 'ClashforWindows/0.20.31']);
+        expect(calls[1].headers.has('x-real-ip')).toBe(false);
+    });
+
+    it('starts with the request User-Agent and rotates on retries unless the source pins one', async () => {
+        const calls = mockFetch('', 403);
+        const cache = new SubscriptionCacheService(null);
+        const userAgents = () => calls.splice(0).map(call => call.headers.get('user-agent'));
+
+        await fetchSubscription('https://a.example.com/sub', 'request-ua', { cacheService: cache });
+        expect(userAgents()).toEqual(['request-ua', 'FlClash/v0.8.74 clash-verge Platform/windows', 'curl/7.88.1']);
+
+        await fetchSubscription('https://a.example.com/sub|rotate=false', 'request-ua', { cacheService: cache });
+        expect(userAgents()).toEqual(['request-ua']);
+
+        await fetchSubscription('https://a.example.com/sub|ua=clash.meta', 'request-ua', { cacheService: cache });
+        expect(userAgents()).toEqual(['clash.meta', 'clash.meta', 'clash.meta']);
+    });
+
+    it('inlines Clash subscriptions that need their own headers instead of using them as providers', async () => {
+        const calls = mockFetch(CLASH_SUB);
+        const input = ['https://plain.example.com/clash', 'https://gated.example.com/clash|ua=clash.meta'].join('\n');
+        const builder = new ClashConfigBuilder(input, 'minimal', [], null, 'en', 'request-ua');
+        await builder.build();
+
+        expect(builder.providerUrls).toEqual(['https://plain.example.com/clash']);
+        expect(builder.config.proxies.map(proxy => proxy.name)).toEqual(['SG 01']);
+        expect(calls.find(call => call.url === 'https://gated.example.com/clash').headers.get('user-agent')).toBe('clash.meta');
+    });
+
+    it('applies JSON entry options on /xray', async () => {
+        const calls = mockFetch();
+        const app = createTestApp();
+        const entry = JSON.stringify({ url: 'https://b.example.com/sub', auth: 'user:secret' });
+        const res = await app.request(`http://localhost/xray?config=${encodeURIComponent(entry)}`);
+
+        expect(res.status).toBe(200);
+        expect(calls[0].url).toBe('https://b.example.com/sub');
+        expect(calls[0].headers.get('authorization')).toBe(`Basic ${btoa('user:secret')}`);
+    });
+});
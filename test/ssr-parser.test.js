@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { ProxyParser } from '../src/parsers/ProxyParser.js';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { SurgeConfigBuilder } from '../src/builders/SurgeConfigBuilder.js';
+
+const urlSafe = (text) => Buffer.from(text).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const SSR_URI = 'ssr://' + urlSafe(
+    `ssr.example.com:8388:auth_aes128_md5:aes-256-cfb:tls1.2_ticket_auth:${urlSafe('p@ss')}/?obfsparam=${urlSafe('cdn.example.com')}&protoparam=${urlSafe('12345:abcd')}&remarks=${urlSafe('SSR-香港')}&group=${urlSafe('Airport')}`
+);
+const SS_URI = 'ss://YWVzLTEyOC1nY206dGVzdA@1.2.3.4:8388#SS-Node';
+
+describe('ShadowsocksR support', () => {
+    it('parses ssr:// links with protocol and obfs parameters', async () => {
+        const proxy = await ProxyParser.parse(SSR_URI);
+        expect(proxy).toEqual({
+            tag: 'SSR-香港',
+            type: 'shadowsocksr',
+            server: 'ssr.example.com',
+            server_port: 8388,
+            method: 'aes-256-cfb',
+            password: 'p@ss',
+            protocol: 'auth_aes128_md5',
+            protocol_param: '12345:abcd',
+            obfs: 'tls1.2_ticket_auth',
+            obfs_param: 'cdn.example.com'
+        });
+    });
+
+    it('keeps ssr nodes in base64 subscriptions', async () => {
+        const subscription = Buffer.from(`${SSR_URI}\n${SS_URI}`).toString('base64');
+        const builder = new ClashConfigBuilder(subscription, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const built = yaml.load(await builder.build());
+
+        expect(built.proxies.map(p => p.name)).toEqual(expect.arrayContaining(['SSR-香港', 'SS-Node']));
+    });
+
+    it('emits type: ssr for Clash', async () => {
+        const builder = new ClashConfigBuilder(SSR_URI, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const built = yaml.load(await builder.build());
+        const proxy = built.proxies.find(p => p.name === 'SSR-香港');
+
+        expect(proxy).toMatchObject({
+            type: 'ssr',
+            server: 'ssr.example.com',
+            port: 8388,
+            cipher: 'aes-256-cfb',
+            password: 'p@ss',
+            protocol: 'auth_aes128_md5',
+            'protocol-param': '12345:abcd',
+            obfs: 'tls1.2_ticket_auth',
+            'obfs-param': 'cdn.example.com'
+        });
+    });
+
+    it('round-trips Clash YAML ssr proxies', async () => {
+        const input = `proxies:
+  - name: YAML-SSR
+    type: ssr
+    server: 192.0.2.1
+    port: 443
+    cipher: chacha20-ietf
+    password: pw
+    protocol: origin
+    obfs: plain`;
+        const builder = new ClashConfigBuilder(input, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const built = yaml.load(await builder.build());
+
+        expect(built.proxies.find(p => p.name === 'YAML-SSR')).toMatchObject({
+            type: 'ssr', cipher: 'chacha20-ietf', protocol: 'origin', obfs: 'plain'
+        });
+    });
+
+    it('marks ssr as unsupported for Surge and sing-box', async () => {
+        const surge = await new SurgeConfigBuilder(`${SSR_URI}\n${SS_URI}`, 'minimal', [], null, 'zh-CN', 'test-agent').build();
+        expect(surge).toContain('# SSR-香港 - Unsupported proxy type: shadowsocksr');
+
+        const singbox = await new SingboxConfigBuilder(`${SSR_URI}\n${SS_URI}`, 'minimal', [], null, 'zh-CN', 'test-agent').build();
+        expect(singbox.outbounds.find(o => o.tag === 'SSR-香港')).toBeUndefined();
+        expect(singbox.outbounds.find(o => o.tag === 'SS-Node')).toBeDefined();
+        singbox.outbounds
+            .filter(o => Array.isArray(o.outbounds))
+            .forEach(group => expect(group.outbounds).not.toContain('SSR-香港'));
+    });
+});
@@ -198,9 +198,11 @@ describe('GET /subconverter', () => {
             const text = await res.text();
 
             // Should contain country url-test groups with (?i) flag and \b boundaries for ASCII aliases
-            expect(text).toMatch(/custom_proxy_group=🇭🇰 Hong Kong`url-test`\(\?i\)\(香港\|\\bHong Kong\\b\|\\bHK\\b\)/);
-            expect(text).toMatch(/custom_proxy_group=🇯🇵 Japan`url-test`\(\?i\)\(日本\|\\bJapan\\b\|\\bJP\\b\)/);
-            expect(text).toMatch(/custom_proxy_group=🇺🇸 United States`url-test`\(\?i\)\(美国\|\\bUnited States\\b\|\\bUS\\b\)/);
+            expect(text).toMatch(/custom_proxy_group=🇭🇰 Hong Kong`url-test`\(\?i\)\(香港\|\\bHong Kong\\b\|\\bHK\\b\|/);
+            expect(text).toMatch(/custom_proxy_group=🇯🇵 Japan`url-test`\(\?i\)\(日本\|\\bJapan\\b\|\\bJP\\b\|/);
+            expect(text).toMatch(/custom_proxy_group=🇺🇸 United States`url-test`\(\?i\)\(美国\|\\bUnited States\\b\|\\bUS\\b\|/);
+            // Airport codes, flags and relay labels follow the name aliases
+            expect(text).toMatch(/custom_proxy_group=🇯🇵 Japan`url-test`\(\?i\)\([^`]*\|\\bNRT\\b\|[^`]*\|🇯🇵\|沪日\|/);
         });
 
         it('generates Manual Switch group with all nodes', async () => {
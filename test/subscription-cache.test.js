@@ -0,0 +1,178 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { SubscriptionCacheService, generateCacheKey } from '../src/services/subscriptionCacheService.js';
+import { fetchSubscriptionWithFormat } from '../src/parsers/subscription/httpSubscriptionFetcher.js';
+import { D1CacheStore } from '../src/adapters/cache/d1CacheStore.js';
+import { buildRequestHeaders } from '../src/parsers/subscription/sourceOptions.js';
+
+const URL_A = 'https://a.example.com/sub';
+const USERINFO = 'upload=1; download=2; total=30; expire=1900000000';
+
+/**
+ * Just enough of D1 for the statements D1CacheStore issues
+ */
+class FakeD1 {
+    constructor(columns = ['etag', 'last_modified', 'subscription_userinfo', 'validated_at']) {
+        this.columns = new Set(columns);
+        this.rows = new Map();
+    }
+
+    async exec() {}
+
+    prepare(sql) {
+        const db = this;
+        return {
+            bind(...args) {
+                this.args = args;
+                return this;
+            },
+            async first() {
+                return db.rows.get(this.args[0]) ?? null;
+            },
+            async run() {
+                const args = this.args || [];
+                const added = sql.match(/ADD COLUMN (\w+)/);
+                if (added) {
+                    if (db.columns.has(added[1])) throw new Error(`duplicate column name: ${added[1]}`);
+                    db.columns.add(added[1]);
+                } else if (sql.includes('INSERT OR REPLACE')) {
+                    const [key, url, content, , now, , , , etag, lastModified, userinfo, validatedAt] = args;
+                    const previous = db.rows.get(key);
+                    db.rows.set(key, {
+                        url, content, created_at: previous?.created_at ?? now, updated_at: now,
+                        success_count: (previous?.success_count ?? 0) + 1, fail_count: previous?.fail_count ?? 0,
+                        etag, last_modified: lastModified, subscription_userinfo: userinfo, validated_at: validatedAt
+                    });
+                } else if (sql.includes('SET validated_at')) {
+                    const [now, , etag, lastModified, userinfo, key] = args;
+                    const row = db.rows.get(key);
+                    Object.assign(row, {
+                        validated_at: now, updated_at: now, success_count: row.success_count + 1,
+                        etag: etag ?? row.etag, last_modified: lastModified ?? row.last_modified,
+                        subscription_userinfo: userinfo ?? row.subscription_userinfo
+                    });
+                } else if (sql.includes('SET fail_count')) {
+                    const row = db.rows.get(args[1]);
+                    if (row) row.fail_count += 1;
+                }
+                return { success: true };
+            }
+        };
+    }
+
+    age(url, seconds) {
+        this.rows.get(generateCacheKey(url)).validated_at -= seconds * 1000;
+    }
+}
+
+function mockOrigin(responses) {
+    const calls = [];
+    vi.stubGlobal('fetch', vi.fn(async (url, init = {}) => {
+        const headers = new Headers(init.headers);
+        calls.push(headers);
+        const { status = 200, body = '', headers: responseHeaders = {} } = responses[Math.min(calls.length, responses.length) - 1];
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: String(status),
+            text: async () => body,
+            headers: new Headers(responseHeaders)
+        };
+    }));
+    return calls;
+}
+
+describe('Subscription cache revalidation', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('stores validators and usage, then revalidates with a conditional request', async () => {
+        const calls = mockOrigin([
+            { body: 'v1', headers: { etag: '"abc"', 'last-modified': 'Mon, 19 Oct 2026 00:00:00 GMT', 'subscription-userinfo': USERINFO } },
+            { status: 304 }
+        ]);
+        const cache = new SubscriptionCacheService(new D1CacheStore(new FakeD1()));
+
+        const first = await cache.fetchWithCache(URL_A, { headers: { 'User-Agent': 'test' } });
+        expect(first).toMatchObject({ content: 'v1', fromCache: false, cacheStatus: 'miss', subscriptionUserinfo: USERINFO });
+        expect(calls[0].has('if-none-match')).toBe(false);
+
+        const second = await cache.fetchWithCache(URL_A, { headers: { 'User-Agent': 'test' } });
+        expect(calls[1].get('if-none-match')).toBe('"abc"');
+        expect(calls[1].get('if-modified-since')).toBe('Mon, 19 Oct 2026 00:00:00 GMT');
+        expect(second).toMatchObject({ content: 'v1', fromCache: true, success: true, cacheStatus: 'revalidated', subscriptionUserinfo: USERINFO });
+        expect(second.warning).toBeUndefined();
+    });
+
+    it('serves fresh copies without contacting the origin', async () => {
+        const calls = mockOrigin([{ body: 'v1' }, { body: 'v2' }]);
+        const db = new FakeD1();
+        const cache = new SubscriptionCacheService(new D1CacheStore(db), { freshSeconds: 60 });
+
+        await cache.fetchWithCache(URL_A);
+        expect(await cache.fetchWithCache(URL_A)).toMatchObject({ content: 'v1', cacheStatus: 'fresh' });
+        expect(calls).toHaveLength(1);
+
+        db.age(URL_A, 61);
+        expect(await cache.fetchWithCache(URL_A)).toMatchObject({ content: 'v2', cacheStatus: 'miss' });
+    });
+
+    it('serves stale copies while refreshing them through waitUntil', async () => {
+        const calls = mockOrigin([{ body: 'v1' }, { body: 'v2', headers: { 'subscription-userinfo': USERINFO } }]);
+        const db = new FakeD1();
+        const background = [];
+        const cache = new SubscriptionCacheService(new D1CacheStore(db), { freshSeconds: 60, staleWhileRevalidateSeconds: 600 })
+            .withWaitUntil(promise => background.push(promise));
+
+        await cache.fetchWithCache(URL_A);
+        db.age(URL_A, 120);
+        expect(await cache.fetchWithCache(URL_A)).toMatchObject({ content: 'v1', cacheStatus: 'stale' });
+        expect(background).toHaveLength(1);
+
+        await Promise.all(background);
+        expect(calls).toHaveLength(2);
+        expect(await cache.fetchWithCache(URL_A)).toMatchObject({ content: 'v2', cacheStatus: 'fresh', subscriptionUserinfo: USERINFO });
+    });
+
+    it('revalidates inline past the stale window or without waitUntil', async () => {
+        const calls = mockOrigin([{ body: 'v1' }, { body: 'v2' }]);
+        const db = new FakeD1();
+        const cache = new SubscriptionCacheService(new D1CacheStore(db), { freshSeconds: 60, staleWhileRevalidateSeconds: 600 });
+
+        await cache.fetchWithCache(URL_A);
+        db.age(URL_A, 120);
+        expect(await cache.fetchWithCache(URL_A)).toMatchObject({ content: 'v2', cacheStatus: 'miss' });
+        expect(calls).toHaveLength(2);
+    });
+
+    it('falls back to the cached copy and its usage when the origin fails', async () => {
+        mockOrigin([{ body: 'v1', headers: { 'subscription-userinfo': USERINFO } }, { status: 500 }]);
+        const cache = new SubscriptionCacheService(new D1CacheStore(new FakeD1()));
+
+        await cache.fetchWithCache(URL_A);
+        const result = await fetchSubscriptionWithFormat(URL_A, 'test', { cacheService: cache });
+        expect(result).toMatchObject({ content: 'v1', fromCache: true, subscriptionUserinfo: USERINFO, warning: 'Remote fetch failed, using cached content' });
+    });
+
+    it('keeps copies fetched with different credentials apart', async () => {
+        const calls = mockOrigin([{ body: 'alice' }, { body: 'bob' }, { status: 401 }]);
+        const cache = new SubscriptionCacheService(new D1CacheStore(new FakeD1()), { freshSeconds: 60 });
+        const as = token => ({ headers: buildRequestHeaders({ auth: { type: 'bearer', token } }) });
+
+        expect(await cache.fetchWithCache(URL_A, as('alice'))).toMatchObject({ content: 'alice', cacheStatus: 'miss' });
+        expect(await cache.fetchWithCache(URL_A, as('bob'))).toMatchObject({ content: 'bob', cacheStatus: 'miss' });
+        expect(await cache.fetchWithCache(URL_A, as('alice'))).toMatchObject({ content: 'alice', cacheStatus: 'fresh' });
+        expect(calls).toHaveLength(2);
+
+        const stranger = await cache.fetchWithCache(URL_A, { ...as('mallory'), rotateUserAgent: false });
+        expect(stranger).toMatchObject({ content: null, success: false });
+        const anonymous = await cache.fetchWithCache(URL_A, { rotateUserAgent: false });
+        expect(anonymous).toMatchObject({ content: null, success: false });
+    });
+
+    it('adds the new columns to tables created before them', async () => {
+        const db = new FakeD1([]);
+        expect(await new D1CacheStore(db).init()).toBe(true);
+        expect([...db.columns]).toEqual(['etag', 'last_modified', 'subscription_userinfo', 'validated_at']);
+    });
+});
@@ -0,0 +1,76 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { encodeBase64 } from '../src/utils.js';
+import { mergeSubscriptionUserinfo, parseSubscriptionUserinfo } from '../src/utils/subscriptionUserinfo.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+const SUBSCRIPTIONS = {
+    'https://airport-a.example.com/sub': {
+        body: encodeBase64(ssLink('HK 01', 'a1.example.com')),
+        userinfo: 'upload=100; download=200; total=1000; expire=1900000000'
+    },
+    'https://airport-b.example.com/sub': {
+        body: encodeBase64(ssLink('JP 01', 'b1.example.com')),
+        userinfo: 'upload=10; download=20; total=500; expire=1800000000'
+    },
+    'https://airport-c.example.com/sub': {
+        body: encodeBase64(ssLink('US 01', 'c1.example.com')),
+        userinfo: null
+    }
+};
+const INPUT = Object.keys(SUBSCRIPTIONS).join('\n');
+
+function mockSubscriptions() {
+    vi.stubGlobal('fetch', vi.fn(async (url) => ({
+        ok: true,
+        status: 200,
+        text: async () => SUBSCRIPTIONS[url].body,
+        headers: { get: name => (name.toLowerCase() === 'subscription-userinfo' ? SUBSCRIPTIONS[url].userinfo : null) }
+    })));
+}
+
+describe('subscription-userinfo', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('sums traffic and keeps the earliest expiry', () => {
+        expect(mergeSubscriptionUserinfo([
+            'upload=1; download=2; total=10; expire=300',
+            'upload=3; download=4; total=20; expire=200',
+            'upload=5; download=6; total=30'
+        ])).toBe('upload=9; download=12; total=60; expire=200');
+        expect(mergeSubscriptionUserinfo(['garbage', ''])).toBeUndefined();
+        expect(parseSubscriptionUserinfo('Upload=1.5e3;download=x; total=7')).toEqual({ upload: 1500, download: 0, total: 7, expire: 0 });
+    });
+
+    it.each([
+        ['singbox', 'json'],
+        ['clash', 'yaml'],
+        ['surge', 'conf'],
+        ['qx', 'conf'],
+        ['loon', 'conf'],
+        ['xray', 'txt']
+    ])('forwards merged usage on /%s', async (route, extension) => {
+        mockSubscriptions();
+        const res = await createTestApp().request(`http://localhost/${route}?config=${encodeURIComponent(INPUT)}&selectedRules=minimal`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers.get('subscription-userinfo')).toBe('upload=110; download=220; total=1500; expire=1800000000');
+        expect(res.headers.get('profile-update-interval')).toBe('24');
+        expect(res.headers.get('content-disposition')).toBe(`attachment; filename="Sublink Worker.${extension}"; filename*=UTF-8''Sublink%20Worker.${extension}`);
+    });
+
+    it('omits usage for inline nodes and honors filename and update_interval', async () => {
+        const query = `config=${encodeURIComponent(ssLink('Home', 'home.example.com'))}&filename=${encodeURIComponent('我的机场')}&update_interval=6`;
+        const res = await createTestApp().request(`http://localhost/clash?${query}`);
+
+        expect(res.headers.get('subscription-userinfo')).toBeNull();
+        expect(res.headers.get('profile-update-interval')).toBe('6');
+        expect(res.headers.get('content-disposition')).toBe(`attachment; filename="____.yaml"; filename*=UTF-8''${encodeURIComponent('我的机场.yaml')}`);
+    });
+
+    it('no longer sends a placeholder quota from /surge', async () => {
+        const res = await createTestApp().request(`http://localhost/surge?config=${encodeURIComponent(ssLink('Home', 'home.example.com'))}`);
+        expect(res.headers.get('subscription-userinfo')).toBeNull();
+    });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { ProxyParser } from '../src/parsers/ProxyParser.js';
+import { convertYamlProxyToObject } from '../src/parsers/convertYamlProxyToObject.js';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { SurgeConfigBuilder } from '../src/builders/SurgeConfigBuilder.js';
+
+const UUID = '5f2d9e3c-8a1b-4c6d-9e0f-123456789abc';
+const ECH_CONFIG = 'AEX+DQBBpQAgACB/RJJ9S6kbVXdTx0FqbL0b0pH4Fm7v0wlDwQ8fJq9sDAAEAAEAAQASY2xvdWRmbGFyZS1lY2guY29tAAA=';
+
+const REALITY = `vless://${UUID}@1.2.3.4:443?encryption=none&security=reality&type=tcp&sni=www.apple.com&fp=firefox&pbk=PUBKEY&sid=a1b2&spx=%2Fsearch%3Fq%3D1&pqv=MLDSA&flow=xtls-rprx-vision#VLESS-REALITY`;
+const REALITY_NO_FP = `vless://${UUID}@1.2.3.4:443?encryption=none&security=reality&type=tcp&sni=www.apple.com&pbk=PUBKEY&sid=a1b2#VLESS-REALITY-NOFP`;
+const TROJAN_ECH = `trojan://pw@edge.example.com:443?security=tls&sni=edge.example.com&fp=safari&alpn=h2,http/1.1&ech=${encodeURIComponent(ECH_CONFIG)}&minVersion=1.2&maxVersion=1.3#Trojan-ECH`;
+const TROJAN_ECH_QUERY = `trojan://pw@edge.example.com:443?security=tls&ech=cloudflare-ech.com%2Bhttps%3A%2F%2F1.1.1.1%2Fdns-query#Trojan-ECH-DNS`;
+const ECH_PEM = ['-----BEGIN ECH CONFIGS-----', ECH_CONFIG, '-----END ECH CONFIGS-----'];
+
+describe('TLS options from share links', () => {
+    it('keeps the link fingerprint and REALITY extras', async () => {
+        const node = await ProxyParser.parse(REALITY);
+        expect(node.tls).toEqual({
+            enabled: true,
+            server_name: 'www.apple.com',
+            insecure: false,
+            utls: { enabled: true, fingerprint: 'firefox' },
+            reality: { enabled: true, public_key: 'PUBKEY', short_id: 'a1b2', spider_x: '/search?q=1', mldsa65_verify: 'MLDSA' }
+        });
+    });
+
+    it('reads alpn, ECH and TLS versions', async () => {
+        const node = await ProxyParser.parse(TROJAN_ECH);
+        expect(node.tls).toMatchObject({
+            alpn: ['h2', 'http/1.1'],
+            utls: { enabled: true, fingerprint: 'safari' },
+            ech: { enabled: true, config: ECH_PEM },
+            min_version: '1.2',
+            max_version: '1.3'
+        });
+
+        const dnsNode = await ProxyParser.parse(TROJAN_ECH_QUERY);
+        expect(dnsNode.tls.ech).toEqual({ enabled: true, query_server_name: 'cloudflare-ech.com' });
+    });
+
+    it('reads TLS options from the vmess JSON payload', async () => {
+        const vmess = 'vmess://' + Buffer.from(JSON.stringify({
+            v: '2', ps: 'VMess-FP', add: 'edge.example.com', port: '443', id: UUID, aid: '0', net: 'ws', path: '/', tls: 'tls', sni: 'edge.example.com', fp: 'chrome', alpn: 'h2,http/1.1'
+        })).toString('base64');
+        const node = await ProxyParser.parse(vmess);
+        expect(node.tls).toMatchObject({ alpn: ['h2', 'http/1.1'], utls: { enabled: true, fingerprint: 'chrome' } });
+    });
+
+    it('does not treat allowInsecure=0 as insecure', async () => {
+        const node = await ProxyParser.parse('trojan://pw@edge.example.com:443?security=tls&allowInsecure=0#T');
+        expect(node.tls.insecure).toBe(false);
+    });
+
+    it('reads alpn, fingerprint and ech-opts from Clash YAML', () => {
+        const node = convertYamlProxyToObject({
+            name: 'Y', type: 'trojan', server: 's', port: 443, password: 'pw', tls: true, sni: 's',
+            alpn: ['h2'], 'client-fingerprint': 'ios', 'ech-opts': { enable: true, config: ECH_CONFIG }
+        });
+        expect(node.tls).toMatchObject({
+            alpn: ['h2'],
+            utls: { enabled: true, fingerprint: 'ios' },
+            ech: { enabled: true, config: ECH_PEM }
+        });
+        expect(node.alpn).toBeUndefined();
+    });
+});
+
+describe('TLS options in builders', () => {
+    const input = [REALITY, REALITY_NO_FP, TROJAN_ECH, TROJAN_ECH_QUERY].join('\n');
+
+    it('emits sing-box tls without Xray-only REALITY keys', async () => {
+        const config = await new SingboxConfigBuilder(input, 'minimal', [], null, 'zh-CN', 'test-agent').build();
+        const find = tag => config.outbounds.find(o => o.tag === tag);
+
+        expect(find('VLESS-REALITY').tls).toEqual({
+            enabled: true,
+            server_name: 'www.apple.com',
+            insecure: false,
+            utls: { enabled: true, fingerprint: 'firefox' },
+            reality: { enabled: true, public_key: 'PUBKEY', short_id: 'a1b2' }
+        });
+        expect(find('VLESS-REALITY-NOFP').tls.utls).toEqual({ enabled: true, fingerprint: 'chrome' });
+        expect(find('Trojan-ECH').tls).toMatchObject({
+            alpn: ['h2', 'http/1.1'],
+            ech: { enabled: true, config: ECH_PEM },
+            min_version: '1.2',
+            max_version: '1.3'
+        });
+    });
+
+    it('drops uTLS for QUIC protocols in sing-box', async () => {
+        const hy2 = 'hysteria2://pw@hy.example.com:443?sni=hy.example.com&fp=chrome#HY2-FP';
+        const config = await new SingboxConfigBuilder(hy2, 'minimal', [], null, 'zh-CN', 'test-agent').build();
+        expect(config.outbounds.find(o => o.tag === 'HY2-FP').tls.utls).toBeUndefined();
+    });
+
+    it('emits client-fingerprint, reality-opts and ech-opts for Clash', async () => {
+        const built = yaml.load(await new ClashConfigBuilder(input, 'minimal', [], null, 'zh-CN', 'test-agent').build());
+        const find = name => built.proxies.find(p => p.name === name);
+
+        expect(find('VLESS-REALITY')).toMatchObject({
+            'client-fingerprint': 'firefox',
+            'reality-opts': { 'public-key': 'PUBKEY', 'short-id': 'a1b2' }
+        });
+        expect(find('Trojan-ECH')).toMatchObject({
+            alpn: ['h2', 'http/1.1'],
+            'client-fingerprint': 'safari',
+            'ech-opts': { enable: true, config: ECH_CONFIG }
+        });
+        expect(find('Trojan-ECH-DNS')['ech-opts']).toEqual({ enable: true, 'query-server-name': 'cloudflare-ech.com' });
+    });
+
+    it('marks REALITY trojan nodes as unsupported for Surge', async () => {
+        const trojanReality = 'trojan://pw@1.2.3.4:443?security=reality&sni=www.apple.com&pbk=PUBKEY&sid=a1#Trojan-REALITY';
+        const builder = new SurgeConfigBuilder([trojanReality, TROJAN_ECH].join('\n'), 'minimal', [], null, 'zh-CN', 'test-agent');
+        const text = await builder.build();
+
+        expect(text).toContain('# Trojan-REALITY - Unsupported TLS: reality');
+        expect(text).toContain('Trojan-ECH = trojan');
+        expect(text).toContain('alpn=h2,http/1.1');
+        expect(builder.getWarnings()).toContain('Trojan-REALITY - REALITY is not supported by Surge');
+    });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { ProxyParser } from '../src/parsers/ProxyParser.js';
+import { convertYamlProxyToObject } from '../src/parsers/convertYamlProxyToObject.js';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { SurgeConfigBuilder } from '../src/builders/SurgeConfigBuilder.js';
+import { createTestApp } from './helpers.js';
+
+const UUID = '5f2d9e3c-8a1b-4c6d-9e0f-123456789abc';
+const vless = (query, name) => `vless://${UUID}@edge.example.com:443?encryption=none&security=tls&sni=edge.example.com&${query}#${name}`;
+
+const HTTPUPGRADE = vless('type=httpupgrade&host=cdn.example.com&path=%2Fupgrade', 'VLESS-HU');
+const XHTTP = vless(`type=xhttp&host=cdn.example.com&path=%2Fxh&mode=packet-up&extra=${encodeURIComponent(JSON.stringify({ xPaddingBytes: '100-1000', noGRPCHeader: true }))}`, 'VLESS-XHTTP');
+const SPLITHTTP = vless('type=splithttp&path=%2Fsplit', 'VLESS-SPLIT');
+const H2 = vless('type=http&host=a.example.com,b.example.com&path=%2Fh2', 'VLESS-H2');
+const QUIC = vless('type=quic', 'VLESS-QUIC');
+const WS_ED = vless('type=ws&host=cdn.example.com&path=%2Fws%3Fed%3D2048', 'VLESS-WS');
+const TCP_HTTP = `trojan://pw@edge.example.com:443?security=tls&type=tcp&headerType=http&host=camouflage.example.com&path=%2Findex#Trojan-TCP-HTTP`;
+
+describe('Transport parsing', () => {
+    it('models every share-link transport', async () => {
+        expect((await ProxyParser.parse(HTTPUPGRADE)).transport).toEqual({ type: 'httpupgrade', path: '/upgrade', host: 'cdn.example.com' });
+        expect((await ProxyParser.parse(XHTTP)).transport).toEqual({
+            type: 'xhttp',
+            path: '/xh',
+            host: 'cdn.example.com',
+            mode: 'packet-up',
+            extra: { xPaddingBytes: '100-1000', noGRPCHeader: true }
+        });
+        expect((await ProxyParser.parse(SPLITHTTP)).transport).toMatchObject({ type: 'xhttp', path: '/split' });
+        expect((await ProxyParser.parse(H2)).transport).toEqual({ type: 'h2', path: '/h2', host: ['a.example.com', 'b.example.com'] });
+        expect((await ProxyParser.parse(QUIC)).transport).toEqual({ type: 'quic' });
+        expect((await ProxyParser.parse(WS_ED)).transport).toEqual({
+            type: 'ws',
+            path: '/ws',
+            headers: { host: 'cdn.example.com' },
+            max_early_data: 2048,
+            early_data_header_name: 'Sec-WebSocket-Protocol'
+        });
+        expect((await ProxyParser.parse(TCP_HTTP)).transport).toEqual({
+            type: 'http',
+            method: 'GET',
+            path: ['/index'],
+            headers: { host: ['camouflage.example.com'] }
+        });
+        expect((await ProxyParser.parse(vless('type=tcp', 'VLESS-TCP'))).transport).toBeUndefined();
+    });
+
+    it('reads httpupgrade and xhttp from Clash YAML', () => {
+        const upgrade = convertYamlProxyToObject({
+            name: 'HU', type: 'vless', server: 's', port: 443, uuid: UUID, network: 'ws',
+            'ws-opts': { path: '/u', headers: { Host: 'h.example.com' }, 'v2ray-http-upgrade': true }
+        });
+        expect(upgrade.transport).toEqual({ type: 'httpupgrade', path: '/u', host: 'h.example.com' });
+
+        const xhttp = convertYamlProxyToObject({
+            name: 'XH', type: 'vless', server: 's', port: 443, uuid: UUID, network: 'xhttp',
+            'xhttp-opts': { path: '/x', host: 'x.example.com', mode: 'auto', 'no-grpc-header': true }
+        });
+        expect(xhttp.transport).toMatchObject({ type: 'xhttp', path: '/x', host: 'x.example.com', mode: 'auto', extra: { noGRPCHeader: true } });
+    });
+});
+
+describe('Transport output', () => {
+    const input = [HTTPUPGRADE, XHTTP, H2, QUIC, WS_ED].join('\n');
+
+    it('maps transports for sing-box and warns on xhttp', async () => {
+        const builder = new SingboxConfigBuilder(input, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const config = await builder.build();
+        const find = tag => config.outbounds.find(o => o.tag === tag);
+
+        expect(find('VLESS-HU').transport).toEqual({ type: 'httpupgrade', path: '/upgrade', host: 'cdn.example.com' });
+        expect(find('VLESS-H2').transport).toEqual({ type: 'http', path: '/h2', host: ['a.example.com', 'b.example.com'] });
+        expect(find('VLESS-QUIC').transport).toEqual({ type: 'quic' });
+        expect(find('VLESS-WS').transport.max_early_data).toBe(2048);
+        expect(find('VLESS-XHTTP')).toBeUndefined();
+        expect(builder.getWarnings()).toContain('VLESS-XHTTP - Unsupported transport for sing-box: xhttp');
+    });
+
+    it('maps transports to Clash *-opts and warns on quic', async () => {
+        const builder = new ClashConfigBuilder(input, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const built = yaml.load(await builder.build());
+        const find = name => built.proxies.find(p => p.name === name);
+
+        expect(find('VLESS-HU')).toMatchObject({
+            network: 'ws',
+            'ws-opts': { path: '/upgrade', headers: { Host: 'cdn.example.com' }, 'v2ray-http-upgrade': true }
+        });
+        expect(find('VLESS-XHTTP')).toMatchObject({
+            network: 'xhttp',
+            'xhttp-opts': { path: '/xh', host: 'cdn.example.com', mode: 'packet-up', 'x-padding-bytes': '100-1000', 'no-grpc-header': true }
+        });
+        expect(find('VLESS-H2')).toMatchObject({ network: 'h2', 'h2-opts': { path: '/h2', host: ['a.example.com', 'b.example.com'] } });
+        expect(find('VLESS-WS')['ws-opts']).toMatchObject({ path: '/ws', 'max-early-data': 2048, 'early-data-header-name': 'Sec-WebSocket-Protocol' });
+        expect(find('VLESS-QUIC')).toBeUndefined();
+        expect(builder.getWarnings()).toContain('VLESS-QUIC - Unsupported transport for Clash: quic');
+    });
+
+    it('marks transports Surge lacks with a per-node comment', async () => {
+        const vmess = 'vmess://' + Buffer.from(JSON.stringify({
+            v: '2', ps: 'VMess-HU', add: 'edge.example.com', port: '443', id: UUID, aid: '0', net: 'httpupgrade', host: 'cdn.example.com', path: '/hu', tls: 'tls'
+        })).toString('base64');
+        const builder = new SurgeConfigBuilder(vmess, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const text = await builder.build();
+
+        expect(text).toContain('# VMess-HU - Unsupported transport: httpupgrade');
+        expect(text).not.toContain('VMess-HU = vmess');
+        expect(builder.getWarnings()).toContain('VMess-HU - Unsupported transport for Surge: httpupgrade');
+    });
+
+    it('reports dropped nodes in the X-Build-Warnings headers', async () => {
+        const app = createTestApp();
+        const input = [WS_ED, XHTTP.replace('#VLESS-XHTTP', `#${encodeURIComponent('香港 XHTTP')}`)].join('\n');
+        const res = await app.request(`http://localhost/singbox?config=${encodeURIComponent(input)}&selectedRules=minimal`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers.get('X-Build-Warnings')).toBe('1');
+        const summary = res.headers.get('X-Build-Warnings-Summary');
+        expect(decodeURIComponent(summary)).toBe('香港 XHTTP - Unsupported transport for sing-box: xhttp');
+
+        const clean = await app.request(`http://localhost/singbox?config=${encodeURIComponent(WS_ED)}&selectedRules=minimal`);
+        expect(clean.headers.get('X-Build-Warnings')).toBe('0');
+        expect(clean.headers.has('X-Build-Warnings-Summary')).toBe(false);
+    });
+});
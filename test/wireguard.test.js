@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import yaml from 'js-yaml';
+import { ProxyParser } from '../src/parsers/ProxyParser.js';
+import { SingboxConfigBuilder } from '../src/builders/SingboxConfigBuilder.js';
+import { ClashConfigBuilder } from '../src/builders/ClashConfigBuilder.js';
+import { SurgeConfigBuilder } from '../src/builders/SurgeConfigBuilder.js';
+
+const PRIVATE_KEY = 'yAnz5TF+lXXJte14tji3zlMNq+hd2rYUIgJBgB3fBmk=';
+const PUBLIC_KEY = 'HIgo9xNzJMWLKASShiTqIybxZ0U3wGLiUeJ1PKf8ykw=';
+const WG_URI = `wireguard://${encodeURIComponent(PRIVATE_KEY)}@203.0.113.10:51820?publickey=${PUBLIC_KEY}&address=10.0.0.2/32,fd00::2&reserved=1,2,3&mtu=1280#WG-Home`;
+
+describe('WireGuard support', () => {
+    it('parses wireguard:// and wg:// URIs', async () => {
+        const proxy = await ProxyParser.parse(WG_URI);
+        expect(proxy).toMatchObject({
+            tag: 'WG-Home',
+            type: 'wireguard',
+            server: '203.0.113.10',
+            server_port: 51820,
+            private_key: PRIVATE_KEY,
+            peer_public_key: PUBLIC_KEY,
+            local_address: ['10.0.0.2/32', 'fd00::2/128'],
+            reserved: [1, 2, 3],
+            mtu: 1280
+        });
+
+        const short = await ProxyParser.parse(`wg://203.0.113.10:51820?privatekey=${encodeURIComponent(PRIVATE_KEY)}&publickey=${PUBLIC_KEY}&address=10.0.0.2&reserved=AQID#WG-Short`);
+        expect(short.private_key).toBe(PRIVATE_KEY);
+        expect(short.local_address).toEqual(['10.0.0.2/32']);
+        expect(short.reserved).toEqual([1, 2, 3]);
+    });
+
+    it('emits sing-box endpoints instead of outbounds', async () => {
+        const builder = new SingboxConfigBuilder(WG_URI, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const config = await builder.build();
+
+        expect(config.outbounds.find(o => o.tag === 'WG-Home')).toBeUndefined();
+        const endpoint = config.endpoints.find(e => e.tag === 'WG-Home');
+        expect(endpoint).toMatchObject({
+            type: 'wireguard',
+            address: ['10.0.0.2/32', 'fd00::2/128'],
+            private_key: PRIVATE_KEY,
+            mtu: 1280,
+            peers: [{
+                address: '203.0.113.10',
+                port: 51820,
+                public_key: PUBLIC_KEY,
+                allowed_ips: ['0.0.0.0/0', '::/0'],
+                reserved: [1, 2, 3]
+            }]
+        });
+
+        const nodeSelect = config.outbounds.find(o => o.tag === '🚀 节点选择');
+        expect(nodeSelect.outbounds).toContain('WG-Home');
+    });
+
+    it('emits a wireguard proxy for Clash', async () => {
+        const builder = new ClashConfigBuilder(WG_URI, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const built = yaml.load(await builder.build());
+        const proxy = built.proxies.find(p => p.name === 'WG-Home');
+
+        expect(proxy).toMatchObject({
+            type: 'wireguard',
+            server: '203.0.113.10',
+            port: 51820,
+            ip: '10.0.0.2',
+            ipv6: 'fd00::2',
+            'private-key': PRIVATE_KEY,
+            'public-key': PUBLIC_KEY,
+            reserved: [1, 2, 3],
+            mtu: 1280,
+            udp: true
+        });
+    });
+
+    it('emits a Surge wireguard policy with its section', async () => {
+        const builder = new SurgeConfigBuilder(WG_URI, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const text = await builder.build();
+
+        expect(text).toContain('WG-Home = wireguard, section-name=WG-Home');
+        expect(text).toContain('[WireGuard WG-Home]');
+        expect(text).toContain(`private-key = ${PRIVATE_KEY}`);
+        expect(text).toContain('self-ip = 10.0.0.2');
+        expect(text).toContain('self-ip-v6 = fd00::2');
+        expect(text).toContain(`peer = (public-key = ${PUBLIC_KEY}, allowed-ips = "0.0.0.0/0, ::/0", endpoint = 203.0.113.10:51820, client-id = 1/2/3)`);
+    });
+
+    it('reads Clash YAML wireguard proxies, including peers', async () => {
+        const input = `proxies:
+  - name: WG-YAML
+    type: wireguard
+    ip: 172.16.0.2
+    private-key: ${PRIVATE_KEY}
+    udp: true
+    peers:
+      - server: 198.51.100.7
+        port: 2408
+        public-key: ${PUBLIC_KEY}
+        reserved: [7, 8, 9]
+        allowed-ips: ['0.0.0.0/0']`;
+        const builder = new SingboxConfigBuilder(input, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const config = await builder.build();
+        const endpoint = config.endpoints.find(e => e.tag === 'WG-YAML');
+
+        expect(endpoint.address).toEqual(['172.16.0.2/32']);
+        expect(endpoint.peers[0]).toMatchObject({
+            address: '198.51.100.7',
+            port: 2408,
+            public_key: PUBLIC_KEY,
+            reserved: [7, 8, 9],
+            allowed_ips: ['0.0.0.0/0']
+        });
+    });
+
+    it('reads Surge wireguard policies together with their sections', async () => {
+        const input = `[Proxy]
+WG-Surge = wireguard, section-name = Office
+
+[WireGuard Office]
+private-key = ${PRIVATE_KEY}
+self-ip = 10.8.0.2
+mtu = 1380
+peer = (public-key = ${PUBLIC_KEY}, allowed-ips = "0.0.0.0/0, ::/0", endpoint = vpn.example.com:51820, keepalive = 25)`;
+        const builder = new ClashConfigBuilder(input, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const built = yaml.load(await builder.build());
+        const proxy = built.proxies.find(p => p.name === 'WG-Surge');
+
+        expect(proxy).toMatchObject({
+            type: 'wireguard',
+            server: 'vpn.example.com',
+            port: 51820,
+            ip: '10.8.0.2',
+            mtu: 1380,
+            'allowed-ips': ['0.0.0.0/0', '::/0'],
+            'persistent-keepalive': 25
+        });
+        expect(built['wireguard office']).toBeUndefined();
+    });
+
+    it('reads sing-box wireguard endpoints as nodes', async () => {
+        const input = JSON.stringify({
+            outbounds: [{ type: 'direct', tag: 'DIRECT' }],
+            endpoints: [{
+                type: 'wireguard',
+                tag: 'WG-Endpoint',
+                address: ['10.1.0.2/32'],
+                private_key: PRIVATE_KEY,
+                peers: [{ address: '192.0.2.1', port: 51820, public_key: PUBLIC_KEY, allowed_ips: ['0.0.0.0/0'] }]
+            }]
+        });
+        const builder = new ClashConfigBuilder(input, 'minimal', [], null, 'zh-CN', 'test-agent');
+        const built = yaml.load(await builder.build());
+
+        expect(built.proxies.find(p => p.name === 'WG-Endpoint')).toMatchObject({
+            type: 'wireguard',
+            server: '192.0.2.1',
+            ip: '10.1.0.2'
+        });
+    });
+});
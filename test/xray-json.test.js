@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import { XrayConfigBuilder } from '../src/builders/XrayConfigBuilder.js';
+import { ssLink, createTestApp } from './helpers.js';
+
+const ss = ssLink('HK SS');
+const vmessWs = 'vmess://' + Buffer.from(JSON.stringify({
+    v: '2', ps: 'US VMess', add: 'vm.example.com', port: '443', id: '11111111-1111-1111-1111-111111111111',
+    aid: '0', scy: 'auto', net: 'ws', host: 'cdn.example.com', path: '/ws?ed=2048', tls: 'tls', sni: 'cdn.example.com'
+})).toString('base64');
+const vlessReality = 'vless://22222222-2222-2222-2222-222222222222@re.example.com:443?security=reality&sni=www.apple.com&pbk=PUBKEY&sid=ab12&fp=firefox&flow=xtls-rprx-vision&type=tcp#JP%20Reality';
+const trojanGrpc = 'trojan://pw@tj.example.com:443?sni=tj.example.com&type=grpc&serviceName=svc#SG%20Trojan';
+const hy2 = 'hysteria2://pw@hy.example.com:443?sni=hy.example.com#HY2';
+const INPUT = [ss, vmessWs, vlessReality, trojanGrpc, hy2].join('\n');
+
+const build = async (input = INPUT, customRules = [], ...options) => {
+    const builder = new XrayConfigBuilder(input, 'minimal', customRules, null, 'en', 'test-agent', ...options);
+    const config = await builder.build();
+    return { builder, config };
+};
+
+describe('Xray JSON builder', () => {
+    it('emits one outbound per supported node with streamSettings', async () => {
+        const { config } = await build();
+        const find = tag => config.outbounds.find(o => o.tag === tag);
+
+        expect(find('HK SS')).toEqual({
+            tag: 'HK SS',
+            protocol: 'shadowsocks',
+            settings: { servers: [{ address: 'ss.example.com', port: 8388, method: 'aes-128-gcm', password: 'secret' }] },
+            streamSettings: { network: 'tcp' }
+        });
+        expect(find('US VMess').streamSettings).toEqual({
+            network: 'ws',
+            wsSettings: { path: '/ws?ed=2048', host: 'cdn.example.com' },
+            security: 'tls',
+            tlsSettings: { serverName: 'cdn.example.com', allowInsecure: false }
+        });
+        expect(find('JP Reality').settings.vnext[0].users[0]).toEqual({ id: '22222222-2222-2222-2222-222222222222', encryption: 'none', flow: 'xtls-rprx-vision' });
+        expect(find('JP Reality').streamSettings.realitySettings).toEqual({ serverName: 'www.apple.com', fingerprint: 'firefox', publicKey: 'PUBKEY', shortId: 'ab12' });
+        expect(find('SG Trojan').streamSettings).toMatchObject({ network: 'grpc', grpcSettings: { serviceName: 'svc' }, security: 'tls' });
+        expect(config.outbounds.slice(-2)).toEqual([{ tag: 'direct', protocol: 'freedom' }, { tag: 'block', protocol: 'blackhole' }]);
+    });
+
+    it('drops nodes Xray cannot dial with a warning', async () => {
+        const { builder, config } = await build();
+        expect(config.outbounds.some(o => o.tag === 'HY2')).toBe(false);
+        expect(builder.getWarnings()).toContain('HY2 - Unsupported proxy type for Xray: hysteria2');
+    });
+
+    it('turns Auto Select into a leastPing balancer with an observatory', async () => {
+        const { config } = await build();
+        const nodes = ['HK SS', 'US VMess', 'JP Reality', 'SG Trojan'];
+
+        expect(config.routing.balancers).toEqual([
+            { tag: '⚡ Auto Select', selector: nodes, strategy: { type: 'leastPing' }, fallbackTag: 'direct' }
+        ]);
+        expect(config.observatory.subjectSelector).toEqual(nodes);
+    });
+
+    it('routes geosite/geoip matchers to the default member of each group', async () => {
+        const { config } = await build();
+        const rules = config.routing.rules;
+
+        const chinaSite = rules.find(rule => rule.domain?.includes('geosite:cn'));
+        expect(chinaSite).toMatchObject({ type: 'field', outboundTag: 'direct' });
+        const nonChina = rules.find(rule => rule.domain?.includes('geosite:geolocation-!cn'));
+        expect(nonChina).toMatchObject({ balancerTag: '⚡ Auto Select' });
+        expect(rules.find(rule => rule.ip?.includes('geoip:private'))).toMatchObject({ outboundTag: 'direct' });
+        expect(rules[rules.length - 1]).toEqual({ type: 'field', network: 'tcp,udp', balancerTag: '⚡ Auto Select' });
+    });
+
+    it('maps custom rules and resolves to a node without Auto Select', async () => {
+        const { config } = await build(INPUT, [{ name: 'Work', domain_suffix: 'corp.example', domain_keyword: 'intranet', ip_cidr: '10.0.0.0/8' }], false, false);
+        const rules = config.routing.rules;
+
+        expect(rules).toContainEqual({ type: 'field', domain: ['domain:corp.example', 'keyword:intranet'], outboundTag: 'HK SS' });
+        expect(rules).toContainEqual({ type: 'field', ip: ['10.0.0.0/8'], outboundTag: 'HK SS' });
+        expect(config.routing.balancers).toEqual([]);
+        expect(config.observatory).toBeUndefined();
+    });
+
+    it('adds country balancers when grouping by country', async () => {
+        const { config } = await build(INPUT, [], true);
+        expect(config.routing.balancers.some(balancer => /^🇭🇰 /.test(balancer.tag) && balancer.selector.includes('HK SS'))).toBe(true);
+    });
+
+    it('chains nodes with sockopt.dialerProxy', async () => {
+        const builder = new XrayConfigBuilder(INPUT, 'minimal', [], null, 'en', 'test-agent').setProxyChains([{ match: '^US', via: 'HK SS' }]);
+        const config = await builder.build();
+        expect(config.outbounds.find(o => o.tag === 'US VMess').streamSettings.sockopt).toEqual({ dialerProxy: 'HK SS' });
+    });
+
+    it('numbers node tags when one would prefix-match another in balancer selectors', async () => {
+        const input = [ssLink('HK 1', 'a.example.com'), ssLink('HK 10', 'b.example.com'), ssLink('US 1', 'c.example.com')].join('\n');
+        const builder = new XrayConfigBuilder(input, 'minimal', [], null, 'en', 'test-agent', true)
+            .setProxyChains([{ match: '^US', via: 'HK 10' }]);
+        const config = await builder.build();
+        const nodeTags = config.outbounds.map(outbound => outbound.tag).filter(tag => !['direct', 'block'].includes(tag));
+
+        expect(nodeTags).toEqual(['1 HK 1', '2 HK 10', '3 US 1']);
+        expect(config.outbounds.find(o => o.tag === '3 US 1').streamSettings.sockopt).toEqual({ dialerProxy: '2 HK 10' });
+        const hk = config.routing.balancers.find(balancer => /^🇭🇰 /.test(balancer.tag));
+        expect(hk.selector).toEqual(['1 HK 1', '2 HK 10']);
+        for (const balancer of config.routing.balancers) {
+            const picked = config.outbounds.filter(o => balancer.selector.some(prefix => o.tag.startsWith(prefix)));
+            expect(picked.map(o => o.tag)).toEqual(balancer.selector);
+        }
+    });
+
+    it('keeps the dns and inbounds template', async () => {
+        const { config } = await build();
+        expect(config.inbounds.map(inbound => inbound.protocol)).toEqual(['socks', 'http']);
+        expect(config.dns.servers.length).toBeGreaterThan(0);
+    });
+});
+
+describe('/xray route', () => {
+    it('returns a full JSON config with format=json', async () => {
+        const app = createTestApp();
+        const res = await app.request(`http://localhost/xray?format=json&config=${encodeURIComponent(ss)}`);
+        expect(res.status).toBe(200);
+        const config = await res.json();
+        expect(config.outbounds[0].tag).toBe('HK SS');
+        expect(config.routing.rules.length).toBeGreaterThan(0);
+    });
+
+    it('keeps base64 share links as the default', async () => {
+        const app = createTestApp();
+        const res = await app.request(`http://localhost/xray?config=${encodeURIComponent(ss)}`);
+        expect(Buffer.from(await res.text(), 'base64').toString()).toBe(ss);
+    });
+});